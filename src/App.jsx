@@ -5,6 +5,8 @@ import ErrorBoundary from './components/ErrorBoundary'
 import Home from './pages/Home'
 import LessonsList from './pages/LessonsList'
 import LessonDetail from './pages/LessonDetail'
+import Review from './pages/Review'
+import Vocabulary from './pages/Vocabulary'
 import Progress from './pages/Progress'
 import Settings from './pages/Settings'
 import './styles/App.css'
@@ -55,6 +57,30 @@ function App() {
                 </ErrorBoundary>
               } 
             />
+            <Route 
+              path="/review" 
+              element={
+                <ErrorBoundary
+                  componentName="Review Page"
+                  title="Review Session Error"
+                  message="There was an error building your review session. Please try again."
+                >
+                  <Review />
+                </ErrorBoundary>
+              } 
+            />
+            <Route 
+              path="/vocabulary" 
+              element={
+                <ErrorBoundary
+                  componentName="Vocabulary Page"
+                  title="Vocabulary Error"
+                  message="There was an error building the vocabulary list. Please try again."
+                >
+                  <Vocabulary />
+                </ErrorBoundary>
+              } 
+            />
             <Route 
               path="/progress" 
               element={
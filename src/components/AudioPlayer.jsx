@@ -1,6 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react'
 import { retryAudioLoad, globalRetryManager } from '../utils/retryMechanism'
 import { usePerformanceMonitor } from '../utils/performanceMonitor'
+import { isCachedForOffline } from '../utils/offlineCache'
+import { useOnlineStatus } from '../hooks/useOnlineStatus'
+import { useSettings } from './SettingsProvider'
 
 const AudioPlayer = ({ 
   src, 
@@ -19,7 +22,12 @@ const AudioPlayer = ({
   const [currentTime, setCurrentTime] = useState(0)
   const [retryAttempts, setRetryAttempts] = useState(0)
   const [isRetrying, setIsRetrying] = useState(false)
+  const [isAvailableOffline, setIsAvailableOffline] = useState(false)
   const audioRef = useRef(null)
+  const isOnline = useOnlineStatus()
+  const { settings } = useSettings()
+  // Callers opt in to auto-play, and the Auto-play setting can still turn it off
+  const shouldAutoPlay = autoPlay && settings.audioEnabled && settings.autoPlay
   const { measureAsync } = usePerformanceMonitor('AudioPlayer')
 
   // Monitor audio loading performance
@@ -69,63 +77,13 @@ const AudioPlayer = ({
           }
         })
 
-        // Success! Set up the audio element
-        if (audioRef.current) {
-          const currentAudio = audioRef.current
-          
-          // Copy the successfully loaded audio properties
-          currentAudio.src = audio.src
-          currentAudio.load()
-
-          const handleCanPlayThrough = () => {
-            setIsLoading(false)
-            setHasError(false)
-            setIsRetrying(false)
-            setDuration(currentAudio.duration)
-            if (onLoad) {
-              onLoad(currentAudio)
-            }
-          }
-
-          const handleTimeUpdate = () => {
-            setCurrentTime(currentAudio.currentTime)
-          }
-
-          const handlePlay = () => {
-            setIsPlaying(true)
-          }
-
-          const handlePause = () => {
-            setIsPlaying(false)
-          }
-
-          const handleEnded = () => {
-            setIsPlaying(false)
-            setCurrentTime(0)
-          }
-
-          const handleError = (e) => {
-            console.warn(`Audio playback error: ${src}`, e)
-            // Don't set hasError for playback errors, only loading errors
-          }
-
-          // Add event listeners
-          currentAudio.addEventListener('canplaythrough', handleCanPlayThrough)
-          currentAudio.addEventListener('timeupdate', handleTimeUpdate)
-          currentAudio.addEventListener('play', handlePlay)
-          currentAudio.addEventListener('pause', handlePause)
-          currentAudio.addEventListener('ended', handleEnded)
-          currentAudio.addEventListener('error', handleError)
-
-          // Cleanup function
-          return () => {
-            currentAudio.removeEventListener('canplaythrough', handleCanPlayThrough)
-            currentAudio.removeEventListener('timeupdate', handleTimeUpdate)
-            currentAudio.removeEventListener('play', handlePlay)
-            currentAudio.removeEventListener('pause', handlePause)
-            currentAudio.removeEventListener('ended', handleEnded)
-            currentAudio.removeEventListener('error', handleError)
-          }
+        // Success! The <audio> element is rendered once loading is done
+        setDuration(audio.duration || 0)
+        setIsLoading(false)
+        setIsRetrying(false)
+        setIsAvailableOffline(await isCachedForOffline(src))
+        if (onLoad) {
+          onLoad(audio)
         }
 
       } catch (error) {
@@ -147,9 +105,68 @@ const AudioPlayer = ({
     loadAudioWithRetry()
   }, [src, onError, onLoad])
 
+  // Keep playback state in sync with the rendered audio element
+  useEffect(() => {
+    const currentAudio = audioRef.current
+    if (isLoading || hasError || !currentAudio) return
+
+    const handleLoadedMetadata = () => {
+      setDuration(currentAudio.duration)
+    }
+
+    const handleTimeUpdate = () => {
+      setCurrentTime(currentAudio.currentTime)
+    }
+
+    const handlePlay = () => {
+      setIsPlaying(true)
+    }
+
+    const handlePause = () => {
+      setIsPlaying(false)
+    }
+
+    const handleEnded = () => {
+      setIsPlaying(false)
+      setCurrentTime(0)
+    }
+
+    const handleError = (e) => {
+      console.warn(`Audio playback error: ${src}`, e)
+      // Don't set hasError for playback errors, only loading errors
+    }
+
+    currentAudio.addEventListener('loadedmetadata', handleLoadedMetadata)
+    currentAudio.addEventListener('timeupdate', handleTimeUpdate)
+    currentAudio.addEventListener('play', handlePlay)
+    currentAudio.addEventListener('pause', handlePause)
+    currentAudio.addEventListener('ended', handleEnded)
+    currentAudio.addEventListener('error', handleError)
+
+    return () => {
+      currentAudio.removeEventListener('loadedmetadata', handleLoadedMetadata)
+      currentAudio.removeEventListener('timeupdate', handleTimeUpdate)
+      currentAudio.removeEventListener('play', handlePlay)
+      currentAudio.removeEventListener('pause', handlePause)
+      currentAudio.removeEventListener('ended', handleEnded)
+      currentAudio.removeEventListener('error', handleError)
+    }
+  }, [isLoading, hasError, src])
+
+  // Apply the volume setting, and stop playback when audio is turned off
+  useEffect(() => {
+    const currentAudio = audioRef.current
+    if (!currentAudio) return
+
+    currentAudio.volume = settings.audioVolume / 100
+    if (!settings.audioEnabled) {
+      currentAudio.pause()
+    }
+  }, [isLoading, hasError, settings.audioEnabled, settings.audioVolume])
+
   const handlePlayPause = () => {
     const audio = audioRef.current
-    if (!audio || hasError) return
+    if (!audio || hasError || !settings.audioEnabled) return
 
     if (isPlaying) {
       audio.pause()
@@ -176,14 +193,18 @@ const AudioPlayer = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`
   }
 
-  // Fallback UI for missing or failed audio
-  if (hasError || !src) {
+  // Fallback UI for missing or failed audio, or when audio is turned off
+  if (hasError || !src || !settings.audioEnabled) {
     return (
       <div className={`audio-player audio-player-fallback ${className}`}>
         <div className="audio-fallback-content">
           <div className="audio-fallback-icon">🔇</div>
           <div className="audio-fallback-text">
-            <span className="audio-fallback-message">{fallbackText}</span>
+            <span className="audio-fallback-message">
+              {!settings.audioEnabled
+                ? 'Audio is turned off in Settings'
+                : !isOnline && src ? 'Audio not downloaded for offline use' : fallbackText}
+            </span>
             {text && (
               <div className="audio-fallback-transcript">
                 <strong>Text:</strong> {text}
@@ -227,7 +248,7 @@ const AudioPlayer = ({
         ref={audioRef}
         src={src}
         preload="metadata"
-        autoPlay={autoPlay}
+        autoPlay={shouldAutoPlay}
       />
       
       {text && (
@@ -260,6 +281,9 @@ const AudioPlayer = ({
               <span>{formatTime(currentTime)}</span>
               <span>/</span>
               <span>{formatTime(duration)}</span>
+              {isAvailableOffline && (
+                <span title="Available offline" aria-label="Available offline">📥</span>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,185 @@
+/**
+ * Global Search Component
+ * Search box for the sidebar that looks through lessons, examples, cultural
+ * notes and vocabulary. Korean can be typed as whole words, half-composed
+ * syllables or initial consonants only (ㅇㄴㅎㅅㅇ).
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
+import { useLessonData } from '../hooks/useLessonData'
+import { search, SEARCH_RESULT_TYPES } from '../utils/search'
+import { useSettings } from './SettingsProvider'
+
+const TYPE_DETAILS = Object.fromEntries(
+  Object.values(SEARCH_RESULT_TYPES).map(type => [type.id, type])
+)
+
+const GlobalSearch = () => {
+  const { dataManager, isLoading, error } = useLessonData()
+  const { settings } = useSettings()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [query, setQuery] = useState('')
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const containerRef = useRef(null)
+
+  const results = useMemo(() => {
+    if (isLoading || error || !query.trim()) return []
+    return search(dataManager, query)
+  }, [dataManager, isLoading, error, query])
+
+  // Close the results after navigating anywhere
+  useEffect(() => {
+    setIsOpen(false)
+  }, [location.pathname, location.search])
+
+  useEffect(() => {
+    setActiveIndex(0)
+  }, [query])
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const openResult = (result) => {
+    setQuery('')
+    navigate(result.url)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false)
+      return
+    }
+    if (results.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex(prev => (prev + 1) % results.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(prev => (prev - 1 + results.length) % results.length)
+    } else if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+      e.preventDefault()
+      openResult(results[activeIndex])
+    }
+  }
+
+  const showResults = isOpen && query.trim() !== ''
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative', marginTop: '1rem' }}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setIsOpen(true)
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search… (e.g. ㅇㄴㅎㅅㅇ)"
+        aria-label="Search lessons and vocabulary"
+        aria-expanded={showResults}
+        aria-controls="global-search-results"
+        aria-activedescendant={showResults && results[activeIndex] ? `search-result-${activeIndex}` : undefined}
+        role="combobox"
+        autoComplete="off"
+        disabled={Boolean(error)}
+        style={{
+          width: '100%',
+          padding: '0.5rem 0.75rem',
+          border: '1px solid var(--border-color)',
+          borderRadius: 'var(--border-radius)',
+          fontSize: '0.875rem',
+          backgroundColor: 'white',
+          color: 'var(--text-primary)'
+        }}
+      />
+
+      {showResults && (
+        <ul
+          id="global-search-results"
+          role="listbox"
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 0.25rem)',
+            left: 0,
+            right: 0,
+            maxHeight: '24rem',
+            overflowY: 'auto',
+            margin: 0,
+            padding: '0.25rem',
+            listStyle: 'none',
+            backgroundColor: 'white',
+            border: '1px solid var(--border-color)',
+            borderRadius: 'var(--border-radius)',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+            zIndex: 1000
+          }}
+        >
+          {results.length === 0 ? (
+            <li style={{ padding: '0.75rem', fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+              {isLoading ? 'Loading lessons...' : `No results for "${query.trim()}"`}
+            </li>
+          ) : results.map((result, index) => (
+            <li
+              key={result.key}
+              id={`search-result-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => openResult(result)}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                display: 'flex',
+                gap: '0.5rem',
+                padding: '0.5rem 0.75rem',
+                borderRadius: 'var(--border-radius)',
+                cursor: 'pointer',
+                color: 'var(--text-primary)',
+                backgroundColor: index === activeIndex ? 'var(--bg-secondary)' : 'transparent'
+              }}
+            >
+              <span title={TYPE_DETAILS[result.type].label}>{TYPE_DETAILS[result.type].icon}</span>
+              <span style={{ minWidth: 0 }}>
+                <span
+                  className={result.korean ? 'korean-text' : undefined}
+                  style={{ display: 'block', fontWeight: '500', fontSize: '0.875rem' }}
+                >
+                  {result.title}
+                  {result.romanization && settings.showRomanization && (
+                    <span style={{ fontWeight: 'normal', color: 'var(--text-secondary)' }}> · {result.romanization}</span>
+                  )}
+                </span>
+                {result.subtitle && (
+                  <span style={{
+                    display: 'block',
+                    fontSize: '0.75rem',
+                    color: 'var(--text-muted)',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis'
+                  }}>
+                    {result.subtitle}
+                  </span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default GlobalSearch
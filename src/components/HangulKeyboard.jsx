@@ -0,0 +1,233 @@
+import React, { useState, useRef, useEffect } from 'react'
+import {
+  DUBEOLSIK_LAYOUT,
+  HangulComposer,
+  qwertyToJamo,
+  getNextExpectedKey
+} from '../utils/hangulComposer'
+
+const isEditableTarget = (target) => {
+  if (!target) return false
+  const tagName = target.tagName
+  if (tagName === 'TEXTAREA' || (tagName === 'INPUT' && target.type !== 'checkbox' && target.type !== 'radio')) {
+    return !target.readOnly
+  }
+  return target.isContentEditable === true
+}
+
+const HangulKeyboard = ({
+  value = '',
+  onChange,
+  targetText = '',
+  showHints = false,
+  disabled = false,
+  captureKeyboard = true
+}) => {
+  const [shiftActive, setShiftActive] = useState(false)
+  const [pressedKey, setPressedKey] = useState(null)
+  const composerRef = useRef(new HangulComposer(value))
+
+  // Keep the composer in sync when the parent resets, rejects or replaces the value
+  useEffect(() => {
+    if (composerRef.current.getText() !== value) {
+      composerRef.current.setText(value)
+    }
+  })
+
+  const emit = (text) => {
+    if (onChange) {
+      onChange(text)
+    }
+  }
+
+  const flashKey = (code) => {
+    setPressedKey(code)
+    setTimeout(() => setPressedKey(prev => (prev === code ? null : prev)), 150)
+  }
+
+  const typeJamo = (jamo, code) => {
+    if (disabled) return
+    emit(composerRef.current.input(jamo))
+    flashKey(code)
+  }
+
+  const typeKey = (key, shifted) => {
+    const jamo = shifted && key.shifted ? key.shifted : key.jamo
+    typeJamo(jamo, key.code)
+    setShiftActive(false)
+  }
+
+  const typeSpace = () => {
+    if (disabled) return
+    emit(composerRef.current.insert(' '))
+    flashKey('space')
+  }
+
+  const typeBackspace = () => {
+    if (disabled) return
+    emit(composerRef.current.backspace())
+    flashKey('backspace')
+  }
+
+  // Translate physical QWERTY key presses while the keyboard is active
+  useEffect(() => {
+    if (!captureKeyboard || disabled) return
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return
+      if (isEditableTarget(e.target)) return
+
+      if (e.key === 'Backspace') {
+        e.preventDefault()
+        typeBackspace()
+        return
+      }
+
+      if (e.key === ' ') {
+        e.preventDefault()
+        typeSpace()
+        return
+      }
+
+      const jamo = qwertyToJamo(e.key, e.shiftKey)
+      if (jamo) {
+        e.preventDefault()
+        typeJamo(jamo, e.key.toLowerCase())
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  const nextKey = showHints ? getNextExpectedKey(targetText, value) : null
+
+  const getKeyStyle = (isHinted, isPressed, isWide = false) => ({
+    minWidth: isWide ? '5rem' : '2.75rem',
+    height: '2.75rem',
+    padding: '0 0.5rem',
+    fontSize: '1.1rem',
+    border: `2px solid ${isHinted ? 'var(--primary-color)' : 'var(--border-color)'}`,
+    borderRadius: 'var(--border-radius)',
+    backgroundColor: isPressed ? 'var(--bg-tertiary)' : isHinted ? '#e0e7ff' : 'white',
+    color: 'var(--text-primary)',
+    boxShadow: isHinted ? '0 0 0 3px rgba(79, 70, 229, 0.25)' : '0 1px 2px rgba(0,0,0,0.1)',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    transition: 'all 0.1s ease',
+    position: 'relative'
+  })
+
+  return (
+    <div
+      className="hangul-keyboard"
+      role="group"
+      aria-label="On-screen Korean keyboard"
+      style={{
+        padding: '1rem',
+        backgroundColor: 'var(--bg-secondary)',
+        borderRadius: 'var(--border-radius)',
+        border: '1px solid var(--border-color)',
+        opacity: disabled ? 0.6 : 1,
+        userSelect: 'none'
+      }}
+    >
+      {DUBEOLSIK_LAYOUT.map((row, rowIndex) => (
+        <div
+          key={rowIndex}
+          style={{
+            display: 'flex',
+            justifyContent: 'center',
+            gap: '0.35rem',
+            marginBottom: '0.35rem',
+            paddingLeft: `${rowIndex * 1}rem`
+          }}
+        >
+          {rowIndex === 2 && (
+            <button
+              type="button"
+              onClick={() => setShiftActive(prev => !prev)}
+              disabled={disabled}
+              style={getKeyStyle(nextKey?.type === 'jamo' && nextKey.shift, shiftActive, true)}
+              aria-pressed={shiftActive}
+            >
+              ⇧ Shift
+            </button>
+          )}
+          {row.map((key) => {
+            const label = shiftActive && key.shifted ? key.shifted : key.jamo
+            const isHinted = nextKey?.type === 'jamo' && nextKey.code === key.code
+            return (
+              <button
+                type="button"
+                key={key.code}
+                onClick={() => typeKey(key, shiftActive)}
+                disabled={disabled}
+                className="korean-text"
+                style={getKeyStyle(isHinted, pressedKey === key.code)}
+                aria-label={`${label} (${key.code.toUpperCase()})`}
+              >
+                {label}
+                <span style={{
+                  position: 'absolute',
+                  bottom: '2px',
+                  right: '4px',
+                  fontSize: '0.6rem',
+                  color: 'var(--text-muted)'
+                }}>
+                  {key.code.toUpperCase()}
+                </span>
+              </button>
+            )
+          })}
+          {rowIndex === 2 && (
+            <button
+              type="button"
+              onClick={typeBackspace}
+              disabled={disabled}
+              style={getKeyStyle(nextKey?.type === 'backspace', pressedKey === 'backspace', true)}
+              aria-label="Backspace"
+            >
+              ⌫
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', justifyContent: 'center', marginTop: '0.35rem' }}>
+        <button
+          type="button"
+          onClick={typeSpace}
+          disabled={disabled}
+          style={{
+            ...getKeyStyle(nextKey?.type === 'char' && nextKey.char === ' ', pressedKey === 'space'),
+            width: '50%'
+          }}
+          aria-label="Space"
+        >
+          Space
+        </button>
+      </div>
+
+      {showHints && nextKey && (
+        <div style={{
+          marginTop: '0.75rem',
+          textAlign: 'center',
+          fontSize: '0.85rem',
+          color: 'var(--text-secondary)'
+        }}>
+          {nextKey.type === 'backspace' && 'Press ⌫ to fix the mistake'}
+          {nextKey.type === 'jamo' && (
+            <>
+              Next: <strong className="korean-text">{nextKey.jamo}</strong> ({nextKey.shift ? 'Shift + ' : ''}{nextKey.code.toUpperCase()})
+            </>
+          )}
+          {nextKey.type === 'char' && (
+            <>Next: {nextKey.char === ' ' ? 'Space' : <strong>{nextKey.char}</strong>}</>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default HangulKeyboard
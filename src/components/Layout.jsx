@@ -1,10 +1,13 @@
 import React, { useEffect } from 'react'
 import { Link, useLocation } from 'react-router-dom'
 import { usePerformanceMonitor } from '../utils/performanceMonitor'
+import { useOnlineStatus } from '../hooks/useOnlineStatus'
+import GlobalSearch from './GlobalSearch'
 
 const Layout = ({ children }) => {
   const location = useLocation()
   const { measureRender, measureAsync } = usePerformanceMonitor('Layout')
+  const isOnline = useOnlineStatus()
 
   const isActive = (path) => {
     return location.pathname === path
@@ -26,6 +29,12 @@ const Layout = ({ children }) => {
         <div className="sidebar-header">
           <h1 className="sidebar-title">Learn Korean</h1>
           <p className="sidebar-subtitle">Interactive Language Learning</p>
+          <GlobalSearch />
+          {!isOnline && (
+            <span className="badge badge-warning" style={{ marginTop: '0.5rem' }}>
+              📴 Offline
+            </span>
+          )}
         </div>
         
         <nav className="sidebar-nav">
@@ -45,6 +54,20 @@ const Layout = ({ children }) => {
               <span className="nav-item-icon">📚</span>
               Lessons
             </Link>
+            <Link 
+              to="/review" 
+              className={`nav-item ${isActive('/review') ? 'active' : ''}`}
+            >
+              <span className="nav-item-icon">🔁</span>
+              Review
+            </Link>
+            <Link 
+              to="/vocabulary" 
+              className={`nav-item ${isActive('/vocabulary') ? 'active' : ''}`}
+            >
+              <span className="nav-item-icon">📖</span>
+              Vocabulary
+            </Link>
             <Link 
               to="/progress" 
               className={`nav-item ${isActive('/progress') ? 'active' : ''}`}
@@ -69,6 +92,19 @@ const Layout = ({ children }) => {
 
       {/* Main Content Area */}
       <main className="main-content">
+        {!isOnline && (
+          <div
+            role="status"
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: 'var(--warning-color)',
+              color: 'white',
+              fontSize: '0.875rem'
+            }}
+          >
+            You're offline. Lessons and media you've downloaded are still available.
+          </div>
+        )}
         <div className="main-body">
           <div className="page-container">
             {children}
@@ -5,6 +5,8 @@
 
 import React, { useState, useEffect } from 'react';
 import { validateLesson } from '../data/schemas/lessonSchema.js';
+import { romanize, isSameRomanization } from '../utils/romanization.js';
+import { scriptToVtt, SUBTITLE_LANGUAGES } from '../utils/subtitles.js';
 
 const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
   const [lesson, setLesson] = useState({
@@ -30,6 +32,8 @@ const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
   const [validationErrors, setValidationErrors] = useState([]);
   const [isValid, setIsValid] = useState(false);
   const [activeTab, setActiveTab] = useState('basic');
+  const [scriptText, setScriptText] = useState('');
+  const [vttDraft, setVttDraft] = useState('');
 
   // Initialize with existing lesson data
   useEffect(() => {
@@ -85,9 +89,16 @@ const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
       ...prev,
       content: {
         ...prev.content,
-        examples: prev.content.examples.map((example, i) => 
-          i === index ? { ...example, [field]: value } : example
-        )
+        examples: prev.content.examples.map((example, i) => {
+          if (i !== index) return example;
+
+          const updated = { ...example, [field]: value };
+          // Romanization follows the Korean text until it is edited by hand
+          if (field === 'korean' && (!example.romanization || isSameRomanization(example.romanization, romanize(example.korean)))) {
+            updated.romanization = romanize(value);
+          }
+          return updated;
+        })
       }
     }));
   };
@@ -218,6 +229,56 @@ const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
     }));
   };
 
+  const updateSubtitles = (update) => {
+    setLesson(prev => ({
+      ...prev,
+      content: {
+        ...prev.content,
+        media: {
+          ...prev.content.media,
+          subtitles: update(prev.content.media.subtitles || [])
+        }
+      }
+    }));
+  };
+
+  const addSubtitle = () => {
+    const base = (lesson.content.media.video || '').replace(/\.[^./]+$/, '');
+    const used = (lesson.content.media.subtitles || []).map(track => track.srclang);
+    const srclang = Object.keys(SUBTITLE_LANGUAGES).find(lang => !used.includes(lang)) || 'ko';
+    updateSubtitles(subtitles => [
+      ...subtitles,
+      { src: base ? `${base}.${srclang}.vtt` : '', srclang, label: SUBTITLE_LANGUAGES[srclang] }
+    ]);
+  };
+
+  const updateSubtitle = (index, field, value) => {
+    updateSubtitles(subtitles => subtitles.map((track, i) => (i === index ? { ...track, [field]: value } : track)));
+  };
+
+  const removeSubtitle = (index) => {
+    updateSubtitles(subtitles => subtitles.filter((_, i) => i !== index));
+  };
+
+  const loadScriptFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setScriptText(await file.text());
+    setVttDraft('');
+  };
+
+  // The narration scripts are written in English, so the skeleton becomes the English track
+  const downloadVtt = () => {
+    const base = (lesson.content.media.video || '').split('/').pop().replace(/\.[^.]+$/, '') || `lesson-${lesson.id || 'new'}`;
+    const dataBlob = new Blob([vttDraft], { type: 'text/vtt' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${base}.en.vtt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const handleSave = () => {
     if (isValid && onSave) {
       onSave(lesson);
@@ -388,6 +449,109 @@ const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
               />
             </div>
 
+            <div className="form-group">
+              <label>Video:</label>
+              <input
+                type="text"
+                value={lesson.content.media.video || ''}
+                onChange={(e) => updateLesson('content.media.video', e.target.value || null)}
+                placeholder="/assets/videos/lessons/lesson-001_intro_welcome.mp4"
+              />
+            </div>
+
+            {lesson.content.media.video && (
+              <div className="subtitles-section">
+                <div className="section-header">
+                  <h3>Subtitles</h3>
+                  <button onClick={addSubtitle} className="btn-secondary">
+                    Add Track
+                  </button>
+                </div>
+
+                {(lesson.content.media.subtitles || []).map((track, index) => (
+                  <div key={index} className="form-row">
+                    <div className="form-group">
+                      <label>WebVTT File:</label>
+                      <input
+                        type="text"
+                        value={track.src}
+                        onChange={(e) => updateSubtitle(index, 'src', e.target.value)}
+                        placeholder="/assets/videos/lessons/lesson-001_intro_welcome.ko.vtt"
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label>Language:</label>
+                      <select
+                        value={track.srclang}
+                        onChange={(e) => updateSubtitle(index, 'srclang', e.target.value)}
+                      >
+                        {Object.entries(SUBTITLE_LANGUAGES).map(([lang, name]) => (
+                          <option key={lang} value={lang}>{name}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="form-group">
+                      <label>Label:</label>
+                      <input
+                        type="text"
+                        value={track.label || ''}
+                        onChange={(e) => updateSubtitle(index, 'label', e.target.value)}
+                        placeholder="한국어"
+                      />
+                    </div>
+
+                    <button
+                      onClick={() => removeSubtitle(index)}
+                      className="btn-danger-small"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+
+                <div className="form-group">
+                  <label>Convert a narration script to a WebVTT skeleton:</label>
+                  <input type="file" accept=".txt,text/plain" onChange={loadScriptFile} />
+                  <textarea
+                    value={scriptText}
+                    onChange={(e) => setScriptText(e.target.value)}
+                    placeholder='Narrator: "Welcome to your first step in learning Korean!"'
+                    rows="6"
+                  />
+                  <small>
+                    Quoted lines become cues; scene headings and (stage directions) are skipped.
+                    Timings are estimates to adjust against the video.
+                  </small>
+                  <div className="editor-actions">
+                    <button
+                      onClick={() => setVttDraft(scriptToVtt(scriptText))}
+                      className="btn-secondary"
+                      disabled={!scriptText.trim()}
+                    >
+                      Convert to VTT
+                    </button>
+                    <button
+                      onClick={downloadVtt}
+                      className="btn-secondary"
+                      disabled={!vttDraft}
+                    >
+                      Download .vtt
+                    </button>
+                  </div>
+                  {vttDraft && (
+                    <textarea
+                      value={vttDraft}
+                      onChange={(e) => setVttDraft(e.target.value)}
+                      rows="10"
+                      spellCheck="false"
+                    />
+                  )}
+                </div>
+              </div>
+            )}
+
             <div className="examples-section">
               <div className="section-header">
                 <h3>Examples</h3>
@@ -421,12 +585,27 @@ const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
                     
                     <div className="form-group">
                       <label>Romanization:</label>
-                      <input
-                        type="text"
-                        value={example.romanization}
-                        onChange={(e) => updateExample(index, 'romanization', e.target.value)}
-                        placeholder="g/k"
-                      />
+                      <div className="romanization-input">
+                        <input
+                          type="text"
+                          value={example.romanization}
+                          onChange={(e) => updateExample(index, 'romanization', e.target.value)}
+                          placeholder="g/k"
+                        />
+                        <button
+                          onClick={() => updateExample(index, 'romanization', romanize(example.korean))}
+                          className="btn-secondary-small"
+                          disabled={!example.korean}
+                          title="Fill in the Revised Romanization of the Korean text"
+                        >
+                          Auto
+                        </button>
+                      </div>
+                      {example.korean && example.romanization && !isSameRomanization(example.romanization, romanize(example.korean)) && (
+                        <small className="romanization-hint">
+                          Revised Romanization: {romanize(example.korean)}
+                        </small>
+                      )}
                     </div>
                   </div>
                   
@@ -773,6 +952,17 @@ const LessonEditor = ({ initialLesson = null, onSave, onCancel }) => {
           resize: vertical;
         }
 
+        .romanization-input {
+          display: flex;
+          gap: 8px;
+        }
+
+        .romanization-hint {
+          display: block;
+          margin-top: 4px;
+          color: #856404;
+        }
+
         .form-row {
           display: grid;
           grid-template-columns: 1fr 1fr;
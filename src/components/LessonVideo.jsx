@@ -0,0 +1,271 @@
+/**
+ * Lesson Video Component
+ * Plays a lesson video with Korean and English WebVTT captions that can be
+ * switched on separately. Words in the Korean captions that match a lesson
+ * example can be clicked to see their romanization and meaning.
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { parseVtt, getActiveCue, tokenizeCaption, SUBTITLE_LANGUAGES } from '../utils/subtitles'
+import koreanTTS from '../utils/koreanTextToSpeech'
+import { useSettings } from './SettingsProvider'
+
+const LessonVideo = ({ src, subtitles = [], examples = [] }) => {
+  const { settings } = useSettings()
+  const videoRef = useRef(null)
+  const [tracks, setTracks] = useState({})
+  const [visible, setVisible] = useState({ ko: true, en: false })
+  const [currentTime, setCurrentTime] = useState(0)
+  const [selectedWord, setSelectedWord] = useState(null)
+  const [videoFailed, setVideoFailed] = useState(false)
+  const subtitleKey = subtitles.map(track => track.src).join('|')
+
+  useEffect(() => {
+    let cancelled = false
+    setTracks({})
+    setSelectedWord(null)
+    setVideoFailed(false)
+
+    subtitles.forEach(track => {
+      fetch(track.src)
+        .then(response => (response.ok ? response.text() : null))
+        .then(text => {
+          const cues = text ? parseVtt(text) : null
+          if (!cancelled && cues) {
+            setTracks(previous => ({ ...previous, [track.srclang]: { ...track, cues } }))
+          }
+        })
+        .catch(() => {
+          // A missing caption file just leaves that language unavailable
+        })
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [src, subtitleKey])
+
+  const languages = Object.keys(SUBTITLE_LANGUAGES).filter(lang => tracks[lang])
+
+  const toggleLanguage = (lang) => {
+    setVisible(previous => ({ ...previous, [lang]: !previous[lang] }))
+    if (lang === 'ko') setSelectedWord(null)
+  }
+
+  const selectWord = (token) => {
+    videoRef.current?.pause()
+    setSelectedWord(token)
+  }
+
+  const seekTo = (time) => {
+    if (!videoRef.current) return
+    videoRef.current.currentTime = time
+    setCurrentTime(time)
+  }
+
+  const renderKorean = (text) => {
+    return tokenizeCaption(text, examples).map((token, index) => {
+      if (!token.example) return <span key={index}>{token.text}</span>
+      return (
+        <button
+          key={index}
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation()
+            selectWord(token)
+          }}
+          style={{
+            background: selectedWord?.example === token.example ? 'rgba(255, 255, 255, 0.2)' : 'none',
+            border: 'none',
+            borderBottom: '2px dotted currentColor',
+            color: 'inherit',
+            font: 'inherit',
+            padding: 0,
+            cursor: 'pointer'
+          }}
+          title="Show meaning"
+        >
+          {token.text}
+        </button>
+      )
+    })
+  }
+
+  const activeCues = languages
+    .filter(lang => visible[lang])
+    .map(lang => ({ lang, cue: getActiveCue(tracks[lang].cues, currentTime) }))
+    .filter(({ cue }) => cue)
+
+  const transcriptLang = ['ko', 'en'].find(lang => visible[lang] && tracks[lang])
+
+  return (
+    <div style={{ marginBottom: '2rem' }}>
+      {!videoFailed ? (
+        <video
+          ref={videoRef}
+          src={src}
+          controls
+          preload="metadata"
+          onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+          onSeeked={(e) => setCurrentTime(e.target.currentTime)}
+          onPlay={() => setSelectedWord(null)}
+          onError={() => setVideoFailed(true)}
+          style={{
+            width: '100%',
+            display: 'block',
+            backgroundColor: '#000',
+            borderRadius: 'var(--border-radius)'
+          }}
+        />
+      ) : (
+        <div style={{
+          padding: '1rem',
+          backgroundColor: 'var(--bg-secondary)',
+          borderRadius: 'var(--border-radius)',
+          color: 'var(--text-secondary)',
+          fontSize: '0.875rem'
+        }}>
+          🎬 The lesson video isn't available right now.
+          {transcriptLang && ' You can still read through its captions below.'}
+        </div>
+      )}
+
+      {!videoFailed && activeCues.length > 0 && (
+        <div style={{
+          marginTop: '0.5rem',
+          padding: '0.75rem 1rem',
+          backgroundColor: 'rgba(0, 0, 0, 0.85)',
+          color: '#fff',
+          borderRadius: 'var(--border-radius)',
+          textAlign: 'center',
+          lineHeight: '1.6'
+        }}>
+          {activeCues.map(({ lang, cue }) => (
+            <div
+              key={lang}
+              lang={lang}
+              className={lang === 'ko' ? 'korean-text' : undefined}
+              style={{
+                whiteSpace: 'pre-line',
+                fontSize: lang === 'ko' ? '1.25rem' : '1rem',
+                opacity: lang === 'ko' ? 1 : 0.85
+              }}
+            >
+              {lang === 'ko' ? renderKorean(cue.text) : cue.text}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {videoFailed && transcriptLang && (
+        <div style={{ marginTop: '0.5rem', lineHeight: '1.8' }}>
+          {tracks[transcriptLang].cues.map((cue, index) => (
+            <p
+              key={index}
+              lang={transcriptLang}
+              className={transcriptLang === 'ko' ? 'korean-text' : undefined}
+              style={{ margin: '0 0 0.5rem 0', whiteSpace: 'pre-line' }}
+            >
+              {transcriptLang === 'ko' ? renderKorean(cue.text) : cue.text}
+              {transcriptLang === 'ko' && visible.en && tracks.en && (
+                <span style={{ display: 'block', fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+                  {getActiveCue(tracks.en.cues, cue.start)?.text}
+                </span>
+              )}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {selectedWord && (
+        <div style={{
+          marginTop: '0.5rem',
+          padding: '1rem',
+          border: '1px solid var(--border-color)',
+          borderRadius: 'var(--border-radius)',
+          backgroundColor: 'var(--bg-secondary)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '1rem',
+          flexWrap: 'wrap'
+        }}>
+          <div style={{ flex: 1 }}>
+            <div className="korean-text" style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--primary-color)' }}>
+              {selectedWord.example.korean}
+            </div>
+            {settings.showRomanization && (
+              <div style={{ color: 'var(--text-secondary)' }}>{selectedWord.example.romanization}</div>
+            )}
+            <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>{selectedWord.example.translation}</div>
+          </div>
+          <button
+            className="btn btn-outline"
+            onClick={() => koreanTTS.speakWord(selectedWord.example.korean).catch(() => {})}
+            disabled={!settings.audioEnabled}
+            title={settings.audioEnabled ? undefined : 'Audio is turned off in Settings'}
+            style={{ fontSize: '0.75rem', padding: '0.5rem 1rem' }}
+          >
+            🔊
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setSelectedWord(null)}
+            style={{ fontSize: '0.75rem', padding: '0.5rem 1rem' }}
+          >
+            Close
+          </button>
+        </div>
+      )}
+
+      {languages.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', flexWrap: 'wrap' }}>
+          <span style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>Subtitles:</span>
+          {languages.map(lang => (
+            <button
+              key={lang}
+              className={`btn ${visible[lang] ? 'btn-primary' : 'btn-outline'}`}
+              onClick={() => toggleLanguage(lang)}
+              aria-pressed={Boolean(visible[lang])}
+              style={{ fontSize: '0.75rem', padding: '0.25rem 0.75rem' }}
+            >
+              {tracks[lang].label || SUBTITLE_LANGUAGES[lang]}
+            </button>
+          ))}
+          {!videoFailed && visible.ko && tracks.ko && (
+            <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+              Click an underlined word to see its meaning
+            </span>
+          )}
+        </div>
+      )}
+
+      {!videoFailed && visible.ko && tracks.ko && (
+        <details style={{ marginTop: '0.75rem' }}>
+          <summary style={{ cursor: 'pointer', fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+            Transcript
+          </summary>
+          <div style={{ marginTop: '0.5rem', lineHeight: '1.8' }}>
+            {tracks.ko.cues.map((cue, index) => (
+              <div key={index} className="korean-text" lang="ko" style={{ display: 'flex', gap: '0.5rem' }}>
+                <button
+                  type="button"
+                  className="btn btn-outline"
+                  onClick={() => seekTo(cue.start)}
+                  style={{ fontSize: '0.75rem', padding: '0 0.5rem' }}
+                  title="Jump to this line"
+                >
+                  ▶
+                </button>
+                <span style={{ fontWeight: getActiveCue(tracks.ko.cues, currentTime) === cue ? 'bold' : 'normal' }}>
+                  {renderKorean(cue.text)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default LessonVideo
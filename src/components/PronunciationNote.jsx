@@ -0,0 +1,54 @@
+import React, { useMemo } from 'react'
+import { getPronunciation } from '../utils/romanization'
+
+/**
+ * Explains how Korean text is actually said: the spelled form, the
+ * pronounced form and the sound-change rules in between. Renders nothing
+ * when the text is pronounced as written.
+ */
+const PronunciationNote = ({ text, style = {} }) => {
+  const { pronounced, rules } = useMemo(() => getPronunciation(text || ''), [text])
+
+  // Several changes can happen at one spot; list each rule once
+  const ruleGroups = useMemo(() => {
+    const groups = new Map()
+    rules.forEach(rule => {
+      if (!groups.has(rule.id)) {
+        groups.set(rule.id, { ...rule, changes: [] })
+      }
+      groups.get(rule.id).changes.push(`${rule.from} → ${rule.to}`)
+    })
+    return [...groups.values()]
+  }, [rules])
+
+  if (rules.length === 0) return null
+
+  return (
+    <div
+      className="pronunciation-note"
+      style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', ...style }}
+    >
+      <div style={{ marginBottom: '0.25rem' }}>
+        <span className="korean-text">{text}</span>
+        {' → said as '}
+        <span className="korean-text" style={{ fontWeight: '600', color: 'var(--text-primary)' }}>
+          [{pronounced}]
+        </span>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem', justifyContent: 'center' }}>
+        {ruleGroups.map(rule => (
+          <span
+            key={rule.id}
+            className="badge"
+            title={rule.changes.join(', ')}
+            style={{ backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-secondary)' }}
+          >
+            {rule.name} ({rule.korean})
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default PronunciationNote
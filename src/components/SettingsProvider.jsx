@@ -0,0 +1,91 @@
+/**
+ * Settings Provider Component
+ * Shares the learner's settings with the whole app so changes made on the
+ * Settings page take effect immediately everywhere
+ */
+
+import React, { createContext, useContext, useState, useCallback, useEffect, useMemo } from 'react'
+import storage, { STORAGE_NAMESPACES } from '../utils/storage.js'
+import koreanTTS from '../utils/koreanTextToSpeech.js'
+import { DEFAULT_SETTINGS } from '../utils/defaultSettings.js'
+
+export { DEFAULT_SETTINGS }
+
+const settingsStore = storage.getStore(STORAGE_NAMESPACES.SETTINGS)
+
+// Create settings context
+const SettingsContext = createContext(null)
+
+/**
+ * Read all settings from storage, falling back to the defaults
+ * @returns {Object} Settings
+ */
+const loadSettings = () => {
+  const settings = {}
+  Object.entries(DEFAULT_SETTINGS).forEach(([key, defaultValue]) => {
+    settings[key] = settingsStore.get(key, defaultValue)
+  })
+  return settings
+}
+
+/**
+ * Settings Provider Component
+ * Wraps the application with the stored settings
+ */
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadSettings)
+
+  /**
+   * Change a single setting and persist it
+   */
+  const updateSetting = useCallback((key, value) => {
+    settingsStore.set(key, value)
+    setSettings(prev => ({ ...prev, [key]: value }))
+  }, [])
+
+  /**
+   * Re-read settings from storage, e.g. after a backup was restored
+   */
+  const reloadSettings = useCallback(() => {
+    setSettings(loadSettings())
+  }, [])
+
+  // Apply theme changes
+  useEffect(() => {
+    document.documentElement.setAttribute('data-theme', settings.theme)
+  }, [settings.theme])
+
+  // Speech synthesis lives outside React, so push audio settings to it
+  useEffect(() => {
+    koreanTTS.updateSettings({
+      enabled: settings.audioEnabled,
+      volume: settings.audioVolume / 100
+    })
+    if (!settings.audioEnabled) {
+      koreanTTS.stop()
+    }
+  }, [settings.audioEnabled, settings.audioVolume])
+
+  const contextValue = useMemo(() => ({
+    settings,
+    updateSetting,
+    reloadSettings
+  }), [settings, updateSetting, reloadSettings])
+
+  return (
+    <SettingsContext.Provider value={contextValue}>
+      {children}
+    </SettingsContext.Provider>
+  )
+}
+
+/**
+ * Hook to use settings context
+ */
+export const useSettings = () => {
+  const context = useContext(SettingsContext)
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider')
+  }
+  return context
+}
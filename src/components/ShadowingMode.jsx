@@ -0,0 +1,438 @@
+/**
+ * Shadowing Mode Component
+ * Plays each line of a lesson, leaves a pause to repeat it (optionally
+ * recording the learner), and ends with a playlist that pairs every
+ * reference clip with the learner's attempt
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react'
+import {
+  getShadowingSources,
+  getGapDuration,
+  DEFAULT_GAP_FACTOR,
+  MIN_GAP_FACTOR,
+  MAX_GAP_FACTOR
+} from '../utils/shadowing'
+import koreanTTS from '../utils/koreanTextToSpeech'
+import { useSettings } from './SettingsProvider'
+
+// Short pause between one pair and the next in the playlist
+const PLAYLIST_PAUSE_MS = 600
+
+const isRecordingSupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.MediaRecorder !== 'undefined' &&
+    Boolean(navigator.mediaDevices?.getUserMedia)
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const ShadowingMode = ({ lesson }) => {
+  const { settings, updateSetting } = useSettings()
+  const sources = useMemo(() => getShadowingSources(lesson), [lesson])
+  const [sourceId, setSourceId] = useState(sources[0]?.id)
+  const [status, setStatus] = useState('setup')
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [phase, setPhase] = useState(null)
+  const [gap, setGap] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const [takes, setTakes] = useState([])
+  const [playingIndex, setPlayingIndex] = useState(null)
+  const [error, setError] = useState(null)
+  // Bumped to cancel whatever sequence is running
+  const runIdRef = useRef(0)
+  const playerRef = useRef(null)
+  const recordingUrlsRef = useRef([])
+
+  const source = sources.find(({ id }) => id === sourceId) || sources[0]
+  const clips = source?.clips || []
+  const gapFactor = settings.shadowingGapFactor ?? DEFAULT_GAP_FACTOR
+  const recordingSupported = isRecordingSupported()
+  const shouldRecord = recordingSupported && settings.shadowingRecord
+
+  // Drives the countdown bar while the learner is repeating
+  useEffect(() => {
+    if (phase !== 'repeating') return
+    const timer = setInterval(() => setNow(Date.now()), 100)
+    return () => clearInterval(timer)
+  }, [phase])
+
+  useEffect(() => {
+    return () => {
+      runIdRef.current++
+      stopPlayback()
+      recordingUrlsRef.current.forEach(url => URL.revokeObjectURL(url))
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!settings.audioEnabled) {
+      runIdRef.current++
+      stopPlayback()
+      setPhase(null)
+      setPlayingIndex(null)
+      if (status === 'running') setStatus('setup')
+    }
+  }, [settings.audioEnabled])
+
+  const stopPlayback = () => {
+    const player = playerRef.current
+    playerRef.current = null
+    if (player) {
+      player.audio?.pause()
+      player.finish()
+    }
+    koreanTTS.stop()
+  }
+
+  /**
+   * Play one reference clip, falling back to speech synthesis
+   * @returns {Promise<number>} - How long the clip lasted in seconds
+   */
+  const playClip = (clip) => new Promise(resolve => {
+    // Loading time is not part of the clip, so timing restarts once sound starts
+    let startedAt = performance.now()
+    let done = false
+    let fellBack = false
+    const finish = () => {
+      if (done) return
+      done = true
+      playerRef.current = null
+      resolve((performance.now() - startedAt) / 1000)
+    }
+
+    // A failed load fires both the error event and the play() rejection,
+    // and a second utterance would cut off the first
+    const speak = () => {
+      if (fellBack || done) return
+      fellBack = true
+      startedAt = performance.now()
+      playerRef.current = { finish }
+      koreanTTS.speakSentence(clip.text).catch(() => {}).finally(finish)
+    }
+
+    if (!clip.audio) {
+      speak()
+      return
+    }
+
+    const audio = new Audio(clip.audio)
+    audio.volume = settings.audioVolume / 100
+    playerRef.current = { audio, finish }
+
+    const hasRange = clip.start !== undefined && clip.end !== undefined
+    audio.addEventListener('playing', () => {
+      startedAt = performance.now()
+    }, { once: true })
+    audio.addEventListener('ended', finish)
+    audio.addEventListener('error', speak)
+    if (hasRange) {
+      audio.addEventListener('loadedmetadata', () => {
+        audio.currentTime = clip.start
+      })
+      audio.addEventListener('timeupdate', () => {
+        if (audio.currentTime >= clip.end) {
+          audio.pause()
+          finish()
+        }
+      })
+    }
+    // play() only rejects when playback never started, so there is nothing to pause
+    audio.play().catch(speak)
+  })
+
+  const playRecording = (url) => new Promise(resolve => {
+    const audio = new Audio(url)
+    audio.volume = settings.audioVolume / 100
+    const finish = () => {
+      playerRef.current = null
+      resolve()
+    }
+    playerRef.current = { audio, finish }
+    audio.addEventListener('ended', finish)
+    audio.play().catch(finish)
+  })
+
+  // Record from an open microphone stream for a fixed time
+  const recordFor = (stream, seconds) => new Promise(resolve => {
+    const recorder = new MediaRecorder(stream)
+    const chunks = []
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data)
+    }
+    recorder.onstop = () => {
+      const url = URL.createObjectURL(new Blob(chunks, { type: recorder.mimeType }))
+      recordingUrlsRef.current.push(url)
+      resolve(url)
+    }
+    recorder.start()
+    setTimeout(() => recorder.state === 'recording' && recorder.stop(), seconds * 1000)
+  })
+
+  const startSession = async () => {
+    const runId = ++runIdRef.current
+    const isCancelled = () => runIdRef.current !== runId
+    stopPlayback()
+    setPlayingIndex(null)
+
+    recordingUrlsRef.current.forEach(url => URL.revokeObjectURL(url))
+    recordingUrlsRef.current = []
+    setTakes([])
+    setError(null)
+    setStatus('running')
+
+    // Ask for the microphone once, not before every line
+    let stream = null
+    if (shouldRecord) {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      } catch (permissionError) {
+        setError('Microphone access was denied, so this round is not being recorded.')
+      }
+    }
+
+    const sessionTakes = []
+    for (let index = 0; index < clips.length && !isCancelled(); index++) {
+      const clip = clips[index]
+      setCurrentIndex(index)
+      setPhase('listening')
+      const clipSeconds = await playClip(clip)
+      if (isCancelled()) break
+
+      const gapSeconds = getGapDuration(clipSeconds, gapFactor)
+      setGap({ seconds: gapSeconds, endsAt: Date.now() + gapSeconds * 1000 })
+      setNow(Date.now())
+      setPhase('repeating')
+      const recordingUrl = stream ? await recordFor(stream, gapSeconds) : await wait(gapSeconds * 1000).then(() => null)
+
+      sessionTakes.push({ clip, recordingUrl })
+    }
+
+    stream?.getTracks().forEach(track => track.stop())
+    if (!isCancelled()) {
+      setPhase(null)
+      setTakes(sessionTakes)
+      setStatus('playlist')
+    }
+  }
+
+  const stopSession = () => {
+    runIdRef.current++
+    stopPlayback()
+    setPhase(null)
+    setStatus('setup')
+  }
+
+  // Reference first, then the learner, for one take or the whole list
+  const playTakes = async (indexes) => {
+    const runId = ++runIdRef.current
+    stopPlayback()
+
+    for (const index of indexes) {
+      if (runIdRef.current !== runId) return
+      setPlayingIndex(index)
+      await playClip(takes[index].clip)
+      if (runIdRef.current !== runId) return
+      if (takes[index].recordingUrl) {
+        await wait(PLAYLIST_PAUSE_MS / 2)
+        await playRecording(takes[index].recordingUrl)
+      }
+      await wait(PLAYLIST_PAUSE_MS)
+    }
+
+    if (runIdRef.current === runId) setPlayingIndex(null)
+  }
+
+  const stopPlaylist = () => {
+    runIdRef.current++
+    stopPlayback()
+    setPlayingIndex(null)
+  }
+
+  if (sources.length === 0) {
+    return null
+  }
+
+  const clip = clips[currentIndex]
+  const gapProgress = gap ? Math.max(0, Math.min(1, (gap.endsAt - now) / (gap.seconds * 1000))) : 0
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">🗣️ Shadowing</h3>
+        <p className="card-subtitle">Hear a line, repeat it straight away, move on</p>
+      </div>
+
+      <div style={{ padding: '1.5rem' }}>
+        {!settings.audioEnabled && (
+          <div style={{
+            marginBottom: '1.5rem',
+            padding: '1rem',
+            backgroundColor: 'var(--bg-secondary)',
+            borderRadius: 'var(--border-radius)',
+            color: 'var(--text-secondary)'
+          }}>
+            🔇 Audio is turned off in Settings. Turn it on to practice shadowing.
+          </div>
+        )}
+
+        {error && (
+          <div style={{
+            marginBottom: '1rem',
+            padding: '0.75rem',
+            backgroundColor: '#f8d7da',
+            border: '1px solid #dc3545',
+            borderRadius: 'var(--border-radius)'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {status === 'setup' && (
+          <>
+            {sources.length > 1 && (
+              <div style={{ marginBottom: '1rem' }}>
+                <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: '600' }}>
+                  Lines to shadow:
+                </label>
+                <select
+                  value={source.id}
+                  onChange={(e) => setSourceId(e.target.value)}
+                  style={{ width: '100%', padding: '0.5rem', borderRadius: 'var(--border-radius)' }}
+                >
+                  {sources.map(option => (
+                    <option key={option.id} value={option.id}>
+                      {option.title} ({option.clips.length} lines)
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: '600' }}>
+                Pause after each line: {gapFactor}× its length
+              </label>
+              <input
+                type="range"
+                min={MIN_GAP_FACTOR}
+                max={MAX_GAP_FACTOR}
+                step="0.25"
+                value={gapFactor}
+                onChange={(e) => updateSetting('shadowingGapFactor', parseFloat(e.target.value))}
+                style={{ width: '100%' }}
+              />
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1.5rem' }}>
+              <input
+                type="checkbox"
+                checked={shouldRecord}
+                disabled={!recordingSupported}
+                onChange={(e) => updateSetting('shadowingRecord', e.target.checked)}
+              />
+              Record my attempts
+              {!recordingSupported && (
+                <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>(not supported in this browser)</span>
+              )}
+            </label>
+
+            <div style={{ textAlign: 'center' }}>
+              <button className="btn btn-primary" onClick={startSession} disabled={!settings.audioEnabled || clips.length === 0}>
+                ▶️ Start Shadowing ({clips.length} lines)
+              </button>
+            </div>
+          </>
+        )}
+
+        {status === 'running' && clip && (
+          <div style={{ textAlign: 'center' }}>
+            <div style={{ color: 'var(--text-secondary)', marginBottom: '1rem' }}>
+              Line {currentIndex + 1} of {clips.length}
+            </div>
+            <div className="korean-text" style={{ fontSize: '2rem', fontWeight: 'bold', color: 'var(--primary-color)' }}>
+              {clip.text}
+            </div>
+            {clip.translation && (
+              <div style={{ color: 'var(--text-muted)', marginBottom: '1.5rem' }}>{clip.translation}</div>
+            )}
+
+            <div style={{ fontSize: '1.2rem', fontWeight: '600', marginBottom: '0.75rem' }}>
+              {phase === 'listening' ? '🎧 Listen…' : shouldRecord && !error ? '🔴 Your turn — repeat now' : '🗣️ Your turn — repeat now'}
+            </div>
+            <div style={{
+              height: '8px',
+              backgroundColor: 'var(--bg-tertiary)',
+              borderRadius: '4px',
+              overflow: 'hidden',
+              marginBottom: '1.5rem'
+            }}>
+              <div style={{
+                width: `${phase === 'repeating' ? gapProgress * 100 : 0}%`,
+                height: '100%',
+                backgroundColor: 'var(--primary-color)'
+              }} />
+            </div>
+
+            <button className="btn btn-secondary" onClick={stopSession}>
+              ⏹️ Stop
+            </button>
+          </div>
+        )}
+
+        {status === 'playlist' && (
+          <>
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center', marginBottom: '1.5rem', flexWrap: 'wrap' }}>
+              {playingIndex === null ? (
+                <button className="btn btn-primary" onClick={() => playTakes(takes.map((take, index) => index))} disabled={!settings.audioEnabled}>
+                  ▶️ Play All
+                </button>
+              ) : (
+                <button className="btn btn-primary" onClick={stopPlaylist}>
+                  ⏹️ Stop
+                </button>
+              )}
+              <button className="btn btn-outline" onClick={startSession} disabled={!settings.audioEnabled}>
+                🔁 Shadow Again
+              </button>
+              <button className="btn btn-outline" onClick={stopSession}>
+                ⚙️ Change Settings
+              </button>
+            </div>
+
+            {takes.map((take, index) => (
+              <div key={index} style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '1rem',
+                padding: '0.75rem',
+                marginBottom: '0.5rem',
+                borderRadius: 'var(--border-radius)',
+                border: `1px solid ${playingIndex === index ? 'var(--primary-color)' : 'var(--border-color)'}`,
+                backgroundColor: playingIndex === index ? 'var(--bg-tertiary)' : 'var(--bg-secondary)'
+              }}>
+                <div>
+                  <div className="korean-text" style={{ fontWeight: '600' }}>{take.clip.text}</div>
+                  {take.clip.translation && (
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{take.clip.translation}</div>
+                  )}
+                </div>
+                <button
+                  className="btn btn-outline"
+                  onClick={() => playTakes([index])}
+                  disabled={!settings.audioEnabled}
+                  style={{ fontSize: '0.8rem', whiteSpace: 'nowrap' }}
+                >
+                  {take.recordingUrl ? '▶️ Reference + You' : '▶️ Reference'}
+                </button>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ShadowingMode
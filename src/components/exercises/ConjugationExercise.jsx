@@ -0,0 +1,276 @@
+import React, { useState, useMemo } from 'react'
+import {
+  conjugate,
+  conjugateConnective,
+  getStemInfo,
+  CONNECTIVES,
+  IRREGULAR_RULES,
+  SPEECH_LEVELS,
+  SPEECH_LEVEL_NAMES,
+  TENSES
+} from '../../utils/conjugation'
+
+// Drilled when the exercise does not list its own forms
+const DEFAULT_FORMS = [
+  { tense: TENSES.PRESENT, level: SPEECH_LEVELS.POLITE },
+  { tense: TENSES.PAST, level: SPEECH_LEVELS.POLITE },
+  { tense: TENSES.FUTURE, level: SPEECH_LEVELS.POLITE }
+]
+
+const DEFAULT_QUESTION_COUNT = 10
+
+const TENSE_NAMES = {
+  [TENSES.PRESENT]: 'Present',
+  [TENSES.PAST]: 'Past',
+  [TENSES.FUTURE]: 'Future'
+}
+
+const getFormLabel = (form) => {
+  if (form.connective) {
+    const connective = Object.values(CONNECTIVES).find(({ id }) => id === form.connective)
+    return `${connective.ending} (${connective.meaning})`
+  }
+  const level = SPEECH_LEVEL_NAMES[form.level]
+  return `${TENSE_NAMES[form.tense]} · ${level.name} (${level.korean})`
+}
+
+// Spacing in "갈 거예요" is easy to get wrong and not what is being drilled
+const normalizeAnswer = (text) => text.replace(/[\s.!?]/g, '')
+
+// Pair every stem with every form, shuffle, and keep as many as asked for
+const buildDrills = (exercise) => {
+  const forms = exercise.forms && exercise.forms.length > 0 ? exercise.forms : DEFAULT_FORMS
+  const stems = exercise.stems || []
+  const drills = []
+
+  stems.forEach(stem => {
+    const info = getStemInfo(stem.verb, stem.irregular)
+    if (!info) return
+
+    forms.forEach(form => {
+      const answer = form.connective
+        ? conjugateConnective(stem.verb, form.connective, { irregular: info.irregular })
+        : conjugate(stem.verb, { ...form, irregular: info.irregular })
+      if (answer) {
+        drills.push({ ...stem, irregular: info.irregular, form, answer })
+      }
+    })
+  })
+
+  const shuffled = drills.sort(() => Math.random() - 0.5)
+  return shuffled.slice(0, exercise.questionCount || DEFAULT_QUESTION_COUNT)
+}
+
+const ConjugationExercise = ({ exercise, onComplete, onProgress }) => {
+  const [round, setRound] = useState(0)
+  const drills = useMemo(() => buildDrills(exercise), [exercise, round])
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [answer, setAnswer] = useState('')
+  const [checked, setChecked] = useState(null)
+  const [results, setResults] = useState([])
+  const [isCompleted, setIsCompleted] = useState(false)
+  const [startTime, setStartTime] = useState(Date.now())
+
+  const drill = drills[currentIndex]
+
+  const checkAnswer = () => {
+    const isCorrect = normalizeAnswer(answer) === normalizeAnswer(drill.answer)
+    setChecked({ isCorrect })
+    setResults(prev => [...prev, { ...drill, given: answer.trim(), isCorrect }])
+  }
+
+  const handleKeyDown = (e) => {
+    // Enter also commits the IME composition, so wait until it is finished
+    if (e.key === 'Enter' && !e.nativeEvent.isComposing && answer.trim() && !checked) {
+      checkAnswer()
+    }
+  }
+
+  const handleNext = () => {
+    if (currentIndex < drills.length - 1) {
+      setCurrentIndex(currentIndex + 1)
+      setAnswer('')
+      setChecked(null)
+    } else {
+      finishExercise()
+    }
+  }
+
+  const finishExercise = () => {
+    const correctCount = results.filter(result => result.isCorrect).length
+    const finalScore = Math.round((correctCount / drills.length) * 100)
+    const timeSpent = Date.now() - startTime
+    setIsCompleted(true)
+
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'conjugation',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: drills.length
+      })
+    }
+
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'conjugation',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const restartExercise = () => {
+    setRound(round + 1)
+    setCurrentIndex(0)
+    setAnswer('')
+    setChecked(null)
+    setResults([])
+    setIsCompleted(false)
+    setStartTime(Date.now())
+  }
+
+  if (drills.length === 0) {
+    return null
+  }
+
+  if (isCompleted) {
+    const correctCount = results.filter(result => result.isCorrect).length
+    const finalScore = Math.round((correctCount / drills.length) * 100)
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title} - Results</h3>
+          </div>
+          <div style={{ padding: '1.5rem' }}>
+            <div style={{
+              textAlign: 'center',
+              fontSize: '2rem',
+              fontWeight: 'bold',
+              color: finalScore >= 70 ? '#28a745' : '#dc3545',
+              marginBottom: '1rem'
+            }}>
+              {finalScore}%
+            </div>
+            <div style={{ marginBottom: '1.5rem' }}>
+              {results.map((result, index) => (
+                <div key={index} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  gap: '1rem',
+                  padding: '0.5rem 0',
+                  borderBottom: '1px solid var(--border-color)'
+                }}>
+                  <span>
+                    <span className="korean-text">{result.verb}</span>
+                    <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}> · {getFormLabel(result.form)}</span>
+                  </span>
+                  <span className="korean-text" style={{ color: result.isCorrect ? '#28a745' : '#dc3545' }}>
+                    {result.isCorrect ? '✓' : '✗'} {result.answer}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div style={{ textAlign: 'center' }}>
+              <button className="btn btn-primary" onClick={restartExercise}>
+                New Drill
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const rule = IRREGULAR_RULES[drill.irregular]
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Question {currentIndex + 1} of {drills.length}</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+            <div className="korean-text" style={{ fontSize: '2rem', fontWeight: 'bold' }}>{drill.verb}</div>
+            {drill.meaning && (
+              <div style={{ color: 'var(--text-secondary)' }}>{drill.meaning}</div>
+            )}
+            <div className="badge" style={{ marginTop: '0.75rem', backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}>
+              {getFormLabel(drill.form)}
+            </div>
+          </div>
+
+          <input
+            type="text"
+            lang="ko"
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            onKeyDown={handleKeyDown}
+            disabled={checked !== null}
+            placeholder="Type the conjugated form..."
+            className="korean-text"
+            style={{
+              width: '100%',
+              padding: '0.75rem',
+              fontSize: '1.25rem',
+              border: `2px solid ${checked ? (checked.isCorrect ? '#28a745' : '#dc3545') : 'var(--border-color)'}`,
+              borderRadius: 'var(--border-radius)',
+              marginBottom: '1rem'
+            }}
+          />
+
+          {checked && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1rem',
+              backgroundColor: checked.isCorrect ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${checked.isCorrect ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ fontWeight: 'bold' }}>
+                {checked.isCorrect ? '✓ Correct!' : '✗ Not quite.'}{' '}
+                <span className="korean-text">{drill.verb} → {drill.answer}</span>
+              </div>
+              {rule && (
+                <div style={{ fontSize: '0.9rem', marginTop: '0.5rem' }}>
+                  <strong>{rule.name} ({rule.korean}):</strong> {rule.description}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center' }}>
+            {checked ? (
+              <button className="btn btn-primary" onClick={handleNext}>
+                {currentIndex < drills.length - 1 ? 'Next →' : 'See Results'}
+              </button>
+            ) : (
+              <button className="btn btn-primary" onClick={checkAnswer} disabled={!answer.trim()}>
+                Check
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConjugationExercise
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react'
+
+const CulturalMatchingExercise = ({ exercise, onComplete, onProgress }) => {
+  const [shuffledMeanings, setShuffledMeanings] = useState([])
+  const [selectedTradition, setSelectedTradition] = useState(null)
+  const [matches, setMatches] = useState({})
+  const [showResults, setShowResults] = useState(false)
+  const [score, setScore] = useState(0)
+  const [startTime] = useState(Date.now())
+
+  useEffect(() => {
+    // Initialize the exercise
+    initializeExercise()
+  }, [exercise])
+
+  const initializeExercise = () => {
+    const meanings = exercise.pairs.map((pair, index) => ({ text: pair.meaning, pairIndex: index }))
+    setShuffledMeanings([...meanings].sort(() => Math.random() - 0.5))
+    setSelectedTradition(null)
+    setMatches({})
+  }
+
+  const handleTraditionClick = (pairIndex) => {
+    if (showResults) return
+    setSelectedTradition(prev => prev === pairIndex ? null : pairIndex)
+  }
+
+  const handleMeaningClick = (meaningPairIndex) => {
+    if (showResults || selectedTradition === null) return
+
+    setMatches(prev => {
+      const newMatches = { ...prev }
+      // A meaning can only be matched to one tradition at a time
+      Object.keys(newMatches).forEach(traditionIndex => {
+        if (newMatches[traditionIndex] === meaningPairIndex) {
+          delete newMatches[traditionIndex]
+        }
+      })
+      newMatches[selectedTradition] = meaningPairIndex
+      return newMatches
+    })
+    setSelectedTradition(null)
+  }
+
+  const checkAnswers = () => {
+    const correctCount = exercise.pairs.filter(
+      (pair, index) => matches[index] === index
+    ).length
+
+    const finalScore = Math.round((correctCount / exercise.pairs.length) * 100)
+    setScore(finalScore)
+    setShowResults(true)
+
+    // Report progress
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'cultural-matching',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: exercise.pairs.length
+      })
+    }
+
+    // Report completion if score is good enough
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'cultural-matching',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const resetExercise = () => {
+    initializeExercise()
+    setShowResults(false)
+    setScore(0)
+  }
+
+  const isMeaningUsed = (meaningPairIndex) => {
+    return Object.values(matches).includes(meaningPairIndex)
+  }
+
+  const isAllMatched = Object.keys(matches).length === exercise.pairs.length
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Select a tradition, then select the meaning that belongs to it</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: '1fr 1fr',
+            gap: '1.5rem'
+          }}>
+            {/* Traditions column */}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              <h4 style={{ margin: 0 }}>Traditions</h4>
+              {exercise.pairs.map((pair, pairIndex) => {
+                const matchedMeaning = matches[pairIndex]
+                const isSelected = selectedTradition === pairIndex
+                const isCorrect = showResults && matchedMeaning === pairIndex
+                const isIncorrect = showResults && matchedMeaning !== pairIndex
+
+                return (
+                  <button
+                    key={pairIndex}
+                    onClick={() => handleTraditionClick(pairIndex)}
+                    disabled={showResults}
+                    className="korean-text"
+                    style={{
+                      padding: '0.75rem 1rem',
+                      textAlign: 'left',
+                      border: `2px solid ${isCorrect ? '#28a745' : isIncorrect ? '#dc3545' : isSelected ? 'var(--primary-color)' : 'var(--border-color)'}`,
+                      borderRadius: 'var(--border-radius)',
+                      backgroundColor: isCorrect ? '#d4edda' : isIncorrect ? '#f8d7da' : isSelected ? 'var(--bg-tertiary)' : 'white',
+                      cursor: showResults ? 'default' : 'pointer',
+                      fontSize: '1rem'
+                    }}
+                    aria-pressed={isSelected}
+                  >
+                    <div style={{ fontWeight: 'bold' }}>{pair.tradition}</div>
+                    {matchedMeaning !== undefined && (
+                      <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                        → {exercise.pairs[matchedMeaning].meaning}
+                      </div>
+                    )}
+                  </button>
+                )
+              })}
+            </div>
+
+            {/* Meanings column */}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              <h4 style={{ margin: 0 }}>Meanings</h4>
+              {shuffledMeanings.map((meaning) => {
+                const isUsed = isMeaningUsed(meaning.pairIndex)
+                return (
+                  <button
+                    key={meaning.pairIndex}
+                    onClick={() => handleMeaningClick(meaning.pairIndex)}
+                    disabled={showResults || selectedTradition === null}
+                    style={{
+                      padding: '0.75rem 1rem',
+                      textAlign: 'left',
+                      border: '2px solid var(--border-color)',
+                      borderRadius: 'var(--border-radius)',
+                      backgroundColor: isUsed ? 'var(--bg-tertiary)' : 'white',
+                      color: isUsed ? 'var(--text-muted)' : 'var(--text-primary)',
+                      cursor: showResults || selectedTradition === null ? 'default' : 'pointer',
+                      fontSize: '0.95rem'
+                    }}
+                  >
+                    {meaning.text}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+
+          {showResults && (
+            <div style={{ marginTop: '2rem' }}>
+              <h4 style={{ marginBottom: '1rem' }}>Cultural Significance</h4>
+              {exercise.pairs.map((pair, pairIndex) => (
+                <div
+                  key={pairIndex}
+                  style={{
+                    marginBottom: '0.75rem',
+                    padding: '1rem',
+                    backgroundColor: 'var(--bg-secondary)',
+                    borderRadius: 'var(--border-radius)',
+                    border: '1px solid var(--border-color)'
+                  }}
+                >
+                  <strong className="korean-text">{pair.tradition}</strong> — {pair.meaning}
+                  {pair.explanation && (
+                    <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                      {pair.explanation}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            justifyContent: 'center',
+            marginTop: '2rem'
+          }}>
+            {!showResults ? (
+              <button
+                className="btn btn-primary"
+                onClick={checkAnswers}
+                disabled={!isAllMatched}
+              >
+                Check Matches
+              </button>
+            ) : (
+              <>
+                <div style={{
+                  padding: '1rem',
+                  textAlign: 'center',
+                  backgroundColor: score >= 70 ? '#d4edda' : '#f8d7da',
+                  borderRadius: 'var(--border-radius)',
+                  border: `1px solid ${score >= 70 ? '#28a745' : '#dc3545'}`,
+                  marginRight: '1rem'
+                }}>
+                  <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                    Score: {score}%
+                  </div>
+                  <div style={{ fontSize: '0.9rem' }}>
+                    {score >= 70 ? '🎉 Well matched!' : '📚 Keep practicing!'}
+                  </div>
+                </div>
+                <button
+                  className="btn btn-secondary"
+                  onClick={resetExercise}
+                >
+                  Try Again
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CulturalMatchingExercise
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react'
+
+const CulturalQuizExercise = ({ exercise, onComplete, onProgress }) => {
+  const [answers, setAnswers] = useState({})
+  const [showResults, setShowResults] = useState(false)
+  const [score, setScore] = useState(0)
+  const [startTime] = useState(Date.now())
+
+  useEffect(() => {
+    // Initialize answers object
+    const initialAnswers = {}
+    exercise.questions.forEach((question, index) => {
+      initialAnswers[index] = ''
+    })
+    setAnswers(initialAnswers)
+  }, [exercise])
+
+  const handleAnswerChange = (questionIndex, value) => {
+    setAnswers(prev => ({
+      ...prev,
+      [questionIndex]: value
+    }))
+  }
+
+  const checkAnswers = () => {
+    const correctCount = exercise.questions.filter(
+      (question, index) => answers[index] === question.correctAnswer
+    ).length
+
+    const finalScore = Math.round((correctCount / exercise.questions.length) * 100)
+    setScore(finalScore)
+    setShowResults(true)
+
+    // Report progress
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'cultural-quiz',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: exercise.questions.length
+      })
+    }
+
+    // Report completion if score is good enough
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'cultural-quiz',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const resetExercise = () => {
+    const initialAnswers = {}
+    exercise.questions.forEach((question, index) => {
+      initialAnswers[index] = ''
+    })
+    setAnswers(initialAnswers)
+    setShowResults(false)
+    setScore(0)
+  }
+
+  const renderQuestion = (question, index) => {
+    const userAnswer = answers[index] || ''
+    const isCorrect = showResults && userAnswer === question.correctAnswer
+
+    return (
+      <div key={index} className="question-container" style={{ marginBottom: '2rem' }}>
+        <div style={{ marginBottom: '1rem' }}>
+          <strong>Question {index + 1}:</strong> {question.question}
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {question.options.map((option, optionIndex) => {
+            const isSelected = userAnswer === option
+            const isAnswer = showResults && option === question.correctAnswer
+            return (
+              <label
+                key={optionIndex}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.75rem',
+                  padding: '0.75rem 1rem',
+                  border: `2px solid ${isAnswer ? '#28a745' : isSelected ? (showResults ? '#dc3545' : 'var(--primary-color)') : 'var(--border-color)'}`,
+                  borderRadius: 'var(--border-radius)',
+                  backgroundColor: isAnswer ? '#d4edda' : isSelected && showResults ? '#f8d7da' : 'white',
+                  cursor: showResults ? 'default' : 'pointer'
+                }}
+              >
+                <input
+                  type="radio"
+                  name={`cultural-question-${index}`}
+                  value={option}
+                  checked={isSelected}
+                  disabled={showResults}
+                  onChange={(e) => handleAnswerChange(index, e.target.value)}
+                />
+                <span>{option}</span>
+              </label>
+            )
+          })}
+        </div>
+
+        {showResults && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '1rem',
+            borderRadius: 'var(--border-radius)',
+            backgroundColor: isCorrect ? '#d4edda' : '#f8d7da',
+            border: `1px solid ${isCorrect ? '#28a745' : '#dc3545'}`
+          }}>
+            {isCorrect ? (
+              <span style={{ color: '#155724' }}>✓ Correct!</span>
+            ) : (
+              <span style={{ color: '#721c24' }}>
+                ✗ Incorrect. The correct answer is: <strong>{question.correctAnswer}</strong>
+              </span>
+            )}
+            {question.culturalExplanation && (
+              <p style={{ margin: '0.75rem 0 0 0', fontSize: '0.95rem', lineHeight: '1.5', color: 'var(--text-primary)' }}>
+                🏮 <strong>Cultural note:</strong> {question.culturalExplanation}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Test your understanding of Korean customs and traditions</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          {exercise.questions.map((question, index) => renderQuestion(question, index))}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            justifyContent: 'center',
+            marginTop: '2rem'
+          }}>
+            {!showResults ? (
+              <button
+                className="btn btn-primary"
+                onClick={checkAnswers}
+                disabled={Object.values(answers).some(answer => !answer)}
+              >
+                Check Answers
+              </button>
+            ) : (
+              <>
+                <div style={{
+                  padding: '1rem',
+                  textAlign: 'center',
+                  backgroundColor: score >= 70 ? '#d4edda' : '#f8d7da',
+                  borderRadius: 'var(--border-radius)',
+                  border: `1px solid ${score >= 70 ? '#28a745' : '#dc3545'}`,
+                  marginRight: '1rem'
+                }}>
+                  <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                    Score: {score}%
+                  </div>
+                  <div style={{ fontSize: '0.9rem' }}>
+                    {score >= 70 ? '🎉 Great cultural insight!' : '📚 Keep exploring Korean culture!'}
+                  </div>
+                </div>
+                <button
+                  className="btn btn-secondary"
+                  onClick={resetExercise}
+                >
+                  Try Again
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CulturalQuizExercise
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react'
+import { useSettings } from '../SettingsProvider'
+
+const CulturalVocabularyExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const [answers, setAnswers] = useState({})
+  const [optionOrder, setOptionOrder] = useState([])
+  const [showResults, setShowResults] = useState(false)
+  const [score, setScore] = useState(0)
+  const [startTime] = useState(Date.now())
+
+  useEffect(() => {
+    // Initialize the exercise
+    initializeExercise()
+  }, [exercise])
+
+  const initializeExercise = () => {
+    const initialAnswers = {}
+    exercise.terms.forEach((term, index) => {
+      initialAnswers[index] = ''
+    })
+    setAnswers(initialAnswers)
+    setOptionOrder([...exercise.terms.map(term => term.korean)].sort(() => Math.random() - 0.5))
+  }
+
+  const handleAnswerChange = (termIndex, value) => {
+    setAnswers(prev => ({
+      ...prev,
+      [termIndex]: value
+    }))
+  }
+
+  const checkAnswers = () => {
+    const correctCount = exercise.terms.filter(
+      (term, index) => answers[index] === term.korean
+    ).length
+
+    const finalScore = Math.round((correctCount / exercise.terms.length) * 100)
+    setScore(finalScore)
+    setShowResults(true)
+
+    // Report progress
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'cultural-vocabulary',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: exercise.terms.length
+      })
+    }
+
+    // Report completion if score is good enough
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'cultural-vocabulary',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const resetExercise = () => {
+    initializeExercise()
+    setShowResults(false)
+    setScore(0)
+  }
+
+  const renderTerm = (term, index) => {
+    const userAnswer = answers[index] || ''
+    const isCorrect = showResults && userAnswer === term.korean
+
+    return (
+      <div key={index} className="question-container" style={{ marginBottom: '2rem' }}>
+        <div style={{ marginBottom: '0.75rem' }}>
+          <strong>Context {index + 1}:</strong>
+        </div>
+        <p style={{
+          margin: '0 0 1rem 0',
+          padding: '1rem',
+          lineHeight: '1.6',
+          backgroundColor: 'var(--bg-secondary)',
+          borderRadius: 'var(--border-radius)',
+          border: '1px solid var(--border-color)'
+        }}>
+          {term.culturalContext}
+        </p>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+          {optionOrder.map((option) => {
+            const isSelected = userAnswer === option
+            const isAnswer = showResults && option === term.korean
+            return (
+              <button
+                key={option}
+                onClick={() => handleAnswerChange(index, option)}
+                disabled={showResults}
+                className="korean-text"
+                style={{
+                  padding: '0.5rem 1.25rem',
+                  fontSize: '1.1rem',
+                  border: `2px solid ${isAnswer ? '#28a745' : isSelected && showResults ? '#dc3545' : isSelected ? 'var(--primary-color)' : 'var(--border-color)'}`,
+                  borderRadius: 'var(--border-radius)',
+                  backgroundColor: isAnswer ? '#d4edda' : isSelected && showResults ? '#f8d7da' : isSelected ? 'var(--bg-tertiary)' : 'white',
+                  cursor: showResults ? 'default' : 'pointer'
+                }}
+                aria-pressed={isSelected}
+              >
+                {option}
+              </button>
+            )
+          })}
+        </div>
+
+        {showResults && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '1rem',
+            borderRadius: 'var(--border-radius)',
+            backgroundColor: isCorrect ? '#d4edda' : '#f8d7da',
+            border: `1px solid ${isCorrect ? '#28a745' : '#dc3545'}`
+          }}>
+            <div style={{ marginBottom: '0.5rem' }}>
+              {isCorrect ? '✓' : '✗'}{' '}
+              <strong className="korean-text">{term.korean}</strong>
+              {settings.showRomanization && term.romanization && ` (${term.romanization})`} — {term.translation}
+            </div>
+            {term.usageExample && (
+              <div className="korean-text" style={{ fontSize: '0.9rem', fontStyle: 'italic', color: 'var(--text-secondary)' }}>
+                Usage: {term.usageExample}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Choose the Korean term that each cultural context describes</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          {exercise.terms.map((term, index) => renderTerm(term, index))}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            justifyContent: 'center',
+            marginTop: '2rem'
+          }}>
+            {!showResults ? (
+              <button
+                className="btn btn-primary"
+                onClick={checkAnswers}
+                disabled={Object.values(answers).some(answer => !answer)}
+              >
+                Check Answers
+              </button>
+            ) : (
+              <>
+                <div style={{
+                  padding: '1rem',
+                  textAlign: 'center',
+                  backgroundColor: score >= 70 ? '#d4edda' : '#f8d7da',
+                  borderRadius: 'var(--border-radius)',
+                  border: `1px solid ${score >= 70 ? '#28a745' : '#dc3545'}`,
+                  marginRight: '1rem'
+                }}>
+                  <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                    Score: {score}%
+                  </div>
+                  <div style={{ fontSize: '0.9rem' }}>
+                    {score >= 70 ? '🎉 Great vocabulary knowledge!' : '📚 Keep practicing!'}
+                  </div>
+                </div>
+                <button
+                  className="btn btn-secondary"
+                  onClick={resetExercise}
+                >
+                  Try Again
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CulturalVocabularyExercise
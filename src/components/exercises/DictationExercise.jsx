@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { diffHangul } from '../../utils/hangul'
+import koreanTTS from '../../utils/koreanTextToSpeech'
+import { useSettings } from '../SettingsProvider'
+
+// Replays allowed after the first listen when the exercise does not set one
+const DEFAULT_MAX_REPLAYS = 2
+
+// Playback rate of the "slow" button, relative to normal speed
+const SLOW_RATE = 0.7
+
+// Speech synthesis rate used for normal speed
+const TTS_RATE = 0.8
+
+const DIFF_STYLES = {
+  equal: { backgroundColor: 'var(--bg-secondary)', borderColor: 'var(--border-color)' },
+  substitute: { backgroundColor: '#fff3cd', borderColor: '#ffc107' },
+  missing: { backgroundColor: '#f8d7da', borderColor: '#dc3545', borderStyle: 'dashed' },
+  extra: { backgroundColor: 'var(--bg-tertiary)', borderColor: 'var(--border-color)', textDecoration: 'line-through', color: 'var(--text-muted)' }
+}
+
+const JAMO_COLORS = {
+  substitute: '#b8860b',
+  missing: '#dc3545',
+  extra: 'var(--text-muted)'
+}
+
+const DiffSyllable = ({ operation }) => {
+  const shown = operation.type === 'extra' ? operation.typed : operation.expected
+  const label = {
+    substitute: `you wrote ${operation.typed}`,
+    missing: 'missing',
+    extra: 'extra'
+  }[operation.type]
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', minWidth: '3rem' }}>
+      <div
+        className="korean-text"
+        style={{
+          fontSize: '1.5rem',
+          padding: '0.25rem 0.5rem',
+          border: '2px solid',
+          borderRadius: 'var(--border-radius)',
+          ...DIFF_STYLES[operation.type]
+        }}
+      >
+        {shown}
+      </div>
+      {label && (
+        <div style={{ fontSize: '0.7rem', color: 'var(--text-secondary)', marginTop: '0.2rem' }}>{label}</div>
+      )}
+      {operation.jamo && (
+        <div className="korean-text" style={{ fontSize: '0.8rem', marginTop: '0.1rem' }}>
+          {operation.jamo.map((jamo, index) => (
+            <span
+              key={index}
+              title={jamo.type === 'substitute' ? `${jamo.expected} → ${jamo.typed}` : jamo.type}
+              style={{
+                color: JAMO_COLORS[jamo.type] || 'var(--text-primary)',
+                fontWeight: jamo.type === 'equal' ? 'normal' : 'bold',
+                textDecoration: jamo.type === 'extra' ? 'line-through' : 'none'
+              }}
+            >
+              {jamo.type === 'extra' ? jamo.typed : jamo.expected}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const DictationExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const items = exercise.items || []
+  const maxReplays = exercise.maxReplays ?? DEFAULT_MAX_REPLAYS
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [input, setInput] = useState('')
+  const [plays, setPlays] = useState(0)
+  const [audioFailed, setAudioFailed] = useState(false)
+  const [result, setResult] = useState(null)
+  const [scores, setScores] = useState([])
+  const [isCompleted, setIsCompleted] = useState(false)
+  const [startTime, setStartTime] = useState(Date.now())
+  const audioRef = useRef(null)
+
+  const item = items[currentIndex]
+  const useSpeechSynthesis = !item?.audio || audioFailed
+  const playsLeft = 1 + maxReplays - plays
+  const canPlay = settings.audioEnabled && (result !== null || playsLeft > 0)
+
+  useEffect(() => {
+    setAudioFailed(false)
+  }, [item?.audio])
+
+  // Apply the volume setting, and stop playback when audio is turned off
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.volume = settings.audioVolume / 100
+      if (!settings.audioEnabled) audioRef.current.pause()
+    }
+    if (!settings.audioEnabled) koreanTTS.stop()
+  }, [settings.audioEnabled, settings.audioVolume, currentIndex])
+
+  useEffect(() => {
+    return () => koreanTTS.stop()
+  }, [])
+
+  const speakText = (slow) => {
+    koreanTTS.stop()
+    koreanTTS.speakSentence(item.text, { rate: slow ? TTS_RATE * SLOW_RATE : TTS_RATE }).catch(() => {})
+  }
+
+  const play = async (slow = false) => {
+    if (!canPlay) return
+    if (result === null) setPlays(prev => prev + 1)
+
+    const audio = audioRef.current
+    if (useSpeechSynthesis || !audio) {
+      speakText(slow)
+      return
+    }
+
+    try {
+      audio.currentTime = 0
+      audio.playbackRate = slow ? SLOW_RATE : 1
+      await audio.play()
+    } catch (error) {
+      console.warn(`Dictation audio could not be played: ${item.audio}`, error)
+      setAudioFailed(true)
+      speakText(slow)
+    }
+  }
+
+  const checkAnswer = () => {
+    const diff = diffHangul(item.text, input)
+    setResult(diff)
+    setScores(prev => [...prev, diff.accuracy])
+  }
+
+  const handleKeyDown = (e) => {
+    // Enter also commits the IME composition, so wait until it is finished
+    if (e.key === 'Enter' && !e.nativeEvent.isComposing && input.trim() && !result) {
+      checkAnswer()
+    }
+  }
+
+  const handleNext = () => {
+    if (currentIndex < items.length - 1) {
+      setCurrentIndex(currentIndex + 1)
+      resetItem()
+    } else {
+      finishExercise()
+    }
+  }
+
+  const resetItem = () => {
+    setInput('')
+    setPlays(0)
+    setResult(null)
+  }
+
+  const finishExercise = () => {
+    const finalScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / items.length)
+    const timeSpent = Date.now() - startTime
+    setIsCompleted(true)
+
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'dictation',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: scores.filter(score => score === 100).length,
+        totalQuestions: items.length
+      })
+    }
+
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'dictation',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const restartExercise = () => {
+    setCurrentIndex(0)
+    setScores([])
+    setIsCompleted(false)
+    setStartTime(Date.now())
+    resetItem()
+  }
+
+  if (items.length === 0) {
+    return null
+  }
+
+  if (isCompleted) {
+    const finalScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / items.length)
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title} - Results</h3>
+          </div>
+          <div style={{ padding: '1.5rem', textAlign: 'center' }}>
+            <div style={{
+              fontSize: '2rem',
+              fontWeight: 'bold',
+              color: finalScore >= 70 ? '#28a745' : '#dc3545',
+              marginBottom: '1rem'
+            }}>
+              {finalScore}%
+            </div>
+            <div style={{ marginBottom: '1.5rem' }}>
+              {items.map((entry, index) => (
+                <div key={index} style={{ display: 'flex', justifyContent: 'space-between', maxWidth: '400px', margin: '0 auto 0.5rem' }}>
+                  <span className="korean-text">{entry.text}</span>
+                  <span style={{ color: scores[index] >= 70 ? '#28a745' : '#dc3545' }}>{scores[index]}%</span>
+                </div>
+              ))}
+            </div>
+            <div style={{ marginBottom: '1rem' }}>
+              {finalScore >= 70 ? '🎉 Sharp ears!' : '📚 Keep listening and try again!'}
+            </div>
+            <button className="btn btn-primary" onClick={restartExercise}>
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Sentence {currentIndex + 1} of {items.length}</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          {item.audio && (
+            <audio
+              ref={audioRef}
+              src={item.audio}
+              preload="auto"
+              onError={() => setAudioFailed(true)}
+            />
+          )}
+
+          <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+            {settings.audioEnabled ? (
+              <>
+                <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                  <button className="btn btn-primary" onClick={() => play(false)} disabled={!canPlay}>
+                    {plays === 0 ? '▶️ Play' : '🔁 Replay'}
+                  </button>
+                  <button className="btn btn-outline" onClick={() => play(true)} disabled={!canPlay}>
+                    🐢 Play Slowly
+                  </button>
+                </div>
+                <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+                  {result !== null
+                    ? 'Listen again as often as you like.'
+                    : playsLeft > 0
+                      ? `${playsLeft} ${playsLeft === 1 ? 'play' : 'plays'} left`
+                      : 'No replays left. Write down what you remember.'}
+                  {useSpeechSynthesis && ' · Using speech synthesis'}
+                </div>
+              </>
+            ) : (
+              <div style={{ color: 'var(--text-secondary)' }}>
+                🔇 Audio is turned off in Settings. Turn it on to hear the sentence.
+              </div>
+            )}
+          </div>
+
+          <input
+            type="text"
+            lang="ko"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            disabled={result !== null}
+            placeholder="Type what you hear in Korean..."
+            className="korean-text"
+            style={{
+              width: '100%',
+              padding: '0.75rem',
+              fontSize: '1.25rem',
+              border: '2px solid var(--border-color)',
+              borderRadius: 'var(--border-radius)',
+              marginBottom: '1rem'
+            }}
+          />
+
+          {result && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1rem',
+              backgroundColor: result.accuracy >= 70 ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${result.accuracy >= 70 ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ textAlign: 'center', fontSize: '1.2rem', fontWeight: 'bold', marginBottom: '0.75rem' }}>
+                {result.isExactMatch ? '🎉 Perfect!' : `${result.accuracy}% of the letters are right`}
+              </div>
+              {!result.isExactMatch && (
+                <>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', justifyContent: 'center', marginBottom: '0.75rem' }}>
+                    {result.operations.map((operation, index) => (
+                      <DiffSyllable key={index} operation={operation} />
+                    ))}
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', textAlign: 'center' }}>
+                    <span style={{ color: JAMO_COLORS.substitute }}>■</span> wrong letter ·{' '}
+                    <span style={{ color: JAMO_COLORS.missing }}>■</span> missing ·{' '}
+                    <span style={{ textDecoration: 'line-through' }}>extra</span>
+                  </div>
+                </>
+              )}
+              <div className="korean-text" style={{ textAlign: 'center', marginTop: '0.75rem' }}>
+                {item.text}
+                {item.translation && (
+                  <span style={{ color: 'var(--text-secondary)' }}> ({item.translation})</span>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center' }}>
+            {result ? (
+              <button className="btn btn-primary" onClick={handleNext}>
+                {currentIndex < items.length - 1 ? 'Next Sentence →' : 'See Results'}
+              </button>
+            ) : (
+              <button className="btn btn-primary" onClick={checkAnswer} disabled={!input.trim()}>
+                Check
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DictationExercise
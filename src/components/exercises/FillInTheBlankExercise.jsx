@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react'
+import HangulKeyboard from '../HangulKeyboard'
 
 const FillInTheBlankExercise = ({ exercise, onComplete, onProgress }) => {
   const [answers, setAnswers] = useState({})
   const [showResults, setShowResults] = useState(false)
   const [score, setScore] = useState(0)
   const [startTime] = useState(Date.now())
+  const [showKeyboard, setShowKeyboard] = useState(false)
+  const [showKeyHints, setShowKeyHints] = useState(false)
+  const [activeQuestion, setActiveQuestion] = useState(0)
 
   useEffect(() => {
     // Initialize answers object
@@ -24,11 +28,14 @@ const FillInTheBlankExercise = ({ exercise, onComplete, onProgress }) => {
 
   const checkAnswers = () => {
     let correctCount = 0
+    const missedItems = []
     exercise.questions.forEach((question, index) => {
       const userAnswer = answers[index].trim().toLowerCase()
       const correctAnswer = question.correctAnswer.toLowerCase()
       if (userAnswer === correctAnswer) {
         correctCount++
+      } else {
+        missedItems.push(index)
       }
     })
     
@@ -44,7 +51,8 @@ const FillInTheBlankExercise = ({ exercise, onComplete, onProgress }) => {
         score: finalScore,
         timeSpent,
         correctAnswers: correctCount,
-        totalQuestions: exercise.questions.length
+        totalQuestions: exercise.questions.length,
+        missedItems
       })
     }
 
@@ -90,7 +98,9 @@ const FillInTheBlankExercise = ({ exercise, onComplete, onProgress }) => {
             type="text"
             value={userAnswer}
             onChange={(e) => handleAnswerChange(index, e.target.value)}
+            onFocus={() => setActiveQuestion(index)}
             disabled={showResults}
+            readOnly={showKeyboard}
             style={{
               display: 'inline-block',
               minWidth: '120px',
@@ -99,7 +109,8 @@ const FillInTheBlankExercise = ({ exercise, onComplete, onProgress }) => {
               border: `2px solid ${isCorrect ? '#28a745' : isIncorrect ? '#dc3545' : 'var(--border-color)'}`,
               borderRadius: 'var(--border-radius)',
               fontSize: '1rem',
-              backgroundColor: isCorrect ? '#d4edda' : isIncorrect ? '#f8d7da' : 'white'
+              backgroundColor: isCorrect ? '#d4edda' : isIncorrect ? '#f8d7da' : 'white',
+              boxShadow: showKeyboard && !showResults && activeQuestion === index ? '0 0 0 3px rgba(79, 70, 229, 0.25)' : 'none'
             }}
             placeholder="답을 입력하세요"
           />
@@ -171,6 +182,55 @@ const FillInTheBlankExercise = ({ exercise, onComplete, onProgress }) => {
 
           {exercise.questions.map((question, index) => renderQuestion(question, index))}
 
+          {!showResults && (
+            <div style={{ marginTop: '1rem' }}>
+              <div style={{ 
+                display: 'flex',
+                flexWrap: 'wrap',
+                gap: '1rem',
+                marginBottom: '1rem',
+                fontSize: '0.9rem'
+              }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={showKeyboard}
+                    onChange={(e) => setShowKeyboard(e.target.checked)}
+                  />
+                  ⌨️ On-screen keyboard
+                </label>
+                {showKeyboard && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={showKeyHints}
+                      onChange={(e) => setShowKeyHints(e.target.checked)}
+                    />
+                    Highlight next key (reveals the answer)
+                  </label>
+                )}
+              </div>
+
+              {showKeyboard && (
+                <>
+                  <div style={{ 
+                    fontSize: '0.9rem', 
+                    color: 'var(--text-secondary)',
+                    marginBottom: '0.5rem'
+                  }}>
+                    Typing into question {activeQuestion + 1} — click another blank to switch
+                  </div>
+                  <HangulKeyboard
+                    value={answers[activeQuestion] || ''}
+                    onChange={(value) => handleAnswerChange(activeQuestion, value)}
+                    targetText={exercise.questions[activeQuestion]?.correctAnswer || ''}
+                    showHints={showKeyHints}
+                  />
+                </>
+              )}
+            </div>
+          )}
+
           <div style={{ 
             display: 'flex', 
             gap: '1rem', 
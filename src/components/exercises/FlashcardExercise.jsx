@@ -1,51 +1,110 @@
 import React, { useState, useEffect } from 'react'
+import spacedRepetition, {
+  RECALL_GRADES,
+  SRS_ITEM_TYPES,
+  getFlashcardItemId,
+  previewIntervals
+} from '../../utils/spacedRepetition'
+import PronunciationNote from '../PronunciationNote'
 
-const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
+const GRADE_BUTTONS = [
+  { grade: RECALL_GRADES.AGAIN, label: 'Again', color: '#dc3545' },
+  { grade: RECALL_GRADES.HARD, label: 'Hard', color: '#fd7e14' },
+  { grade: RECALL_GRADES.GOOD, label: 'Good', color: '#28a745' },
+  { grade: RECALL_GRADES.EASY, label: 'Easy', color: '#007bff' }
+]
+
+const FlashcardExercise = ({ exercise, lessonId, exerciseIndex, itemIds, onComplete, onProgress }) => {
   const [currentFlashcard, setCurrentFlashcard] = useState(0)
   const [showFlashcardBack, setShowFlashcardBack] = useState(false)
   const [viewedCards, setViewedCards] = useState(new Set())
+  const [grades, setGrades] = useState({})
   const [startTime] = useState(Date.now())
 
+  // Cards are only scheduled when we know which items they are; review
+  // sessions pass scheduler ids directly since their cards come from many lessons
+  const isScheduled = Boolean(itemIds) || (Boolean(lessonId) && exerciseIndex !== undefined)
+  const getItemId = (cardIndex) => itemIds
+    ? itemIds[cardIndex]
+    : getFlashcardItemId(lessonId, exerciseIndex, cardIndex)
+
   useEffect(() => {
     // Reset state when exercise changes
     setCurrentFlashcard(0)
     setShowFlashcardBack(false)
     setViewedCards(new Set())
+    setGrades({})
   }, [exercise])
 
   useEffect(() => {
-    // Track viewed cards for completion
+    // Track viewed cards for the card dots
     if (showFlashcardBack) {
       setViewedCards(prev => new Set([...prev, currentFlashcard]))
     }
   }, [showFlashcardBack, currentFlashcard])
 
-  useEffect(() => {
-    // Check for completion when all cards have been viewed
-    if (viewedCards.size === exercise.cards.length && exercise.cards.length > 0) {
-      const timeSpent = Date.now() - startTime
-      
-      // Report progress
-      if (onProgress) {
-        onProgress({
-          exerciseType: 'flashcard',
-          score: 100, // Completion-based rather than score-based
-          timeSpent,
-          cardsViewed: viewedCards.size,
-          totalCards: exercise.cards.length
-        })
-      }
+  const finishExercise = (finalGrades) => {
+    const timeSpent = Date.now() - startTime
+    const gradeValues = Object.values(finalGrades)
+    const recalled = gradeValues.filter(grade => grade !== RECALL_GRADES.AGAIN).length
+    const score = Math.round((recalled / exercise.cards.length) * 100)
+
+    // Report progress
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'flashcard',
+        score,
+        timeSpent,
+        cardsViewed: viewedCards.size,
+        totalCards: exercise.cards.length,
+        missedItems: Object.keys(finalGrades)
+          .filter(cardIndex => finalGrades[cardIndex] === RECALL_GRADES.AGAIN)
+          .map(Number),
+        grades: Object.values(RECALL_GRADES).reduce((counts, grade) => {
+          counts[grade] = gradeValues.filter(value => value === grade).length
+          return counts
+        }, {})
+      })
+    }
+
+    // Report completion once every card has been graded
+    if (onComplete) {
+      onComplete({
+        exerciseType: 'flashcard',
+        score,
+        timeSpent
+      })
+    }
+  }
+
+  const gradeCard = (grade) => {
+    // Each card is graded once per session, so the scheduler and the
+    // lesson score only ever see one review of it
+    if (grades[currentFlashcard] !== undefined) return
+
+    if (isScheduled) {
+      spacedRepetition.recordReview(
+        getItemId(currentFlashcard),
+        grade,
+        itemIds ? {} : { lessonId, type: SRS_ITEM_TYPES.FLASHCARD, exerciseIndex, cardIndex: currentFlashcard }
+      )
+    }
+
+    const updatedGrades = { ...grades, [currentFlashcard]: grade }
+    setGrades(updatedGrades)
 
-      // Report completion
-      if (onComplete) {
-        onComplete({
-          exerciseType: 'flashcard',
-          score: 100,
-          timeSpent
-        })
-      }
+    if (Object.keys(updatedGrades).length === exercise.cards.length) {
+      finishExercise(updatedGrades)
+      return
     }
-  }, [viewedCards, exercise.cards.length, onComplete, onProgress, startTime])
+
+    // Move on to the next card that still needs a grade
+    const nextUngraded = exercise.cards.findIndex(
+      (_, index) => index > currentFlashcard && updatedGrades[index] === undefined
+    )
+    const fallback = exercise.cards.findIndex((_, index) => updatedGrades[index] === undefined)
+    goToCard(nextUngraded !== -1 ? nextUngraded : fallback)
+  }
 
   const nextFlashcard = () => {
     if (currentFlashcard < exercise.cards.length - 1) {
@@ -80,7 +139,11 @@ const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
   }
 
   const currentCard = exercise.cards[currentFlashcard]
-  const completionPercentage = Math.round((viewedCards.size / exercise.cards.length) * 100)
+  const gradedCount = Object.keys(grades).length
+  const completionPercentage = Math.round((gradedCount / exercise.cards.length) * 100)
+  const intervals = isScheduled
+    ? previewIntervals(spacedRepetition.getItem(getItemId(currentFlashcard)))
+    : null
 
   return (
     <div style={{ padding: '2rem' }}>
@@ -175,7 +238,7 @@ const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
                 border: 'none',
                 backgroundColor: index === currentFlashcard 
                   ? 'var(--primary)' 
-                  : viewedCards.has(index) 
+                  : grades[index] !== undefined 
                     ? 'var(--success)' 
                     : 'var(--border-color)',
                 cursor: 'pointer',
@@ -267,6 +330,8 @@ const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
               backfaceVisibility: 'hidden',
               transform: 'rotateY(180deg)',
               display: 'flex',
+              flexDirection: 'column',
+              gap: '1rem',
               alignItems: 'center',
               justifyContent: 'center',
               backgroundColor: 'var(--primary-light)',
@@ -278,12 +343,47 @@ const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
               textAlign: 'center',
               color: 'var(--primary-dark)'
             }}>
-              {currentCard.back}
+              <div>{currentCard.back}</div>
+              <PronunciationNote text={currentCard.front} />
             </div>
           </div>
         </div>
       </div>
 
+      {/* Recall grading */}
+      {showFlashcardBack && (
+        <div style={{ marginBottom: '2rem', textAlign: 'center' }}>
+          <p style={{ marginBottom: '0.75rem', color: 'var(--text-secondary)' }}>
+            How well did you remember this card?
+          </p>
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+            {GRADE_BUTTONS.map(({ grade, label, color }) => (
+              <button
+                key={grade}
+                onClick={() => gradeCard(grade)}
+                disabled={grades[currentFlashcard] !== undefined}
+                style={{
+                  minWidth: '5.5rem',
+                  padding: '0.6rem 1rem',
+                  backgroundColor: grades[currentFlashcard] === grade ? color : 'white',
+                  color: grades[currentFlashcard] === grade ? 'white' : color,
+                  border: `2px solid ${color}`,
+                  borderRadius: 'var(--border-radius)',
+                  cursor: grades[currentFlashcard] !== undefined ? 'default' : 'pointer',
+                  transition: 'all 0.2s ease'
+                }}
+                aria-label={`Grade card as ${label}`}
+              >
+                <div style={{ fontWeight: 'bold' }}>{label}</div>
+                {intervals && (
+                  <div style={{ fontSize: '0.75rem', opacity: 0.8 }}>{intervals[grade]}</div>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Instructions */}
       <div style={{ 
         textAlign: 'center',
@@ -291,7 +391,7 @@ const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
         fontSize: '0.9rem',
         marginBottom: '1rem'
       }}>
-        <p>Click the card to flip it</p>
+        <p>Click the card to flip it, then grade how well you remembered it</p>
         <p>Use the navigation buttons or dots to move between cards</p>
       </div>
 
@@ -306,7 +406,7 @@ const FlashcardExercise = ({ exercise, onComplete, onProgress }) => {
           color: 'var(--success-dark)'
         }}>
           <h4 style={{ margin: '0 0 0.5rem 0' }}>🎉 Congratulations!</h4>
-          <p style={{ margin: 0 }}>You've viewed all {exercise.cards.length} flashcards!</p>
+          <p style={{ margin: 0 }}>You've reviewed all {exercise.cards.length} flashcards!</p>
         </div>
       )}
     </div>
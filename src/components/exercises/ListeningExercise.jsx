@@ -1,16 +1,50 @@
 import React, { useState, useEffect, useRef } from 'react'
+import { useSettings } from '../SettingsProvider'
+
+const MIN_SPEED = 0.5
+const MAX_SPEED = 1.5
+const SPEED_PRESETS = [0.5, 0.75, 1.0, 1.25, 1.5]
+
+// Seeking a little before A should not immediately jump back into the loop
+const LOOP_SEEK_TOLERANCE = 0.25
+
+const clampSpeed = (speed) => Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed))
+
+// Keep the voice at its natural pitch when slowed down or sped up
+const applyPlaybackRate = (audio, speed) => {
+  audio.playbackRate = speed
+  audio.preservesPitch = true
+  audio.mozPreservesPitch = true
+  audio.webkitPreservesPitch = true
+}
+
+// Index of the transcript line playing at the given time, or -1 between lines
+const getSegmentIndex = (segments, time) => {
+  return segments.findIndex(segment => time >= segment.start && time < segment.end)
+}
 
 const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const segments = exercise.segments || []
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0)
   const [answers, setAnswers] = useState({})
   const [showResults, setShowResults] = useState(false)
   const [score, setScore] = useState(0)
-  const [playbackSpeed, setPlaybackSpeed] = useState(1.0)
+  const [playbackSpeed, setPlaybackSpeed] = useState(clampSpeed(exercise.defaultSpeed || 1.0))
   const [isPlaying, setIsPlaying] = useState(false)
   const [currentTime, setCurrentTime] = useState(0)
   const [duration, setDuration] = useState(0)
+  const [loopStart, setLoopStart] = useState(null)
+  const [loopEnd, setLoopEnd] = useState(null)
   const [startTime] = useState(Date.now())
   const audioRef = useRef(null)
+  const transcriptRef = useRef(null)
+  const lineRefs = useRef([])
+  // End of the single line being replayed, where playback pauses
+  const stopAtRef = useRef(null)
+
+  const isLooping = loopStart !== null && loopEnd !== null
+  const activeSegment = getSegmentIndex(segments, currentTime)
 
   useEffect(() => {
     // Initialize answers object
@@ -24,22 +58,75 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
   useEffect(() => {
     const audio = audioRef.current
     if (audio) {
+      applyPlaybackRate(audio, playbackSpeed)
       const updateTime = () => setCurrentTime(audio.currentTime)
       const updateDuration = () => setDuration(audio.duration)
+      const handlePlay = () => setIsPlaying(true)
+      const handlePause = () => setIsPlaying(false)
       const handleEnded = () => setIsPlaying(false)
 
       audio.addEventListener('timeupdate', updateTime)
       audio.addEventListener('loadedmetadata', updateDuration)
+      audio.addEventListener('play', handlePlay)
+      audio.addEventListener('pause', handlePause)
       audio.addEventListener('ended', handleEnded)
 
       return () => {
         audio.removeEventListener('timeupdate', updateTime)
         audio.removeEventListener('loadedmetadata', updateDuration)
+        audio.removeEventListener('play', handlePlay)
+        audio.removeEventListener('pause', handlePause)
         audio.removeEventListener('ended', handleEnded)
       }
     }
   }, [])
 
+  // Apply the volume setting, and stop playback when audio is turned off
+  useEffect(() => {
+    const audio = audioRef.current
+    if (audio) {
+      audio.volume = settings.audioVolume / 100
+      if (!settings.audioEnabled) {
+        audio.pause()
+      }
+    }
+  }, [settings.audioEnabled, settings.audioVolume])
+
+  // timeupdate fires only a few times a second, too coarse for loop and line ends
+  useEffect(() => {
+    if (!isPlaying) return
+
+    let frame
+    const tick = () => {
+      const audio = audioRef.current
+      if (!audio) return
+
+      if (isLooping && (audio.currentTime >= loopEnd || audio.currentTime < loopStart - LOOP_SEEK_TOLERANCE)) {
+        audio.currentTime = loopStart
+      } else if (stopAtRef.current !== null && audio.currentTime >= stopAtRef.current) {
+        stopAtRef.current = null
+        audio.pause()
+        return
+      }
+      frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+
+    return () => cancelAnimationFrame(frame)
+  }, [isPlaying, isLooping, loopStart, loopEnd])
+
+  // Keep the highlighted line in view without scrolling the rest of the page
+  useEffect(() => {
+    const container = transcriptRef.current
+    const line = lineRefs.current[activeSegment]
+    if (!container || !line) return
+
+    const lineBottom = line.offsetTop + line.offsetHeight
+    if (line.offsetTop < container.scrollTop || lineBottom > container.scrollTop + container.clientHeight) {
+      container.scrollTop = line.offsetTop - container.clientHeight / 2
+    }
+  }, [activeSegment])
+
   const handleAnswerChange = (questionIndex, value) => {
     setAnswers(prev => ({
       ...prev,
@@ -47,12 +134,17 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
     }))
   }
 
-  const playAudio = () => {
+  const playAudio = (stopAt = null) => {
     const audio = audioRef.current
-    if (audio) {
-      audio.playbackRate = playbackSpeed
-      audio.play()
+    if (audio && settings.audioEnabled) {
+      stopAtRef.current = stopAt
+      applyPlaybackRate(audio, playbackSpeed)
       setIsPlaying(true)
+      audio.play().catch(error => {
+        console.warn(`Listening audio could not be played: ${exercise.audioUrl}`, error)
+        stopAtRef.current = null
+        setIsPlaying(false)
+      })
     }
   }
 
@@ -65,21 +157,61 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
   }
 
   const changeSpeed = (speed) => {
-    setPlaybackSpeed(speed)
+    const clamped = clampSpeed(speed)
+    setPlaybackSpeed(clamped)
     const audio = audioRef.current
     if (audio) {
-      audio.playbackRate = speed
+      applyPlaybackRate(audio, clamped)
     }
   }
 
   const seekAudio = (time) => {
     const audio = audioRef.current
     if (audio) {
+      stopAtRef.current = null
       audio.currentTime = time
       setCurrentTime(time)
     }
   }
 
+  // Jump to a transcript line and keep playing from there
+  const playFromSegment = (index) => {
+    seekAudio(segments[index].start)
+    playAudio()
+  }
+
+  // Play a single transcript line and pause at its end
+  const replaySegment = (index) => {
+    seekAudio(segments[index].start)
+    playAudio(segments[index].end)
+  }
+
+  // The line being played, or the last one that finished
+  const getReplayableSegment = () => {
+    if (activeSegment !== -1) return activeSegment
+    for (let index = segments.length - 1; index >= 0; index--) {
+      if (segments[index].start <= currentTime) return index
+    }
+    return segments.length > 0 ? 0 : -1
+  }
+
+  const setLoopPoint = (point) => {
+    const time = audioRef.current ? audioRef.current.currentTime : currentTime
+    if (point === 'start') {
+      setLoopStart(time)
+      if (loopEnd !== null && loopEnd <= time) setLoopEnd(null)
+    } else {
+      if (time <= (loopStart ?? 0)) return
+      if (loopStart === null) setLoopStart(0)
+      setLoopEnd(time)
+    }
+  }
+
+  const clearLoop = () => {
+    setLoopStart(null)
+    setLoopEnd(null)
+  }
+
   const formatTime = (time) => {
     const minutes = Math.floor(time / 60)
     const seconds = Math.floor(time % 60)
@@ -88,11 +220,14 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
 
   const checkAnswers = () => {
     let correctCount = 0
+    const missedItems = []
     exercise.questions.forEach((question, index) => {
       const userAnswer = answers[index].trim().toLowerCase()
       const correctAnswer = question.correctAnswer.toLowerCase()
       if (userAnswer === correctAnswer) {
         correctCount++
+      } else {
+        missedItems.push(index)
       }
     })
     
@@ -109,6 +244,7 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
         timeSpent,
         correctAnswers: correctCount,
         totalQuestions: exercise.questions.length,
+        missedItems,
         speedUsed: playbackSpeed
       })
     }
@@ -189,9 +325,16 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
               ref={audioRef}
               src={exercise.audioUrl}
               preload="metadata"
+              autoPlay={settings.audioEnabled && settings.autoPlay}
               style={{ display: 'none' }}
             />
 
+            {!settings.audioEnabled && (
+              <p style={{ color: 'var(--text-secondary)', marginBottom: '1rem' }}>
+                🔇 Audio is turned off in Settings.{(exercise.transcript || segments.length > 0) && ' Use the transcript to answer the questions.'}
+              </p>
+            )}
+
             {/* Playback Controls */}
             <div style={{ 
               display: 'flex', 
@@ -201,7 +344,8 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
             }}>
               <button
                 className="btn btn-primary"
-                onClick={isPlaying ? pauseAudio : playAudio}
+                onClick={isPlaying ? pauseAudio : () => playAudio()}
+                disabled={!settings.audioEnabled}
                 style={{ minWidth: '80px' }}
               >
                 {isPlaying ? '⏸️ Pause' : '▶️ Play'}
@@ -238,8 +382,8 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
               }}>
                 Playback Speed:
               </label>
-              <div style={{ display: 'flex', gap: '0.5rem' }}>
-                {[0.5, 0.75, 1.0, 1.25, 1.5].map(speed => (
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                {SPEED_PRESETS.map(speed => (
                   <button
                     key={speed}
                     className={`btn ${playbackSpeed === speed ? 'btn-primary' : 'btn-outline'}`}
@@ -249,10 +393,136 @@ const ListeningExercise = ({ exercise, onComplete, onProgress }) => {
                     {speed}x
                   </button>
                 ))}
+                <input
+                  type="range"
+                  min={MIN_SPEED}
+                  max={MAX_SPEED}
+                  step="0.05"
+                  value={playbackSpeed}
+                  onChange={(e) => changeSpeed(parseFloat(e.target.value))}
+                  aria-label="Playback speed"
+                  style={{ flex: 1, minWidth: '120px' }}
+                />
+                <span style={{ fontSize: '0.8rem', minWidth: '3rem' }}>{playbackSpeed.toFixed(2)}x</span>
               </div>
             </div>
 
-            {exercise.transcript && (
+            {/* Loop and Replay Controls */}
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{
+                display: 'block',
+                marginBottom: '0.5rem',
+                fontWeight: '600'
+              }}>
+                Repeat:
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                <button
+                  className={`btn ${loopStart !== null ? 'btn-primary' : 'btn-outline'}`}
+                  onClick={() => setLoopPoint('start')}
+                  disabled={!settings.audioEnabled}
+                  style={{ fontSize: '0.8rem', padding: '0.25rem 0.75rem' }}
+                >
+                  A {loopStart !== null && formatTime(loopStart)}
+                </button>
+                <button
+                  className={`btn ${loopEnd !== null ? 'btn-primary' : 'btn-outline'}`}
+                  onClick={() => setLoopPoint('end')}
+                  disabled={!settings.audioEnabled}
+                  style={{ fontSize: '0.8rem', padding: '0.25rem 0.75rem' }}
+                >
+                  B {loopEnd !== null && formatTime(loopEnd)}
+                </button>
+                {(loopStart !== null || loopEnd !== null) && (
+                  <button
+                    className="btn btn-outline"
+                    onClick={clearLoop}
+                    style={{ fontSize: '0.8rem', padding: '0.25rem 0.75rem' }}
+                  >
+                    Clear Loop
+                  </button>
+                )}
+                {segments.length > 0 && (
+                  <button
+                    className="btn btn-outline"
+                    onClick={() => replaySegment(getReplayableSegment())}
+                    disabled={!settings.audioEnabled}
+                    style={{ fontSize: '0.8rem', padding: '0.25rem 0.75rem' }}
+                  >
+                    🔁 Replay Sentence
+                  </button>
+                )}
+              </div>
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                {isLooping
+                  ? `Looping ${formatTime(loopStart)} – ${formatTime(loopEnd)}`
+                  : 'Press A and B during playback to loop the part in between.'}
+              </div>
+            </div>
+
+            {segments.length > 0 ? (
+              <details style={{ marginTop: '1rem' }}>
+                <summary style={{
+                  cursor: 'pointer',
+                  fontWeight: '600',
+                  color: 'var(--primary-color)'
+                }}>
+                  Show Transcript (Korean)
+                </summary>
+                <div
+                  ref={transcriptRef}
+                  style={{
+                    position: 'relative',
+                    marginTop: '0.5rem',
+                    maxHeight: '240px',
+                    overflowY: 'auto',
+                    backgroundColor: 'var(--bg-primary)',
+                    borderRadius: 'var(--border-radius)'
+                  }}
+                >
+                  {segments.map((segment, index) => (
+                    <div
+                      key={index}
+                      ref={element => { lineRefs.current[index] = element }}
+                      onClick={() => playFromSegment(index)}
+                      style={{
+                        display: 'flex',
+                        alignItems: 'flex-start',
+                        gap: '0.75rem',
+                        padding: '0.5rem 1rem',
+                        cursor: settings.audioEnabled ? 'pointer' : 'default',
+                        borderLeft: `4px solid ${index === activeSegment ? 'var(--primary-color)' : 'transparent'}`,
+                        backgroundColor: index === activeSegment ? 'var(--bg-tertiary)' : 'transparent'
+                      }}
+                    >
+                      <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', minWidth: '2.5rem', paddingTop: '0.3rem' }}>
+                        {formatTime(segment.start)}
+                      </span>
+                      <div style={{ flex: 1 }}>
+                        <div className="korean-text" style={{ fontSize: '1.1rem', lineHeight: '1.6', fontWeight: index === activeSegment ? '600' : 'normal' }}>
+                          {segment.text}
+                        </div>
+                        {segment.translation && (
+                          <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{segment.translation}</div>
+                        )}
+                      </div>
+                      <button
+                        className="btn btn-outline"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          replaySegment(index)
+                        }}
+                        disabled={!settings.audioEnabled}
+                        aria-label={`Replay line ${index + 1}`}
+                        style={{ fontSize: '0.75rem', padding: '0.15rem 0.5rem' }}
+                      >
+                        🔁
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </details>
+            ) : exercise.transcript && (
               <details style={{ marginTop: '1rem' }}>
                 <summary style={{ 
                   cursor: 'pointer',
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useSettings } from '../SettingsProvider'
+
+const isAudioUrl = (url) => /\.(mp3|ogg|wav)$/i.test(url || '')
+
+const getInitialAnswer = (question) => {
+  return question.type === 'multiple-select' ? [] : ''
+}
+
+const isAnswered = (question, answer) => {
+  if (question.type === 'multiple-select') {
+    return Array.isArray(answer) && answer.length > 0
+  }
+  return typeof answer === 'string' && answer.trim() !== ''
+}
+
+const isAnswerCorrect = (question, answer) => {
+  if (question.type === 'multiple-select') {
+    const expected = [...question.correctAnswers].sort()
+    const given = [...(answer || [])].sort()
+    return JSON.stringify(expected) === JSON.stringify(given)
+  }
+  if (question.type === 'text') {
+    return (answer || '').trim().toLowerCase() === question.correctAnswer.toLowerCase()
+  }
+  return answer === question.correctAnswer
+}
+
+const MediaComprehensionExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const [answers, setAnswers] = useState({})
+  const [showResults, setShowResults] = useState(false)
+  const [score, setScore] = useState(0)
+  const [mediaError, setMediaError] = useState(false)
+  const [startTime] = useState(Date.now())
+  const mediaRef = useRef(null)
+
+  useEffect(() => {
+    // Initialize answers object
+    const initialAnswers = {}
+    exercise.questions.forEach((question, index) => {
+      initialAnswers[index] = getInitialAnswer(question)
+    })
+    setAnswers(initialAnswers)
+    setMediaError(false)
+  }, [exercise])
+
+  // Video keeps playing muted when audio is turned off in Settings
+  useEffect(() => {
+    const media = mediaRef.current
+    if (media) {
+      media.volume = settings.audioVolume / 100
+      media.muted = !settings.audioEnabled
+    }
+  }, [settings.audioEnabled, settings.audioVolume, mediaError, exercise.mediaUrl])
+
+  const handleAnswerChange = (questionIndex, value) => {
+    setAnswers(prev => ({
+      ...prev,
+      [questionIndex]: value
+    }))
+  }
+
+  const toggleOption = (questionIndex, option) => {
+    const current = answers[questionIndex] || []
+    const updated = current.includes(option)
+      ? current.filter(item => item !== option)
+      : [...current, option]
+    handleAnswerChange(questionIndex, updated)
+  }
+
+  const checkAnswers = () => {
+    const correctCount = exercise.questions.filter(
+      (question, index) => isAnswerCorrect(question, answers[index])
+    ).length
+
+    const finalScore = Math.round((correctCount / exercise.questions.length) * 100)
+    setScore(finalScore)
+    setShowResults(true)
+
+    // Report progress
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'media-comprehension',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: exercise.questions.length
+      })
+    }
+
+    // Report completion if score is good enough
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'media-comprehension',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const resetExercise = () => {
+    const initialAnswers = {}
+    exercise.questions.forEach((question, index) => {
+      initialAnswers[index] = getInitialAnswer(question)
+    })
+    setAnswers(initialAnswers)
+    setShowResults(false)
+    setScore(0)
+  }
+
+  const renderAnswerInput = (question, index) => {
+    const answer = answers[index]
+
+    if (question.type === 'text') {
+      return (
+        <input
+          type="text"
+          value={answer || ''}
+          onChange={(e) => handleAnswerChange(index, e.target.value)}
+          disabled={showResults}
+          placeholder="Type your answer"
+          style={{
+            width: '100%',
+            padding: '0.75rem',
+            border: '2px solid var(--border-color)',
+            borderRadius: 'var(--border-radius)',
+            fontSize: '1rem'
+          }}
+        />
+      )
+    }
+
+    const isMultiple = question.type === 'multiple-select'
+    const correctOptions = isMultiple ? question.correctAnswers : [question.correctAnswer]
+
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+        {isMultiple && (
+          <div style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+            Select all that apply
+          </div>
+        )}
+        {question.options.map((option, optionIndex) => {
+          const isSelected = isMultiple ? (answer || []).includes(option) : answer === option
+          const isAnswer = showResults && correctOptions.includes(option)
+          return (
+            <label
+              key={optionIndex}
+              className="korean-text"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.75rem',
+                padding: '0.75rem 1rem',
+                border: `2px solid ${isAnswer ? '#28a745' : isSelected && showResults ? '#dc3545' : isSelected ? 'var(--primary-color)' : 'var(--border-color)'}`,
+                borderRadius: 'var(--border-radius)',
+                backgroundColor: isAnswer ? '#d4edda' : isSelected && showResults ? '#f8d7da' : 'white',
+                cursor: showResults ? 'default' : 'pointer'
+              }}
+            >
+              <input
+                type={isMultiple ? 'checkbox' : 'radio'}
+                name={`media-question-${index}`}
+                value={option}
+                checked={isSelected}
+                disabled={showResults}
+                onChange={() => isMultiple ? toggleOption(index, option) : handleAnswerChange(index, option)}
+              />
+              <span>{option}</span>
+            </label>
+          )
+        })}
+      </div>
+    )
+  }
+
+  const renderQuestion = (question, index) => {
+    const isCorrect = showResults && isAnswerCorrect(question, answers[index])
+    const expectedAnswer = question.type === 'multiple-select'
+      ? question.correctAnswers.join(', ')
+      : question.correctAnswer
+
+    return (
+      <div key={index} className="question-container" style={{ marginBottom: '2rem' }}>
+        <div style={{ marginBottom: '1rem' }}>
+          <strong>Question {index + 1}:</strong> {question.question}
+        </div>
+
+        {renderAnswerInput(question, index)}
+
+        {showResults && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '1rem',
+            borderRadius: 'var(--border-radius)',
+            backgroundColor: isCorrect ? '#d4edda' : '#f8d7da',
+            border: `1px solid ${isCorrect ? '#28a745' : '#dc3545'}`
+          }}>
+            {isCorrect ? (
+              <span style={{ color: '#155724' }}>✓ Correct!</span>
+            ) : (
+              <span style={{ color: '#721c24' }}>
+                ✗ Incorrect. The correct answer is: <strong>{expectedAnswer}</strong>
+              </span>
+            )}
+            {question.explanation && (
+              <p style={{ margin: '0.75rem 0 0 0', fontSize: '0.95rem', lineHeight: '1.5', color: 'var(--text-primary)' }}>
+                💡 {question.explanation}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Watch or listen to the media, then answer the questions</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          {/* Media Player */}
+          <div style={{
+            marginBottom: '2rem',
+            padding: '1rem',
+            backgroundColor: 'var(--bg-secondary)',
+            borderRadius: 'var(--border-radius)',
+            border: '1px solid var(--border-color)',
+            textAlign: 'center'
+          }}>
+            {mediaError ? (
+              <div style={{ padding: '1rem', color: 'var(--text-secondary)' }}>
+                🎬 This media is not available right now. You can still answer the questions based on the lesson content.
+              </div>
+            ) : isAudioUrl(exercise.mediaUrl) ? (
+              <audio
+                ref={mediaRef}
+                controls
+                src={exercise.mediaUrl}
+                preload="metadata"
+                style={{ width: '100%' }}
+                onError={() => setMediaError(true)}
+              />
+            ) : (
+              <video
+                ref={mediaRef}
+                controls
+                src={exercise.mediaUrl}
+                preload="metadata"
+                style={{ width: '100%', maxHeight: '360px', borderRadius: 'var(--border-radius)' }}
+                onError={() => setMediaError(true)}
+              />
+            )}
+          </div>
+
+          {exercise.questions.map((question, index) => renderQuestion(question, index))}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            justifyContent: 'center',
+            marginTop: '2rem'
+          }}>
+            {!showResults ? (
+              <button
+                className="btn btn-primary"
+                onClick={checkAnswers}
+                disabled={exercise.questions.some((question, index) => !isAnswered(question, answers[index]))}
+              >
+                Check Answers
+              </button>
+            ) : (
+              <>
+                <div style={{
+                  padding: '1rem',
+                  textAlign: 'center',
+                  backgroundColor: score >= 70 ? '#d4edda' : '#f8d7da',
+                  borderRadius: 'var(--border-radius)',
+                  border: `1px solid ${score >= 70 ? '#28a745' : '#dc3545'}`,
+                  marginRight: '1rem'
+                }}>
+                  <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                    Score: {score}%
+                  </div>
+                  <div style={{ fontSize: '0.9rem' }}>
+                    {score >= 70 ? '🎉 Great comprehension!' : '📚 Try watching again!'}
+                  </div>
+                </div>
+                <button
+                  className="btn btn-secondary"
+                  onClick={resetExercise}
+                >
+                  Try Again
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MediaComprehensionExercise
@@ -0,0 +1,388 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  COUNTERS,
+  MAX_NATIVE_NUMBER,
+  formatDate,
+  formatTime,
+  toNativeKorean,
+  toSinoKorean,
+  withCounter
+} from '../../utils/koreanNumbers'
+import koreanTTS from '../../utils/koreanTextToSpeech'
+import { useSettings } from '../SettingsProvider'
+
+const CATEGORIES = ['sino', 'native', 'counters', 'time', 'date']
+
+const CATEGORY_NAMES = {
+  sino: 'Sino-Korean',
+  native: 'Native Korean',
+  counters: 'Counter',
+  time: 'Clock time',
+  date: 'Date'
+}
+
+const MODES = ['listening', 'typing']
+
+const DEFAULT_MAX_NUMBER = 100
+
+const DEFAULT_QUESTION_COUNT = 10
+
+// Realistic amounts for each counter; won are drawn in hundreds
+const COUNTER_RANGES = {
+  '개': [1, 20],
+  '명': [1, 20],
+  '살': [1, 60],
+  '시': [1, 12],
+  '분': [1, 59],
+  '원': [1, 100]
+}
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+// Speech synthesis rates for normal and slow playback
+const TTS_RATE = 0.8
+const SLOW_TTS_RATE = 0.55
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1))
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)]
+
+const formatNumber = (number) => number.toLocaleString('en-US')
+
+const padMinutes = (minutes) => String(minutes).padStart(2, '0')
+
+// Spacing is free in Korean numbers (삼십 분 / 삼십분), so it is not checked
+const normalizeAnswer = (text) => text.replace(/[\s.,!?]/g, '')
+
+const toDigits = (text) => text.replace(/\D/g, '')
+
+// A drill has what is shown, what is read aloud, the Korean spellings
+// accepted when typing, and the digit strings accepted when listening
+const createDrill = (category, exercise) => {
+  const maxNumber = exercise.maxNumber || DEFAULT_MAX_NUMBER
+
+  switch (category) {
+    case 'sino': {
+      const number = randomInt(1, maxNumber)
+      const spoken = toSinoKorean(number)
+      return { display: formatNumber(number), spoken, answers: [spoken], numbers: [String(number)] }
+    }
+    case 'native': {
+      const number = randomInt(1, Math.min(maxNumber, MAX_NATIVE_NUMBER))
+      const spoken = toNativeKorean(number)
+      return { display: formatNumber(number), spoken, answers: [spoken], numbers: [String(number)] }
+    }
+    case 'counters': {
+      const counter = pickRandom(exercise.counters && exercise.counters.length > 0 ? exercise.counters : Object.keys(COUNTERS))
+      const [min, max] = COUNTER_RANGES[counter]
+      const number = counter === '원' ? randomInt(min, max) * 100 : randomInt(min, max)
+      const spoken = withCounter(number, counter)
+      return {
+        display: `${formatNumber(number)}${counter}`,
+        hint: COUNTERS[counter].meaning,
+        spoken,
+        answers: [spoken],
+        numbers: [String(number)]
+      }
+    }
+    case 'time': {
+      const hours = randomInt(0, 23)
+      const minutes = randomInt(0, 11) * 5
+      const clockHour = hours % 12 === 0 ? 12 : hours % 12
+      const answers = [
+        formatTime(hours, minutes),
+        formatTime(hours, minutes, { half: true }),
+        formatTime(hours, minutes, { period: false }),
+        formatTime(hours, minutes, { period: false, half: true })
+      ]
+      const numbers = [`${hours}${padMinutes(minutes)}`, `${clockHour}${padMinutes(minutes)}`]
+      if (minutes === 0) numbers.push(String(hours), String(clockHour))
+      return {
+        display: `${hours}:${padMinutes(minutes)}`,
+        spoken: answers[0],
+        answers: [...new Set(answers)],
+        numbers
+      }
+    }
+    case 'date': {
+      const month = randomInt(1, 12)
+      const day = randomInt(1, DAYS_IN_MONTH[month - 1])
+      const spoken = formatDate({ month, day })
+      return { display: `${month}월 ${day}일`, spoken, answers: [spoken], numbers: [`${month}${day}`] }
+    }
+    default:
+      return null
+  }
+}
+
+const buildDrills = (exercise, audioEnabled) => {
+  const categories = exercise.categories && exercise.categories.length > 0 ? exercise.categories : CATEGORIES
+  const modes = (exercise.modes && exercise.modes.length > 0 ? exercise.modes : MODES)
+    .filter(mode => mode !== 'listening' || audioEnabled)
+  const count = exercise.questionCount || DEFAULT_QUESTION_COUNT
+  const drills = []
+
+  for (let index = 0; index < count; index++) {
+    const category = categories[index % categories.length]
+    const drill = createDrill(category, exercise)
+    if (drill) {
+      drills.push({ ...drill, category, mode: modes.length > 0 ? pickRandom(modes) : 'typing' })
+    }
+  }
+
+  return drills.sort(() => Math.random() - 0.5)
+}
+
+const NumbersExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const [round, setRound] = useState(0)
+  // Rebuilt when audio is switched off or on, so no listening drill is left that cannot be played
+  const drills = useMemo(() => buildDrills(exercise, settings.audioEnabled), [exercise, round, settings.audioEnabled])
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [answer, setAnswer] = useState('')
+  const [checked, setChecked] = useState(null)
+  const [results, setResults] = useState([])
+  const [isCompleted, setIsCompleted] = useState(false)
+  const [startTime, setStartTime] = useState(Date.now())
+
+  const drill = drills[currentIndex]
+  const isListening = drill?.mode === 'listening'
+  // With audio turned off, listening drills become reading drills
+  const canListen = isListening && settings.audioEnabled
+
+  const speak = (slow = false) => {
+    koreanTTS.stop()
+    koreanTTS.speakSentence(drill.spoken, {
+      rate: slow ? SLOW_TTS_RATE : TTS_RATE,
+      volume: settings.audioVolume / 100
+    }).catch(() => {})
+  }
+
+  useEffect(() => {
+    if (canListen && settings.autoPlay && !isCompleted) {
+      speak()
+    }
+  }, [currentIndex, round])
+
+  useEffect(() => {
+    return () => koreanTTS.stop()
+  }, [])
+
+  const checkAnswer = () => {
+    const isCorrect = isListening
+      ? drill.numbers.includes(toDigits(answer))
+      : drill.answers.some(accepted => normalizeAnswer(accepted) === normalizeAnswer(answer))
+    setChecked({ isCorrect })
+    setResults(prev => [...prev, { ...drill, given: answer.trim(), isCorrect }])
+  }
+
+  const handleKeyDown = (e) => {
+    // Enter also commits the IME composition, so wait until it is finished
+    if (e.key === 'Enter' && !e.nativeEvent.isComposing && answer.trim() && !checked) {
+      checkAnswer()
+    }
+  }
+
+  const handleNext = () => {
+    if (currentIndex < drills.length - 1) {
+      setCurrentIndex(currentIndex + 1)
+      setAnswer('')
+      setChecked(null)
+    } else {
+      finishExercise()
+    }
+  }
+
+  const finishExercise = () => {
+    const correctCount = results.filter(result => result.isCorrect).length
+    const finalScore = Math.round((correctCount / drills.length) * 100)
+    const timeSpent = Date.now() - startTime
+    setIsCompleted(true)
+    koreanTTS.stop()
+
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'numbers',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: drills.length
+      })
+    }
+
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'numbers',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const restartExercise = () => {
+    setRound(round + 1)
+    setCurrentIndex(0)
+    setAnswer('')
+    setChecked(null)
+    setResults([])
+    setIsCompleted(false)
+    setStartTime(Date.now())
+  }
+
+  if (drills.length === 0) {
+    return null
+  }
+
+  if (isCompleted) {
+    const correctCount = results.filter(result => result.isCorrect).length
+    const finalScore = Math.round((correctCount / drills.length) * 100)
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title} - Results</h3>
+          </div>
+          <div style={{ padding: '1.5rem' }}>
+            <div style={{
+              textAlign: 'center',
+              fontSize: '2rem',
+              fontWeight: 'bold',
+              color: finalScore >= 70 ? '#28a745' : '#dc3545',
+              marginBottom: '1rem'
+            }}>
+              {finalScore}%
+            </div>
+            <div style={{ marginBottom: '1.5rem' }}>
+              {results.map((result, index) => (
+                <div key={index} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  gap: '1rem',
+                  padding: '0.5rem 0',
+                  borderBottom: '1px solid var(--border-color)'
+                }}>
+                  <span>
+                    {result.display}
+                    <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}> · {CATEGORY_NAMES[result.category]}</span>
+                  </span>
+                  <span className="korean-text" style={{ color: result.isCorrect ? '#28a745' : '#dc3545' }}>
+                    {result.isCorrect ? '✓' : '✗'} {result.spoken}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div style={{ textAlign: 'center' }}>
+              <button className="btn btn-primary" onClick={restartExercise}>
+                Try Again
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Question {currentIndex + 1} of {drills.length}</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+            {isListening ? (
+              canListen ? (
+                <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                  <button className="btn btn-primary" onClick={() => speak(false)}>
+                    🔊 Listen
+                  </button>
+                  <button className="btn btn-outline" onClick={() => speak(true)}>
+                    🐢 Slowly
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <div className="korean-text" style={{ fontSize: '1.75rem', fontWeight: 'bold' }}>{drill.spoken}</div>
+                  <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                    🔇 Audio is off, so read it instead.
+                  </div>
+                </>
+              )
+            ) : (
+              <div style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{drill.display}</div>
+            )}
+            {drill.hint && (
+              <div style={{ color: 'var(--text-secondary)' }}>{drill.hint}</div>
+            )}
+            <div className="badge" style={{ marginTop: '0.75rem', backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}>
+              {CATEGORY_NAMES[drill.category]} · {isListening ? 'write it in digits' : 'write it in Korean'}
+            </div>
+          </div>
+
+          <input
+            type="text"
+            lang={isListening ? undefined : 'ko'}
+            inputMode={isListening ? 'numeric' : undefined}
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            onKeyDown={handleKeyDown}
+            disabled={checked !== null}
+            placeholder={isListening ? 'e.g. 27, 3:30 or 10/19' : 'Type it out in Hangul...'}
+            className={isListening ? undefined : 'korean-text'}
+            style={{
+              width: '100%',
+              padding: '0.75rem',
+              fontSize: '1.25rem',
+              border: `2px solid ${checked ? (checked.isCorrect ? '#28a745' : '#dc3545') : 'var(--border-color)'}`,
+              borderRadius: 'var(--border-radius)',
+              marginBottom: '1rem'
+            }}
+          />
+
+          {checked && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1rem',
+              backgroundColor: checked.isCorrect ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${checked.isCorrect ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ fontWeight: 'bold' }}>
+                {checked.isCorrect ? '✓ Correct!' : '✗ Not quite.'}{' '}
+                <span className="korean-text">{drill.display} → {drill.spoken}</span>
+              </div>
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center' }}>
+            {checked ? (
+              <button className="btn btn-primary" onClick={handleNext}>
+                {currentIndex < drills.length - 1 ? 'Next →' : 'See Results'}
+              </button>
+            ) : (
+              <button className="btn btn-primary" onClick={checkAnswer} disabled={!answer.trim()}>
+                Check
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NumbersExercise
@@ -0,0 +1,244 @@
+import React, { useState, useMemo } from 'react'
+import { checkParticle, getParticle, getParticleLabel, selectParticle, PARTICLES } from '../../utils/particles'
+
+// Practiced when the exercise does not list its own particles
+const DEFAULT_PARTICLES = [PARTICLES.TOPIC.id, PARTICLES.SUBJECT.id, PARTICLES.OBJECT.id]
+
+const DEFAULT_QUESTION_COUNT = 10
+
+// Single Hangul words from the lesson's examples, used when the exercise has no word list
+const getLessonVocabulary = (lesson) => {
+  const examples = lesson?.content?.examples || []
+  return examples
+    .filter(example => /^[가-힣]+$/.test(example.korean))
+    .map(example => ({ word: example.korean, meaning: example.translation }))
+}
+
+// Pair every word with every particle, shuffle, and keep as many as asked for
+const buildItems = (exercise, lesson) => {
+  const words = exercise.words && exercise.words.length > 0 ? exercise.words : getLessonVocabulary(lesson)
+  const particles = exercise.particles && exercise.particles.length > 0 ? exercise.particles : DEFAULT_PARTICLES
+  const items = []
+
+  words.forEach(entry => {
+    particles.forEach(particleId => {
+      const particle = getParticle(particleId)
+      if (particle && selectParticle(entry.word, particleId)) {
+        items.push({
+          ...entry,
+          particle,
+          options: [particle.afterConsonant, particle.afterVowel]
+        })
+      }
+    })
+  })
+
+  const shuffled = items.sort(() => Math.random() - 0.5)
+  return shuffled.slice(0, exercise.questionCount || DEFAULT_QUESTION_COUNT)
+}
+
+const ParticleExercise = ({ exercise, lesson, onComplete, onProgress }) => {
+  const [round, setRound] = useState(0)
+  const items = useMemo(() => buildItems(exercise, lesson), [exercise, lesson, round])
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [checked, setChecked] = useState(null)
+  const [results, setResults] = useState([])
+  const [isCompleted, setIsCompleted] = useState(false)
+  const [startTime, setStartTime] = useState(Date.now())
+
+  const item = items[currentIndex]
+
+  const handleChoice = (option) => {
+    if (checked) return
+    const result = checkParticle(item.word, item.particle.id, option)
+    setChecked({ ...result, chosen: option })
+    setResults(prev => [...prev, { ...item, ...result, chosen: option }])
+  }
+
+  const handleNext = () => {
+    if (currentIndex < items.length - 1) {
+      setCurrentIndex(currentIndex + 1)
+      setChecked(null)
+    } else {
+      finishExercise()
+    }
+  }
+
+  const finishExercise = () => {
+    const correctCount = results.filter(result => result.isCorrect).length
+    const finalScore = Math.round((correctCount / items.length) * 100)
+    const timeSpent = Date.now() - startTime
+    setIsCompleted(true)
+
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'particle',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: items.length
+      })
+    }
+
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'particle',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const restartExercise = () => {
+    setRound(round + 1)
+    setCurrentIndex(0)
+    setChecked(null)
+    setResults([])
+    setIsCompleted(false)
+    setStartTime(Date.now())
+  }
+
+  if (items.length === 0) {
+    return null
+  }
+
+  if (isCompleted) {
+    const correctCount = results.filter(result => result.isCorrect).length
+    const finalScore = Math.round((correctCount / items.length) * 100)
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title} - Results</h3>
+          </div>
+          <div style={{ padding: '1.5rem' }}>
+            <div style={{
+              textAlign: 'center',
+              fontSize: '2rem',
+              fontWeight: 'bold',
+              color: finalScore >= 70 ? '#28a745' : '#dc3545',
+              marginBottom: '1rem'
+            }}>
+              {finalScore}%
+            </div>
+            <div style={{ marginBottom: '1.5rem' }}>
+              {results.map((result, index) => (
+                <div key={index} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  gap: '1rem',
+                  padding: '0.5rem 0',
+                  borderBottom: '1px solid var(--border-color)'
+                }}>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    {result.particle.name} {getParticleLabel(result.particle.id)}
+                  </span>
+                  <span className="korean-text" style={{ color: result.isCorrect ? '#28a745' : '#dc3545' }}>
+                    {result.isCorrect ? '✓' : '✗'} {result.word}{result.expected}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div style={{ textAlign: 'center' }}>
+              <button className="btn btn-primary" onClick={restartExercise}>
+                Try Again
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Question {currentIndex + 1} of {items.length}</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+            <div className="korean-text" style={{ fontSize: '2rem', fontWeight: 'bold' }}>
+              {item.word}
+              <span style={{ color: checked ? (checked.isCorrect ? '#28a745' : '#dc3545') : 'var(--text-muted)' }}>
+                {checked ? checked.expected : '___'}
+              </span>
+            </div>
+            {item.meaning && (
+              <div style={{ color: 'var(--text-secondary)' }}>{item.meaning}</div>
+            )}
+            <div className="badge" style={{ marginTop: '0.75rem', backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}>
+              {item.particle.name} particle {getParticleLabel(item.particle.id)}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', marginBottom: '1.5rem' }}>
+            {item.options.map(option => {
+              const isExpected = checked && option === checked.expected
+              const isWrongChoice = checked && option === checked.chosen && !checked.isCorrect
+              return (
+                <button
+                  key={option}
+                  className="btn btn-outline korean-text"
+                  onClick={() => handleChoice(option)}
+                  disabled={checked !== null}
+                  style={{
+                    fontSize: '1.5rem',
+                    minWidth: '6rem',
+                    borderColor: isExpected ? '#28a745' : isWrongChoice ? '#dc3545' : undefined,
+                    backgroundColor: isExpected ? '#d4edda' : isWrongChoice ? '#f8d7da' : undefined
+                  }}
+                >
+                  {option}
+                </button>
+              )
+            })}
+          </div>
+
+          {checked && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1rem',
+              backgroundColor: checked.isCorrect ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${checked.isCorrect ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ fontWeight: 'bold' }}>
+                {checked.isCorrect ? '✓ Correct!' : '✗ Not quite.'}
+              </div>
+              {!checked.isCorrect && (
+                <div className="korean-text" style={{ fontSize: '0.9rem', marginTop: '0.5rem' }}>
+                  {checked.explanation}
+                </div>
+              )}
+            </div>
+          )}
+
+          {checked && (
+            <div style={{ textAlign: 'center' }}>
+              <button className="btn btn-primary" onClick={handleNext}>
+                {currentIndex < items.length - 1 ? 'Next →' : 'See Results'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ParticleExercise
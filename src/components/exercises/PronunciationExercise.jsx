@@ -0,0 +1,411 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { decodeAudioFile, analyzeAudio, scorePronunciation } from '../../utils/pronunciationScoring'
+import koreanTTS from '../../utils/koreanTextToSpeech'
+import { useSettings } from '../SettingsProvider'
+
+// Recordings stop on their own after this long
+const MAX_RECORDING_MS = 10000
+
+// Pitch range drawn in the contour charts
+const CHART_MIN_PITCH = 75
+const CHART_MAX_PITCH = 500
+
+const isRecordingSupported = () => {
+  return typeof window !== 'undefined' &&
+    typeof window.MediaRecorder !== 'undefined' &&
+    Boolean(navigator.mediaDevices?.getUserMedia)
+}
+
+// Split a pitch contour into drawable runs of voiced frames
+const getPitchSegments = (pitch) => {
+  const range = Math.log(CHART_MAX_PITCH / CHART_MIN_PITCH)
+  const segments = []
+  let current = []
+
+  pitch.forEach((value, index) => {
+    if (value === null) {
+      if (current.length > 0) segments.push(current)
+      current = []
+      return
+    }
+    const clamped = Math.min(CHART_MAX_PITCH, Math.max(CHART_MIN_PITCH, value))
+    const y = 40 - 40 * (Math.log(clamped / CHART_MIN_PITCH) / range)
+    current.push(`${index},${y.toFixed(1)}`)
+  })
+  if (current.length > 0) segments.push(current)
+
+  return segments
+}
+
+const AudioAnalysisChart = ({ title, analysis, color }) => {
+  const waveform = analysis?.waveform || []
+  const pitch = analysis?.pitch || []
+
+  return (
+    <div>
+      <h4 style={{ marginBottom: '0.5rem' }}>{title}</h4>
+
+      <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '0.25rem' }}>Waveform</div>
+      <svg
+        viewBox={`0 0 ${Math.max(waveform.length, 1)} 40`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${title} waveform`}
+        style={{ width: '100%', height: '60px', backgroundColor: 'var(--bg-primary)', borderRadius: 'var(--border-radius)' }}
+      >
+        {waveform.map((peak, index) => (
+          <rect
+            key={index}
+            x={index + 0.1}
+            y={20 - peak * 19}
+            width={0.8}
+            height={Math.max(peak * 38, 0.5)}
+            fill={color}
+          />
+        ))}
+      </svg>
+
+      <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', margin: '0.5rem 0 0.25rem' }}>Pitch contour</div>
+      <svg
+        viewBox={`0 0 ${Math.max(pitch.length - 1, 1)} 40`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${title} pitch contour`}
+        style={{ width: '100%', height: '60px', backgroundColor: 'var(--bg-primary)', borderRadius: 'var(--border-radius)' }}
+      >
+        {getPitchSegments(pitch).map((points, index) => (
+          <polyline
+            key={index}
+            points={points.join(' ')}
+            fill="none"
+            stroke={color}
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+    </div>
+  )
+}
+
+const PronunciationExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const [reference, setReference] = useState(null)
+  const [referenceStatus, setReferenceStatus] = useState('loading')
+  const [recordingState, setRecordingState] = useState('idle')
+  const [recordingUrl, setRecordingUrl] = useState(null)
+  const [attemptAnalysis, setAttemptAnalysis] = useState(null)
+  const [result, setResult] = useState(null)
+  const [bestScore, setBestScore] = useState(null)
+  const [attempts, setAttempts] = useState(0)
+  const [error, setError] = useState(null)
+  const [startTime] = useState(Date.now())
+  const recorderRef = useRef(null)
+  const stopTimerRef = useRef(null)
+  const referenceAudioRef = useRef(null)
+  const attemptAudioRef = useRef(null)
+
+  // Analyze the reference audio once per exercise
+  useEffect(() => {
+    let cancelled = false
+    setReference(null)
+    setReferenceStatus('loading')
+
+    const loadReference = async () => {
+      try {
+        const response = await fetch(exercise.audio)
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+        const { samples, sampleRate } = await decodeAudioFile(await response.arrayBuffer())
+        if (!cancelled) {
+          setReference(analyzeAudio(samples, sampleRate))
+          setReferenceStatus('ready')
+        }
+      } catch (loadError) {
+        console.warn(`Reference audio could not be analyzed: ${exercise.audio}`, loadError)
+        if (!cancelled) setReferenceStatus('error')
+      }
+    }
+
+    loadReference()
+    return () => {
+      cancelled = true
+    }
+  }, [exercise.audio])
+
+  // Stop the microphone when leaving the exercise
+  useEffect(() => {
+    return () => {
+      clearTimeout(stopTimerRef.current)
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.stop()
+      }
+    }
+  }, [])
+
+  useEffect(() => {
+    return () => {
+      if (recordingUrl) URL.revokeObjectURL(recordingUrl)
+    }
+  }, [recordingUrl])
+
+  // Apply the volume setting to both players
+  useEffect(() => {
+    [referenceAudioRef.current, attemptAudioRef.current].forEach(audio => {
+      if (audio) audio.volume = settings.audioVolume / 100
+    })
+  }, [settings.audioVolume, recordingUrl, referenceStatus])
+
+  const scoreAttempt = (analysis) => {
+    const scored = scorePronunciation(reference, analysis)
+    const attemptNumber = attempts + 1
+    setResult(scored)
+    setAttempts(attemptNumber)
+    setBestScore(prev => Math.max(prev ?? 0, scored.score))
+
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'pronunciation',
+        score: scored.score,
+        timeSpent,
+        attempts: attemptNumber,
+        soundScore: scored.soundScore,
+        intonationScore: scored.intonationScore
+      })
+    }
+
+    if (scored.score >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'pronunciation',
+        score: scored.score,
+        timeSpent,
+        attempts: attemptNumber
+      })
+    }
+  }
+
+  const handleRecordingStopped = async (chunks, mimeType) => {
+    const blob = new Blob(chunks, { type: mimeType })
+    setRecordingUrl(URL.createObjectURL(blob))
+    setRecordingState('analyzing')
+
+    try {
+      const { samples, sampleRate } = await decodeAudioFile(await blob.arrayBuffer())
+      const analysis = analyzeAudio(samples, sampleRate)
+      setAttemptAnalysis(analysis)
+      if (reference) {
+        scoreAttempt(analysis)
+      }
+    } catch (analysisError) {
+      setError('Your recording could not be analyzed. Please try again.')
+    } finally {
+      setRecordingState('idle')
+    }
+  }
+
+  const startRecording = async () => {
+    setError(null)
+    setResult(null)
+
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    } catch (permissionError) {
+      setError('Microphone access was denied. Allow microphone access in your browser to record.')
+      return
+    }
+
+    let recorder
+    try {
+      recorder = new MediaRecorder(stream)
+    } catch (recorderError) {
+      // Release the microphone when this browser can't record the stream
+      stream.getTracks().forEach(track => track.stop())
+      setError('Recording is not supported for this microphone in your browser.')
+      return
+    }
+
+    const chunks = []
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data)
+    }
+    recorder.onstop = () => {
+      clearTimeout(stopTimerRef.current)
+      stream.getTracks().forEach(track => track.stop())
+      handleRecordingStopped(chunks, recorder.mimeType)
+    }
+
+    recorderRef.current = recorder
+    recorder.start()
+    setRecordingState('recording')
+    stopTimerRef.current = setTimeout(stopRecording, MAX_RECORDING_MS)
+  }
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop()
+    }
+  }
+
+  const speakText = () => {
+    koreanTTS.speakSentence(exercise.text).catch(() => {})
+  }
+
+  const recordingSupported = isRecordingSupported()
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Listen, record yourself and compare with the reference</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div className="korean-text" style={{ fontSize: '2rem', fontWeight: 'bold', textAlign: 'center', marginBottom: '1.5rem' }}>
+            {exercise.text}
+          </div>
+
+          {referenceStatus === 'error' && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              color: 'var(--text-secondary)'
+            }}>
+              🔇 The reference recording is not available, so your pronunciation cannot be scored right now.
+              You can still record and listen to yourself.
+              {settings.audioEnabled && (
+                <button className="btn btn-outline" onClick={speakText} style={{ marginLeft: '0.5rem', fontSize: '0.8rem' }}>
+                  🗣️ Hear it with speech synthesis
+                </button>
+              )}
+            </div>
+          )}
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+            gap: '1.5rem',
+            marginBottom: '1.5rem'
+          }}>
+            <div style={{
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              {referenceStatus === 'loading' ? (
+                <p style={{ color: 'var(--text-secondary)' }}>⏳ Analyzing reference audio...</p>
+              ) : (
+                <AudioAnalysisChart title="Reference" analysis={reference} color="var(--primary-color)" />
+              )}
+              {referenceStatus !== 'error' && (
+                settings.audioEnabled ? (
+                  <audio ref={referenceAudioRef} controls src={exercise.audio} preload="metadata" style={{ width: '100%', marginTop: '0.75rem' }} />
+                ) : (
+                  <p style={{ color: 'var(--text-secondary)', marginTop: '0.75rem' }}>🔇 Audio is turned off in Settings</p>
+                )
+              )}
+            </div>
+
+            <div style={{
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              {attemptAnalysis ? (
+                <AudioAnalysisChart title="Your recording" analysis={attemptAnalysis} color="var(--success-color)" />
+              ) : (
+                <>
+                  <h4 style={{ marginBottom: '0.5rem' }}>Your recording</h4>
+                  <p style={{ color: 'var(--text-secondary)' }}>Record yourself to see your waveform and pitch here.</p>
+                </>
+              )}
+              {recordingUrl && settings.audioEnabled && (
+                <audio ref={attemptAudioRef} controls src={recordingUrl} style={{ width: '100%', marginTop: '0.75rem' }} />
+              )}
+            </div>
+          </div>
+
+          <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+            {!recordingSupported ? (
+              <p style={{ color: 'var(--text-secondary)' }}>
+                🎙️ Recording is not supported in this browser.
+              </p>
+            ) : recordingState === 'recording' ? (
+              <button className="btn btn-primary" onClick={stopRecording}>
+                ⏹️ Stop Recording
+              </button>
+            ) : (
+              <button
+                className="btn btn-primary"
+                onClick={startRecording}
+                disabled={recordingState === 'analyzing' || referenceStatus === 'loading'}
+              >
+                {recordingState === 'analyzing' ? '⏳ Analyzing...' : attempts > 0 || recordingUrl ? '🎙️ Record Again' : '🎙️ Start Recording'}
+              </button>
+            )}
+            {recordingState === 'recording' && (
+              <p style={{ color: 'var(--error-color)', marginTop: '0.5rem', fontSize: '0.875rem' }}>
+                ● Recording — stops automatically after {MAX_RECORDING_MS / 1000} seconds
+              </p>
+            )}
+          </div>
+
+          {error && (
+            <div style={{ color: 'var(--error-color)', textAlign: 'center', marginBottom: '1rem' }}>
+              {error}
+            </div>
+          )}
+
+          {result && (
+            <div style={{
+              padding: '1rem',
+              textAlign: 'center',
+              backgroundColor: result.score >= 70 ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${result.score >= 70 ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                Similarity: {result.score}%
+              </div>
+              <div style={{ fontSize: '0.9rem', marginTop: '0.25rem' }}>
+                Sounds {result.soundScore}%
+                {result.intonationScore !== null && ` · Intonation ${result.intonationScore}%`}
+                {bestScore !== null && attempts > 1 && ` · Best ${bestScore}%`}
+              </div>
+              <div style={{ fontSize: '0.9rem', marginTop: '0.25rem' }}>
+                {result.score >= 70
+                  ? '🎉 Great pronunciation!'
+                  : result.durationRatio > 1.5
+                    ? '🐢 Try speaking a little faster, like the reference.'
+                    : result.durationRatio < 0.67
+                      ? '🐇 Try speaking a little slower, like the reference.'
+                      : '📚 Listen to the reference again and try once more!'}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PronunciationExercise
@@ -93,6 +93,9 @@ const QuizExercise = ({ exercise, onComplete, onProgress }) => {
         timeSpent,
         correctAnswers: correctCount,
         totalQuestions: total,
+        missedItems: results.flatMap((result, index) =>
+          result.isCorrect ? [] : [questionsToCheck[index].originalIndex ?? index]
+        ),
         averageTimePerQuestion: Math.round(timeSpent / total),
         questionsRandomized: randomizeQuestions,
         timeLimitUsed: timeLimit !== null,
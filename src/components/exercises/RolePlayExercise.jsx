@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react'
+
+const RolePlayExercise = ({ exercise, onComplete, onProgress }) => {
+  const [currentScenarioIndex, setCurrentScenarioIndex] = useState(0)
+  const [responseOrder, setResponseOrder] = useState([])
+  const [selections, setSelections] = useState({})
+  const [checkedScenarios, setCheckedScenarios] = useState({})
+  const [showResults, setShowResults] = useState(false)
+  const [score, setScore] = useState(0)
+  const [startTime] = useState(Date.now())
+
+  useEffect(() => {
+    // Initialize the exercise
+    initializeExercise()
+  }, [exercise])
+
+  const initializeExercise = () => {
+    // Mix appropriate and inappropriate responses for every scenario
+    setResponseOrder(exercise.rolePlayScenarios.map(scenario => [
+      ...scenario.appropriateResponses.map(text => ({ text, appropriate: true })),
+      ...scenario.inappropriateResponses.map(text => ({ text, appropriate: false }))
+    ].sort(() => Math.random() - 0.5)))
+    setSelections({})
+    setCheckedScenarios({})
+    setCurrentScenarioIndex(0)
+  }
+
+  const scenarios = exercise.rolePlayScenarios
+  const currentScenario = scenarios[currentScenarioIndex]
+  const currentResponses = responseOrder[currentScenarioIndex] || []
+  const currentSelection = selections[currentScenarioIndex] || []
+  const isChecked = checkedScenarios[currentScenarioIndex] === true
+  const isLastScenario = currentScenarioIndex === scenarios.length - 1
+
+  const toggleResponse = (text) => {
+    if (isChecked) return
+    const updated = currentSelection.includes(text)
+      ? currentSelection.filter(item => item !== text)
+      : [...currentSelection, text]
+    setSelections(prev => ({
+      ...prev,
+      [currentScenarioIndex]: updated
+    }))
+  }
+
+  const checkScenario = () => {
+    setCheckedScenarios(prev => ({
+      ...prev,
+      [currentScenarioIndex]: true
+    }))
+  }
+
+  // Every response counts once: selected if appropriate, left out if not
+  const countCorrectJudgements = (scenarioIndex) => {
+    const responses = responseOrder[scenarioIndex] || []
+    const selected = selections[scenarioIndex] || []
+    return responses.filter(response => selected.includes(response.text) === response.appropriate).length
+  }
+
+  const finishExercise = () => {
+    const totalJudgements = responseOrder.reduce((sum, responses) => sum + responses.length, 0)
+    const correctJudgements = scenarios.reduce((sum, _, index) => sum + countCorrectJudgements(index), 0)
+
+    const finalScore = totalJudgements > 0 ? Math.round((correctJudgements / totalJudgements) * 100) : 0
+    setScore(finalScore)
+    setShowResults(true)
+
+    // Report progress
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'role-play',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctJudgements,
+        totalQuestions: totalJudgements
+      })
+    }
+
+    // Report completion if score is good enough
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'role-play',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const nextScenario = () => {
+    if (isLastScenario) {
+      finishExercise()
+    } else {
+      setCurrentScenarioIndex(prev => prev + 1)
+    }
+  }
+
+  const resetExercise = () => {
+    initializeExercise()
+    setShowResults(false)
+    setScore(0)
+  }
+
+  if (showResults) {
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title}</h3>
+            <p className="card-subtitle">Role-play summary</p>
+          </div>
+
+          <div style={{ padding: '1.5rem' }}>
+            {scenarios.map((scenario, index) => (
+              <div
+                key={index}
+                style={{
+                  marginBottom: '1rem',
+                  padding: '1rem',
+                  backgroundColor: 'var(--bg-secondary)',
+                  borderRadius: 'var(--border-radius)',
+                  border: '1px solid var(--border-color)'
+                }}
+              >
+                <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+                  {scenario.situation} — {countCorrectJudgements(index)}/{(responseOrder[index] || []).length} judged correctly
+                </div>
+                <div style={{ fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+                  🏮 {scenario.culturalGuidance}
+                </div>
+              </div>
+            ))}
+
+            <div style={{
+              display: 'flex',
+              gap: '1rem',
+              justifyContent: 'center',
+              marginTop: '2rem'
+            }}>
+              <div style={{
+                padding: '1rem',
+                textAlign: 'center',
+                backgroundColor: score >= 70 ? '#d4edda' : '#f8d7da',
+                borderRadius: 'var(--border-radius)',
+                border: `1px solid ${score >= 70 ? '#28a745' : '#dc3545'}`,
+                marginRight: '1rem'
+              }}>
+                <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                  Score: {score}%
+                </div>
+                <div style={{ fontSize: '0.9rem' }}>
+                  {score >= 70 ? '🎉 You handled the meeting well!' : '📚 Review the guidance and try again!'}
+                </div>
+              </div>
+              <button
+                className="btn btn-secondary"
+                onClick={resetExercise}
+              >
+                Try Again
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">
+            Scenario {currentScenarioIndex + 1} of {scenarios.length} — select every appropriate response
+          </p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div style={{
+            marginBottom: '1.5rem',
+            padding: '1.25rem',
+            borderLeft: '4px solid var(--primary-color)',
+            backgroundColor: 'var(--bg-secondary)',
+            borderRadius: 'var(--border-radius)',
+            lineHeight: '1.6'
+          }}>
+            <div><strong>Context:</strong> {currentScenario.context}</div>
+            <div><strong>Your role:</strong> {currentScenario.yourRole}</div>
+            <div><strong>Situation:</strong> {currentScenario.situation}</div>
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            {currentResponses.map((response) => {
+              const isSelected = currentSelection.includes(response.text)
+              const isRight = isChecked && isSelected === response.appropriate
+              const isWrong = isChecked && isSelected !== response.appropriate
+              return (
+                <label
+                  key={response.text}
+                  className="korean-text"
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.75rem',
+                    padding: '0.75rem 1rem',
+                    border: `2px solid ${isRight ? '#28a745' : isWrong ? '#dc3545' : isSelected ? 'var(--primary-color)' : 'var(--border-color)'}`,
+                    borderRadius: 'var(--border-radius)',
+                    backgroundColor: isRight ? '#d4edda' : isWrong ? '#f8d7da' : 'white',
+                    cursor: isChecked ? 'default' : 'pointer'
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    disabled={isChecked}
+                    onChange={() => toggleResponse(response.text)}
+                  />
+                  <span style={{ flex: 1 }}>{response.text}</span>
+                  {isChecked && (
+                    <span style={{ fontSize: '0.8rem', color: response.appropriate ? '#155724' : '#721c24' }}>
+                      {response.appropriate ? 'Appropriate' : 'Inappropriate'}
+                    </span>
+                  )}
+                </label>
+              )
+            })}
+          </div>
+
+          {isChecked && currentScenario.culturalGuidance && (
+            <div style={{
+              marginTop: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              🏮 <strong>Cultural guidance:</strong> {currentScenario.culturalGuidance}
+            </div>
+          )}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            justifyContent: 'center',
+            marginTop: '2rem'
+          }}>
+            {!isChecked ? (
+              <button
+                className="btn btn-primary"
+                onClick={checkScenario}
+                disabled={currentSelection.length === 0}
+              >
+                Check Responses
+              </button>
+            ) : (
+              <button
+                className="btn btn-primary"
+                onClick={nextScenario}
+              >
+                {isLastScenario ? 'See Results' : 'Next Scenario →'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RolePlayExercise
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react'
+
+const ScenarioAnalysisExercise = ({ exercise, onComplete, onProgress }) => {
+  const [currentScenarioIndex, setCurrentScenarioIndex] = useState(0)
+  const [answers, setAnswers] = useState({})
+  const [revealed, setRevealed] = useState({})
+  const [showResults, setShowResults] = useState(false)
+  const [score, setScore] = useState(0)
+  const [startTime] = useState(Date.now())
+
+  useEffect(() => {
+    // Reset state when exercise changes
+    setCurrentScenarioIndex(0)
+    setAnswers({})
+    setRevealed({})
+    setShowResults(false)
+    setScore(0)
+  }, [exercise])
+
+  const scenarios = exercise.scenarios
+  const currentScenario = scenarios[currentScenarioIndex]
+  const selectedAnswer = answers[currentScenarioIndex]
+  const isRevealed = revealed[currentScenarioIndex] === true
+  const isLastScenario = currentScenarioIndex === scenarios.length - 1
+
+  const selectOption = (option) => {
+    if (isRevealed) return
+    setAnswers(prev => ({
+      ...prev,
+      [currentScenarioIndex]: option
+    }))
+  }
+
+  const revealAnswer = () => {
+    setRevealed(prev => ({
+      ...prev,
+      [currentScenarioIndex]: true
+    }))
+  }
+
+  const finishExercise = () => {
+    const correctCount = scenarios.filter(
+      (scenario, index) => answers[index] === scenario.correctAnswer
+    ).length
+
+    const finalScore = Math.round((correctCount / scenarios.length) * 100)
+    setScore(finalScore)
+    setShowResults(true)
+
+    // Report progress
+    const timeSpent = Date.now() - startTime
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'scenario-analysis',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: correctCount,
+        totalQuestions: scenarios.length
+      })
+    }
+
+    // Report completion if score is good enough
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'scenario-analysis',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const nextScenario = () => {
+    if (isLastScenario) {
+      finishExercise()
+    } else {
+      setCurrentScenarioIndex(prev => prev + 1)
+    }
+  }
+
+  const resetExercise = () => {
+    setCurrentScenarioIndex(0)
+    setAnswers({})
+    setRevealed({})
+    setShowResults(false)
+    setScore(0)
+  }
+
+  if (showResults) {
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title}</h3>
+            <p className="card-subtitle">Scenario review</p>
+          </div>
+
+          <div style={{ padding: '1.5rem' }}>
+            {scenarios.map((scenario, index) => {
+              const isCorrect = answers[index] === scenario.correctAnswer
+              return (
+                <div
+                  key={index}
+                  style={{
+                    marginBottom: '1rem',
+                    padding: '1rem',
+                    borderRadius: 'var(--border-radius)',
+                    backgroundColor: isCorrect ? '#d4edda' : '#f8d7da',
+                    border: `1px solid ${isCorrect ? '#28a745' : '#dc3545'}`
+                  }}
+                >
+                  <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+                    {isCorrect ? '✓' : '✗'} Scenario {index + 1}
+                  </div>
+                  <div className="korean-text" style={{ fontSize: '0.95rem' }}>{scenario.situation}</div>
+                  {!isCorrect && (
+                    <div style={{ fontSize: '0.9rem', marginTop: '0.5rem' }}>
+                      Best response: <strong>{scenario.correctAnswer}</strong>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+
+            <div style={{
+              display: 'flex',
+              gap: '1rem',
+              justifyContent: 'center',
+              marginTop: '2rem'
+            }}>
+              <div style={{
+                padding: '1rem',
+                textAlign: 'center',
+                backgroundColor: score >= 70 ? '#d4edda' : '#f8d7da',
+                borderRadius: 'var(--border-radius)',
+                border: `1px solid ${score >= 70 ? '#28a745' : '#dc3545'}`,
+                marginRight: '1rem'
+              }}>
+                <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                  Score: {score}%
+                </div>
+                <div style={{ fontSize: '0.9rem' }}>
+                  {score >= 70 ? '🎉 Excellent cultural judgement!' : '📚 Review the cultural insights and try again!'}
+                </div>
+              </div>
+              <button
+                className="btn btn-secondary"
+                onClick={resetExercise}
+              >
+                Try Again
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const isCorrect = isRevealed && selectedAnswer === currentScenario.correctAnswer
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">
+            Scenario {currentScenarioIndex + 1} of {scenarios.length}
+          </p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '2rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div
+            className="korean-text"
+            style={{
+              marginBottom: '1.5rem',
+              padding: '1.25rem',
+              fontSize: '1.1rem',
+              lineHeight: '1.6',
+              borderLeft: '4px solid var(--primary-color)',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)'
+            }}
+          >
+            📋 {currentScenario.situation}
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            {currentScenario.options.map((option, optionIndex) => {
+              const isSelected = selectedAnswer === option
+              const isAnswer = isRevealed && option === currentScenario.correctAnswer
+              return (
+                <button
+                  key={optionIndex}
+                  onClick={() => selectOption(option)}
+                  disabled={isRevealed}
+                  style={{
+                    padding: '0.75rem 1rem',
+                    textAlign: 'left',
+                    fontSize: '0.95rem',
+                    border: `2px solid ${isAnswer ? '#28a745' : isSelected && isRevealed ? '#dc3545' : isSelected ? 'var(--primary-color)' : 'var(--border-color)'}`,
+                    borderRadius: 'var(--border-radius)',
+                    backgroundColor: isAnswer ? '#d4edda' : isSelected && isRevealed ? '#f8d7da' : isSelected ? 'var(--bg-tertiary)' : 'white',
+                    cursor: isRevealed ? 'default' : 'pointer'
+                  }}
+                >
+                  {option}
+                </button>
+              )
+            })}
+          </div>
+
+          {isRevealed && (
+            <div style={{
+              marginTop: '1.5rem',
+              padding: '1rem',
+              borderRadius: 'var(--border-radius)',
+              backgroundColor: isCorrect ? '#d4edda' : '#f8d7da',
+              border: `1px solid ${isCorrect ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+                {isCorrect ? '✓ Culturally appropriate choice!' : '✗ Not quite the best choice.'}
+              </div>
+              <p className="korean-text" style={{ margin: '0 0 0.5rem 0', fontSize: '0.95rem', lineHeight: '1.5' }}>
+                {currentScenario.explanation}
+              </p>
+              {currentScenario.culturalInsight && (
+                <p className="korean-text" style={{ margin: 0, fontSize: '0.9rem', fontStyle: 'italic', color: 'var(--text-secondary)' }}>
+                  🏮 {currentScenario.culturalInsight}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            justifyContent: 'center',
+            marginTop: '2rem'
+          }}>
+            {!isRevealed ? (
+              <button
+                className="btn btn-primary"
+                onClick={revealAnswer}
+                disabled={!selectedAnswer}
+              >
+                Check Response
+              </button>
+            ) : (
+              <button
+                className="btn btn-primary"
+                onClick={nextScenario}
+              >
+                {isLastScenario ? 'See Results' : 'Next Scenario →'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ScenarioAnalysisExercise
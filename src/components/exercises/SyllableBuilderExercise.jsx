@@ -0,0 +1,455 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  CHOSEONG,
+  JUNGSEONG,
+  JONGSEONG,
+  VOWEL_SHAPES,
+  composeSyllable,
+  decomposeSyllable,
+  getVowelShape,
+  isVowel
+} from '../../utils/hangul'
+import { romanize } from '../../utils/romanization'
+import koreanTTS from '../../utils/koreanTextToSpeech'
+import { useSettings } from '../SettingsProvider'
+
+const BASIC_CONSONANTS = ['ㄱ', 'ㄴ', 'ㄷ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅅ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ']
+const BASIC_VOWELS = ['ㅏ', 'ㅑ', 'ㅓ', 'ㅕ', 'ㅗ', 'ㅛ', 'ㅜ', 'ㅠ', 'ㅡ', 'ㅣ']
+
+const SLOTS = ['initial', 'medial', 'final']
+
+const SLOT_LABELS = {
+  initial: 'Initial',
+  medial: 'Vowel',
+  final: 'Final (optional)'
+}
+
+// Slot positions in the block as [left, top, width, height] percentages.
+// Mixed vowels wrap around the initial consonant, so their slot has two parts.
+const BLOCK_LAYOUTS = {
+  [VOWEL_SHAPES.VERTICAL]: {
+    initial: [[0, 0, 56, 58]],
+    medial: [[58, 0, 42, 58]],
+    final: [[0, 60, 100, 40]]
+  },
+  [VOWEL_SHAPES.HORIZONTAL]: {
+    initial: [[0, 0, 100, 28]],
+    medial: [[0, 30, 100, 28]],
+    final: [[0, 60, 100, 40]]
+  },
+  [VOWEL_SHAPES.MIXED]: {
+    initial: [[0, 0, 56, 28]],
+    medial: [[58, 0, 42, 58], [0, 30, 56, 28]],
+    final: [[0, 60, 100, 40]]
+  }
+}
+
+const EMPTY_BLOCK = { initial: '', medial: '', final: '' }
+
+// Which jamo may go into which slot
+const fitsSlot = (jamo, slot) => {
+  if (slot === 'initial') return CHOSEONG.includes(jamo)
+  if (slot === 'medial') return JUNGSEONG.includes(jamo)
+  return jamo !== '' && JONGSEONG.includes(jamo)
+}
+
+// Basic letters plus any double, compound or cluster jamo the targets need
+const buildPalette = (targets, basic, positions, custom) => {
+  if (custom && custom.length > 0) return custom
+  const needed = targets
+    .map(target => decomposeSyllable(target.syllable))
+    .filter(Boolean)
+    .flatMap(parts => positions.map(position => parts[position]))
+    .filter(jamo => jamo && !basic.includes(jamo))
+  return [...basic, ...new Set(needed)]
+}
+
+const SyllableBuilderExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
+  const targets = exercise.targets || []
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [block, setBlock] = useState(EMPTY_BLOCK)
+  const [activeSlot, setActiveSlot] = useState('initial')
+  const [draggedJamo, setDraggedJamo] = useState(null)
+  const [attempts, setAttempts] = useState(0)
+  const [feedback, setFeedback] = useState(null)
+  const [isSolved, setIsSolved] = useState(false)
+  const [results, setResults] = useState([])
+  const [isCompleted, setIsCompleted] = useState(false)
+  const [startTime, setStartTime] = useState(Date.now())
+
+  const consonants = useMemo(
+    () => buildPalette(targets, BASIC_CONSONANTS, ['initial', 'final'], exercise.consonants),
+    [targets, exercise.consonants]
+  )
+  const vowels = useMemo(
+    () => buildPalette(targets, BASIC_VOWELS, ['medial'], exercise.vowels),
+    [targets, exercise.vowels]
+  )
+
+  const target = targets[currentIndex]
+  const composed = block.initial && block.medial ? composeSyllable(block.initial, block.medial, block.final) : null
+  const layout = BLOCK_LAYOUTS[block.medial ? getVowelShape(block.medial) : VOWEL_SHAPES.VERTICAL]
+
+  // Say each newly built syllable
+  useEffect(() => {
+    if (composed && settings.audioEnabled && settings.autoPlay) {
+      koreanTTS.speakCharacter(composed).catch(() => {})
+    }
+  }, [composed, settings.audioEnabled, settings.autoPlay])
+
+  const speak = (text) => {
+    if (text && settings.audioEnabled) {
+      koreanTTS.speakCharacter(text).catch(() => {})
+    }
+  }
+
+  const placeJamo = (jamo, slot) => {
+    if (isSolved) return
+    if (!fitsSlot(jamo, slot)) {
+      setFeedback({
+        type: 'error',
+        message: slot === 'medial'
+          ? 'Only a vowel can go in the vowel slot.'
+          : isVowel(jamo)
+            ? 'Vowels go in the vowel slot.'
+            : `${jamo} cannot be the ${slot} consonant of a syllable.`
+      })
+      return
+    }
+
+    const nextBlock = { ...block, [slot]: jamo }
+    setBlock(nextBlock)
+    setFeedback(null)
+    setActiveSlot(SLOTS.find(name => name !== 'final' && !nextBlock[name]) || 'final')
+  }
+
+  const handleTileClick = (jamo) => {
+    if (isVowel(jamo)) {
+      placeJamo(jamo, 'medial')
+    } else if (activeSlot === 'medial') {
+      placeJamo(jamo, block.initial ? 'final' : 'initial')
+    } else {
+      placeJamo(jamo, activeSlot)
+    }
+  }
+
+  const handleSlotClick = (slot) => {
+    if (isSolved) return
+    if (block[slot]) {
+      setBlock({ ...block, [slot]: '' })
+    }
+    setActiveSlot(slot)
+  }
+
+  const handleDragStart = (e, jamo) => {
+    setDraggedJamo(jamo)
+    e.dataTransfer.effectAllowed = 'copy'
+  }
+
+  const handleDragOver = (e) => {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+  }
+
+  const handleDrop = (e, slot) => {
+    e.preventDefault()
+    if (!draggedJamo) return
+    placeJamo(draggedJamo, slot)
+    setDraggedJamo(null)
+  }
+
+  const checkSyllable = () => {
+    if (!composed) return
+    const attemptNumber = attempts + 1
+    setAttempts(attemptNumber)
+
+    if (composed === target.syllable) {
+      setIsSolved(true)
+      setResults(prev => [...prev, { syllable: target.syllable, correct: true, attempts: attemptNumber }])
+      setFeedback({ type: 'success', message: `Correct! ${composed} is read "${romanize(composed)}".` })
+      return
+    }
+
+    const expected = decomposeSyllable(target.syllable)
+    const wrongParts = SLOTS
+      .filter(slot => block[slot] !== expected[slot])
+      .map(slot => (slot === 'medial' ? 'vowel' : `${slot} consonant`))
+    setFeedback({
+      type: 'error',
+      message: `You built ${composed} (${romanize(composed)}). Check the ${wrongParts.join(' and ')}.`
+    })
+  }
+
+  const revealAnswer = () => {
+    const expected = decomposeSyllable(target.syllable)
+    setBlock(expected)
+    setIsSolved(true)
+    setResults(prev => [...prev, { syllable: target.syllable, correct: false, attempts }])
+    setFeedback({ type: 'error', message: `The answer is ${target.syllable}.` })
+  }
+
+  const handleNext = () => {
+    if (currentIndex < targets.length - 1) {
+      setCurrentIndex(currentIndex + 1)
+      resetBlock()
+    } else {
+      finishExercise()
+    }
+  }
+
+  const clearBlock = () => {
+    setBlock(EMPTY_BLOCK)
+    setActiveSlot('initial')
+  }
+
+  const resetBlock = () => {
+    clearBlock()
+    setAttempts(0)
+    setFeedback(null)
+    setIsSolved(false)
+  }
+
+  // Full credit on the first check, half credit when it took more tries
+  const calculateScore = () => {
+    const points = results.reduce((sum, result) => {
+      if (!result.correct) return sum
+      return sum + (result.attempts === 1 ? 1 : 0.5)
+    }, 0)
+    return Math.round((points / targets.length) * 100)
+  }
+
+  const finishExercise = () => {
+    const finalScore = calculateScore()
+    const timeSpent = Date.now() - startTime
+    setIsCompleted(true)
+
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'syllable-builder',
+        score: finalScore,
+        timeSpent,
+        correctAnswers: results.filter(result => result.correct).length,
+        totalQuestions: targets.length
+      })
+    }
+
+    if (finalScore >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'syllable-builder',
+        score: finalScore,
+        timeSpent
+      })
+    }
+  }
+
+  const restartExercise = () => {
+    setCurrentIndex(0)
+    setResults([])
+    setIsCompleted(false)
+    setStartTime(Date.now())
+    resetBlock()
+  }
+
+  const renderTile = (jamo) => (
+    <button
+      key={jamo}
+      className="btn btn-outline korean-text"
+      draggable={!isSolved}
+      onDragStart={(e) => handleDragStart(e, jamo)}
+      onClick={() => handleTileClick(jamo)}
+      disabled={isSolved}
+      style={{ minWidth: '2.75rem', fontSize: '1.25rem', padding: '0.4rem 0.6rem', cursor: 'grab' }}
+    >
+      {jamo}
+    </button>
+  )
+
+  const renderSlot = (slot) => layout[slot].map(([left, top, width, height], part) => (
+    <div
+      key={`${slot}-${part}`}
+      onClick={() => handleSlotClick(slot)}
+      onDragOver={handleDragOver}
+      onDrop={(e) => handleDrop(e, slot)}
+      role="button"
+      aria-label={`${SLOT_LABELS[slot]} slot${block[slot] ? `: ${block[slot]}` : ''}`}
+      style={{
+        position: 'absolute',
+        left: `${left}%`,
+        top: `${top}%`,
+        width: `${width}%`,
+        height: `${height}%`,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        border: `2px ${block[slot] ? 'solid' : 'dashed'} ${activeSlot === slot && !isSolved ? 'var(--primary-color)' : 'var(--border-color)'}`,
+        borderRadius: 'var(--border-radius)',
+        backgroundColor: block[slot] ? 'var(--bg-secondary)' : 'var(--bg-primary)',
+        cursor: isSolved ? 'default' : 'pointer',
+        boxSizing: 'border-box'
+      }}
+    >
+      {part === 0 && (block[slot] ? (
+        <span className="korean-text" style={{ fontSize: '2rem', fontWeight: 'bold' }}>{block[slot]}</span>
+      ) : (
+        <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', textAlign: 'center' }}>{SLOT_LABELS[slot]}</span>
+      ))}
+    </div>
+  ))
+
+  if (targets.length === 0) {
+    return null
+  }
+
+  if (isCompleted) {
+    const finalScore = calculateScore()
+    return (
+      <div className="exercise-container">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">{exercise.title} - Results</h3>
+          </div>
+          <div style={{ padding: '1.5rem', textAlign: 'center' }}>
+            <div style={{
+              fontSize: '2rem',
+              fontWeight: 'bold',
+              color: finalScore >= 70 ? '#28a745' : '#dc3545',
+              marginBottom: '1rem'
+            }}>
+              {finalScore}%
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+              {results.map((result, index) => (
+                <div key={index} style={{ textAlign: 'center' }}>
+                  <div className="korean-text" style={{ fontSize: '1.5rem' }}>{result.syllable}</div>
+                  <div style={{ fontSize: '0.8rem', color: result.correct ? '#28a745' : '#dc3545' }}>
+                    {result.correct ? `✓ ${result.attempts === 1 ? 'first try' : `${result.attempts} tries`}` : '✗ revealed'}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div style={{ marginBottom: '1rem' }}>
+              {finalScore >= 70 ? '🎉 You can build syllable blocks!' : '📚 Keep practicing how consonants and vowels fit together.'}
+            </div>
+            <button className="btn btn-primary" onClick={restartExercise}>
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">Syllable {currentIndex + 1} of {targets.length}</p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
+            <div style={{ color: 'var(--text-secondary)', marginBottom: '0.25rem' }}>Build the syllable</div>
+            <div style={{ fontSize: '1.75rem', fontWeight: 'bold' }}>
+              “{target.romanization || romanize(target.syllable)}”
+            </div>
+            {target.translation && (
+              <div style={{ color: 'var(--text-secondary)' }}>{target.translation}</div>
+            )}
+            {settings.audioEnabled && (
+              <button className="btn btn-outline" onClick={() => speak(target.syllable)} style={{ marginTop: '0.5rem', fontSize: '0.8rem' }}>
+                🔊 Hear it
+              </button>
+            )}
+          </div>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+            gap: '1.5rem',
+            alignItems: 'start',
+            marginBottom: '1.5rem'
+          }}>
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.75rem' }}>
+              <div style={{ position: 'relative', width: '200px', height: '200px' }}>
+                {SLOTS.map(renderSlot)}
+              </div>
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                {block.medial ? `${getVowelShape(block.medial)} vowel layout` : 'Tap or drag letters into the block'}
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', minHeight: '3.5rem' }}>
+                <span className="korean-text" style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>{composed || '?'}</span>
+                {composed && settings.audioEnabled && (
+                  <button className="btn btn-outline" onClick={() => speak(composed)} style={{ fontSize: '0.8rem' }} aria-label={`Hear ${composed}`}>
+                    🔊
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <h4 style={{ marginBottom: '0.5rem' }}>Consonants</h4>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginBottom: '1rem' }}>
+                {consonants.map(renderTile)}
+              </div>
+              <h4 style={{ marginBottom: '0.5rem' }}>Vowels</h4>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem' }}>
+                {vowels.map(renderTile)}
+              </div>
+            </div>
+          </div>
+
+          {feedback && (
+            <div style={{
+              marginBottom: '1rem',
+              padding: '0.75rem',
+              textAlign: 'center',
+              backgroundColor: feedback.type === 'success' ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${feedback.type === 'success' ? '#28a745' : '#dc3545'}`
+            }}>
+              {feedback.message}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+            {isSolved ? (
+              <button className="btn btn-primary" onClick={handleNext}>
+                {currentIndex < targets.length - 1 ? 'Next Syllable →' : 'See Results'}
+              </button>
+            ) : (
+              <>
+                <button className="btn btn-secondary" onClick={clearBlock}>
+                  Clear
+                </button>
+                <button className="btn btn-primary" onClick={checkSyllable} disabled={!composed}>
+                  Check
+                </button>
+                {attempts > 0 && (
+                  <button className="btn btn-outline" onClick={revealAnswer}>
+                    Show Answer
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SyllableBuilderExercise
@@ -1,16 +1,29 @@
 import React, { useState, useEffect, useRef } from 'react'
+import { compareHangulInput, toKeystrokes, JAMO_POSITIONS } from '../../utils/hangul'
+import HangulKeyboard from '../HangulKeyboard'
+import { useSettings } from '../SettingsProvider'
+
+const POSITION_LABELS = {
+  [JAMO_POSITIONS.INITIAL]: 'initial consonant',
+  [JAMO_POSITIONS.MEDIAL]: 'vowel',
+  [JAMO_POSITIONS.FINAL]: 'final consonant'
+}
 
 const TypingExercise = ({ exercise, onComplete, onProgress }) => {
+  const { settings } = useSettings()
   const [currentTextIndex, setCurrentTextIndex] = useState(0)
   const [userInput, setUserInput] = useState('')
   const [startTime, setStartTime] = useState(null)
   const [endTime, setEndTime] = useState(null)
   const [isCompleted, setIsCompleted] = useState(false)
-  const [errors, setErrors] = useState([])
+  const [comparison, setComparison] = useState(null)
+  const [keystrokeMistakes, setKeystrokeMistakes] = useState(0)
   const [showResults, setShowResults] = useState(false)
   const [wpm, setWpm] = useState(0)
   const [accuracy, setAccuracy] = useState(100)
   const [exerciseStartTime] = useState(Date.now())
+  const [showKeyboard, setShowKeyboard] = useState(false)
+  const [showKeyHints, setShowKeyHints] = useState(true)
   const inputRef = useRef(null)
 
   const currentText = exercise.texts[currentTextIndex]
@@ -44,17 +57,19 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
     const wordsTyped = charactersTyped / 5 // Standard: 5 characters = 1 word
     const calculatedWpm = Math.round(wordsTyped / timeElapsed)
     
-    // Calculate accuracy
-    const totalErrors = errors.length
-    const totalCharacters = currentText.korean.length
-    const calculatedAccuracy = Math.round(((totalCharacters - totalErrors) / totalCharacters) * 100)
+    // Calculate accuracy per keystroke, counting every mistyped jamo along the way
+    const totalKeystrokes = toKeystrokes(currentText.korean).length
+    const calculatedAccuracy = Math.max(0, Math.round(((totalKeystrokes - keystrokeMistakes) / totalKeystrokes) * 100))
 
     setWpm(calculatedWpm)
     setAccuracy(calculatedAccuracy)
   }
 
   const handleInputChange = (e) => {
-    const value = e.target.value
+    updateInput(e.target.value)
+  }
+
+  const updateInput = (value) => {
     const targetText = currentText.korean
 
     // Prevent typing beyond the target text length
@@ -64,14 +79,13 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
 
     setUserInput(value)
 
-    // Track errors
-    const newErrors = []
-    for (let i = 0; i < value.length; i++) {
-      if (value[i] !== targetText[i]) {
-        newErrors.push(i)
-      }
+    // Track errors at jamo level so IME composition is not counted as a mistake
+    const newComparison = compareHangulInput(targetText, value)
+    const previousIncorrect = comparison ? comparison.incorrectKeystrokes : 0
+    if (newComparison.incorrectKeystrokes > previousIncorrect) {
+      setKeystrokeMistakes(prev => prev + newComparison.incorrectKeystrokes - previousIncorrect)
     }
-    setErrors(newErrors)
+    setComparison(newComparison)
   }
 
   const handleKeyDown = (e) => {
@@ -105,7 +119,8 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
     setStartTime(null)
     setEndTime(null)
     setIsCompleted(false)
-    setErrors([])
+    setComparison(null)
+    setKeystrokeMistakes(0)
     setWpm(0)
     setAccuracy(100)
     if (inputRef.current) {
@@ -147,21 +162,26 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
   }
 
   const getCharacterStyle = (index) => {
-    const char = currentText.korean[index]
-    const userChar = userInput[index]
+    const status = comparison ? comparison.syllables[index]?.status : 'pending'
     
-    if (index >= userInput.length) {
+    if (!status || status === 'pending') {
       // Not yet typed
       return {
         backgroundColor: 'transparent',
         color: 'var(--text-primary)'
       }
-    } else if (userChar === char) {
+    } else if (status === 'correct') {
       // Correct
       return {
         backgroundColor: '#d4edda',
         color: '#155724'
       }
+    } else if (status === 'composing') {
+      // Syllable still being composed, correct so far
+      return {
+        backgroundColor: '#fff3cd',
+        color: '#856404'
+      }
     } else {
       // Incorrect
       return {
@@ -172,7 +192,7 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
   }
 
   const renderText = () => {
-    return currentText.korean.split('').map((char, index) => (
+    return Array.from(currentText.korean).map((char, index) => (
       <span
         key={index}
         style={{
@@ -188,6 +208,10 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
     ))
   }
 
+  const currentMistake = comparison ? comparison.firstMistake : null
+  const typedKeystrokes = comparison ? comparison.typedKeystrokes : 0
+  const totalKeystrokes = toKeystrokes(currentText.korean).length
+
   return (
     <div className="exercise-container">
       <div className="card">
@@ -231,7 +255,7 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
                   overflow: 'hidden'
                 }}>
                   <div style={{ 
-                    width: `${((currentTextIndex + (isCompleted ? 1 : userInput.length / currentText.korean.length)) / exercise.texts.length) * 100}%`,
+                    width: `${((currentTextIndex + (isCompleted ? 1 : Math.min(typedKeystrokes / totalKeystrokes, 1))) / exercise.texts.length) * 100}%`,
                     height: '100%',
                     backgroundColor: 'var(--primary-color)',
                     transition: 'width 0.3s ease'
@@ -259,7 +283,7 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
                 }}>
                   {renderText()}
                 </div>
-                {currentText.romanization && (
+                {settings.showRomanization && currentText.romanization && (
                   <div style={{ 
                     fontSize: '1rem',
                     color: 'var(--text-secondary)',
@@ -286,19 +310,80 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
                   value={userInput}
                   onChange={handleInputChange}
                   onKeyDown={handleKeyDown}
-                  placeholder="Start typing here..."
+                  placeholder={showKeyboard ? 'Use the on-screen keyboard or your QWERTY keys...' : 'Start typing here...'}
                   disabled={isCompleted}
+                  readOnly={showKeyboard}
                   style={{
                     width: '100%',
                     padding: '1rem',
                     fontSize: '1.2rem',
                     fontFamily: 'serif',
-                    border: `2px solid ${isCompleted ? '#28a745' : errors.length > 0 ? '#dc3545' : 'var(--border-color)'}`,
+                    border: `2px solid ${isCompleted ? '#28a745' : currentMistake ? '#dc3545' : 'var(--border-color)'}`,
                     borderRadius: 'var(--border-radius)',
                     backgroundColor: isCompleted ? '#d4edda' : 'white',
                     outline: 'none'
                   }}
                 />
+                {currentMistake && (
+                  <div style={{ 
+                    marginTop: '0.5rem',
+                    fontSize: '0.9rem',
+                    color: '#721c24'
+                  }}>
+                    {currentMistake.position ? (
+                      <>
+                        Mistyped {POSITION_LABELS[currentMistake.position]} in 
+                        <strong className="korean-text"> {Array.from(currentText.korean)[currentMistake.charIndex]}</strong>: 
+                        expected <strong className="korean-text">{currentMistake.expected || '(none)'}</strong>, 
+                        typed <strong className="korean-text">{currentMistake.typed || '(none)'}</strong>
+                      </>
+                    ) : (
+                      <>
+                        Unexpected character <strong className="korean-text">{currentMistake.typed}</strong>
+                        {currentMistake.expected && <> — expected <strong className="korean-text">{currentMistake.expected}</strong></>}
+                      </>
+                    )}
+                  </div>
+                )}
+
+                <div style={{ 
+                  display: 'flex',
+                  flexWrap: 'wrap',
+                  gap: '1rem',
+                  marginTop: '1rem',
+                  fontSize: '0.9rem'
+                }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={showKeyboard}
+                      onChange={(e) => setShowKeyboard(e.target.checked)}
+                    />
+                    ⌨️ On-screen keyboard
+                  </label>
+                  {showKeyboard && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <input
+                        type="checkbox"
+                        checked={showKeyHints}
+                        onChange={(e) => setShowKeyHints(e.target.checked)}
+                      />
+                      Highlight next key
+                    </label>
+                  )}
+                </div>
+
+                {showKeyboard && (
+                  <div style={{ marginTop: '1rem' }}>
+                    <HangulKeyboard
+                      value={userInput}
+                      onChange={updateInput}
+                      targetText={currentText.korean}
+                      showHints={showKeyHints}
+                      disabled={isCompleted}
+                    />
+                  </div>
+                )}
               </div>
 
               {/* Real-time Stats */}
@@ -315,10 +400,10 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
                   textAlign: 'center'
                 }}>
                   <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--primary-color)' }}>
-                    {userInput.length}
+                    {typedKeystrokes}/{totalKeystrokes}
                   </div>
                   <div style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
-                    Characters
+                    Keystrokes
                   </div>
                 </div>
                 <div style={{ 
@@ -327,8 +412,8 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
                   borderRadius: 'var(--border-radius)',
                   textAlign: 'center'
                 }}>
-                  <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: errors.length > 0 ? '#dc3545' : '#28a745' }}>
-                    {errors.length}
+                  <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: keystrokeMistakes > 0 ? '#dc3545' : '#28a745' }}>
+                    {keystrokeMistakes}
                   </div>
                   <div style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
                     Errors
@@ -341,7 +426,7 @@ const TypingExercise = ({ exercise, onComplete, onProgress }) => {
                   textAlign: 'center'
                 }}>
                   <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--primary-color)' }}>
-                    {Math.round(((userInput.length - errors.length) / Math.max(userInput.length, 1)) * 100)}%
+                    {Math.max(0, Math.round(((typedKeystrokes - keystrokeMistakes) / Math.max(typedKeystrokes, 1)) * 100))}%
                   </div>
                   <div style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
                     Accuracy
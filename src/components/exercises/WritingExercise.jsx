@@ -0,0 +1,417 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { getCharacterStrokes } from '../../data/hangulStrokes'
+import {
+  evaluateStroke,
+  scoreStrokeAttempts,
+  scoreCharacter,
+  pathLength,
+  STROKE_FEEDBACK
+} from '../../utils/strokeScoring'
+
+// Display size of the writing square in CSS pixels
+const CANVAS_SIZE = 280
+
+// Time the demonstration spends on each stroke
+const STROKE_ANIMATION_MS = 700
+
+// Stroke thickness in 100×100 box units
+const STROKE_WIDTH = 6
+
+const readColor = (element, name, fallback) => {
+  const value = element && getComputedStyle(element).getPropertyValue(name).trim()
+  return value || fallback
+}
+
+// Draw a polyline, optionally only the first part of it
+const drawStroke = (ctx, points, progress = 1) => {
+  const total = pathLength(points)
+  let remaining = total * progress
+
+  ctx.beginPath()
+  ctx.moveTo(points[0][0], points[0][1])
+  for (let i = 1; i < points.length && remaining > 0; i++) {
+    const [ax, ay] = points[i - 1]
+    const [bx, by] = points[i]
+    const length = Math.hypot(bx - ax, by - ay)
+    const t = length > 0 ? Math.min(1, remaining / length) : 1
+    ctx.lineTo(ax + (bx - ax) * t, ay + (by - ay) * t)
+    remaining -= length
+  }
+  ctx.stroke()
+}
+
+const drawStrokeNumber = (ctx, points, number, color) => {
+  const [x, y] = points[0]
+  ctx.fillStyle = color
+  ctx.beginPath()
+  ctx.arc(x, y, 3.5, 0, 2 * Math.PI)
+  ctx.fill()
+  ctx.fillStyle = '#fff'
+  ctx.font = 'bold 4.5px sans-serif'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(String(number), x, y + 0.3)
+}
+
+const WritingExercise = ({ exercise, onComplete, onProgress }) => {
+  const characters = useMemo(
+    () => (exercise.characters || []).filter(char => getCharacterStrokes(char) !== null),
+    [exercise.characters]
+  )
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [strokeIndex, setStrokeIndex] = useState(0)
+  const [failedAttempts, setFailedAttempts] = useState(0)
+  const [strokeScores, setStrokeScores] = useState([])
+  const [characterScores, setCharacterScores] = useState([])
+  const [feedback, setFeedback] = useState(null)
+  const [isAnimating, setIsAnimating] = useState(false)
+  const [isCompleted, setIsCompleted] = useState(false)
+  const [startTime, setStartTime] = useState(Date.now())
+  const canvasRef = useRef(null)
+  const drawnRef = useRef(null)
+  const animationRef = useRef(null)
+  const renderRef = useRef(() => {})
+
+  const character = characters[currentIndex]
+  const strokes = useMemo(() => getCharacterStrokes(character) || [], [character])
+  const isCharacterDone = strokes.length > 0 && strokeIndex >= strokes.length
+
+  // Draw the guide, the accepted strokes and the stroke being traced
+  const render = useCallback((animation = null) => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const ctx = canvas.getContext('2d')
+    const scale = canvas.width / 100
+    const primary = readColor(canvas, '--primary-color', '#007bff')
+    const guide = readColor(canvas, '--border-color', '#dee2e6')
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.setTransform(scale, 0, 0, scale, 0, 0)
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+
+    // Writing grid
+    ctx.strokeStyle = guide
+    ctx.lineWidth = 0.4
+    ctx.setLineDash([2, 2])
+    drawStroke(ctx, [[50, 0], [50, 100]])
+    drawStroke(ctx, [[0, 50], [100, 50]])
+    ctx.setLineDash([])
+
+    // Faint outline of the whole character to trace over
+    ctx.strokeStyle = guide
+    ctx.lineWidth = STROKE_WIDTH
+    strokes.forEach(stroke => drawStroke(ctx, stroke))
+
+    if (animation) {
+      ctx.strokeStyle = primary
+      strokes.forEach((stroke, index) => {
+        if (index > animation.stroke) return
+        drawStroke(ctx, stroke, index === animation.stroke ? animation.progress : 1)
+        drawStrokeNumber(ctx, stroke, index + 1, primary)
+      })
+      return
+    }
+
+    ctx.strokeStyle = primary
+    strokes.slice(0, strokeIndex).forEach(stroke => drawStroke(ctx, stroke))
+
+    // Where the next stroke starts
+    if (strokeIndex < strokes.length) {
+      drawStrokeNumber(ctx, strokes[strokeIndex], strokeIndex + 1, '#6c757d')
+    }
+
+    if (drawnRef.current && drawnRef.current.length > 1) {
+      ctx.strokeStyle = '#343a40'
+      ctx.lineWidth = STROKE_WIDTH * 0.6
+      drawStroke(ctx, drawnRef.current)
+    }
+  }, [strokes, strokeIndex])
+  renderRef.current = render
+
+  // Size the canvas for sharp lines on high-density screens
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = CANVAS_SIZE * ratio
+    canvas.height = CANVAS_SIZE * ratio
+    if (!animationRef.current) render()
+  }, [render, isCompleted])
+
+  const stopAnimation = () => {
+    if (animationRef.current) {
+      cancelAnimationFrame(animationRef.current)
+      animationRef.current = null
+    }
+    setIsAnimating(false)
+  }
+
+  // The animation reads renderRef so a reset mid-animation ends on the fresh state
+  const playAnimation = useCallback(() => {
+    if (strokes.length === 0) return
+    if (animationRef.current) cancelAnimationFrame(animationRef.current)
+    setIsAnimating(true)
+    const animationStart = performance.now()
+
+    const step = (now) => {
+      const elapsed = (now - animationStart) / STROKE_ANIMATION_MS
+      const stroke = Math.floor(elapsed)
+      if (stroke >= strokes.length) {
+        animationRef.current = null
+        setIsAnimating(false)
+        renderRef.current()
+        return
+      }
+      renderRef.current({ stroke, progress: elapsed - stroke })
+      animationRef.current = requestAnimationFrame(step)
+    }
+
+    animationRef.current = requestAnimationFrame(step)
+  }, [strokes])
+
+  // Demonstrate the stroke order whenever a new character comes up
+  useEffect(() => {
+    playAnimation()
+    return () => {
+      if (animationRef.current) cancelAnimationFrame(animationRef.current)
+      animationRef.current = null
+    }
+  }, [playAnimation])
+
+  const toBoxPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return [
+      ((event.clientX - rect.left) / rect.width) * 100,
+      ((event.clientY - rect.top) / rect.height) * 100
+    ]
+  }
+
+  const handlePointerDown = (event) => {
+    if (isCharacterDone || isCompleted) return
+    if (isAnimating) stopAnimation()
+    event.preventDefault()
+    event.currentTarget.setPointerCapture?.(event.pointerId)
+    drawnRef.current = [toBoxPoint(event)]
+    render()
+  }
+
+  const handlePointerMove = (event) => {
+    if (!drawnRef.current) return
+    event.preventDefault()
+    drawnRef.current.push(toBoxPoint(event))
+    render()
+  }
+
+  const handlePointerUp = () => {
+    const drawn = drawnRef.current
+    if (!drawn) return
+    drawnRef.current = null
+
+    const result = evaluateStroke(drawn, strokes, strokeIndex)
+    if (!result.accepted) {
+      setFailedAttempts(prev => prev + 1)
+      setFeedback({ type: 'error', message: STROKE_FEEDBACK[result.error] })
+      render()
+      return
+    }
+
+    const nextScores = [...strokeScores, scoreStrokeAttempts(result.score, failedAttempts)]
+    setStrokeScores(nextScores)
+    setStrokeIndex(strokeIndex + 1)
+    setFailedAttempts(0)
+
+    if (nextScores.length === strokes.length) {
+      const score = scoreCharacter(nextScores)
+      setCharacterScores(prev => [...prev, score])
+      setFeedback({
+        type: score >= 70 ? 'success' : 'error',
+        message: score >= 70 ? `Well written! ${score}%` : `Finished with ${score}%. Watch the demonstration and try again.`
+      })
+    } else {
+      setFeedback(null)
+    }
+  }
+
+  const handleNextCharacter = () => {
+    if (currentIndex < characters.length - 1) {
+      setCurrentIndex(currentIndex + 1)
+      resetCharacter()
+    } else {
+      finishExercise(characterScores)
+    }
+  }
+
+  const handleRetryCharacter = () => {
+    setCharacterScores(prev => prev.slice(0, currentIndex))
+    resetCharacter()
+    playAnimation()
+  }
+
+  const resetCharacter = () => {
+    setStrokeIndex(0)
+    setStrokeScores([])
+    setFailedAttempts(0)
+    setFeedback(null)
+    drawnRef.current = null
+  }
+
+  const finishExercise = (scores) => {
+    const score = scoreCharacter(scores)
+    const timeSpent = Date.now() - startTime
+    setIsCompleted(true)
+
+    if (onProgress) {
+      onProgress({
+        exerciseType: 'writing',
+        score,
+        timeSpent,
+        characterScores: scores
+      })
+    }
+
+    if (score >= 70 && onComplete) {
+      onComplete({
+        exerciseType: 'writing',
+        score,
+        timeSpent
+      })
+    }
+  }
+
+  const restartExercise = () => {
+    setCurrentIndex(0)
+    setCharacterScores([])
+    setIsCompleted(false)
+    setStartTime(Date.now())
+    resetCharacter()
+    playAnimation()
+  }
+
+  if (characters.length === 0) {
+    return (
+      <div className="exercise-container">
+        <div className="card" style={{ padding: '1.5rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+          No stroke order data is available for this exercise.
+        </div>
+      </div>
+    )
+  }
+
+  const finalScore = scoreCharacter(characterScores)
+
+  return (
+    <div className="exercise-container">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">{exercise.title}</h3>
+          <p className="card-subtitle">
+            {isCompleted
+              ? 'All characters written'
+              : `Character ${currentIndex + 1} of ${characters.length} · Stroke ${Math.min(strokeIndex + 1, strokes.length)} of ${strokes.length}`}
+          </p>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {exercise.instructions && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              backgroundColor: 'var(--bg-secondary)',
+              borderRadius: 'var(--border-radius)',
+              border: '1px solid var(--border-color)'
+            }}>
+              <strong>Instructions:</strong> {exercise.instructions}
+            </div>
+          )}
+
+          {isCompleted ? (
+            <div style={{
+              padding: '1.5rem',
+              textAlign: 'center',
+              backgroundColor: finalScore >= 70 ? '#d4edda' : '#f8d7da',
+              borderRadius: 'var(--border-radius)',
+              border: `1px solid ${finalScore >= 70 ? '#28a745' : '#dc3545'}`
+            }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold', marginBottom: '0.5rem' }}>
+                Writing score: {finalScore}%
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+                {characters.map((char, index) => (
+                  <div key={index} style={{ textAlign: 'center' }}>
+                    <div className="korean-text" style={{ fontSize: '1.5rem' }}>{char}</div>
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>{characterScores[index]}%</div>
+                  </div>
+                ))}
+              </div>
+              <div style={{ marginBottom: '1rem' }}>
+                {finalScore >= 70 ? '🎉 Your stroke order is looking good!' : '📚 Watch the demonstrations again and keep practicing!'}
+              </div>
+              <button className="btn btn-primary" onClick={restartExercise}>
+                Practice Again
+              </button>
+            </div>
+          ) : (
+            <>
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '1rem' }}>
+                <div className="korean-text" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
+                  {character}
+                </div>
+
+                <canvas
+                  ref={canvasRef}
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onPointerCancel={handlePointerUp}
+                  role="img"
+                  aria-label={`Writing area for ${character}`}
+                  style={{
+                    width: `${CANVAS_SIZE}px`,
+                    height: `${CANVAS_SIZE}px`,
+                    maxWidth: '100%',
+                    backgroundColor: 'var(--bg-primary)',
+                    border: '2px solid var(--border-color)',
+                    borderRadius: 'var(--border-radius)',
+                    touchAction: 'none',
+                    cursor: isCharacterDone ? 'default' : 'crosshair'
+                  }}
+                />
+
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', justifyContent: 'center' }}>
+                  <button className="btn btn-outline" onClick={playAnimation} disabled={isAnimating}>
+                    {isAnimating ? '▶️ Showing stroke order...' : '▶️ Show Stroke Order'}
+                  </button>
+                  <button className="btn btn-secondary" onClick={handleRetryCharacter}>
+                    Start Over
+                  </button>
+                  {isCharacterDone && (
+                    <button className="btn btn-primary" onClick={handleNextCharacter}>
+                      {currentIndex < characters.length - 1 ? 'Next Character →' : 'Finish'}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {feedback && (
+                <div style={{
+                  marginTop: '1rem',
+                  padding: '0.75rem',
+                  textAlign: 'center',
+                  backgroundColor: feedback.type === 'success' ? '#d4edda' : '#f8d7da',
+                  borderRadius: 'var(--border-radius)',
+                  border: `1px solid ${feedback.type === 'success' ? '#28a745' : '#dc3545'}`
+                }}>
+                  {feedback.message}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default WritingExercise
@@ -4,22 +4,10 @@
  */
 
 import { validateLessonData } from '../utils/dataValidator.js'
+import storage, { STORAGE_NAMESPACES } from '../utils/storage.js'
 
-// Mock localStorage for Node.js environments
-const mockLocalStorage = {
-  getItem: (key) => null,
-  setItem: (key, value) => {},
-  removeItem: (key) => {},
-  clear: () => {}
-}
-
-// Get localStorage or mock for Node.js
-const getStorage = () => {
-  if (typeof window !== 'undefined' && window.localStorage) {
-    return window.localStorage
-  }
-  return mockLocalStorage
-}
+// Progress store (kept in memory when running under Node.js)
+const progressStore = storage.getStore(STORAGE_NAMESPACES.PROGRESS)
 
 class DataManager {
   constructor() {
@@ -151,19 +139,20 @@ class DataManager {
    */
   _enhanceModule(module) {
     const moduleLessons = module.lessons.map(id => this.lessons.get(id)).filter(Boolean)
+    const completedLessons = moduleLessons.filter(lesson => 
+      this._getCompletionStatus(lesson.id).completed
+    ).length
     
     return {
       ...module,
       // Add computed properties
       totalLessons: module.lessons.length,
-      completedLessons: moduleLessons.filter(lesson => 
-        this._getCompletionStatus(lesson.id).completed
-      ).length,
+      completedLessons,
       totalExercises: moduleLessons.reduce((sum, lesson) => sum + lesson.totalExercises, 0),
       hasAudio: moduleLessons.some(lesson => lesson.hasAudio),
       hasMedia: moduleLessons.some(lesson => lesson.hasMedia),
       // Progress calculation
-      progressPercentage: this._calculateModuleProgress(module.id),
+      progressPercentage: this._calculateModuleProgress(completedLessons, module.lessons.length),
       // Navigation
       firstLessonId: module.lessons[0],
       lastLessonId: module.lessons[module.lessons.length - 1],
@@ -208,15 +197,15 @@ class DataManager {
    * @private
    */
   _getCompletionStatus(lessonId) {
-    // This would integrate with localStorage in a real implementation
-    const storage = getStorage()
-    const completedLessons = JSON.parse(storage.getItem('completedLessons') || '[]')
-    const exerciseScores = JSON.parse(storage.getItem('exerciseScores') || '{}')
+    // Written by the lesson progress store whenever an exercise result is recorded
+    const completedLessons = progressStore.get('completedLessons', [])
+    const exerciseScores = progressStore.get('exerciseScores', {})
+    const lessonProgress = progressStore.get('lessons', {})
     
     return {
       completed: completedLessons.includes(lessonId),
       score: exerciseScores[lessonId] || null,
-      completedAt: null // Would be stored in localStorage
+      completedAt: lessonProgress[lessonId]?.completedAt || null
     }
   }
 
@@ -224,11 +213,10 @@ class DataManager {
    * Calculate module progress percentage
    * @private
    */
-  _calculateModuleProgress(moduleId) {
-    const module = this.modules.get(moduleId)
-    if (!module || module.totalLessons === 0) return 0
+  _calculateModuleProgress(completedLessons, totalLessons) {
+    if (totalLessons === 0) return 0
     
-    return Math.round((module.completedLessons / module.totalLessons) * 100)
+    return Math.round((completedLessons / totalLessons) * 100)
   }
 
   // Public API Methods
@@ -327,8 +315,7 @@ class DataManager {
     const lesson = this.getLesson(lessonId)
     if (!lesson) return false
     
-    const storage = getStorage()
-    const completedLessons = JSON.parse(storage.getItem('completedLessons') || '[]')
+    const completedLessons = progressStore.get('completedLessons', [])
     return lesson.prerequisites.every(prereqId => completedLessons.includes(prereqId))
   }
 
@@ -338,8 +325,7 @@ class DataManager {
    */
   getNextAvailableLesson() {
     this._ensureInitialized()
-    const storage = getStorage()
-    const completedLessons = JSON.parse(storage.getItem('completedLessons') || '[]')
+    const completedLessons = progressStore.get('completedLessons', [])
     
     // Find first incomplete lesson that has all prerequisites met
     for (const lesson of this.lessons.values()) {
@@ -357,8 +343,7 @@ class DataManager {
    */
   getStatistics() {
     this._ensureInitialized()
-    const storage = getStorage()
-    const completedLessons = JSON.parse(storage.getItem('completedLessons') || '[]')
+    const completedLessons = progressStore.get('completedLessons', [])
     
     return {
       totalLessons: this.lessons.size,
@@ -371,6 +356,24 @@ class DataManager {
     }
   }
 
+  /**
+   * Re-read completion state from storage for every lesson and module.
+   * Lesson objects are shared between the lookup maps, so they are updated in place.
+   */
+  refreshCompletionStatus() {
+    this._ensureInitialized()
+
+    this.lessons.forEach(lesson => {
+      lesson.completionStatus = this._getCompletionStatus(lesson.id)
+    })
+
+    this.modules.forEach(module => {
+      module.completedLessons = this.getLessonsByModule(module.id)
+        .filter(lesson => lesson.completionStatus.completed).length
+      module.progressPercentage = this._calculateModuleProgress(module.completedLessons, module.totalLessons)
+    })
+  }
+
   /**
    * Search lessons by text
    * @param {string} query - Search query
@@ -0,0 +1,243 @@
+/**
+ * Hangul Stroke Order Data
+ * Stroke paths for every basic and compound jamo, and the layout used to
+ * assemble them into syllable blocks
+ *
+ * Each stroke is a polyline of [x, y] points in a 100×100 box, listed in
+ * the direction the stroke is written. Strokes are listed in writing order.
+ */
+
+import {
+  COMPOUND_VOWELS,
+  COMPOUND_FINALS,
+  VOWEL_SHAPES,
+  decomposeSyllable,
+  getVowelShape,
+  isHangulSyllable
+} from '../utils/hangul.js'
+
+// Closed loop for ㅇ and ㅎ, written counter-clockwise from the top
+function circle(cx, cy, r, steps = 24) {
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const angle = (2 * Math.PI * i) / steps
+    return [cx - r * Math.sin(angle), cy - r * Math.cos(angle)]
+  })
+}
+
+// Basic consonants and the vowels that are written as a single letter
+export const JAMO_STROKES = {
+  'ㄱ': [
+    [[22, 22], [76, 22], [76, 82]]
+  ],
+  'ㄴ': [
+    [[26, 18], [26, 78], [80, 78]]
+  ],
+  'ㄷ': [
+    [[24, 22], [76, 22]],
+    [[24, 22], [24, 78], [80, 78]]
+  ],
+  'ㄹ': [
+    [[24, 18], [76, 18], [76, 48]],
+    [[24, 48], [76, 48]],
+    [[24, 48], [24, 82], [80, 82]]
+  ],
+  'ㅁ': [
+    [[24, 22], [24, 78]],
+    [[24, 22], [76, 22], [76, 78]],
+    [[24, 78], [76, 78]]
+  ],
+  'ㅂ': [
+    [[26, 18], [26, 82]],
+    [[74, 18], [74, 82]],
+    [[26, 50], [74, 50]],
+    [[26, 82], [74, 82]]
+  ],
+  'ㅅ': [
+    [[50, 18], [36, 56], [20, 82]],
+    [[44, 46], [60, 66], [80, 82]]
+  ],
+  'ㅇ': [
+    circle(50, 50, 30)
+  ],
+  'ㅈ': [
+    [[22, 22], [74, 22], [46, 56], [22, 82]],
+    [[54, 50], [66, 68], [80, 82]]
+  ],
+  'ㅊ': [
+    [[50, 8], [50, 20]],
+    [[22, 30], [74, 30], [46, 60], [22, 84]],
+    [[54, 56], [66, 72], [80, 84]]
+  ],
+  'ㅋ': [
+    [[22, 22], [76, 22], [76, 82]],
+    [[22, 52], [76, 52]]
+  ],
+  'ㅌ': [
+    [[24, 20], [76, 20]],
+    [[24, 50], [76, 50]],
+    [[24, 20], [24, 80], [80, 80]]
+  ],
+  'ㅍ': [
+    [[18, 22], [82, 22]],
+    [[38, 22], [36, 78]],
+    [[62, 22], [64, 78]],
+    [[14, 78], [86, 78]]
+  ],
+  'ㅎ': [
+    [[50, 8], [50, 20]],
+    [[22, 30], [78, 30]],
+    circle(50, 64, 20)
+  ],
+  'ㅏ': [
+    [[40, 10], [40, 90]],
+    [[40, 50], [70, 50]]
+  ],
+  'ㅐ': [
+    [[30, 10], [30, 90]],
+    [[30, 50], [54, 50]],
+    [[64, 10], [64, 90]]
+  ],
+  'ㅑ': [
+    [[40, 10], [40, 90]],
+    [[40, 38], [70, 38]],
+    [[40, 62], [70, 62]]
+  ],
+  'ㅒ': [
+    [[30, 10], [30, 90]],
+    [[30, 38], [54, 38]],
+    [[30, 62], [54, 62]],
+    [[64, 10], [64, 90]]
+  ],
+  'ㅓ': [
+    [[30, 50], [60, 50]],
+    [[60, 10], [60, 90]]
+  ],
+  'ㅔ': [
+    [[22, 50], [46, 50]],
+    [[46, 10], [46, 90]],
+    [[70, 10], [70, 90]]
+  ],
+  'ㅕ': [
+    [[30, 38], [60, 38]],
+    [[30, 62], [60, 62]],
+    [[60, 10], [60, 90]]
+  ],
+  'ㅖ': [
+    [[22, 38], [46, 38]],
+    [[22, 62], [46, 62]],
+    [[46, 10], [46, 90]],
+    [[70, 10], [70, 90]]
+  ],
+  'ㅗ': [
+    [[50, 34], [50, 62]],
+    [[10, 62], [90, 62]]
+  ],
+  'ㅛ': [
+    [[38, 34], [38, 62]],
+    [[62, 34], [62, 62]],
+    [[10, 62], [90, 62]]
+  ],
+  'ㅜ': [
+    [[10, 40], [90, 40]],
+    [[50, 40], [50, 72]]
+  ],
+  'ㅠ': [
+    [[10, 40], [90, 40]],
+    [[38, 40], [38, 72]],
+    [[62, 40], [62, 72]]
+  ],
+  'ㅡ': [
+    [[10, 52], [90, 52]]
+  ],
+  'ㅣ': [
+    [[50, 10], [50, 90]]
+  ]
+}
+
+// Double consonants written as the same letter twice, side by side
+export const DOUBLE_CONSONANTS = {
+  'ㄲ': ['ㄱ', 'ㄱ'],
+  'ㄸ': ['ㄷ', 'ㄷ'],
+  'ㅃ': ['ㅂ', 'ㅂ'],
+  'ㅆ': ['ㅅ', 'ㅅ'],
+  'ㅉ': ['ㅈ', 'ㅈ']
+}
+
+// Regions of a syllable block as { x, y, width, height } in the 100×100 box
+const SYLLABLE_LAYOUTS = {
+  [VOWEL_SHAPES.VERTICAL]: {
+    open: { initial: [4, 14, 54, 72], medial: [52, 4, 44, 92] },
+    closed: { initial: [4, 4, 54, 52], medial: [52, 0, 44, 62], final: [18, 62, 64, 36] }
+  },
+  [VOWEL_SHAPES.HORIZONTAL]: {
+    open: { initial: [18, 2, 64, 50], medial: [4, 34, 92, 64] },
+    closed: { initial: [20, 0, 60, 36], medial: [4, 18, 92, 44], final: [20, 62, 60, 36] }
+  },
+  [VOWEL_SHAPES.MIXED]: {
+    open: { initial: [6, 2, 50, 46], medial: [2, 4, 96, 92] },
+    closed: { initial: [8, 0, 46, 34], medial: [2, 0, 96, 62], final: [20, 62, 60, 36] }
+  }
+}
+
+/**
+ * Get the stroke paths for a jamo or a precomposed syllable block
+ * @param {string} char - Single jamo (basic, double, compound) or syllable
+ * @returns {Array<Array<[number, number]>>|null} Strokes in writing order,
+ *   or null when the character has no stroke data
+ */
+export function getCharacterStrokes(char) {
+  if (!char) return null
+
+  if (isHangulSyllable(char)) {
+    const { initial, medial, final } = decomposeSyllable(char)
+    const layout = SYLLABLE_LAYOUTS[getVowelShape(medial)][final ? 'closed' : 'open']
+    const parts = [[initial, layout.initial], [medial, layout.medial]]
+    if (final) parts.push([final, layout.final])
+
+    return parts.flatMap(([jamo, region]) => placeStrokes(getJamoStrokes(jamo), region))
+  }
+
+  return getJamoStrokes(char)
+}
+
+/**
+ * Check whether stroke data exists for every character in a string
+ * @param {string} text - Jamo and syllables to write
+ * @returns {boolean}
+ */
+export function hasStrokeData(text) {
+  return [...(text || '')].every(char => getCharacterStrokes(char) !== null)
+}
+
+// Helper functions
+
+function getJamoStrokes(jamo) {
+  if (JAMO_STROKES[jamo]) return JAMO_STROKES[jamo]
+
+  const pair = DOUBLE_CONSONANTS[jamo] || COMPOUND_FINALS[jamo]
+  if (pair) {
+    return [
+      ...placeStrokes(getJamoStrokes(pair[0]), [0, 6, 52, 88]),
+      ...placeStrokes(getJamoStrokes(pair[1]), [48, 6, 52, 88])
+    ]
+  }
+
+  // Compound vowels: the horizontal part sits low on the left, the
+  // vertical part takes the right-hand side
+  const vowels = COMPOUND_VOWELS[jamo]
+  if (vowels) {
+    return [
+      ...placeStrokes(getJamoStrokes(vowels[0]), [0, 12, 66, 88]),
+      ...placeStrokes(getJamoStrokes(vowels[1]), [44, 0, 56, 100])
+    ]
+  }
+
+  return null
+}
+
+function placeStrokes(strokes, [x, y, width, height]) {
+  if (!strokes) return null
+  return strokes.map(stroke =>
+    stroke.map(([px, py]) => [x + (px * width) / 100, y + (py * height) / 100])
+  )
+}
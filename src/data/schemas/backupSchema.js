@@ -0,0 +1,169 @@
+// JSON Schema for learner data backups
+const isoTimestamp = {
+  type: "string",
+  minLength: 1,
+  description: "Date string accepted by Date.parse"
+}
+
+const exerciseResultSchema = {
+  type: "object",
+  properties: {
+    exerciseType: { type: "string" },
+    lastScore: { type: "number", minimum: 0, maximum: 100 },
+    bestScore: { type: "number", minimum: 0, maximum: 100 },
+    attempts: { type: "integer", minimum: 0 },
+    passed: { type: "boolean" },
+    timeSpent: { type: "number", minimum: 0 },
+    firstPassedAt: { type: ["string", "null"] },
+    lastAttemptAt: { type: ["string", "null"] }
+  },
+  required: ["bestScore", "attempts", "passed"]
+}
+
+const srsItemSchema = {
+  type: "object",
+  properties: {
+    type: { type: "string" },
+    lessonId: { type: "string" },
+    ease: { type: "number", minimum: 1 },
+    interval: { type: "number", minimum: 0 },
+    repetitions: { type: "integer", minimum: 0 },
+    lapses: { type: "integer", minimum: 0 },
+    due: isoTimestamp,
+    lastReviewed: { type: ["string", "null"] },
+    lastGrade: { type: ["string", "null"] }
+  },
+  required: ["ease", "interval", "repetitions", "due"]
+}
+
+export const BACKUP_FORMAT = "korean-learning-backup"
+
+export const backupSchema = {
+  type: "object",
+  properties: {
+    format: {
+      const: BACKUP_FORMAT,
+      description: "Marks the file as a Korean learning backup"
+    },
+    formatVersion: {
+      type: "integer",
+      minimum: 1,
+      description: "Version of the backup format"
+    },
+    exportedAt: isoTimestamp,
+    storageSchemaVersion: {
+      type: "string",
+      pattern: "^\\d+\\.\\d+\\.\\d+$",
+      description: "Storage layout the data was exported from"
+    },
+    data: {
+      type: "object",
+      properties: {
+        progress: {
+          type: "object",
+          properties: {
+            lessons: {
+              type: "object",
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  exercises: {
+                    type: "object",
+                    additionalProperties: exerciseResultSchema
+                  },
+                  completed: { type: "boolean" },
+                  completedAt: { type: ["string", "null"] },
+                  averageScore: { type: ["number", "null"] }
+                },
+                required: ["exercises", "completed"]
+              }
+            },
+            completedLessons: {
+              type: "array",
+              items: { type: "string" },
+              uniqueItems: true
+            },
+            exerciseScores: {
+              type: "object",
+              additionalProperties: { type: "number", minimum: 0, maximum: 100 }
+            },
+            srs: {
+              type: "object",
+              properties: {
+                items: {
+                  type: "object",
+                  additionalProperties: srsItemSchema
+                },
+                history: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      itemId: { type: "string" },
+                      grade: { type: "string", enum: ["again", "hard", "good", "easy"] },
+                      timestamp: isoTimestamp
+                    },
+                    required: ["itemId", "grade", "timestamp"]
+                  }
+                }
+              }
+            },
+            analytics: {
+              type: "object",
+              description: "Progress analytics, including streak dates, achievements and badges",
+              properties: {
+                studyDates: { type: "array", items: { type: "string" } },
+                lastStudyDate: { type: "string" },
+                totalTimeSpent: { type: "number", minimum: 0 },
+                achievements: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: { id: { type: "string" } },
+                    required: ["id"]
+                  }
+                },
+                badges: { type: "array", items: { type: "string" } }
+              }
+            },
+            performance: {
+              type: "object",
+              properties: {
+                entries: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      id: { type: "string" },
+                      score: { type: "number" },
+                      timestamp: isoTimestamp
+                    },
+                    required: ["id", "score", "timestamp"]
+                  }
+                }
+              }
+            }
+          }
+        },
+        settings: {
+          type: "object",
+          properties: {
+            theme: { type: "string", enum: ["light", "dark"] },
+            audioEnabled: { type: "boolean" },
+            audioVolume: { type: "number", minimum: 0, maximum: 100 },
+            autoPlay: { type: "boolean" },
+            showRomanization: { type: "boolean" },
+            dailyGoal: { type: "number", minimum: 5, maximum: 120 },
+            shadowingGapFactor: { type: "number", minimum: 1, maximum: 3 },
+            shadowingRecord: { type: "boolean" },
+            shortcuts: { type: "object" },
+            highContrast: { type: "object" },
+            focus: { type: "object" }
+          }
+        }
+      },
+      required: ["progress", "settings"]
+    }
+  },
+  required: ["format", "formatVersion", "exportedAt", "data"]
+}
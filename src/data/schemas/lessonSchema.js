@@ -25,7 +25,7 @@ export const lessonSchema = {
           },
           category: {
             type: "string",
-            enum: ["vocabulary", "grammar", "pronunciation", "culture"],
+            enum: ["vocabulary", "grammar", "pronunciation", "culture", "business-culture"],
             description: "Lesson category"
           },
           description: {
@@ -88,58 +88,650 @@ export const lessonSchema = {
                       type: "string",
                       pattern: "^/assets/audio/.*\\.(mp3|ogg|wav)$",
                       description: "Audio file path"
+                    },
+                    culturalNote: {
+                      type: "string",
+                      minLength: 1,
+                      description: "Cultural background for the example"
+                    }
+                  },
+                  required: ["korean", "romanization", "translation", "audio"],
+                  additionalProperties: false
+                },
+                description: "Array of lesson examples"
+              },
+              media: {
+                type: "object",
+                properties: {
+                  image: {
+                    oneOf: [
+                      { type: "null" },
+                      {
+                        type: "string",
+                        pattern: "^/assets/images/.*\\.(jpg|jpeg|png|webp|gif|svg)$"
+                      }
+                    ],
+                    description: "Image file path or null"
+                  },
+                  video: {
+                    oneOf: [
+                      { type: "null" },
+                      {
+                        type: "string",
+                        pattern: "^/assets/videos/.*\\.(mp4|webm|ogg)$"
+                      }
+                    ],
+                    description: "Video file path or null"
+                  },
+                  subtitles: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        src: { type: "string", pattern: "^/assets/videos/.*\\.vtt$" },
+                        srclang: { type: "string", enum: ["ko", "en"] },
+                        label: { type: "string", minLength: 1 }
+                      },
+                      required: ["src", "srclang"],
+                      additionalProperties: false
+                    },
+                    description: "WebVTT caption tracks for the video"
+                  },
+                  culturalArticles: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        title: { type: "string", minLength: 1 },
+                        url: { type: "string", pattern: "^/assets/articles/.*\\.html$" },
+                        summary: { type: "string", minLength: 1 }
+                      },
+                      required: ["title", "url"],
+                      additionalProperties: false
+                    },
+                    description: "Further reading for culture lessons"
+                  },
+                  music: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        title: { type: "string", minLength: 1 },
+                        url: { type: "string", pattern: "^/assets/audio/.*\\.(mp3|ogg|wav)$" },
+                        description: { type: "string", minLength: 1 }
+                      },
+                      required: ["title", "url"],
+                      additionalProperties: false
+                    },
+                    description: "Music and audio recordings for culture lessons"
+                  }
+                },
+                required: ["image", "video"],
+                additionalProperties: false
+              }
+            },
+            required: ["text", "examples", "media"],
+            additionalProperties: false
+          },
+          exercises: {
+            type: "array",
+            items: {
+              oneOf: [
+                {
+                  // Quiz exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "quiz" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    questions: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          question: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          options: {
+                            type: "array",
+                            minItems: 2,
+                            maxItems: 6,
+                            items: {
+                              type: "string",
+                              minLength: 1
+                            }
+                          },
+                          correctAnswer: {
+                            type: "string",
+                            minLength: 1
+                          }
+                        },
+                        required: ["question", "options", "correctAnswer"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "questions"],
+                  additionalProperties: false
+                },
+                {
+                  // Flashcard exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "flashcard" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    cards: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          front: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          back: {
+                            type: "string",
+                            minLength: 1
+                          }
+                        },
+                        required: ["front", "back"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "cards"],
+                  additionalProperties: false
+                },
+                {
+                  // Pronunciation exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "pronunciation" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    audio: {
+                      type: "string",
+                      pattern: "^/assets/audio/.*\\.(mp3|ogg|wav)$"
+                    },
+                    text: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    }
+                  },
+                  required: ["type", "title", "audio", "text", "instructions"],
+                  additionalProperties: false
+                },
+                {
+                  // Writing (stroke order) exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "writing" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    characters: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        // A single jamo or syllable block
+                        type: "string",
+                        pattern: "^[\\u3131-\\u3163\\uAC00-\\uD7A3]$"
+                      }
+                    }
+                  },
+                  required: ["type", "title", "characters"],
+                  additionalProperties: false
+                },
+                {
+                  // Syllable block builder exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "syllable-builder" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    targets: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          syllable: { type: "string", pattern: "^[\\uAC00-\\uD7A3]$" },
+                          romanization: { type: "string", minLength: 1 },
+                          translation: { type: "string", minLength: 1 }
+                        },
+                        required: ["syllable"],
+                        additionalProperties: false
+                      }
+                    },
+                    consonants: {
+                      // Letter tiles to offer instead of the basic consonants
+                      type: "array",
+                      items: { type: "string", pattern: "^[\\u3131-\\u314E]$" }
+                    },
+                    vowels: {
+                      // Letter tiles to offer instead of the basic vowels
+                      type: "array",
+                      items: { type: "string", pattern: "^[\\u314F-\\u3163]$" }
+                    }
+                  },
+                  required: ["type", "title", "targets"],
+                  additionalProperties: false
+                },
+                {
+                  // Dictation exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "dictation" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    maxReplays: {
+                      type: "integer",
+                      minimum: 0,
+                      maximum: 10
+                    },
+                    items: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          // Spoken with speech synthesis when there is no recording
+                          audio: {
+                            type: "string",
+                            pattern: "^/assets/audio/.*\\.(mp3|ogg|wav)$"
+                          },
+                          text: { type: "string", minLength: 1 },
+                          translation: { type: "string", minLength: 1 }
+                        },
+                        required: ["text"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "items"],
+                  additionalProperties: false
+                },
+                {
+                  // Conjugation drill exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "conjugation" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    stems: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          verb: { type: "string", pattern: "^[\\uAC00-\\uD7A3]+다$" },
+                          meaning: { type: "string", minLength: 1 },
+                          // Only needed where the stem could go either way (굽다: to roast / to bend)
+                          irregular: { enum: ["regular", "b", "d", "s", "reu", "h", "eu"] }
+                        },
+                        required: ["verb", "meaning"],
+                        additionalProperties: false
+                      }
+                    },
+                    forms: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        oneOf: [
+                          {
+                            type: "object",
+                            properties: {
+                              tense: { enum: ["present", "past", "future"] },
+                              level: { enum: ["polite", "formal", "casual"] }
+                            },
+                            required: ["tense", "level"],
+                            additionalProperties: false
+                          },
+                          {
+                            type: "object",
+                            properties: {
+                              connective: { enum: ["and", "but", "so", "if", "because", "while"] }
+                            },
+                            required: ["connective"],
+                            additionalProperties: false
+                          }
+                        ]
+                      }
+                    },
+                    questionCount: {
+                      type: "integer",
+                      minimum: 1,
+                      maximum: 50
+                    }
+                  },
+                  required: ["type", "title", "stems"],
+                  additionalProperties: false
+                },
+                {
+                  // Particle exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "particle" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    particles: {
+                      type: "array",
+                      minItems: 1,
+                      uniqueItems: true,
+                      items: { enum: ["topic", "subject", "object", "and", "direction"] }
+                    },
+                    // Falls back to the single-word examples of the lesson when omitted
+                    words: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          word: { type: "string", pattern: "^[\\uAC00-\\uD7A3]+$" },
+                          meaning: { type: "string", minLength: 1 }
+                        },
+                        required: ["word"],
+                        additionalProperties: false
+                      }
+                    },
+                    questionCount: {
+                      type: "integer",
+                      minimum: 1,
+                      maximum: 50
+                    }
+                  },
+                  required: ["type", "title"],
+                  additionalProperties: false
+                },
+                {
+                  // Numbers exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "numbers" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    categories: {
+                      type: "array",
+                      minItems: 1,
+                      uniqueItems: true,
+                      items: { enum: ["sino", "native", "counters", "time", "date"] }
+                    },
+                    modes: {
+                      type: "array",
+                      minItems: 1,
+                      uniqueItems: true,
+                      items: { enum: ["listening", "typing"] }
+                    },
+                    // Upper bound for Sino-Korean drills; native ones stop at 99
+                    maxNumber: {
+                      type: "integer",
+                      minimum: 10,
+                      maximum: 100000000
+                    },
+                    counters: {
+                      type: "array",
+                      minItems: 1,
+                      uniqueItems: true,
+                      items: { enum: ["개", "명", "살", "시", "분", "원"] }
+                    },
+                    questionCount: {
+                      type: "integer",
+                      minimum: 1,
+                      maximum: 50
+                    }
+                  },
+                  required: ["type", "title"],
+                  additionalProperties: false
+                },
+                {
+                  // Typing exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "typing" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    texts: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          korean: { type: "string", minLength: 1 },
+                          romanization: { type: "string", minLength: 1 },
+                          translation: { type: "string", minLength: 1 }
+                        },
+                        required: ["korean", "romanization", "translation"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "texts"],
+                  additionalProperties: false
+                },
+                {
+                  // Listening exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "listening" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    audioUrl: {
+                      type: "string",
+                      pattern: "^/assets/audio/.*\\.(mp3|ogg|wav)$"
+                    },
+                    transcript: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    // Time-coded transcript lines, in seconds from the start of the audio
+                    segments: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          start: { type: "number", minimum: 0 },
+                          end: { type: "number", exclusiveMinimum: 0 },
+                          text: { type: "string", minLength: 1 },
+                          translation: { type: "string", minLength: 1 }
+                        },
+                        required: ["start", "end", "text"],
+                        additionalProperties: false
+                      }
+                    },
+                    defaultSpeed: {
+                      type: "number",
+                      minimum: 0.5,
+                      maximum: 1.5
+                    },
+                    questions: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          question: { type: "string", minLength: 1 },
+                          type: { enum: ["multiple-choice", "text"] },
+                          options: {
+                            type: "array",
+                            minItems: 2,
+                            items: { type: "string", minLength: 1 }
+                          },
+                          correctAnswer: { type: "string", minLength: 1 },
+                          hint: { type: "string", minLength: 1 }
+                        },
+                        required: ["question", "type", "correctAnswer"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "audioUrl", "questions"],
+                  additionalProperties: false
+                },
+                {
+                  // Fill-in-the-blank exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "fill-in-the-blank" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    questions: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          sentence: {
+                            type: "string",
+                            pattern: "___"
+                          },
+                          correctAnswer: { type: "string", minLength: 1 },
+                          hint: { type: "string", minLength: 1 },
+                          translation: { type: "string", minLength: 1 }
+                        },
+                        required: ["sentence", "correctAnswer"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "questions"],
+                  additionalProperties: false
+                },
+                {
+                  // Drag-and-drop sentence building exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "drag-drop" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    questions: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          instruction: { type: "string", minLength: 1 },
+                          words: {
+                            type: "array",
+                            minItems: 2,
+                            items: { type: "string", minLength: 1 }
+                          },
+                          correctOrder: {
+                            type: "array",
+                            minItems: 2,
+                            items: { type: "string", minLength: 1 }
+                          },
+                          translation: { type: "string", minLength: 1 },
+                          context: { type: "string", minLength: 1 }
+                        },
+                        required: ["instruction", "words", "correctOrder"],
+                        additionalProperties: false
+                      }
                     }
                   },
-                  required: ["korean", "romanization", "translation", "audio"],
+                  required: ["type", "title", "questions"],
                   additionalProperties: false
                 },
-                description: "Array of lesson examples"
-              },
-              media: {
-                type: "object",
-                properties: {
-                  image: {
-                    oneOf: [
-                      { type: "null" },
-                      {
-                        type: "string",
-                        pattern: "^/assets/images/.*\\.(jpg|jpeg|png|webp|gif)$"
-                      }
-                    ],
-                    description: "Image file path or null"
-                  },
-                  video: {
-                    oneOf: [
-                      { type: "null" },
-                      {
-                        type: "string",
-                        pattern: "^/assets/videos/.*\\.(mp4|webm|ogg)$"
-                      }
-                    ],
-                    description: "Video file path or null"
-                  }
-                },
-                required: ["image", "video"],
-                additionalProperties: false
-              }
-            },
-            required: ["text", "examples", "media"],
-            additionalProperties: false
-          },
-          exercises: {
-            type: "array",
-            items: {
-              oneOf: [
                 {
-                  // Quiz exercise
+                  // Cultural quiz exercise
                   type: "object",
                   properties: {
-                    type: { const: "quiz" },
+                    type: { const: "cultural-quiz" },
                     title: {
                       type: "string",
                       minLength: 1,
                       maxLength: 100
                     },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
                     questions: {
                       type: "array",
                       minItems: 1,
@@ -162,6 +754,10 @@ export const lessonSchema = {
                           correctAnswer: {
                             type: "string",
                             minLength: 1
+                          },
+                          culturalExplanation: {
+                            type: "string",
+                            minLength: 1
                           }
                         },
                         required: ["question", "options", "correctAnswer"],
@@ -173,68 +769,339 @@ export const lessonSchema = {
                   additionalProperties: false
                 },
                 {
-                  // Flashcard exercise
+                  // Cultural matching exercise
                   type: "object",
                   properties: {
-                    type: { const: "flashcard" },
+                    type: { const: "cultural-matching" },
                     title: {
                       type: "string",
                       minLength: 1,
                       maxLength: 100
                     },
-                    cards: {
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    pairs: {
                       type: "array",
-                      minItems: 1,
+                      minItems: 2,
                       items: {
                         type: "object",
                         properties: {
-                          front: {
+                          tradition: {
                             type: "string",
                             minLength: 1
                           },
-                          back: {
+                          meaning: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          explanation: {
                             type: "string",
                             minLength: 1
                           }
                         },
-                        required: ["front", "back"],
+                        required: ["tradition", "meaning"],
                         additionalProperties: false
                       }
                     }
                   },
-                  required: ["type", "title", "cards"],
+                  required: ["type", "title", "pairs"],
                   additionalProperties: false
                 },
                 {
-                  // Pronunciation exercise
+                  // Media comprehension exercise
                   type: "object",
                   properties: {
-                    type: { const: "pronunciation" },
+                    type: { const: "media-comprehension" },
                     title: {
                       type: "string",
                       minLength: 1,
                       maxLength: 100
                     },
-                    audio: {
+                    instructions: {
                       type: "string",
-                      pattern: "^/assets/audio/.*\\.(mp3|ogg|wav)$"
+                      minLength: 1
                     },
-                    text: {
+                    mediaUrl: {
+                      type: "string",
+                      pattern: "^/assets/(videos|audio)/.*\\.(mp4|webm|ogg|mp3|wav)$"
+                    },
+                    questions: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        oneOf: [
+                          {
+                            type: "object",
+                            properties: {
+                              question: { type: "string", minLength: 1 },
+                              type: { const: "multiple-select" },
+                              options: {
+                                type: "array",
+                                minItems: 2,
+                                items: { type: "string", minLength: 1 }
+                              },
+                              correctAnswers: {
+                                type: "array",
+                                minItems: 1,
+                                items: { type: "string", minLength: 1 }
+                              },
+                              explanation: { type: "string", minLength: 1 }
+                            },
+                            required: ["question", "type", "options", "correctAnswers"],
+                            additionalProperties: false
+                          },
+                          {
+                            type: "object",
+                            properties: {
+                              question: { type: "string", minLength: 1 },
+                              type: { const: "multiple-choice" },
+                              options: {
+                                type: "array",
+                                minItems: 2,
+                                items: { type: "string", minLength: 1 }
+                              },
+                              correctAnswer: { type: "string", minLength: 1 },
+                              explanation: { type: "string", minLength: 1 }
+                            },
+                            required: ["question", "type", "options", "correctAnswer"],
+                            additionalProperties: false
+                          },
+                          {
+                            type: "object",
+                            properties: {
+                              question: { type: "string", minLength: 1 },
+                              type: { const: "text" },
+                              correctAnswer: { type: "string", minLength: 1 },
+                              explanation: { type: "string", minLength: 1 }
+                            },
+                            required: ["question", "type", "correctAnswer"],
+                            additionalProperties: false
+                          }
+                        ]
+                      }
+                    }
+                  },
+                  required: ["type", "title", "mediaUrl", "questions"],
+                  additionalProperties: false
+                },
+                {
+                  // Scenario analysis exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "scenario-analysis" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
+                      type: "string",
+                      minLength: 1
+                    },
+                    scenarios: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          situation: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          options: {
+                            type: "array",
+                            minItems: 2,
+                            maxItems: 6,
+                            items: {
+                              type: "string",
+                              minLength: 1
+                            }
+                          },
+                          correctAnswer: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          explanation: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          culturalInsight: {
+                            type: "string",
+                            minLength: 1
+                          }
+                        },
+                        required: ["situation", "options", "correctAnswer", "explanation"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "scenarios"],
+                  additionalProperties: false
+                },
+                {
+                  // Cultural vocabulary exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "cultural-vocabulary" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
+                    instructions: {
                       type: "string",
                       minLength: 1
                     },
+                    terms: {
+                      type: "array",
+                      minItems: 2,
+                      items: {
+                        type: "object",
+                        properties: {
+                          korean: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          romanization: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          translation: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          culturalContext: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          usageExample: {
+                            type: "string",
+                            minLength: 1
+                          }
+                        },
+                        required: ["korean", "romanization", "translation", "culturalContext"],
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  required: ["type", "title", "terms"],
+                  additionalProperties: false
+                },
+                {
+                  // Role-play exercise
+                  type: "object",
+                  properties: {
+                    type: { const: "role-play" },
+                    title: {
+                      type: "string",
+                      minLength: 1,
+                      maxLength: 100
+                    },
                     instructions: {
                       type: "string",
                       minLength: 1
+                    },
+                    rolePlayScenarios: {
+                      type: "array",
+                      minItems: 1,
+                      items: {
+                        type: "object",
+                        properties: {
+                          context: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          yourRole: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          situation: {
+                            type: "string",
+                            minLength: 1
+                          },
+                          appropriateResponses: {
+                            type: "array",
+                            minItems: 1,
+                            items: {
+                              type: "string",
+                              minLength: 1
+                            }
+                          },
+                          inappropriateResponses: {
+                            type: "array",
+                            items: {
+                              type: "string",
+                              minLength: 1
+                            }
+                          },
+                          culturalGuidance: {
+                            type: "string",
+                            minLength: 1
+                          }
+                        },
+                        required: ["context", "yourRole", "situation", "appropriateResponses", "inappropriateResponses"],
+                        additionalProperties: false
+                      }
                     }
                   },
-                  required: ["type", "title", "audio", "text", "instructions"],
+                  required: ["type", "title", "rolePlayScenarios"],
                   additionalProperties: false
                 }
               ]
             },
             minItems: 1,
             description: "Array of lesson exercises"
+          },
+          culturalContext: {
+            type: "object",
+            additionalProperties: {
+              type: "string",
+              minLength: 1
+            },
+            description: "Cultural background notes keyed by topic"
+          },
+          feedback: {
+            type: "object",
+            properties: {
+              enabled: { type: "boolean" },
+              categories: {
+                type: "array",
+                items: { type: "string", minLength: 1 }
+              },
+              questions: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    id: { type: "string", minLength: 1 },
+                    question: { type: "string", minLength: 1 },
+                    type: { enum: ["rating", "boolean", "text"] },
+                    scale: { type: "integer", minimum: 2 }
+                  },
+                  required: ["id", "question", "type"],
+                  additionalProperties: false
+                }
+              }
+            },
+            required: ["enabled"],
+            additionalProperties: false,
+            description: "Learner feedback form for the lesson"
+          },
+          version: {
+            type: "string",
+            description: "Content version"
+          },
+          lastUpdated: {
+            type: "string",
+            pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+            description: "Date the content was last revised (YYYY-MM-DD)"
+          },
+          contentMetrics: {
+            type: "object",
+            additionalProperties: { type: "boolean" },
+            description: "Analytics switches for the lesson"
           }
         },
         required: [
@@ -294,6 +1161,10 @@ export const lessonSchema = {
       },
       minItems: 1,
       description: "Array of modules"
+    },
+    contentQuality: {
+      type: "object",
+      description: "Course-wide content quality and analytics settings"
     }
   },
   required: ["lessons", "modules"],
@@ -365,7 +1236,7 @@ export const customValidations = {
     
     data.lessons.forEach(lesson => {
       lesson.exercises.forEach((exercise, exerciseIndex) => {
-        if (exercise.type === 'quiz') {
+        if (exercise.type === 'quiz' || exercise.type === 'cultural-quiz') {
           exercise.questions.forEach((question, questionIndex) => {
             if (!question.options.includes(question.correctAnswer)) {
               errors.push({
@@ -375,6 +1246,44 @@ export const customValidations = {
             }
           })
         }
+
+        if (exercise.type === 'scenario-analysis') {
+          exercise.scenarios.forEach((scenario, scenarioIndex) => {
+            if (!scenario.options.includes(scenario.correctAnswer)) {
+              errors.push({
+                path: `lessons[${lesson.id}].exercises[${exerciseIndex}].scenarios[${scenarioIndex}]`,
+                message: `Correct answer '${scenario.correctAnswer}' is not in the options array`
+              })
+            }
+          })
+        }
+
+        if (exercise.type === 'listening') {
+          exercise.questions.forEach((question, questionIndex) => {
+            if (question.type === 'multiple-choice' && !(question.options || []).includes(question.correctAnswer)) {
+              errors.push({
+                path: `lessons[${lesson.id}].exercises[${exerciseIndex}].questions[${questionIndex}]`,
+                message: `Correct answer '${question.correctAnswer}' is not in the options array`
+              })
+            }
+          })
+        }
+
+        if (exercise.type === 'media-comprehension') {
+          exercise.questions.forEach((question, questionIndex) => {
+            const expected = question.type === 'multiple-select'
+              ? question.correctAnswers
+              : question.type === 'multiple-choice' ? [question.correctAnswer] : []
+            expected.forEach(answer => {
+              if (!question.options.includes(answer)) {
+                errors.push({
+                  path: `lessons[${lesson.id}].exercises[${exerciseIndex}].questions[${questionIndex}]`,
+                  message: `Correct answer '${answer}' is not in the options array`
+                })
+              }
+            })
+          })
+        }
       })
     })
     
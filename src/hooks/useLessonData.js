@@ -0,0 +1,61 @@
+/**
+ * Lesson Data Hook
+ * Initializes the shared DataManager with the bundled lesson data and keeps
+ * completion state fresh for the components that read from it
+ */
+
+import { useState, useEffect } from 'react'
+import { dataManager } from '../data/dataManager.js'
+import lessonsData from '../data/lessons.json'
+
+/**
+ * Make sure the DataManager singleton is ready to use
+ * @returns {Promise<DataManager>} - The initialized data manager
+ */
+export const ensureDataManager = async () => {
+  if (!dataManager.isInitialized) {
+    await dataManager.initialize(lessonsData)
+  }
+  return dataManager
+}
+
+/**
+ * Custom hook giving components access to the initialized DataManager
+ * @returns {Object} - { dataManager, isLoading, error }
+ */
+export const useLessonData = () => {
+  const [state, setState] = useState({
+    isLoading: !dataManager.isInitialized,
+    error: null,
+    lastRefreshed: null
+  })
+
+  useEffect(() => {
+    let cancelled = false
+
+    ensureDataManager()
+      .then(manager => {
+        // Progress may have changed since the data was first loaded
+        manager.refreshCompletionStatus()
+        if (!cancelled) {
+          setState({ isLoading: false, error: null, lastRefreshed: Date.now() })
+        }
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setState({ isLoading: false, error, lastRefreshed: null })
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  return {
+    dataManager,
+    ...state
+  }
+}
+
+export default useLessonData
@@ -0,0 +1,32 @@
+/**
+ * Online Status Hook
+ * Tracks whether the browser has a network connection
+ */
+
+import { useState, useEffect } from 'react'
+import { isOnline } from '../utils/offlineCache.js'
+
+/**
+ * Custom hook returning the current connection state
+ * @returns {boolean} - True while online
+ */
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(isOnline)
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true)
+    const handleOffline = () => setOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  return online
+}
+
+export default useOnlineStatus
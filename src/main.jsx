@@ -3,24 +3,35 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
+import { SettingsProvider } from './components/SettingsProvider.jsx'
 import { globalPerformanceMonitor } from './utils/performanceMonitor.js'
 import { globalErrorTracker } from './utils/errorTracker.js'
+import storage from './utils/storage.js'
+import { registerServiceWorker } from './utils/offlineCache.js'
 import './styles/index.css'
 
 // Initialize performance monitoring and error tracking
 globalPerformanceMonitor
 globalErrorTracker
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <ErrorBoundary
-      componentName="Application Root"
-      title="Application Error"
-      message="The Korean learning application encountered a critical error. Please refresh the page to continue."
-    >
-      <BrowserRouter>
-        <App />
-      </BrowserRouter>
-    </ErrorBoundary>
-  </React.StrictMode>,
-)
\ No newline at end of file
+// Cache the app shell and lesson media for offline use
+registerServiceWorker()
+
+// Stored progress and settings are read synchronously, so load them before rendering
+storage.initialize().then(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <ErrorBoundary
+        componentName="Application Root"
+        title="Application Error"
+        message="The Korean learning application encountered a critical error. Please refresh the page to continue."
+      >
+        <BrowserRouter>
+          <SettingsProvider>
+            <App />
+          </SettingsProvider>
+        </BrowserRouter>
+      </ErrorBoundary>
+    </React.StrictMode>,
+  )
+})
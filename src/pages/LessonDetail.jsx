@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import FillInTheBlankExercise from '../components/exercises/FillInTheBlankExercise'
 import DragDropExercise from '../components/exercises/DragDropExercise'
@@ -6,45 +6,138 @@ import ListeningExercise from '../components/exercises/ListeningExercise'
 import TypingExercise from '../components/exercises/TypingExercise'
 import QuizExercise from '../components/exercises/QuizExercise'
 import FlashcardExercise from '../components/exercises/FlashcardExercise'
+import CulturalQuizExercise from '../components/exercises/CulturalQuizExercise'
+import CulturalMatchingExercise from '../components/exercises/CulturalMatchingExercise'
+import MediaComprehensionExercise from '../components/exercises/MediaComprehensionExercise'
+import ScenarioAnalysisExercise from '../components/exercises/ScenarioAnalysisExercise'
+import CulturalVocabularyExercise from '../components/exercises/CulturalVocabularyExercise'
+import RolePlayExercise from '../components/exercises/RolePlayExercise'
+import PronunciationExercise from '../components/exercises/PronunciationExercise'
+import WritingExercise from '../components/exercises/WritingExercise'
+import SyllableBuilderExercise from '../components/exercises/SyllableBuilderExercise'
+import DictationExercise from '../components/exercises/DictationExercise'
+import ConjugationExercise from '../components/exercises/ConjugationExercise'
+import ParticleExercise from '../components/exercises/ParticleExercise'
+import NumbersExercise from '../components/exercises/NumbersExercise'
+import PronunciationNote from '../components/PronunciationNote'
+import ShadowingMode from '../components/ShadowingMode'
+import LessonVideo from '../components/LessonVideo'
+import spacedRepetition from '../utils/spacedRepetition'
+import lessonProgress, { PASSING_SCORE, OPTIONAL_EXERCISE_TYPES, getRequiredExerciseIndexes } from '../utils/lessonProgress'
+import progressAnalytics from '../utils/progressAnalytics'
+import { recordExercisePerformance } from '../utils/performanceTracking'
+import { getShadowingSources } from '../utils/shadowing'
+import koreanTTS from '../utils/koreanTextToSpeech'
+import { useSettings } from '../components/SettingsProvider'
 import lessonsData from '../data/lessons.json'
 
 const LessonDetail = () => {
   const { lessonId } = useParams()
   const [lesson, setLesson] = useState(null)
-  const [activeExercise, setActiveExercise] = useState(null)
-  const [exerciseProgress, setExerciseProgress] = useState({})
+  const [activeExerciseIndex, setActiveExerciseIndex] = useState(null)
+  const [completedExerciseIndex, setCompletedExerciseIndex] = useState(null)
+  const [progress, setProgress] = useState(() => lessonProgress.getLessonProgress(lessonId))
+  const [justCompleted, setJustCompleted] = useState(false)
+  const [isShadowing, setIsShadowing] = useState(false)
+  const exampleAudioRef = useRef(null)
+  const { settings } = useSettings()
 
   useEffect(() => {
     // Load lesson data from JSON
     const foundLesson = lessonsData.lessons.find(l => l.id === lessonId)
+    setLesson(foundLesson || null)
+    setActiveExerciseIndex(null)
+    setCompletedExerciseIndex(null)
+    setIsShadowing(false)
+    setProgress(lessonProgress.getLessonProgress(lessonId))
+    setJustCompleted(false)
+
     if (foundLesson) {
-      setLesson(foundLesson)
+      // Start scheduling this lesson's flashcards and examples
+      spacedRepetition.registerLessonItems(foundLesson)
+      progressAnalytics.trackLessonStart(foundLesson.id, {
+        difficulty: foundLesson.level,
+        category: foundLesson.category
+      })
     }
   }, [lessonId])
 
-  const handleExerciseComplete = (exerciseData) => {
-    console.log('Exercise completed:', exerciseData)
-    // Store completion data for gamification features
-    setExerciseProgress(prev => ({
-      ...prev,
-      [activeExercise.type]: {
-        ...exerciseData,
-        completedAt: new Date().toISOString()
-      }
-    }))
+  const handleAudioPlay = (example) => {
+    if (!settings.audioEnabled) return
+    exampleAudioRef.current?.pause()
+
+    // Fall back to speech synthesis when the recording is missing
+    if (!example.audio) {
+      koreanTTS.speakWord(example.korean).catch(() => {})
+      return
+    }
+
+    const audio = new Audio(example.audio)
+    audio.volume = settings.audioVolume / 100
+    exampleAudioRef.current = audio
+    audio.play().catch(() => koreanTTS.speakWord(example.korean).catch(() => {}))
+  }
+
+  // With Auto-play on, say the first example as soon as a lesson opens or
+  // Auto-play is switched on; switching audio off stops it
+  useEffect(() => {
+    const firstExample = lesson?.content.examples[0]
+    if (firstExample && settings.autoPlay && settings.audioEnabled) {
+      handleAudioPlay(firstExample)
+    }
+
+    return () => {
+      exampleAudioRef.current?.pause()
+      koreanTTS.stop()
+    }
+  }, [lesson, settings.autoPlay, settings.audioEnabled])
+
+  // Volume changes apply to an example that is already playing
+  useEffect(() => {
+    if (exampleAudioRef.current) {
+      exampleAudioRef.current.volume = settings.audioVolume / 100
+    }
+  }, [settings.audioVolume])
+
+  const activeExercise = lesson && activeExerciseIndex !== null
+    ? lesson.exercises[activeExerciseIndex]
+    : null
+
+  const nextExerciseIndex = lesson && activeExerciseIndex !== null && activeExerciseIndex + 1 < lesson.exercises.length
+    ? activeExerciseIndex + 1
+    : null
+
+  // A passed exercise keeps its results on screen and offers the next one
+  const handleExerciseComplete = () => {
+    setCompletedExerciseIndex(activeExerciseIndex)
   }
 
   const handleExerciseProgress = (progressData) => {
-    console.log('Exercise progress:', progressData)
+    // Every scored attempt is persisted, keyed by lesson and exercise index
+    const result = lessonProgress.recordExerciseResult(lesson, activeExerciseIndex, progressData)
+    setProgress(result.lessonProgress)
+    if (result.lessonJustCompleted) {
+      setJustCompleted(true)
+    }
+
     // Track progress for adaptive learning features
+    recordExercisePerformance({
+      exerciseType: activeExercise.type,
+      lessonId: lesson.id,
+      score: progressData.score || 0,
+      timeSpent: progressData.timeSpent || 0,
+      difficulty: lesson.level
+    })
   }
 
-  const startExercise = (exercise) => {
-    setActiveExercise(exercise)
+  const startExercise = (exerciseIndex) => {
+    setActiveExerciseIndex(exerciseIndex)
+    setCompletedExerciseIndex(null)
   }
 
   const closeExercise = () => {
-    setActiveExercise(null)
+    setActiveExerciseIndex(null)
+    setCompletedExerciseIndex(null)
   }
 
   if (!lesson) {
@@ -63,10 +156,10 @@ const LessonDetail = () => {
     )
   }
 
-  const handleAudioPlay = (audioPath) => {
-    // Placeholder for audio playback - will be implemented in Phase 1
-    console.log('Playing audio:', audioPath)
-  }
+  const requiredExercises = getRequiredExerciseIndexes(lesson)
+  const passedExercises = requiredExercises.filter(index => progress.exercises[index]?.passed).length
+  const previousLessonId = lesson.prerequisites[lesson.prerequisites.length - 1]
+  const nextLessonId = lesson.nextLessons[0]
 
   return (
     <div className="page-container">
@@ -119,13 +212,33 @@ const LessonDetail = () => {
             />
           </div>
         )}
+
+        {lesson.content.media.video && (
+          <LessonVideo
+            src={lesson.content.media.video}
+            subtitles={lesson.content.media.subtitles}
+            examples={lesson.content.examples}
+          />
+        )}
       </div>
 
       {/* Examples Section */}
       <div className="card" style={{ marginBottom: '2rem' }}>
-        <div className="card-header">
-          <h2 className="card-title">Examples</h2>
-          <p className="card-subtitle">Click the audio button to hear pronunciation</p>
+        <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem', flexWrap: 'wrap' }}>
+          <div>
+            <h2 className="card-title">Examples</h2>
+            <p className="card-subtitle">Click the audio button to hear pronunciation</p>
+          </div>
+          {getShadowingSources(lesson).length > 0 && (
+            <button
+              className="btn btn-outline"
+              onClick={() => setIsShadowing(true)}
+              disabled={!settings.audioEnabled}
+              title={settings.audioEnabled ? 'Hear each line and repeat it straight away' : 'Audio is turned off in Settings'}
+            >
+              🗣️ Shadowing Mode
+            </button>
+          )}
         </div>
         
         <div style={{ 
@@ -155,13 +268,15 @@ const LessonDetail = () => {
               >
                 {example.korean}
               </div>
-              <div style={{ 
-                fontSize: '1rem', 
-                color: 'var(--text-secondary)',
-                marginBottom: '0.25rem'
-              }}>
-                {example.romanization}
-              </div>
+              {settings.showRomanization && (
+                <div style={{ 
+                  fontSize: '1rem', 
+                  color: 'var(--text-secondary)',
+                  marginBottom: '0.25rem'
+                }}>
+                  {example.romanization}
+                </div>
+              )}
               <div style={{ 
                 fontSize: '0.875rem', 
                 color: 'var(--text-muted)',
@@ -169,12 +284,15 @@ const LessonDetail = () => {
               }}>
                 {example.translation}
               </div>
+              <PronunciationNote text={example.korean} style={{ marginBottom: '1rem' }} />
               <button 
                 className="btn btn-outline"
-                onClick={() => handleAudioPlay(example.audio)}
+                onClick={() => handleAudioPlay(example)}
+                disabled={!settings.audioEnabled}
+                title={settings.audioEnabled ? undefined : 'Audio is turned off in Settings'}
                 style={{ fontSize: '0.75rem', padding: '0.5rem 1rem' }}
               >
-                🔊 Play Audio
+                {settings.audioEnabled ? '🔊 Play Audio' : '🔇 Audio Off'}
               </button>
             </div>
           ))}
@@ -213,7 +331,19 @@ const LessonDetail = () => {
                  exercise.type === 'fill-in-the-blank' ? '✏️' : 
                  exercise.type === 'drag-drop' ? '🧩' : 
                  exercise.type === 'listening' ? '🎧' : 
-                 exercise.type === 'typing' ? '⌨️' : '🎤'}
+                 exercise.type === 'typing' ? '⌨️' : 
+                 exercise.type === 'cultural-quiz' ? '🏮' : 
+                 exercise.type === 'cultural-matching' ? '🔗' : 
+                 exercise.type === 'media-comprehension' ? '🎬' : 
+                 exercise.type === 'scenario-analysis' ? '💼' : 
+                 exercise.type === 'cultural-vocabulary' ? '📖' : 
+                 exercise.type === 'role-play' ? '🎭' : 
+                 exercise.type === 'writing' ? '✍️' : 
+                 exercise.type === 'syllable-builder' ? '🧱' : 
+                 exercise.type === 'dictation' ? '👂' : 
+                 exercise.type === 'conjugation' ? '🔄' : 
+                 exercise.type === 'particle' ? '📎' : 
+                 exercise.type === 'numbers' ? '🔢' : '🎤'}
               </div>
               <h3 style={{ 
                 fontSize: '1rem', 
@@ -223,21 +353,28 @@ const LessonDetail = () => {
               }}>
                 {exercise.title}
               </h3>
-              {exerciseProgress[exercise.type] && (
+              {OPTIONAL_EXERCISE_TYPES.includes(exercise.type) && (
+                <span className="badge badge-warning" style={{ marginBottom: '0.5rem', display: 'inline-block' }}>
+                  Optional
+                </span>
+              )}
+              {progress.exercises[index] && (
                 <div style={{ 
                   fontSize: '0.75rem', 
-                  color: 'var(--success-color)',
+                  color: progress.exercises[index].passed ? 'var(--success-color)' : 'var(--text-secondary)',
                   marginBottom: '0.5rem'
                 }}>
-                  ✓ Completed ({exerciseProgress[exercise.type].score}%)
+                  {progress.exercises[index].passed
+                    ? `✓ Completed (${progress.exercises[index].bestScore}%)`
+                    : `Best: ${progress.exercises[index].bestScore}% — ${PASSING_SCORE}% to pass`}
                 </div>
               )}
               <button 
                 className="btn btn-primary"
                 style={{ fontSize: '0.75rem', padding: '0.5rem 1rem' }}
-                onClick={() => startExercise(exercise)}
+                onClick={() => startExercise(index)}
               >
-                {exerciseProgress[exercise.type] ? 'Practice Again' : 'Start Exercise'}
+                {progress.exercises[index] ? 'Practice Again' : 'Start Exercise'}
               </button>
             </div>
           ))}
@@ -251,17 +388,35 @@ const LessonDetail = () => {
           justifyContent: 'space-between', 
           alignItems: 'center' 
         }}>
-          <button className="btn btn-secondary" disabled>
-            ← Previous Lesson
-          </button>
-          <div style={{ textAlign: 'center' }}>
-            <button className="btn btn-primary">
-              Mark as Complete
+          {previousLessonId ? (
+            <Link to={`/lessons/${previousLessonId}`} className="btn btn-secondary">
+              ← Previous Lesson
+            </Link>
+          ) : (
+            <button className="btn btn-secondary" disabled>
+              ← Previous Lesson
             </button>
+          )}
+          <div style={{ textAlign: 'center' }}>
+            {progress.completed ? (
+              <span style={{ color: 'var(--success-color)', fontWeight: '600' }}>
+                {justCompleted ? '🎉 Lesson complete!' : '✓ Lesson completed'}
+              </span>
+            ) : (
+              <span style={{ color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+                {passedExercises} of {requiredExercises.length} exercises passed · score {PASSING_SCORE}% or more on each to complete
+              </span>
+            )}
           </div>
-          <Link to="/lessons/lesson-002" className="btn btn-secondary">
-            Next Lesson →
-          </Link>
+          {nextLessonId ? (
+            <Link to={`/lessons/${nextLessonId}`} className="btn btn-secondary">
+              Next Lesson →
+            </Link>
+          ) : (
+            <button className="btn btn-secondary" disabled>
+              Next Lesson →
+            </button>
+          )}
         </div>
       </div>
 
@@ -280,7 +435,8 @@ const LessonDetail = () => {
           zIndex: 1000,
           padding: '1rem'
         }}>
-          <div style={{
+          {/* Keyed so moving to the next exercise starts it fresh */}
+          <div key={activeExerciseIndex} style={{
             backgroundColor: 'var(--bg-primary)',
             borderRadius: 'var(--border-radius)',
             maxWidth: '800px',
@@ -348,6 +504,56 @@ const LessonDetail = () => {
             
             {activeExercise.type === 'flashcard' && (
               <FlashcardExercise
+                exercise={activeExercise}
+                lessonId={lesson.id}
+                exerciseIndex={activeExerciseIndex}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'cultural-quiz' && (
+              <CulturalQuizExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'cultural-matching' && (
+              <CulturalMatchingExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'media-comprehension' && (
+              <MediaComprehensionExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'scenario-analysis' && (
+              <ScenarioAnalysisExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'cultural-vocabulary' && (
+              <CulturalVocabularyExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'role-play' && (
+              <RolePlayExercise
                 exercise={activeExercise}
                 onComplete={handleExerciseComplete}
                 onProgress={handleExerciseProgress}
@@ -355,14 +561,127 @@ const LessonDetail = () => {
             )}
             
             {activeExercise.type === 'pronunciation' && (
-              <div style={{ padding: '2rem', textAlign: 'center' }}>
-                <h3>Pronunciation Exercise</h3>
-                <p>Pronunciation functionality will be implemented in a future update.</p>
+              <PronunciationExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'writing' && (
+              <WritingExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'syllable-builder' && (
+              <SyllableBuilderExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'dictation' && (
+              <DictationExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'conjugation' && (
+              <ConjugationExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'particle' && (
+              <ParticleExercise
+                exercise={activeExercise}
+                lesson={lesson}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+            
+            {activeExercise.type === 'numbers' && (
+              <NumbersExercise
+                exercise={activeExercise}
+                onComplete={handleExerciseComplete}
+                onProgress={handleExerciseProgress}
+              />
+            )}
+
+            {completedExerciseIndex === activeExerciseIndex && (
+              <div style={{
+                display: 'flex',
+                justifyContent: 'flex-end',
+                gap: '0.5rem',
+                padding: '0 1.5rem 1.5rem'
+              }}>
+                <button className="btn btn-secondary" onClick={closeExercise}>
+                  Back to Lesson
+                </button>
+                {nextExerciseIndex !== null && (
+                  <button className="btn btn-primary" onClick={() => startExercise(nextExerciseIndex)}>
+                    Next Exercise →
+                  </button>
+                )}
               </div>
             )}
           </div>
         </div>
       )}
+
+      {/* Shadowing Modal */}
+      {isShadowing && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000,
+          padding: '1rem'
+        }}>
+          <div style={{
+            backgroundColor: 'var(--bg-primary)',
+            borderRadius: 'var(--border-radius)',
+            maxWidth: '800px',
+            width: '100%',
+            maxHeight: '90vh',
+            overflow: 'auto',
+            position: 'relative'
+          }}>
+            <button
+              onClick={() => setIsShadowing(false)}
+              style={{
+                position: 'absolute',
+                top: '1rem',
+                right: '1rem',
+                background: 'none',
+                border: 'none',
+                fontSize: '1.5rem',
+                cursor: 'pointer',
+                zIndex: 1001,
+                color: 'var(--text-primary)'
+              }}
+            >
+              ✕
+            </button>
+            <ShadowingMode lesson={lesson} />
+          </div>
+        </div>
+      )}
     </div>
   )
 }
@@ -1,29 +1,64 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
+import { useLessonData } from '../hooks/useLessonData'
+import { useOnlineStatus } from '../hooks/useOnlineStatus'
+import {
+  isOfflineCacheSupported,
+  getMediaUrlsForLessons,
+  getOfflineStatus,
+  cacheForOffline
+} from '../utils/offlineCache'
+
+const LEVELS = ['beginner', 'intermediate', 'advanced']
+
+const formatLabel = (value) => value
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ')
 
 const LessonsList = () => {
-  // Placeholder data - will be replaced with actual lesson data in Phase 1
-  const modules = [
-    {
-      id: 'module-1',
-      title: 'Hangul Basics',
-      description: 'Learn the Korean alphabet and basic reading skills',
-      lessons: [
-        { id: 'lesson-001', title: 'Introduction to Hangul', level: 'beginner', completed: false },
-        { id: 'lesson-002', title: 'Vowels and Consonants', level: 'beginner', completed: false },
-        { id: 'lesson-003', title: 'Reading Practice', level: 'beginner', completed: false }
-      ]
-    },
-    {
-      id: 'module-2',
-      title: 'Greetings',
-      description: 'Essential greetings and introductions',
-      lessons: [
-        { id: 'lesson-004', title: 'Basic Greetings', level: 'beginner', completed: false },
-        { id: 'lesson-005', title: 'Introducing Yourself', level: 'beginner', completed: false }
-      ]
+  const { dataManager, isLoading, error } = useLessonData()
+  const [levelFilter, setLevelFilter] = useState('all')
+  const [categoryFilter, setCategoryFilter] = useState('all')
+  const [searchQuery, setSearchQuery] = useState('')
+  const [offlineStatus, setOfflineStatus] = useState({})
+  const [downloads, setDownloads] = useState({})
+  const isOnline = useOnlineStatus()
+
+  const getModuleMediaUrls = (moduleId) => getMediaUrlsForLessons(dataManager.getLessonsByModule(moduleId))
+
+  // How much of each module's media is already available offline
+  useEffect(() => {
+    if (isLoading || error || !isOfflineCacheSupported()) return
+    let cancelled = false
+
+    Promise.all(dataManager.getAllModules().map(async module => (
+      [module.id, await getOfflineStatus(getModuleMediaUrls(module.id))]
+    ))).then(entries => {
+      if (!cancelled) setOfflineStatus(Object.fromEntries(entries))
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isLoading, error])
+
+  const downloadModule = async (moduleId) => {
+    const urls = getModuleMediaUrls(moduleId)
+    setDownloads(prev => ({ ...prev, [moduleId]: { completed: 0, total: urls.length } }))
+
+    try {
+      const result = await cacheForOffline(urls, progress => {
+        setDownloads(prev => ({ ...prev, [moduleId]: progress }))
+      })
+      setDownloads(prev => ({ ...prev, [moduleId]: { ...prev[moduleId], failed: result.failed } }))
+    } catch (downloadError) {
+      setDownloads(prev => ({ ...prev, [moduleId]: { failed: [{ error: downloadError.message }] } }))
     }
-  ]
+
+    const status = await getOfflineStatus(urls)
+    setOfflineStatus(prev => ({ ...prev, [moduleId]: status }))
+  }
 
   const getLevelBadgeClass = (level) => {
     switch (level) {
@@ -34,6 +69,123 @@ const LessonsList = () => {
     }
   }
 
+  if (isLoading) {
+    return (
+      <div className="page-container">
+        <div className="loading-spinner"></div>
+        <p>Loading lessons...</p>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="page-container">
+        <div className="card">
+          <div style={{ padding: '2rem', textAlign: 'center' }}>
+            <h2>Lessons could not be loaded</h2>
+            <p style={{ color: 'var(--text-secondary)' }}>{error.message}</p>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const modules = dataManager.getAllModules()
+  const statistics = dataManager.getStatistics()
+  const categories = [...new Set(dataManager.getAllLessons().map(lesson => lesson.category))]
+  const normalizedQuery = searchQuery.trim().toLowerCase()
+
+  const matchesFilters = (lesson) => {
+    if (levelFilter !== 'all' && lesson.level !== levelFilter) return false
+    if (categoryFilter !== 'all' && lesson.category !== categoryFilter) return false
+    if (normalizedQuery) {
+      return lesson.title.toLowerCase().includes(normalizedQuery) ||
+        lesson.description.toLowerCase().includes(normalizedQuery)
+    }
+    return true
+  }
+
+  const visibleModules = modules
+    .map(module => ({
+      ...module,
+      visibleLessons: dataManager.getLessonsByModule(module.id).filter(matchesFilters)
+    }))
+    .filter(module => module.visibleLessons.length > 0)
+
+  const hasActiveFilters = levelFilter !== 'all' || categoryFilter !== 'all' || normalizedQuery !== ''
+
+  const clearFilters = () => {
+    setLevelFilter('all')
+    setCategoryFilter('all')
+    setSearchQuery('')
+  }
+
+  const getLessonState = (lesson) => {
+    if (lesson.completionStatus.completed) {
+      return { status: 'completed', missing: [] }
+    }
+    if (dataManager.isLessonAvailable(lesson.id)) {
+      return { status: 'available', missing: [] }
+    }
+    const { prerequisites } = dataManager.getPrerequisiteInfo(lesson.id)
+    return {
+      status: 'locked',
+      missing: prerequisites.filter(prerequisite => !prerequisite.completionStatus.completed)
+    }
+  }
+
+  const renderOfflineAction = (moduleId) => {
+    const status = offlineStatus[moduleId]
+    const download = downloads[moduleId]
+    const isDownloading = download && !download.failed && download.completed < download.total
+
+    if (!status || status.total === 0) return null
+
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.75rem',
+        marginTop: '0.5rem',
+        fontSize: '0.75rem',
+        color: 'var(--text-secondary)'
+      }}>
+        {status.isComplete ? (
+          <span style={{ color: 'var(--success-color)' }}>📥 Available offline</span>
+        ) : (
+          <>
+            <button
+              className="btn btn-outline"
+              style={{ fontSize: '0.75rem', padding: '0.25rem 0.75rem' }}
+              onClick={() => downloadModule(moduleId)}
+              disabled={isDownloading || !isOnline}
+            >
+              {isDownloading
+                ? `Downloading ${download.completed}/${download.total}…`
+                : '📥 Download for offline'}
+            </button>
+            <span>{status.cached} of {status.total} media files saved</span>
+          </>
+        )}
+        {download?.failed?.length > 0 && (
+          <span style={{ color: 'var(--error-color)' }}>
+            {download.failed.length} file{download.failed.length === 1 ? '' : 's'} could not be downloaded
+          </span>
+        )}
+      </div>
+    )
+  }
+
+  const selectStyle = {
+    padding: '0.5rem 0.75rem',
+    border: '1px solid var(--border-color)',
+    borderRadius: 'var(--border-radius)',
+    backgroundColor: 'white',
+    color: 'var(--text-primary)',
+    fontSize: '0.875rem'
+  }
+
   return (
     <div className="page-container">
       <div className="page-header">
@@ -49,85 +201,237 @@ const LessonsList = () => {
             <h2 className="card-title">Learning Progress</h2>
           </div>
           <div className="progress-bar">
-            <div 
-              className="progress-fill" 
-              style={{ width: '0%' }}
+            <div
+              className="progress-fill"
+              style={{ width: `${statistics.progressPercentage}%` }}
             ></div>
           </div>
-          <p style={{ 
-            marginTop: '0.5rem', 
-            fontSize: '0.875rem', 
-            color: 'var(--text-secondary)' 
+          <p style={{
+            marginTop: '0.5rem',
+            fontSize: '0.875rem',
+            color: 'var(--text-secondary)'
           }}>
-            0 of 5 lessons completed (0%)
+            {statistics.completedLessons} of {statistics.totalLessons} lessons completed ({statistics.progressPercentage}%)
           </p>
         </div>
       </div>
 
+      {/* Filters */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '1rem',
+          alignItems: 'flex-end'
+        }}>
+          <div style={{ flex: '1 1 240px' }}>
+            <label
+              htmlFor="lesson-search"
+              style={{ display: 'block', fontWeight: '500', marginBottom: '0.5rem', fontSize: '0.875rem' }}
+            >
+              Search
+            </label>
+            <input
+              id="lesson-search"
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search lesson titles and descriptions"
+              style={{ ...selectStyle, width: '100%' }}
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="lesson-level"
+              style={{ display: 'block', fontWeight: '500', marginBottom: '0.5rem', fontSize: '0.875rem' }}
+            >
+              Level
+            </label>
+            <select
+              id="lesson-level"
+              value={levelFilter}
+              onChange={(e) => setLevelFilter(e.target.value)}
+              style={selectStyle}
+            >
+              <option value="all">All levels</option>
+              {LEVELS.map(level => (
+                <option key={level} value={level}>{formatLabel(level)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label
+              htmlFor="lesson-category"
+              style={{ display: 'block', fontWeight: '500', marginBottom: '0.5rem', fontSize: '0.875rem' }}
+            >
+              Category
+            </label>
+            <select
+              id="lesson-category"
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              style={selectStyle}
+            >
+              <option value="all">All categories</option>
+              {categories.map(category => (
+                <option key={category} value={category}>{formatLabel(category)}</option>
+              ))}
+            </select>
+          </div>
+          {hasActiveFilters && (
+            <button className="btn btn-secondary" onClick={clearFilters}>
+              Clear Filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {visibleModules.length === 0 && (
+        <div className="card">
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+            No lessons match your filters.
+          </div>
+        </div>
+      )}
+
       <div style={{ display: 'flex', flexDirection: 'column', gap: '2rem' }}>
-        {modules.map((module) => (
+        {visibleModules.map((module) => (
           <div key={module.id} className="card">
             <div className="card-header">
-              <h2 className="card-title">{module.title}</h2>
-              <p className="card-subtitle">{module.description}</p>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start',
+                gap: '1rem'
+              }}>
+                <div>
+                  <h2 className="card-title">{module.title}</h2>
+                  <p className="card-subtitle">{module.description}</p>
+                </div>
+                <span className={`badge ${getLevelBadgeClass(module.level)}`}>
+                  {module.level}
+                </span>
+              </div>
+              <div className="progress-bar" style={{ marginTop: '0.75rem' }}>
+                <div
+                  className="progress-fill"
+                  style={{ width: `${module.progressPercentage}%` }}
+                ></div>
+              </div>
+              <p style={{
+                marginTop: '0.5rem',
+                fontSize: '0.75rem',
+                color: 'var(--text-secondary)'
+              }}>
+                {module.completedLessons} of {module.totalLessons} lessons completed · about {module.estimatedTime} min
+              </p>
+              {isOfflineCacheSupported() && renderOfflineAction(module.id)}
             </div>
 
-            <div style={{ 
-              display: 'grid', 
-              gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', 
-              gap: '1rem' 
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))',
+              gap: '1rem'
             }}>
-              {module.lessons.map((lesson) => (
-                <div 
-                  key={lesson.id}
-                  style={{
-                    border: '1px solid var(--border-color)',
-                    borderRadius: 'var(--border-radius)',
-                    padding: '1rem',
-                    backgroundColor: 'var(--bg-secondary)',
-                    transition: 'all 0.2s ease'
-                  }}
-                >
-                  <div style={{ 
-                    display: 'flex', 
-                    justifyContent: 'space-between', 
-                    alignItems: 'flex-start',
-                    marginBottom: '0.75rem'
-                  }}>
-                    <h3 style={{ 
-                      fontSize: '1rem', 
-                      fontWeight: '600',
-                      color: 'var(--text-primary)',
-                      margin: 0
+              {module.visibleLessons.map((lesson) => {
+                const { status, missing } = getLessonState(lesson)
+                const isLocked = status === 'locked'
+
+                return (
+                  <div
+                    key={lesson.id}
+                    style={{
+                      border: '1px solid var(--border-color)',
+                      borderRadius: 'var(--border-radius)',
+                      padding: '1rem',
+                      backgroundColor: 'var(--bg-secondary)',
+                      opacity: isLocked ? 0.7 : 1,
+                      transition: 'all 0.2s ease'
+                    }}
+                  >
+                    <div style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'flex-start',
+                      marginBottom: '0.5rem'
                     }}>
-                      {lesson.title}
-                    </h3>
-                    <span className={`badge ${getLevelBadgeClass(lesson.level)}`}>
-                      {lesson.level}
-                    </span>
-                  </div>
+                      <h3 style={{
+                        fontSize: '1rem',
+                        fontWeight: '600',
+                        color: 'var(--text-primary)',
+                        margin: 0
+                      }}>
+                        {isLocked && '🔒 '}{lesson.title}
+                      </h3>
+                      <span className={`badge ${getLevelBadgeClass(lesson.level)}`}>
+                        {lesson.level}
+                      </span>
+                    </div>
 
-                  <div style={{ 
-                    display: 'flex', 
-                    justifyContent: 'space-between', 
-                    alignItems: 'center' 
-                  }}>
-                    <span style={{ 
-                      fontSize: '0.875rem', 
-                      color: lesson.completed ? 'var(--success-color)' : 'var(--text-secondary)' 
+                    <p style={{
+                      fontSize: '0.875rem',
+                      color: 'var(--text-secondary)',
+                      margin: '0 0 0.75rem 0'
                     }}>
-                      {lesson.completed ? '✓ Completed' : 'Not started'}
-                    </span>
-                    <Link 
-                      to={`/lessons/${lesson.id}`} 
-                      className="btn btn-primary"
-                      style={{ fontSize: '0.75rem', padding: '0.5rem 1rem' }}
-                    >
-                      {lesson.completed ? 'Review' : 'Start'}
-                    </Link>
+                      {lesson.description}
+                    </p>
+
+                    <div style={{
+                      fontSize: '0.75rem',
+                      color: 'var(--text-muted)',
+                      marginBottom: '0.75rem'
+                    }}>
+                      {formatLabel(lesson.category)} · {lesson.estimatedTime} min · {lesson.totalExercises} exercises
+                    </div>
+
+                    {isLocked && missing.length > 0 && (
+                      <div style={{
+                        fontSize: '0.75rem',
+                        color: 'var(--text-secondary)',
+                        marginBottom: '0.75rem'
+                      }}>
+                        Complete first:{' '}
+                        {missing.map((prerequisite, index) => (
+                          <span key={prerequisite.id}>
+                            {index > 0 && ', '}
+                            <Link to={`/lessons/${prerequisite.id}`}>{prerequisite.title}</Link>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+
+                    <div style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center'
+                    }}>
+                      <span style={{
+                        fontSize: '0.875rem',
+                        color: status === 'completed' ? 'var(--success-color)' : 'var(--text-secondary)'
+                      }}>
+                        {status === 'completed' ? '✓ Completed' : isLocked ? 'Locked' : 'Not started'}
+                      </span>
+                      {isLocked ? (
+                        <span
+                          className="btn btn-secondary"
+                          style={{ fontSize: '0.75rem', padding: '0.5rem 1rem', cursor: 'not-allowed' }}
+                          aria-disabled="true"
+                        >
+                          Locked
+                        </span>
+                      ) : (
+                        <Link
+                          to={`/lessons/${lesson.id}`}
+                          className="btn btn-primary"
+                          style={{ fontSize: '0.75rem', padding: '0.5rem 1rem' }}
+                        >
+                          {status === 'completed' ? 'Review' : 'Start'}
+                        </Link>
+                      )}
+                    </div>
                   </div>
-                </div>
-              ))}
+                )
+              })}
             </div>
           </div>
         ))}
@@ -147,4 +451,4 @@ const LessonsList = () => {
   )
 }
 
-export default LessonsList
\ No newline at end of file
+export default LessonsList
@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import progressAnalytics from '../utils/progressAnalytics'
+import { getDailyStudyTimeGoal, formatGoalProgress } from '../utils/learningGoals'
+import { useSettings } from '../components/SettingsProvider'
 
 const Progress = () => {
   const [progressData, setProgressData] = useState(null)
   const [selectedPeriod, setSelectedPeriod] = useState('week')
   const [progressReport, setProgressReport] = useState(null)
+  const { settings } = useSettings()
 
   useEffect(() => {
     // Initialize progress analytics
@@ -50,6 +53,9 @@ const Progress = () => {
     return accuracy ? `${Math.round(accuracy)}%` : '0%'
   }
 
+  const todayProgress = progressData.dailyProgress?.[new Date().toDateString()]
+  const dailyGoal = formatGoalProgress(getDailyStudyTimeGoal(todayProgress?.timeSpent, settings))
+
   return (
     <div className="page-container">
       <div className="page-header">
@@ -180,6 +186,28 @@ const Progress = () => {
         </div>
       </div>
 
+      {/* Daily Goal */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header">
+          <h2 className="card-title">{dailyGoal.icon} Today's Goal</h2>
+          <p className="card-subtitle">
+            Study {dailyGoal.target} minutes a day — change this in <Link to="/settings">Settings</Link>
+          </p>
+        </div>
+        <div className="progress-bar" style={{ marginBottom: '0.5rem' }}>
+          <div 
+            className="progress-fill" 
+            style={{ width: `${dailyGoal.progressPercentage}%` }}
+          ></div>
+        </div>
+        <p style={{ 
+          fontSize: '0.875rem', 
+          color: dailyGoal.isCompleted ? 'var(--success-color)' : 'var(--text-secondary)' 
+        }}>
+          {dailyGoal.displayProgress} · {dailyGoal.statusMessage}
+        </p>
+      </div>
+
       {/* Achievement Badges */}
       {progressData.achievements && progressData.achievements.length > 0 && (
         <div className="card" style={{ marginBottom: '2rem' }}>
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import FlashcardExercise from '../components/exercises/FlashcardExercise'
+import QuizExercise from '../components/exercises/QuizExercise'
+import FillInTheBlankExercise from '../components/exercises/FillInTheBlankExercise'
+import ListeningExercise from '../components/exercises/ListeningExercise'
+import progressAnalytics from '../utils/progressAnalytics'
+import spacedRepetition from '../utils/spacedRepetition'
+import { loadPerformanceData, recordExercisePerformance } from '../utils/performanceTracking'
+import { generateReviewRecommendations } from '../utils/reviewRecommendations'
+import { buildReviewSession } from '../utils/reviewSession'
+import { PASSING_SCORE } from '../utils/lessonProgress'
+import lessonsData from '../data/lessons.json'
+
+// Error categories understood by the review recommendation engine
+const ERROR_TYPES = {
+  flashcard: 'vocabulary',
+  quiz: 'vocabulary',
+  'fill-in-the-blank': 'grammar',
+  listening: 'vocabulary'
+}
+
+const Review = () => {
+  const [session, setSession] = useState(null)
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [results, setResults] = useState({})
+  const [isFinished, setIsFinished] = useState(false)
+
+  const startSession = () => {
+    // Make sure every lesson's cards and examples are known to the scheduler
+    lessonsData.lessons.forEach(lesson => spacedRepetition.registerLessonItems(lesson))
+
+    const recommendations = generateReviewRecommendations(loadPerformanceData())
+    const items = buildReviewSession(lessonsData.lessons, {
+      recommendations: recommendations.hasRecommendations ? recommendations : {},
+      mistakeData: progressAnalytics.getMistakeData()
+    })
+
+    setSession(items)
+    setCurrentIndex(0)
+    setResults({})
+    setIsFinished(false)
+  }
+
+  useEffect(() => {
+    startSession()
+  }, [])
+
+  const recordResult = (item, progressData) => {
+    // Only the first attempt at an item counts towards the session
+    if (results[item.key]) return
+
+    const score = progressData.score || 0
+    const passed = score >= PASSING_SCORE
+
+    progressAnalytics.trackExerciseCompletion(item.key, {
+      accuracy: score,
+      timeSpent: progressData.timeSpent || 0,
+      lessonId: item.lessonId,
+      mistakes: passed ? [] : [item.key]
+    })
+
+    if (passed && item.reason.id === 'mistake') {
+      progressAnalytics.resolveMistake(item.key)
+    }
+
+    recordExercisePerformance({
+      exerciseType: item.exerciseType,
+      lessonId: item.lessonId,
+      score,
+      timeSpent: progressData.timeSpent || 0,
+      errors: passed ? [] : [{ type: ERROR_TYPES[item.exerciseType], item: item.key }]
+    })
+
+    setResults(prev => ({
+      ...prev,
+      [item.key]: { score, passed }
+    }))
+  }
+
+  const nextItem = () => {
+    if (currentIndex < session.length - 1) {
+      setCurrentIndex(prev => prev + 1)
+    } else {
+      setIsFinished(true)
+    }
+  }
+
+  const renderExercise = (item) => {
+    const handleProgress = (progressData) => recordResult(item, progressData)
+
+    switch (item.exerciseType) {
+      case 'flashcard':
+        return (
+          <FlashcardExercise
+            key={item.key}
+            exercise={item.exercise}
+            itemIds={item.itemIds}
+            onProgress={handleProgress}
+          />
+        )
+      case 'quiz':
+        return <QuizExercise key={item.key} exercise={item.exercise} onProgress={handleProgress} />
+      case 'fill-in-the-blank':
+        return <FillInTheBlankExercise key={item.key} exercise={item.exercise} onProgress={handleProgress} />
+      case 'listening':
+        return <ListeningExercise key={item.key} exercise={item.exercise} onProgress={handleProgress} />
+      default:
+        return null
+    }
+  }
+
+  if (!session) {
+    return (
+      <div className="page-container">
+        <div className="loading-spinner"></div>
+        <p>Building your review session...</p>
+      </div>
+    )
+  }
+
+  if (session.length === 0) {
+    return (
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Daily Review</h1>
+        </div>
+        <div className="card">
+          <div style={{ padding: '2rem', textAlign: 'center' }}>
+            <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>✅</div>
+            <h2>Nothing to review right now</h2>
+            <p style={{ color: 'var(--text-secondary)', marginBottom: '1.5rem' }}>
+              Study some lessons and grade your flashcards — items will show up here when they are due.
+            </p>
+            <Link to="/lessons" className="btn btn-primary">
+              Browse Lessons
+            </Link>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const resultValues = Object.values(results)
+  const passedCount = resultValues.filter(result => result.passed).length
+
+  if (isFinished) {
+    const averageScore = resultValues.length > 0
+      ? Math.round(resultValues.reduce((sum, result) => sum + result.score, 0) / resultValues.length)
+      : 0
+    const missedItems = session.filter(item => results[item.key] && !results[item.key].passed)
+
+    return (
+      <div className="page-container">
+        <div className="page-header">
+          <h1 className="page-title">Review Complete</h1>
+          <p className="page-description">
+            You reviewed {resultValues.length} of {session.length} items with an average score of {averageScore}%.
+          </p>
+        </div>
+
+        <div className="card" style={{ marginBottom: '2rem' }}>
+          <div style={{ padding: '1.5rem', textAlign: 'center' }}>
+            <div style={{ fontSize: '2.5rem', fontWeight: 'bold', color: 'var(--primary-color)' }}>
+              {passedCount} / {resultValues.length}
+            </div>
+            <div style={{ color: 'var(--text-secondary)' }}>items recalled correctly</div>
+          </div>
+
+          {missedItems.length > 0 && (
+            <div style={{ padding: '0 1.5rem 1.5rem' }}>
+              <h3 style={{ fontSize: '1rem', marginBottom: '0.75rem' }}>Worth another look</h3>
+              {missedItems.map(item => (
+                <div
+                  key={item.key}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '0.75rem 1rem',
+                    marginBottom: '0.5rem',
+                    backgroundColor: 'var(--bg-secondary)',
+                    borderRadius: 'var(--border-radius)',
+                    border: '1px solid var(--border-color)'
+                  }}
+                >
+                  <span>{item.exercise.title}</span>
+                  <Link to={`/lessons/${item.lessonId}`}>{item.lessonTitle} →</Link>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+          <button className="btn btn-primary" onClick={startSession}>
+            Start Another Session
+          </button>
+          <Link to="/progress" className="btn btn-secondary">
+            View Progress
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const currentItem = session[currentIndex]
+  const currentResult = results[currentItem.key]
+
+  return (
+    <div className="page-container">
+      <div className="page-header">
+        <h1 className="page-title">Daily Review</h1>
+        <p className="page-description">
+          A mixed session of flashcards, quiz questions, fill-in blanks and listening items from all your lessons.
+        </p>
+      </div>
+
+      {/* Session progress */}
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <div style={{ padding: '1rem 1.5rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <span style={{ fontWeight: 'bold' }}>
+              Item {currentIndex + 1} of {session.length}
+            </span>
+            <span style={{ color: 'var(--text-secondary)' }}>
+              {passedCount} correct so far
+            </span>
+          </div>
+          <div style={{
+            width: '100%',
+            height: '8px',
+            backgroundColor: 'var(--border-color)',
+            borderRadius: '4px',
+            overflow: 'hidden'
+          }}>
+            <div style={{
+              width: `${Math.round((resultValues.length / session.length) * 100)}%`,
+              height: '100%',
+              backgroundColor: 'var(--primary-color)',
+              transition: 'width 0.3s ease'
+            }} />
+          </div>
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            marginTop: '0.75rem',
+            fontSize: '0.85rem',
+            color: 'var(--text-secondary)'
+          }}>
+            <span>{currentItem.reason.icon} {currentItem.reason.label}</span>
+            <Link to={`/lessons/${currentItem.lessonId}`}>From: {currentItem.lessonTitle}</Link>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        {renderExercise(currentItem)}
+
+        <div style={{
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '1rem',
+          padding: '1rem 1.5rem',
+          borderTop: '1px solid var(--border-color)'
+        }}>
+          <button className="btn btn-secondary" onClick={() => setIsFinished(true)}>
+            End Session
+          </button>
+          <button className="btn btn-primary" onClick={nextItem}>
+            {currentResult
+              ? (currentIndex < session.length - 1 ? 'Next Item →' : 'Finish Review')
+              : 'Skip →'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Review
@@ -1,101 +1,110 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState } from 'react'
+import storage, { STORAGE_NAMESPACES } from '../utils/storage'
+import { useSettings } from '../components/SettingsProvider'
+import highContrastMode from '../utils/highContrastMode'
+import keyboardShortcuts from '../utils/keyboardShortcuts'
+import {
+  createBackup,
+  parseBackupFile,
+  compareBackupData,
+  getCurrentData,
+  restoreBackup,
+  RESTORE_MODES
+} from '../utils/backup'
 
-const Settings = () => {
-  // Theme state - will be moved to context in Phase 1
-  const [theme, setTheme] = useState(() => {
-    return localStorage.getItem('theme') || 'light'
-  })
-
-  // Audio settings
-  const [audioEnabled, setAudioEnabled] = useState(() => {
-    return localStorage.getItem('audioEnabled') !== 'false'
-  })
-
-  const [audioVolume, setAudioVolume] = useState(() => {
-    return parseInt(localStorage.getItem('audioVolume') || '80')
-  })
-
-  // Learning preferences
-  const [autoPlay, setAutoPlay] = useState(() => {
-    return localStorage.getItem('autoPlay') !== 'false'
-  })
-
-  const [showRomanization, setShowRomanization] = useState(() => {
-    return localStorage.getItem('showRomanization') !== 'false'
-  })
-
-  const [dailyGoal, setDailyGoal] = useState(() => {
-    return parseInt(localStorage.getItem('dailyGoal') || '15')
-  })
+const progressStore = storage.getStore(STORAGE_NAMESPACES.PROGRESS)
 
-  // Apply theme changes
-  useEffect(() => {
-    document.documentElement.setAttribute('data-theme', theme)
-    localStorage.setItem('theme', theme)
-  }, [theme])
-
-  // Save settings to localStorage
-  useEffect(() => {
-    localStorage.setItem('audioEnabled', audioEnabled.toString())
-  }, [audioEnabled])
-
-  useEffect(() => {
-    localStorage.setItem('audioVolume', audioVolume.toString())
-  }, [audioVolume])
-
-  useEffect(() => {
-    localStorage.setItem('autoPlay', autoPlay.toString())
-  }, [autoPlay])
-
-  useEffect(() => {
-    localStorage.setItem('showRomanization', showRomanization.toString())
-  }, [showRomanization])
+const Settings = () => {
+  const { settings, updateSetting, reloadSettings } = useSettings()
+  const { theme, audioEnabled, audioVolume, autoPlay, showRomanization, dailyGoal } = settings
 
-  useEffect(() => {
-    localStorage.setItem('dailyGoal', dailyGoal.toString())
-  }, [dailyGoal])
+  // Backup restore
+  const [importPreview, setImportPreview] = useState(null)
+  const [importErrors, setImportErrors] = useState([])
+  const [importMessage, setImportMessage] = useState(null)
 
   const handleClearProgress = () => {
     if (window.confirm('Are you sure you want to clear all your progress? This action cannot be undone.')) {
-      // Clear progress data from localStorage
+      // Clear lesson progress from storage
       const keysToRemove = [
         'completedLessons',
         'exerciseScores',
-        'progressData',
+        'lessons',
         'recentActivity'
       ]
-      keysToRemove.forEach(key => localStorage.removeItem(key))
+      keysToRemove.forEach(key => progressStore.remove(key))
       alert('Progress data has been cleared.')
     }
   }
 
   const handleExportData = () => {
-    // Export user data
-    const userData = {
-      theme,
-      audioEnabled,
-      audioVolume,
-      autoPlay,
-      showRomanization,
-      dailyGoal,
-      completedLessons: JSON.parse(localStorage.getItem('completedLessons') || '[]'),
-      exerciseScores: JSON.parse(localStorage.getItem('exerciseScores') || '{}'),
-      progressData: JSON.parse(localStorage.getItem('progressData') || '{}')
-    }
+    // Export everything stored for the learner
+    const backup = createBackup()
 
-    const dataStr = JSON.stringify(userData, null, 2)
+    const dataStr = JSON.stringify(backup, null, 2)
     const dataBlob = new Blob([dataStr], { type: 'application/json' })
     const url = URL.createObjectURL(dataBlob)
     
     const link = document.createElement('a')
     link.href = url
-    link.download = 'korean-learning-data.json'
+    link.download = `korean-learning-backup-${backup.exportedAt.slice(0, 10)}.json`
     document.body.appendChild(link)
     link.click()
     document.body.removeChild(link)
     URL.revokeObjectURL(url)
   }
 
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    setImportMessage(null)
+    const { backup, isValid, errors } = parseBackupFile(await file.text())
+
+    if (!isValid) {
+      setImportPreview(null)
+      setImportErrors(errors)
+      return
+    }
+
+    setImportErrors([])
+    setImportPreview({
+      fileName: file.name,
+      backup,
+      comparison: compareBackupData(getCurrentData(), backup.data)
+    })
+  }
+
+  const handleRestore = (mode) => {
+    if (mode === RESTORE_MODES.REPLACE &&
+      !window.confirm('Replace all progress and settings on this device with the backup? This action cannot be undone.')) {
+      return
+    }
+
+    try {
+      restoreBackup(importPreview.backup, mode)
+    } catch (error) {
+      setImportErrors([{ path: '/', message: error.message }])
+      return
+    }
+
+    // Show the restored settings, including the ones kept outside React
+    reloadSettings()
+    highContrastMode.reloadPreference()
+    keyboardShortcuts.reloadPreferences()
+
+    setImportPreview(null)
+    setImportMessage(mode === RESTORE_MODES.REPLACE
+      ? 'Backup restored. Your data was replaced with the backup.'
+      : 'Backup restored. The backup was merged with your data.')
+  }
+
+  const formatSettingValue = (value) => {
+    if (value === undefined) return '—'
+    return typeof value === 'object' ? 'custom' : String(value)
+  }
+
   return (
     <div className="page-container">
       <div className="page-header">
@@ -124,13 +133,13 @@ const Settings = () => {
           <div style={{ display: 'flex', gap: '0.5rem' }}>
             <button
               className={`btn ${theme === 'light' ? 'btn-primary' : 'btn-secondary'}`}
-              onClick={() => setTheme('light')}
+              onClick={() => updateSetting('theme', 'light')}
             >
               ☀️ Light
             </button>
             <button
               className={`btn ${theme === 'dark' ? 'btn-primary' : 'btn-secondary'}`}
-              onClick={() => setTheme('dark')}
+              onClick={() => updateSetting('theme', 'dark')}
             >
               🌙 Dark
             </button>
@@ -155,7 +164,7 @@ const Settings = () => {
             <input
               type="checkbox"
               checked={audioEnabled}
-              onChange={(e) => setAudioEnabled(e.target.checked)}
+              onChange={(e) => updateSetting('audioEnabled', e.target.checked)}
               style={{ 
                 width: '1.25rem', 
                 height: '1.25rem',
@@ -190,7 +199,7 @@ const Settings = () => {
             min="0"
             max="100"
             value={audioVolume}
-            onChange={(e) => setAudioVolume(parseInt(e.target.value))}
+            onChange={(e) => updateSetting('audioVolume', parseInt(e.target.value))}
             disabled={!audioEnabled}
             style={{ 
               width: '100%',
@@ -209,7 +218,7 @@ const Settings = () => {
             <input
               type="checkbox"
               checked={autoPlay}
-              onChange={(e) => setAutoPlay(e.target.checked)}
+              onChange={(e) => updateSetting('autoPlay', e.target.checked)}
               disabled={!audioEnabled}
               style={{ 
                 width: '1.25rem', 
@@ -249,7 +258,7 @@ const Settings = () => {
             <input
               type="checkbox"
               checked={showRomanization}
-              onChange={(e) => setShowRomanization(e.target.checked)}
+              onChange={(e) => updateSetting('showRomanization', e.target.checked)}
               style={{ 
                 width: '1.25rem', 
                 height: '1.25rem',
@@ -285,7 +294,7 @@ const Settings = () => {
             max="120"
             step="5"
             value={dailyGoal}
-            onChange={(e) => setDailyGoal(parseInt(e.target.value))}
+            onChange={(e) => updateSetting('dailyGoal', parseInt(e.target.value))}
             style={{ 
               width: '100%',
               accentColor: 'var(--primary-color)'
@@ -321,8 +330,20 @@ const Settings = () => {
             onClick={handleExportData}
             style={{ justifyContent: 'flex-start' }}
           >
-            📥 Export Data
+            📥 Export Backup
           </button>
+          <label
+            className="btn btn-outline"
+            style={{ justifyContent: 'flex-start', cursor: 'pointer' }}
+          >
+            📤 Restore Backup
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              style={{ display: 'none' }}
+            />
+          </label>
           <button
             className="btn btn-secondary"
             onClick={handleClearProgress}
@@ -332,6 +353,108 @@ const Settings = () => {
           </button>
         </div>
         
+        {importErrors.length > 0 && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '1rem',
+            border: '1px solid var(--error-color)',
+            borderRadius: 'var(--border-radius)',
+            fontSize: '0.875rem'
+          }}>
+            <strong style={{ color: 'var(--error-color)' }}>This file can't be restored:</strong>
+            <ul style={{ margin: '0.5rem 0 0 1.25rem', color: 'var(--text-secondary)' }}>
+              {importErrors.slice(0, 10).map((error, index) => (
+                <li key={index}>{error.path} {error.message}</li>
+              ))}
+            </ul>
+            {importErrors.length > 10 && (
+              <p style={{ margin: '0.5rem 0 0', color: 'var(--text-muted)' }}>
+                …and {importErrors.length - 10} more
+              </p>
+            )}
+          </div>
+        )}
+
+        {importMessage && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '1rem',
+            border: '1px solid var(--success-color)',
+            borderRadius: 'var(--border-radius)',
+            color: 'var(--success-color)',
+            fontSize: '0.875rem'
+          }}>
+            {importMessage}
+          </div>
+        )}
+
+        {importPreview && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '1rem',
+            border: '1px solid var(--border-color)',
+            borderRadius: 'var(--border-radius)',
+            backgroundColor: 'var(--bg-secondary)'
+          }}>
+            <h3 style={{ fontSize: '1rem', margin: '0 0 0.25rem 0' }}>Restore preview</h3>
+            <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)', margin: '0 0 1rem 0' }}>
+              {importPreview.fileName} · exported {new Date(importPreview.backup.exportedAt).toLocaleString()}
+            </p>
+
+            <table style={{ width: '100%', fontSize: '0.875rem', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                  <th style={{ padding: '0.25rem 0' }}></th>
+                  <th style={{ padding: '0.25rem 0.5rem' }}>This device</th>
+                  <th style={{ padding: '0.25rem 0.5rem' }}>Backup</th>
+                  <th style={{ padding: '0.25rem 0.5rem' }}>After merge</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importPreview.comparison.sections.map(section => (
+                  <tr key={section.id} style={{ borderTop: '1px solid var(--border-color)' }}>
+                    <td style={{ padding: '0.25rem 0' }}>{section.label}</td>
+                    <td style={{ padding: '0.25rem 0.5rem' }}>{section.current}</td>
+                    <td style={{
+                      padding: '0.25rem 0.5rem',
+                      fontWeight: section.incoming !== section.current ? '600' : 'normal'
+                    }}>
+                      {section.incoming}
+                    </td>
+                    <td style={{ padding: '0.25rem 0.5rem' }}>{section.merged}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {importPreview.comparison.settings.length > 0 && (
+              <div style={{ marginTop: '1rem', fontSize: '0.875rem' }}>
+                <strong>Settings that differ</strong>
+                <span style={{ color: 'var(--text-muted)' }}> (merging keeps the ones you changed on this device)</span>
+                <ul style={{ margin: '0.5rem 0 0 1.25rem', color: 'var(--text-secondary)' }}>
+                  {importPreview.comparison.settings.map(setting => (
+                    <li key={setting.key}>
+                      {setting.key}: {formatSettingValue(setting.current)} → {formatSettingValue(setting.incoming)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', marginTop: '1rem' }}>
+              <button className="btn btn-primary" onClick={() => handleRestore(RESTORE_MODES.MERGE)}>
+                Merge with My Data
+              </button>
+              <button className="btn btn-secondary" onClick={() => handleRestore(RESTORE_MODES.REPLACE)}>
+                Replace My Data
+              </button>
+              <button className="btn btn-outline" onClick={() => setImportPreview(null)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+        
         <div style={{ 
           marginTop: '1rem',
           padding: '1rem',
@@ -0,0 +1,302 @@
+import React, { useState, useMemo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import FlashcardExercise from '../components/exercises/FlashcardExercise'
+import {
+  buildVocabularyIndex,
+  filterVocabulary,
+  sortVocabulary,
+  createVocabularyFlashcards,
+  VOCABULARY_SORTS,
+  VOCABULARY_SOURCES
+} from '../utils/vocabularyIndex'
+import { scoreFields, FIELD_KINDS } from '../utils/search'
+import koreanTTS from '../utils/koreanTextToSpeech'
+import { useSettings } from '../components/SettingsProvider'
+import lessonsData from '../data/lessons.json'
+
+const LEVELS = ['beginner', 'intermediate', 'advanced']
+
+const SOURCE_LABELS = Object.fromEntries(
+  Object.values(VOCABULARY_SOURCES).map(source => [source.id, source.label])
+)
+
+const formatLabel = (value) => value.charAt(0).toUpperCase() + value.slice(1)
+
+const selectStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--border-color)',
+  borderRadius: 'var(--border-radius)',
+  backgroundColor: 'white',
+  color: 'var(--text-primary)',
+  fontSize: '0.875rem'
+}
+
+const labelStyle = { display: 'block', fontWeight: '500', marginBottom: '0.5rem', fontSize: '0.875rem' }
+
+const Vocabulary = () => {
+  const { settings } = useSettings()
+  const vocabulary = useMemo(() => buildVocabularyIndex(lessonsData.lessons, lessonsData.modules), [])
+  const [searchParams, setSearchParams] = useSearchParams()
+  const searchQuery = searchParams.get('q') || ''
+  const [moduleFilter, setModuleFilter] = useState('all')
+  const [levelFilter, setLevelFilter] = useState('all')
+  const [sortBy, setSortBy] = useState(VOCABULARY_SORTS.LESSON.id)
+  const [selected, setSelected] = useState(new Set())
+  const [studyExercise, setStudyExercise] = useState(null)
+
+  const visibleEntries = useMemo(() => sortVocabulary(
+    filterVocabulary(vocabulary, {
+      moduleId: moduleFilter === 'all' ? null : moduleFilter,
+      level: levelFilter === 'all' ? null : levelFilter
+    }).filter(entry => !searchQuery.trim() || scoreFields([
+      { text: entry.korean, kind: FIELD_KINDS.KOREAN },
+      { text: entry.romanization, kind: FIELD_KINDS.ROMANIZATION },
+      { text: entry.translation, kind: FIELD_KINDS.TEXT }
+    ], searchQuery) > 0),
+    sortBy
+  ), [vocabulary, moduleFilter, levelFilter, sortBy, searchQuery])
+
+  const setSearchQuery = (value) => {
+    setSearchParams(value ? { q: value } : {}, { replace: true })
+  }
+
+  const selectedVisible = visibleEntries.filter(entry => selected.has(entry.korean))
+  const allVisibleSelected = visibleEntries.length > 0 && selectedVisible.length === visibleEntries.length
+  const hasActiveFilters = moduleFilter !== 'all' || levelFilter !== 'all' || searchQuery !== ''
+
+  const toggleEntry = (korean) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(korean)) {
+        next.delete(korean)
+      } else {
+        next.add(korean)
+      }
+      return next
+    })
+  }
+
+  const toggleAllVisible = () => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      visibleEntries.forEach(entry => {
+        if (allVisibleSelected) {
+          next.delete(entry.korean)
+        } else {
+          next.add(entry.korean)
+        }
+      })
+      return next
+    })
+  }
+
+  // With nothing ticked, study everything the filters currently show
+  const studyEntries = selectedVisible.length > 0 ? selectedVisible : visibleEntries
+
+  const startStudy = () => {
+    const title = `Vocabulary Study (${studyEntries.length} ${studyEntries.length === 1 ? 'word' : 'words'})`
+    setStudyExercise(createVocabularyFlashcards(studyEntries, title))
+  }
+
+  const playEntry = (entry) => {
+    if (!settings.audioEnabled) return
+
+    // Fall back to speech synthesis when the recording is missing
+    if (!entry.audio) {
+      koreanTTS.speakWord(entry.korean).catch(() => {})
+      return
+    }
+
+    const audio = new Audio(entry.audio)
+    audio.volume = settings.audioVolume / 100
+    audio.play().catch(() => koreanTTS.speakWord(entry.korean).catch(() => {}))
+  }
+
+  if (studyExercise) {
+    return (
+      <div className="page-container">
+        <div className="page-header">
+          <button className="btn btn-secondary" onClick={() => setStudyExercise(null)} style={{ marginBottom: '1rem' }}>
+            ← Back to Vocabulary
+          </button>
+          <h1 className="page-title">{studyExercise.title}</h1>
+        </div>
+        <div className="card">
+          <FlashcardExercise exercise={studyExercise} />
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="page-container">
+      <div className="page-header">
+        <h1 className="page-title">Vocabulary</h1>
+        <p className="page-description">
+          Every word and phrase from the lessons in one place — {vocabulary.length} entries in total.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '1rem',
+          alignItems: 'flex-end'
+        }}>
+          <div style={{ flex: '1 1 200px' }}>
+            <label htmlFor="vocabulary-search" style={labelStyle}>Search</label>
+            <input
+              id="vocabulary-search"
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Korean, 초성, romanization or English"
+              style={{ ...selectStyle, width: '100%' }}
+            />
+          </div>
+          <div>
+            <label htmlFor="vocabulary-module" style={labelStyle}>Module</label>
+            <select
+              id="vocabulary-module"
+              value={moduleFilter}
+              onChange={(e) => setModuleFilter(e.target.value)}
+              style={selectStyle}
+            >
+              <option value="all">All modules</option>
+              {lessonsData.modules.map(module => (
+                <option key={module.id} value={module.id}>{module.title}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="vocabulary-level" style={labelStyle}>Level</label>
+            <select
+              id="vocabulary-level"
+              value={levelFilter}
+              onChange={(e) => setLevelFilter(e.target.value)}
+              style={selectStyle}
+            >
+              <option value="all">All levels</option>
+              {LEVELS.map(level => (
+                <option key={level} value={level}>{formatLabel(level)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="vocabulary-sort" style={labelStyle}>Sort by</label>
+            <select
+              id="vocabulary-sort"
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              style={selectStyle}
+            >
+              {Object.values(VOCABULARY_SORTS).map(sort => (
+                <option key={sort.id} value={sort.id}>{sort.label}</option>
+              ))}
+            </select>
+          </div>
+          {hasActiveFilters && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setModuleFilter('all')
+                setLevelFilter('all')
+                setSearchQuery('')
+              }}
+            >
+              Clear Filters
+            </button>
+          )}
+          <div style={{ marginLeft: 'auto' }}>
+            <button
+              className="btn btn-primary"
+              onClick={startStudy}
+              disabled={studyEntries.length === 0}
+            >
+              📇 Study {selectedVisible.length > 0 ? `${selectedVisible.length} Selected` : 'These'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {visibleEntries.length === 0 ? (
+        <div className="card">
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+            No vocabulary matches your filters.
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h2 className="card-title">
+              {visibleEntries.length} {visibleEntries.length === 1 ? 'entry' : 'entries'}
+            </h2>
+            <label style={{ fontSize: '0.875rem', display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+              <input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} />
+              Select all
+            </label>
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            {visibleEntries.map(entry => (
+              <div
+                key={entry.korean}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '1rem',
+                  padding: '0.75rem 1rem',
+                  border: '1px solid var(--border-color)',
+                  borderRadius: 'var(--border-radius)',
+                  backgroundColor: selected.has(entry.korean) ? 'var(--bg-secondary)' : 'transparent'
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.has(entry.korean)}
+                  onChange={() => toggleEntry(entry.korean)}
+                  aria-label={`Select ${entry.korean}`}
+                />
+                <div style={{ flex: '0 0 9rem' }}>
+                  <div className="korean-text" style={{ fontSize: '1.25rem', fontWeight: 'bold', color: 'var(--primary-color)' }}>
+                    {entry.korean}
+                  </div>
+                  {settings.showRomanization && (
+                    <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>{entry.romanization}</div>
+                  )}
+                </div>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div>{entry.translation || <span style={{ color: 'var(--text-muted)' }}>—</span>}</div>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                    {entry.occurrences.map((occurrence, index) => (
+                      <span key={`${occurrence.lessonId}-${occurrence.source}`}>
+                        {index > 0 && ' · '}
+                        <Link to={`/lessons/${occurrence.lessonId}`} title={occurrence.context || undefined}>
+                          {occurrence.lessonTitle}
+                        </Link>
+                        {' '}({SOURCE_LABELS[occurrence.source]})
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <button
+                  className="btn btn-outline"
+                  onClick={() => playEntry(entry)}
+                  disabled={!settings.audioEnabled}
+                  title={settings.audioEnabled ? `Play ${entry.korean}` : 'Audio is turned off in Settings'}
+                  style={{ fontSize: '0.75rem', padding: '0.5rem 0.75rem' }}
+                >
+                  {settings.audioEnabled ? '🔊' : '🔇'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Vocabulary
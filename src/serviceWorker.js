@@ -0,0 +1,122 @@
+/**
+ * Service Worker for Korean Learning App
+ * Precaches the app shell (including the bundled lesson data) and caches
+ * lesson media on first use so lessons keep working without a connection.
+ *
+ * Built by the service worker plugin in vite.config.js, which prepends
+ * BUILD_ID and PRECACHE_URLS. Not part of the app bundle.
+ */
+
+/* global BUILD_ID, PRECACHE_URLS */
+
+const SHELL_CACHE = `korean-learning-shell-${BUILD_ID}`
+
+// Must match MEDIA_CACHE_NAME in src/utils/offlineCache.js
+const MEDIA_CACHE = 'korean-learning-media-v1'
+
+// Lesson audio, images, video, subtitles and articles served from public/assets
+const MEDIA_PATH_PATTERN = /^\/assets\/(audio|images|videos|subtitles|articles)\//
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  // Drop app shells from previous builds; downloaded media is kept
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('korean-learning-shell-') && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (MEDIA_PATH_PATTERN.test(url.pathname)) {
+    event.respondWith(handleMedia(request, url))
+  } else if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(url.pathname).then(cached => cached || fetch(request))
+    )
+  }
+})
+
+// Network first so new builds are picked up, the cached shell when offline
+async function handleNavigation(request) {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const cached = await caches.match('/index.html')
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Cache first; media requested while online is kept for later
+async function handleMedia(request, url) {
+  const cache = await caches.open(MEDIA_CACHE)
+  const cacheKey = url.pathname
+  let response = await cache.match(cacheKey)
+
+  if (!response) {
+    // Fetch the whole file (no Range header) so it can be cached
+    response = await fetch(cacheKey)
+    if (response.ok && response.status === 200) {
+      await cache.put(cacheKey, response.clone())
+    }
+  }
+
+  const range = request.headers.get('range')
+  if (range && response.status === 200) {
+    return createRangeResponse(response, range)
+  }
+  return response
+}
+
+// Audio and video elements seek with Range requests; answer them from the full cached file
+async function createRangeResponse(response, rangeHeader) {
+  const blob = await response.blob()
+  const match = /bytes=(\d*)-(\d*)/.exec(rangeHeader)
+  if (!match) return new Response(blob, { status: 200, headers: response.headers })
+
+  const size = blob.size
+  let start = match[1] === '' ? null : Number(match[1])
+  let end = match[2] === '' ? size - 1 : Number(match[2])
+
+  if (start === null) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - end, 0)
+    end = size - 1
+  }
+
+  if (start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${size}` }
+    })
+  }
+
+  end = Math.min(end, size - 1)
+  const headers = new Headers(response.headers)
+  headers.set('Content-Range', `bytes ${start}-${end}/${size}`)
+  headers.set('Content-Length', String(end - start + 1))
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers
+  })
+}
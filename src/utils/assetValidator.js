@@ -57,6 +57,7 @@ export class AssetValidationResult {
     if (['mp3', 'ogg', 'wav', 'm4a'].includes(extension)) return 'audio'
     if (['jpg', 'jpeg', 'png', 'webp', 'gif', 'svg'].includes(extension)) return 'image'
     if (['mp4', 'webm', 'ogg'].includes(extension)) return 'video'
+    if (extension === 'vtt') return 'subtitles'
     
     return 'unknown'
   }
@@ -89,6 +90,7 @@ export class AssetValidator {
       allowedAudioTypes: options.allowedAudioTypes ?? ['mp3', 'ogg', 'wav'],
       allowedImageTypes: options.allowedImageTypes ?? ['jpg', 'jpeg', 'png', 'webp', 'gif'],
       allowedVideoTypes: options.allowedVideoTypes ?? ['mp4', 'webm', 'ogg'],
+      allowedSubtitleTypes: options.allowedSubtitleTypes ?? ['vtt'],
       baseAssetPath: options.baseAssetPath ?? '/public',
       ...options
     }
@@ -250,6 +252,13 @@ export class AssetValidator {
             type: 'video'
           })
         }
+        lesson.content.media.subtitles?.forEach((track, trackIndex) => {
+          assets.push({
+            path: track.src,
+            context: `${lessonContext}.content.media.subtitles[${trackIndex}]`,
+            type: 'subtitles'
+          })
+        })
       }
 
       // Extract audio from exercises
@@ -301,7 +310,8 @@ export class AssetValidator {
     const allAllowedTypes = [
       ...this.options.allowedAudioTypes,
       ...this.options.allowedImageTypes,
-      ...this.options.allowedVideoTypes
+      ...this.options.allowedVideoTypes,
+      ...this.options.allowedSubtitleTypes
     ]
 
     return allAllowedTypes.includes(extension)
@@ -337,7 +347,9 @@ export class AssetValidator {
         '/assets/images/vowels-consonants.jpg',
         '/assets/images/syllable-formation.jpg',
         '/assets/images/greetings.jpg',
-        '/assets/images/introduction.jpg'
+        '/assets/images/introduction.jpg',
+        '/assets/videos/lessons/lesson-001_intro_welcome.ko.vtt',
+        '/assets/videos/lessons/lesson-001_intro_welcome.en.vtt'
       ]
 
       // Simulate network delay
@@ -385,6 +397,7 @@ export class AssetValidator {
     if (this.options.allowedAudioTypes.includes(extension)) return 'audio'
     if (this.options.allowedImageTypes.includes(extension)) return 'image'
     if (this.options.allowedVideoTypes.includes(extension)) return 'video'
+    if (this.options.allowedSubtitleTypes.includes(extension)) return 'subtitles'
     
     return 'unknown'
   }
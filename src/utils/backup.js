@@ -0,0 +1,341 @@
+/**
+ * Backup and Restore for Korean Learning App
+ * Exports all learner data (progress, spaced repetition state, analytics with
+ * streaks and badges, and settings) into a versioned file
+ * and restores it by merging with or replacing the local data
+ */
+
+import Ajv from 'ajv'
+import { backupSchema, BACKUP_FORMAT } from '../data/schemas/backupSchema.js'
+import storage, { STORAGE_NAMESPACES, STORAGE_SCHEMA_VERSION } from './storage.js'
+import { rebuildPerformanceData } from './performanceTracking.js'
+import { DEFAULT_SETTINGS } from './defaultSettings.js'
+
+// Current backup format version
+export const BACKUP_FORMAT_VERSION = 1
+
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+}
+
+// Namespaces included in a backup; logs stay on the device
+const BACKUP_NAMESPACES = [STORAGE_NAMESPACES.PROGRESS, STORAGE_NAMESPACES.SETTINGS]
+
+// Timestamps where the earlier value is the meaningful one when merging
+const EARLIEST_WINS_KEYS = ['firstPassedAt', 'completedAt', 'createdAt', 'earnedAt']
+
+// Values that belong to an attempt and are taken from whichever side attempted last
+const LATEST_ATTEMPT_KEYS = ['lastScore']
+
+const SRS_HISTORY_LIMIT = 500
+
+// Sections shown in the restore preview
+export const BACKUP_SECTIONS = [
+  { id: 'completedLessons', label: 'Completed lessons', count: data => (data.progress.completedLessons || []).length },
+  {
+    id: 'exerciseResults',
+    label: 'Exercise results',
+    count: data => Object.values(data.progress.lessons || {})
+      .reduce((sum, lesson) => sum + Object.keys(lesson.exercises || {}).length, 0)
+  },
+  { id: 'srsItems', label: 'Scheduled review items', count: data => Object.keys(data.progress.srs?.items || {}).length },
+  { id: 'srsHistory', label: 'Review history entries', count: data => (data.progress.srs?.history || []).length },
+  { id: 'studyDays', label: 'Study days (streaks)', count: data => (data.progress.analytics?.studyDates || []).length },
+  { id: 'achievements', label: 'Achievements', count: data => (data.progress.analytics?.achievements || []).length },
+  { id: 'badges', label: 'Badges', count: data => (data.progress.analytics?.badges || []).length },
+  { id: 'performance', label: 'Performance records', count: data => (data.progress.performance?.entries || []).length }
+]
+
+const ajv = new Ajv({
+  allErrors: true,
+  strict: false
+})
+
+const validateSchema = ajv.compile(backupSchema)
+
+/**
+ * Create a backup of everything stored for the learner
+ * @returns {Object} Backup document
+ */
+export function createBackup() {
+  const data = {}
+  BACKUP_NAMESPACES.forEach(namespace => {
+    data[namespace] = storage.getStore(namespace).getAll()
+  })
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    storageSchemaVersion: STORAGE_SCHEMA_VERSION,
+    data
+  }
+}
+
+/**
+ * Validate a backup document
+ * @param {Object} backup - Parsed backup
+ * @returns {Object} { isValid, errors }
+ */
+export function validateBackup(backup) {
+  const errors = []
+
+  if (!validateSchema(backup)) {
+    errors.push(...validateSchema.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.message
+    })))
+  } else if (backup.formatVersion > BACKUP_FORMAT_VERSION) {
+    errors.push({
+      path: '/formatVersion',
+      message: `was made by a newer version of the app (format ${backup.formatVersion}, supported ${BACKUP_FORMAT_VERSION})`
+    })
+  }
+
+  return { isValid: errors.length === 0, errors }
+}
+
+/**
+ * Parse and validate the contents of a backup file.
+ * Files from the old Settings export are converted first.
+ * @param {string} text - File contents
+ * @returns {Object} { backup, isValid, errors }
+ */
+export function parseBackupFile(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (error) {
+    return { backup: null, isValid: false, errors: [{ path: '/', message: 'is not valid JSON' }] }
+  }
+
+  const backup = isLegacyExport(parsed) ? convertLegacyExport(parsed) : parsed
+  return { backup, ...validateBackup(backup) }
+}
+
+/**
+ * Merge backed up data into the current data
+ * @param {Object} current - Current { progress, settings }
+ * @param {Object} incoming - Backed up { progress, settings }
+ * @returns {Object} Merged { progress, settings }
+ */
+export function mergeBackupData(current, incoming) {
+  const progress = mergeValues(current.progress || {}, incoming.progress || {})
+
+  if (current.progress?.srs || incoming.progress?.srs) {
+    progress.srs = mergeSrsData(current.progress?.srs, incoming.progress?.srs)
+  }
+
+  if (current.progress?.performance || incoming.progress?.performance) {
+    const entries = mergeValues(
+      current.progress?.performance?.entries || [],
+      incoming.progress?.performance?.entries || []
+    )
+    progress.performance = rebuildPerformanceData(entries)
+  }
+
+  if (progress.analytics?.studyDates) {
+    progress.analytics.studyDates.sort((a, b) => new Date(a) - new Date(b))
+  }
+
+  // Settings changed on this device win; the backup fills in the rest
+  const settings = { ...(current.settings || {}) }
+  Object.entries(incoming.settings || {}).forEach(([key, value]) => {
+    if (!isChangedSetting(key, settings[key])) {
+      settings[key] = value
+    }
+  })
+
+  return { progress, settings }
+}
+
+/**
+ * Compare the current data with a backup for the restore preview
+ * @param {Object} current - Current { progress, settings }
+ * @param {Object} incoming - Backed up { progress, settings }
+ * @returns {Object} { sections, settings }
+ */
+export function compareBackupData(current, incoming) {
+  const merged = mergeBackupData(current, incoming)
+
+  const sections = BACKUP_SECTIONS.map(section => ({
+    id: section.id,
+    label: section.label,
+    current: section.count(current),
+    incoming: section.count(incoming),
+    merged: section.count(merged)
+  }))
+
+  const settingKeys = new Set([
+    ...Object.keys(current.settings || {}),
+    ...Object.keys(incoming.settings || {})
+  ])
+  const settings = [...settingKeys]
+    .filter(key => JSON.stringify(current.settings?.[key]) !== JSON.stringify(incoming.settings?.[key]))
+    .map(key => ({
+      key,
+      current: current.settings?.[key],
+      incoming: incoming.settings?.[key]
+    }))
+
+  return { sections, settings }
+}
+
+/**
+ * Get the data that is currently stored, in backup layout
+ * @returns {Object} { progress, settings }
+ */
+export function getCurrentData() {
+  return createBackup().data
+}
+
+/**
+ * Restore a validated backup
+ * @param {Object} backup - Backup document
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Object} The data now stored
+ */
+export function restoreBackup(backup, mode = RESTORE_MODES.MERGE) {
+  const { isValid, errors } = validateBackup(backup)
+  if (!isValid) {
+    throw new Error(`Invalid backup: ${errors.map(error => `${error.path} ${error.message}`).join(', ')}`)
+  }
+
+  const data = mode === RESTORE_MODES.REPLACE
+    ? backup.data
+    : mergeBackupData(getCurrentData(), backup.data)
+
+  BACKUP_NAMESPACES.forEach(namespace => {
+    const store = storage.getStore(namespace)
+    if (mode === RESTORE_MODES.REPLACE) {
+      store.clear()
+    }
+    Object.entries(data[namespace] || {}).forEach(([key, value]) => {
+      store.set(key, value)
+    })
+  })
+
+  return data
+}
+
+/**
+ * Helper functions
+ */
+
+/**
+ * Merge two values of unknown shape: arrays are combined without duplicates,
+ * objects merged key by key, numbers keep the larger value, flags stay set and
+ * dates keep the later one (or the earlier one for "first" timestamps).
+ * @private
+ */
+function mergeValues(current, incoming, key = null) {
+  if (current === undefined || current === null) return incoming
+  if (incoming === undefined || incoming === null) return current
+
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    const seen = new Set(current.map(getIdentity))
+    const merged = [...current]
+    incoming.forEach(item => {
+      const identity = getIdentity(item)
+      if (!seen.has(identity)) {
+        seen.add(identity)
+        merged.push(item)
+      }
+    })
+    return merged
+  }
+
+  if (isPlainObject(current) && isPlainObject(incoming)) {
+    const merged = {}
+    new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach(childKey => {
+      merged[childKey] = mergeValues(current[childKey], incoming[childKey], childKey)
+    })
+
+    const incomingIsLater = Date.parse(incoming.lastAttemptAt) > Date.parse(current.lastAttemptAt)
+    LATEST_ATTEMPT_KEYS
+      .filter(childKey => childKey in current && childKey in incoming)
+      .forEach(childKey => {
+        merged[childKey] = incomingIsLater ? incoming[childKey] : current[childKey]
+      })
+    return merged
+  }
+
+  if (typeof current === 'number' && typeof incoming === 'number') {
+    return Math.max(current, incoming)
+  }
+
+  if (typeof current === 'boolean' && typeof incoming === 'boolean') {
+    return current || incoming
+  }
+
+  const currentTime = typeof current === 'string' ? Date.parse(current) : NaN
+  const incomingTime = typeof incoming === 'string' ? Date.parse(incoming) : NaN
+  if (Number.isFinite(currentTime) && Number.isFinite(incomingTime)) {
+    const earliestWins = EARLIEST_WINS_KEYS.includes(key)
+    return (incomingTime < currentTime) === earliestWins ? incoming : current
+  }
+
+  return current
+}
+
+/**
+ * Scheduling state is only meaningful as a whole, so each item keeps the
+ * version that was reviewed most recently
+ * @private
+ */
+function mergeSrsData(current = {}, incoming = {}) {
+  const items = { ...(current.items || {}) }
+  Object.entries(incoming.items || {}).forEach(([id, item]) => {
+    const existing = items[id]
+    if (!existing || reviewedAt(item) > reviewedAt(existing)) {
+      items[id] = item
+    }
+  })
+
+  const history = mergeValues(current.history || [], incoming.history || [])
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(-SRS_HISTORY_LIMIT)
+
+  return { items, history }
+}
+
+// Whether a setting holds a value the learner picked rather than the default
+function isChangedSetting(key, value) {
+  if (value === undefined) return false
+  return !(key in DEFAULT_SETTINGS) || JSON.stringify(value) !== JSON.stringify(DEFAULT_SETTINGS[key])
+}
+
+function reviewedAt(item) {
+  return item.lastReviewed ? new Date(item.lastReviewed).getTime() : 0
+}
+
+function getIdentity(item) {
+  if (isPlainObject(item) && item.id !== undefined) return `id:${item.id}`
+  return JSON.stringify(item)
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// The Settings export before versioned backups: flat settings plus three progress keys
+function isLegacyExport(parsed) {
+  return isPlainObject(parsed) && !parsed.format &&
+    ('completedLessons' in parsed || 'progressData' in parsed)
+}
+
+function convertLegacyExport(legacy) {
+  const { completedLessons, exerciseScores, progressData, ...settings } = legacy
+  const progress = {}
+  if (completedLessons) progress.completedLessons = completedLessons
+  if (exerciseScores) progress.exerciseScores = exerciseScores
+  if (progressData && Object.keys(progressData).length > 0) progress.lessons = progressData
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: { progress, settings }
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * Conjugation Engine for Korean Learning App
+ * Conjugates verbs and adjectives from their dictionary form (-다) into the
+ * three common speech levels and tenses, and attaches connective endings.
+ * Handles 하다 stems, vowel contraction, ㄹ-stems and the ㅂ, ㄷ, ㅅ, 르, ㅎ
+ * and 으 irregulars.
+ */
+
+import { decomposeSyllable, composeSyllable, isHangulSyllable } from './hangul.js'
+
+export const SPEECH_LEVELS = {
+  POLITE: 'polite',
+  FORMAL: 'formal',
+  CASUAL: 'casual'
+}
+
+export const SPEECH_LEVEL_NAMES = {
+  [SPEECH_LEVELS.POLITE]: { name: 'Polite', korean: '해요체' },
+  [SPEECH_LEVELS.FORMAL]: { name: 'Formal', korean: '합니다체' },
+  [SPEECH_LEVELS.CASUAL]: { name: 'Casual', korean: '반말' }
+}
+
+export const TENSES = {
+  PRESENT: 'present',
+  PAST: 'past',
+  FUTURE: 'future'
+}
+
+export const CONNECTIVES = {
+  AND: { id: 'and', ending: '-고', meaning: 'and' },
+  BUT: { id: 'but', ending: '-지만', meaning: 'but' },
+  SO: { id: 'so', ending: '-아서/어서', meaning: 'so, and then' },
+  IF: { id: 'if', ending: '-(으)면', meaning: 'if, when' },
+  BECAUSE: { id: 'because', ending: '-(으)니까', meaning: 'because, since' },
+  WHILE: { id: 'while', ending: '-(으)면서', meaning: 'while' }
+}
+
+export const IRREGULAR_TYPES = {
+  REGULAR: 'regular',
+  B: 'b',
+  D: 'd',
+  S: 's',
+  REU: 'reu',
+  H: 'h',
+  EU: 'eu'
+}
+
+export const IRREGULAR_RULES = {
+  [IRREGULAR_TYPES.B]: {
+    name: 'ㅂ irregular',
+    korean: 'ㅂ 불규칙',
+    description: 'The final ㅂ turns into 우 before a vowel ending: 춥다 → 추워요, 추우면.'
+  },
+  [IRREGULAR_TYPES.D]: {
+    name: 'ㄷ irregular',
+    korean: 'ㄷ 불규칙',
+    description: 'The final ㄷ turns into ㄹ before a vowel ending: 듣다 → 들어요, 들으면.'
+  },
+  [IRREGULAR_TYPES.S]: {
+    name: 'ㅅ irregular',
+    korean: 'ㅅ 불규칙',
+    description: 'The final ㅅ drops before a vowel ending, without contracting: 낫다 → 나아요, 나으면.'
+  },
+  [IRREGULAR_TYPES.REU]: {
+    name: '르 irregular',
+    korean: '르 불규칙',
+    description: '르 adds an extra ㄹ and becomes 라 or 러 before 아/어: 모르다 → 몰라요.'
+  },
+  [IRREGULAR_TYPES.H]: {
+    name: 'ㅎ irregular',
+    korean: 'ㅎ 불규칙',
+    description: 'The final ㅎ drops, and before 아/어 the vowel becomes ㅐ: 그렇다 → 그래요, 그러면.'
+  },
+  [IRREGULAR_TYPES.EU]: {
+    name: '으 irregular',
+    korean: '으 탈락',
+    description: 'The vowel ㅡ drops before 아/어: 쓰다 → 써요, 바쁘다 → 바빠요.'
+  }
+}
+
+// Stems that follow an irregular pattern. Stems ending in one of these
+// (like 알아듣 for 듣) follow the same pattern.
+const B_IRREGULAR_STEMS = [
+  '춥', '덥', '쉽', '어렵', '가깝', '맵', '귀엽', '고맙', '반갑', '즐겁', '무겁',
+  '가볍', '돕', '곱', '눕', '굽', '밉', '아깝', '어둡', '무섭', '뜨겁', '차갑',
+  '싱겁', '두껍', '답', '럽', '롭'
+]
+const D_IRREGULAR_STEMS = ['듣', '걷', '묻', '싣', '깨닫', '붇']
+const S_IRREGULAR_STEMS = ['낫', '짓', '붓', '긋', '잇', '젓']
+const H_REGULAR_STEMS = ['좋', '놓', '낳', '넣', '닿', '쌓', '찧']
+// 르 stems that only drop ㅡ instead of adding ㄹ
+const EU_STEMS_ENDING_IN_REU = ['따르', '치르', '들르']
+// ㅂ stems that take 와 instead of 워
+const B_STEMS_WITH_WA = ['돕', '곱']
+
+const BRIGHT_VOWELS = ['ㅏ', 'ㅑ', 'ㅗ']
+
+/**
+ * Split a dictionary form into its stem and irregular type
+ * @param {string} dictionaryForm - Verb or adjective ending in 다 (e.g. 먹다)
+ * @param {string} irregular - Optional IRREGULAR_TYPES value overriding detection
+ * @returns {Object|null} - { stem, irregular } or null if the word is not a dictionary form
+ */
+export function getStemInfo(dictionaryForm, irregular = null) {
+  const form = (dictionaryForm || '').trim()
+  const stem = form.slice(0, -1)
+  if (!form.endsWith('다') || stem.length === 0 || !Array.from(stem).every(isHangulSyllable)) {
+    return null
+  }
+
+  return { stem, irregular: irregular || detectIrregular(stem) }
+}
+
+/**
+ * Conjugate a verb or adjective into a tense and speech level
+ * @param {string} dictionaryForm - Verb or adjective ending in 다
+ * @param {Object} options - { tense, level, irregular }
+ * @returns {string|null} - Conjugated form, or null if the word cannot be conjugated
+ */
+export function conjugate(dictionaryForm, options = {}) {
+  const { tense = TENSES.PRESENT, level = SPEECH_LEVELS.POLITE, irregular = null } = options
+  const info = getStemInfo(dictionaryForm, irregular)
+  if (!info) return null
+
+  if (tense === TENSES.PRESENT) {
+    if (level === SPEECH_LEVELS.FORMAL) return toFormalPresent(info.stem)
+    const infinitive = toInfinitive(info)
+    return level === SPEECH_LEVELS.POLITE ? `${infinitive}요` : infinitive
+  }
+
+  if (tense === TENSES.PAST) {
+    const infinitive = toInfinitive(info)
+    const pastStem = withLastSyllable(infinitive, setFinal(infinitive.slice(-1), 'ㅆ'))
+    if (level === SPEECH_LEVELS.FORMAL) return `${pastStem}습니다`
+    return level === SPEECH_LEVELS.POLITE ? `${pastStem}어요` : `${pastStem}어`
+  }
+
+  if (tense === TENSES.FUTURE) {
+    const base = attachEuEnding(info, 'ㄹ')
+    if (level === SPEECH_LEVELS.FORMAL) return `${base} 겁니다`
+    return level === SPEECH_LEVELS.POLITE ? `${base} 거예요` : `${base} 거야`
+  }
+
+  return null
+}
+
+/**
+ * Attach a connective ending to a verb or adjective
+ * @param {string} dictionaryForm - Verb or adjective ending in 다
+ * @param {string} connective - Connective id from CONNECTIVES (e.g. 'and')
+ * @param {Object} options - { irregular }
+ * @returns {string|null} - Connected form, or null if the word cannot be conjugated
+ */
+export function conjugateConnective(dictionaryForm, connective, options = {}) {
+  const info = getStemInfo(dictionaryForm, options.irregular || null)
+  if (!info) return null
+
+  switch (connective) {
+    case CONNECTIVES.AND.id:
+      return `${info.stem}고`
+    case CONNECTIVES.BUT.id:
+      return `${info.stem}지만`
+    case CONNECTIVES.SO.id:
+      return `${toInfinitive(info)}서`
+    case CONNECTIVES.IF.id:
+      return attachEuEnding(info, '면')
+    case CONNECTIVES.BECAUSE.id:
+      return attachEuEnding(info, '니까')
+    case CONNECTIVES.WHILE.id:
+      return attachEuEnding(info, '면서')
+    default:
+      return null
+  }
+}
+
+/**
+ * Build every form of a verb or adjective
+ * @param {string} dictionaryForm - Verb or adjective ending in 다
+ * @param {Object} options - { irregular }
+ * @returns {Object|null} - { stem, irregular, forms: { level: { tense } }, connectives: { id } }
+ */
+export function getConjugationTable(dictionaryForm, options = {}) {
+  const info = getStemInfo(dictionaryForm, options.irregular || null)
+  if (!info) return null
+
+  const forms = {}
+  Object.values(SPEECH_LEVELS).forEach(level => {
+    forms[level] = {}
+    Object.values(TENSES).forEach(tense => {
+      forms[level][tense] = conjugate(dictionaryForm, { tense, level, irregular: info.irregular })
+    })
+  })
+
+  const connectives = {}
+  Object.values(CONNECTIVES).forEach(({ id }) => {
+    connectives[id] = conjugateConnective(dictionaryForm, id, { irregular: info.irregular })
+  })
+
+  return { ...info, forms, connectives }
+}
+
+// Helper functions
+
+function detectIrregular(stem) {
+  const last = stem.slice(-1)
+  const { medial, final } = decomposeSyllable(last)
+  const endsWithAny = stems => stems.some(candidate => stem.endsWith(candidate))
+
+  if (last === '르' && stem.length > 1) {
+    return endsWithAny(EU_STEMS_ENDING_IN_REU) ? IRREGULAR_TYPES.EU : IRREGULAR_TYPES.REU
+  }
+  if (medial === 'ㅡ' && !final) return IRREGULAR_TYPES.EU
+  if (final === 'ㅂ' && endsWithAny(B_IRREGULAR_STEMS)) return IRREGULAR_TYPES.B
+  if (final === 'ㄷ' && endsWithAny(D_IRREGULAR_STEMS)) return IRREGULAR_TYPES.D
+  if (final === 'ㅅ' && endsWithAny(S_IRREGULAR_STEMS)) return IRREGULAR_TYPES.S
+  if (final === 'ㅎ' && !endsWithAny(H_REGULAR_STEMS)) return IRREGULAR_TYPES.H
+  return IRREGULAR_TYPES.REGULAR
+}
+
+function withLastSyllable(text, syllable) {
+  return text.slice(0, -1) + syllable
+}
+
+function setFinal(syllable, final) {
+  const { initial, medial } = decomposeSyllable(syllable)
+  return composeSyllable(initial, medial, final)
+}
+
+function setMedial(syllable, medial) {
+  return composeSyllable(decomposeSyllable(syllable).initial, medial)
+}
+
+function isBright(syllable) {
+  return Boolean(syllable) && BRIGHT_VOWELS.includes(decomposeSyllable(syllable).medial)
+}
+
+// The 아/어 form that the polite present, past tense and -아서 build on
+function toInfinitive({ stem, irregular }) {
+  const last = stem.slice(-1)
+  const { initial, medial, final } = decomposeSyllable(last)
+  const harmony = isBright(last) ? '아' : '어'
+
+  if (last === '하') return withLastSyllable(stem, '해')
+
+  switch (irregular) {
+    case IRREGULAR_TYPES.B: {
+      const ending = B_STEMS_WITH_WA.some(candidate => stem.endsWith(candidate)) ? '와' : '워'
+      return withLastSyllable(stem, setFinal(last, '')) + ending
+    }
+    case IRREGULAR_TYPES.D:
+      return withLastSyllable(stem, setFinal(last, 'ㄹ')) + harmony
+    case IRREGULAR_TYPES.S:
+      return withLastSyllable(stem, setFinal(last, '')) + harmony
+    case IRREGULAR_TYPES.H:
+      return withLastSyllable(stem, setMedial(last, ['ㅑ', 'ㅕ'].includes(medial) ? 'ㅒ' : 'ㅐ'))
+    case IRREGULAR_TYPES.REU: {
+      const previous = stem.slice(-2, -1)
+      return stem.slice(0, -2) + setFinal(previous, 'ㄹ') + composeSyllable('ㄹ', isBright(previous) ? 'ㅏ' : 'ㅓ')
+    }
+    case IRREGULAR_TYPES.EU: {
+      const previous = stem.slice(-2, -1)
+      return withLastSyllable(stem, composeSyllable(initial, isBright(previous) ? 'ㅏ' : 'ㅓ'))
+    }
+    default:
+      break
+  }
+
+  if (final) return stem + harmony
+
+  // Vowel stems contract with 아/어
+  switch (medial) {
+    case 'ㅏ':
+    case 'ㅓ':
+    case 'ㅐ':
+    case 'ㅔ':
+    case 'ㅕ':
+      return stem
+    case 'ㅗ':
+      return withLastSyllable(stem, composeSyllable(initial, 'ㅘ'))
+    case 'ㅜ':
+      return withLastSyllable(stem, composeSyllable(initial, 'ㅝ'))
+    case 'ㅣ':
+      return withLastSyllable(stem, composeSyllable(initial, 'ㅕ'))
+    case 'ㅚ':
+      return withLastSyllable(stem, composeSyllable(initial, 'ㅙ'))
+    default:
+      return stem + harmony
+  }
+}
+
+// -ㅂ니다 after a vowel or ㄹ (which drops), -습니다 after other consonants
+function toFormalPresent(stem) {
+  const { final } = decomposeSyllable(stem.slice(-1))
+  if (!final || final === 'ㄹ') {
+    return withLastSyllable(stem, setFinal(stem.slice(-1), 'ㅂ')) + '니다'
+  }
+  return `${stem}습니다`
+}
+
+/**
+ * Attach an ending that takes a linking 으 after consonant stems, such as
+ * -(으)면 or -(으)ㄹ. A single jamo ending becomes the final consonant.
+ */
+function attachEuEnding({ stem, irregular }, ending) {
+  const last = stem.slice(-1)
+  const { final } = decomposeSyllable(last)
+  const isJamo = ending.length === 1 && !isHangulSyllable(ending)
+  let base = stem
+  let needsEu = Boolean(final) && final !== 'ㄹ'
+
+  if (irregular === IRREGULAR_TYPES.B) {
+    base = withLastSyllable(stem, setFinal(last, '')) + '우'
+    needsEu = false
+  } else if (irregular === IRREGULAR_TYPES.D) {
+    base = withLastSyllable(stem, setFinal(last, 'ㄹ'))
+    needsEu = true
+  } else if (irregular === IRREGULAR_TYPES.S) {
+    base = withLastSyllable(stem, setFinal(last, ''))
+    needsEu = true
+  } else if (irregular === IRREGULAR_TYPES.H) {
+    base = withLastSyllable(stem, setFinal(last, ''))
+    needsEu = false
+  }
+
+  if (needsEu) {
+    return isJamo ? `${base}${setFinal('으', ending)}` : `${base}으${ending}`
+  }
+
+  // ㄹ-stems drop their ㄹ before ㄴ, ㅂ and ㅅ
+  const baseFinal = decomposeSyllable(base.slice(-1)).final
+  if (baseFinal === 'ㄹ') {
+    const firstJamo = isJamo ? ending : decomposeSyllable(ending[0])?.initial
+    if (isJamo && ending === 'ㄹ') return base
+    if (['ㄴ', 'ㅂ', 'ㅅ'].includes(firstJamo)) {
+      base = withLastSyllable(base, setFinal(base.slice(-1), ''))
+    }
+  }
+
+  return isJamo ? withLastSyllable(base, setFinal(base.slice(-1), ending)) : base + ending
+}
@@ -17,20 +17,28 @@ export const SCHEMA_VERSIONS = {
   }
 }
 
+/**
+ * Create an empty migration registry
+ * Data that is versioned independently of the lesson data keeps its own registry
+ * @returns {Map} - Migration registry
+ */
+export const createMigrationRegistry = () => new Map()
+
 /**
  * Migration registry to store all migration functions
  */
-const migrationRegistry = new Map()
+const migrationRegistry = createMigrationRegistry()
 
 /**
  * Register a migration function
  * @param {string} fromVersion - Source version
  * @param {string} toVersion - Target version
  * @param {Function} migrationFn - Migration function
+ * @param {Map} registry - Registry to add the migration to (defaults to the lesson data registry)
  */
-export const registerMigration = (fromVersion, toVersion, migrationFn) => {
+export const registerMigration = (fromVersion, toVersion, migrationFn, registry = migrationRegistry) => {
   const key = `${fromVersion}->${toVersion}`
-  migrationRegistry.set(key, {
+  registry.set(key, {
     fromVersion,
     toVersion,
     migrate: migrationFn,
@@ -43,8 +51,12 @@ export const registerMigration = (fromVersion, toVersion, migrationFn) => {
  * Handles schema versioning and data transformation
  */
 export class DataMigrationManager {
-  constructor() {
-    this.currentVersion = CURRENT_SCHEMA_VERSION
+  /**
+   * @param {Object} options - { currentVersion, registry }
+   */
+  constructor(options = {}) {
+    this.currentVersion = options.currentVersion || CURRENT_SCHEMA_VERSION
+    this.registry = options.registry || migrationRegistry
     this.migrationHistory = []
     this.backupData = new Map()
   }
@@ -96,12 +108,12 @@ export class DataMigrationManager {
     // In a more complex system, this would use graph traversal
     const directKey = `${fromVersion}->${toVersion}`
     
-    if (migrationRegistry.has(directKey)) {
-      return [migrationRegistry.get(directKey)]
+    if (this.registry.has(directKey)) {
+      return [this.registry.get(directKey)]
     }
 
     // Check for intermediate migrations (simplified)
-    const availableMigrations = Array.from(migrationRegistry.values())
+    const availableMigrations = Array.from(this.registry.values())
     const path = []
 
     // Find migration from source version
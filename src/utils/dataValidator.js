@@ -1,5 +1,6 @@
 import Ajv from 'ajv'
 import { lessonSchema, customValidations } from '../data/schemas/lessonSchema.js'
+import { romanize, isSameRomanization } from './romanization.js'
 
 // Initialize AJV with options
 const ajv = new Ajv({
@@ -183,6 +184,31 @@ const performQualityChecks = (data) => {
     })
   })
 
+  // Check hand-typed romanization against Revised Romanization
+  data.lessons.forEach(lesson => {
+    const romanizedItems = [
+      ...lesson.content.examples.map((item, index) => ({ item, path: `content.examples[${index}]` })),
+      ...lesson.exercises.flatMap((exercise, exerciseIndex) => [
+        ...(exercise.texts || []).map((item, index) => ({ item, path: `exercises[${exerciseIndex}].texts[${index}]` })),
+        ...(exercise.terms || []).map((item, index) => ({ item, path: `exercises[${exerciseIndex}].terms[${index}]` }))
+      ])
+    ]
+
+    romanizedItems.forEach(({ item, path }) => {
+      if (!item.korean || !item.romanization) return
+
+      const expected = romanize(item.korean)
+      if (!isSameRomanization(item.romanization, expected)) {
+        warnings.push({
+          type: 'quality',
+          path: `lessons[${lesson.id}].${path}.romanization`,
+          message: `Romanization '${item.romanization}' of '${item.korean}' differs from Revised Romanization '${expected}'`,
+          severity: 'low'
+        })
+      }
+    })
+  })
+
   return warnings
 }
 
@@ -0,0 +1,16 @@
+/**
+ * Default Settings for Korean Learning App
+ * Values used until the learner changes them, shared by the settings
+ * context and by backup restore
+ */
+
+export const DEFAULT_SETTINGS = {
+  theme: 'light',
+  audioEnabled: true,
+  audioVolume: 80,
+  autoPlay: true,
+  showRomanization: true,
+  dailyGoal: 15,
+  shadowingGapFactor: 1.5,
+  shadowingRecord: false
+}
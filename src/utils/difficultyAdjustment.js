@@ -326,6 +326,7 @@ function applyHardAdjustments(exercise) {
       // Faster default speed, no transcript
       adjusted.defaultSpeed = 1.25
       delete adjusted.transcript
+      delete adjusted.segments
       break
 
     case 'typing':
@@ -373,6 +374,7 @@ function applyVeryHardAdjustments(exercise) {
       // Fastest speed, no aids
       adjusted.defaultSpeed = 1.5
       delete adjusted.transcript
+      delete adjusted.segments
       if (adjusted.questions) {
         adjusted.questions.forEach(q => {
           delete q.hint
@@ -3,6 +3,8 @@
  * for the Korean Language Learning Application
  */
 
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
 /**
  * Error severity levels
  */
@@ -36,11 +38,11 @@ export const ERROR_CATEGORIES = {
 const DEFAULT_CONFIG = {
   maxLogEntries: 100,
   enableConsoleLogging: true,
-  enableLocalStorage: true,
+  enableStorage: true,
   enableRemoteLogging: false, // For future implementation
   logLevels: [ERROR_LEVELS.DEBUG, ERROR_LEVELS.INFO, ERROR_LEVELS.WARN, ERROR_LEVELS.ERROR, ERROR_LEVELS.CRITICAL],
-  storageKey: 'korean_app_error_logs',
-  analyticsKey: 'korean_app_analytics'
+  storageKey: 'errors',
+  analyticsKey: 'analytics'
 }
 
 /**
@@ -49,6 +51,7 @@ const DEFAULT_CONFIG = {
 export class ErrorLogger {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config }
+    this.store = storage.getStore(STORAGE_NAMESPACES.LOGS)
     this.sessionId = this.generateSessionId()
     this.startTime = Date.now()
     this.errorCount = 0
@@ -126,9 +129,9 @@ export class ErrorLogger {
       this.logToConsole(logEntry)
     }
     
-    // Local storage logging
-    if (this.config.enableLocalStorage) {
-      this.logToLocalStorage(logEntry)
+    // Persistent storage logging
+    if (this.config.enableStorage) {
+      this.logToStorage(logEntry)
     }
     
     // Future: Remote logging
@@ -321,32 +324,19 @@ export class ErrorLogger {
   }
 
   /**
-   * Local storage logging
+   * Persistent storage logging
    */
-  logToLocalStorage(logEntry) {
-    try {
-      const existingLogs = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]')
-      existingLogs.push(logEntry)
-      
-      // Keep only the most recent entries
-      const recentLogs = existingLogs.slice(-this.config.maxLogEntries)
-      localStorage.setItem(this.config.storageKey, JSON.stringify(recentLogs))
-    } catch (error) {
-      console.warn('Failed to save error log to localStorage:', error)
-    }
+  logToStorage(logEntry) {
+    // Keep only the most recent entries
+    this.store.update(this.config.storageKey, existingLogs =>
+      [...existingLogs, logEntry].slice(-this.config.maxLogEntries), [])
   }
 
   /**
-   * Load existing logs from localStorage
+   * Load existing logs from storage
    */
   loadExistingLogs() {
-    try {
-      const existingLogs = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]')
-      return existingLogs
-    } catch (error) {
-      console.warn('Failed to load existing logs:', error)
-      return []
-    }
+    return this.store.get(this.config.storageKey, [])
   }
 
   /**
@@ -422,8 +412,8 @@ export class ErrorLogger {
    */
   clearLogs() {
     try {
-      localStorage.removeItem(this.config.storageKey)
-      localStorage.removeItem(this.config.analyticsKey)
+      this.store.remove(this.config.storageKey)
+      this.store.remove(this.config.analyticsKey)
       this.analytics = {
         errors: new Map(),
         performance: [],
@@ -464,12 +454,7 @@ export class ErrorLogger {
    */
   setupPeriodicSave() {
     setInterval(() => {
-      try {
-        const analyticsData = this.getAnalytics()
-        localStorage.setItem(this.config.analyticsKey, JSON.stringify(analyticsData))
-      } catch (error) {
-        console.warn('Failed to save analytics data:', error)
-      }
+      this.store.set(this.config.analyticsKey, this.getAnalytics())
     }, 30000) // Save every 30 seconds
   }
 
@@ -4,13 +4,16 @@
  * Optimized for exercise interfaces and screen readers
  */
 
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
 class FocusManagement {
   constructor() {
     this.focusHistory = []
     this.focusTrapStack = []
     this.skipLinks = []
     this.isEnabled = true
-    this.storageKey = 'korean-learning-focus-settings'
+    this.store = storage.getStore(STORAGE_NAMESPACES.SETTINGS)
+    this.storageKey = 'focus'
     
     // Focus management settings
     this.settings = {
@@ -29,7 +32,7 @@ class FocusManagement {
    * Initialize focus management system
    */
   initialize() {
-    this.loadSettings()
+    storage.initialize().then(() => this.loadSettings())
     this.setupFocusStyles()
     this.setupEventListeners()
     this.createSkipLinks()
@@ -42,34 +45,24 @@ class FocusManagement {
   }
 
   /**
-   * Load settings from localStorage
+   * Load settings from storage
    */
   loadSettings() {
-    try {
-      const saved = localStorage.getItem(this.storageKey)
-      if (saved) {
-        const savedSettings = JSON.parse(saved)
-        this.settings = { ...this.settings, ...savedSettings }
-        this.isEnabled = savedSettings.enabled !== false
-      }
-    } catch (error) {
-      console.error('Error loading focus management settings:', error)
+    const savedSettings = this.store.get(this.storageKey)
+    if (savedSettings) {
+      this.settings = { ...this.settings, ...savedSettings }
+      this.isEnabled = savedSettings.enabled !== false
     }
   }
 
   /**
-   * Save settings to localStorage
+   * Save settings to storage
    */
   saveSettings() {
-    try {
-      const settingsToSave = {
-        ...this.settings,
-        enabled: this.isEnabled
-      }
-      localStorage.setItem(this.storageKey, JSON.stringify(settingsToSave))
-    } catch (error) {
-      console.error('Error saving focus management settings:', error)
-    }
+    this.store.set(this.storageKey, {
+      ...this.settings,
+      enabled: this.isEnabled
+    })
   }
 
   /**
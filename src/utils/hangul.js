@@ -0,0 +1,424 @@
+/**
+ * Hangul Jamo Utilities for Korean Learning App
+ * Decomposes Hangul syllable blocks into initial, medial and final jamo and
+ * compares learner input against target text keystroke by keystroke
+ */
+
+const SYLLABLE_BASE = 0xAC00
+const SYLLABLE_LAST = 0xD7A3
+const MEDIAL_COUNT = 21
+const FINAL_COUNT = 28
+
+// Initial consonants (초성) in Unicode order
+export const CHOSEONG = [
+  'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ',
+  'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+]
+
+// Medial vowels (중성) in Unicode order
+export const JUNGSEONG = [
+  'ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ',
+  'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ'
+]
+
+// Final consonants (종성) in Unicode order, index 0 means no final
+export const JONGSEONG = [
+  '', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ',
+  'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+]
+
+// Vowels typed as two keys on a standard keyboard
+export const COMPOUND_VOWELS = {
+  'ㅘ': ['ㅗ', 'ㅏ'],
+  'ㅙ': ['ㅗ', 'ㅐ'],
+  'ㅚ': ['ㅗ', 'ㅣ'],
+  'ㅝ': ['ㅜ', 'ㅓ'],
+  'ㅞ': ['ㅜ', 'ㅔ'],
+  'ㅟ': ['ㅜ', 'ㅣ'],
+  'ㅢ': ['ㅡ', 'ㅣ']
+}
+
+// Final consonant clusters typed as two keys on a standard keyboard
+export const COMPOUND_FINALS = {
+  'ㄳ': ['ㄱ', 'ㅅ'],
+  'ㄵ': ['ㄴ', 'ㅈ'],
+  'ㄶ': ['ㄴ', 'ㅎ'],
+  'ㄺ': ['ㄹ', 'ㄱ'],
+  'ㄻ': ['ㄹ', 'ㅁ'],
+  'ㄼ': ['ㄹ', 'ㅂ'],
+  'ㄽ': ['ㄹ', 'ㅅ'],
+  'ㄾ': ['ㄹ', 'ㅌ'],
+  'ㄿ': ['ㄹ', 'ㅍ'],
+  'ㅀ': ['ㄹ', 'ㅎ'],
+  'ㅄ': ['ㅂ', 'ㅅ']
+}
+
+export const JAMO_POSITIONS = {
+  INITIAL: 'initial',
+  MEDIAL: 'medial',
+  FINAL: 'final'
+}
+
+// Vowel shapes decide where the initial consonant sits in a block
+export const VOWEL_SHAPES = {
+  VERTICAL: 'vertical',
+  HORIZONTAL: 'horizontal',
+  MIXED: 'mixed'
+}
+
+const HORIZONTAL_VOWELS = ['ㅗ', 'ㅛ', 'ㅜ', 'ㅠ', 'ㅡ']
+
+/**
+ * Check whether a character is a precomposed Hangul syllable block
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export function isHangulSyllable(char) {
+  if (!char) return false
+  const code = char.charCodeAt(0)
+  return code >= SYLLABLE_BASE && code <= SYLLABLE_LAST
+}
+
+/**
+ * Check whether a character is a standalone (compatibility) jamo
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export function isHangulJamo(char) {
+  if (!char) return false
+  const code = char.charCodeAt(0)
+  return code >= 0x3131 && code <= 0x3163
+}
+
+/**
+ * Check whether a jamo is a vowel
+ * @param {string} jamo - Compatibility jamo
+ * @returns {boolean}
+ */
+export function isVowel(jamo) {
+  return JUNGSEONG.includes(jamo)
+}
+
+/**
+ * Classify a vowel by the direction of its main stroke: vertical vowels
+ * stand to the right of the initial consonant, horizontal ones below it and
+ * mixed (compound) vowels wrap around it
+ * @param {string} vowel - Medial vowel jamo
+ * @returns {string} One of VOWEL_SHAPES
+ */
+export function getVowelShape(vowel) {
+  if (COMPOUND_VOWELS[vowel]) return VOWEL_SHAPES.MIXED
+  if (HORIZONTAL_VOWELS.includes(vowel)) return VOWEL_SHAPES.HORIZONTAL
+  return VOWEL_SHAPES.VERTICAL
+}
+
+/**
+ * Split a syllable block into its initial, medial and final jamo
+ * @param {string} char - Hangul syllable
+ * @returns {Object|null} - { initial, medial, final } or null for non-syllables
+ */
+export function decomposeSyllable(char) {
+  if (!isHangulSyllable(char)) return null
+
+  const offset = char.charCodeAt(0) - SYLLABLE_BASE
+  return {
+    initial: CHOSEONG[Math.floor(offset / (MEDIAL_COUNT * FINAL_COUNT))],
+    medial: JUNGSEONG[Math.floor((offset % (MEDIAL_COUNT * FINAL_COUNT)) / FINAL_COUNT)],
+    final: JONGSEONG[offset % FINAL_COUNT]
+  }
+}
+
+/**
+ * Build a syllable block from jamo
+ * @param {string} initial - Initial consonant
+ * @param {string} medial - Medial vowel
+ * @param {string} final - Final consonant (optional)
+ * @returns {string|null} - Composed syllable or null if the jamo cannot form one
+ */
+export function composeSyllable(initial, medial, final = '') {
+  const initialIndex = CHOSEONG.indexOf(initial)
+  const medialIndex = JUNGSEONG.indexOf(medial)
+  const finalIndex = JONGSEONG.indexOf(final || '')
+
+  if (initialIndex === -1 || medialIndex === -1 || finalIndex === -1) {
+    return null
+  }
+
+  return String.fromCharCode(
+    SYLLABLE_BASE + (initialIndex * MEDIAL_COUNT + medialIndex) * FINAL_COUNT + finalIndex
+  )
+}
+
+/**
+ * Decompose every character of a text
+ * @param {string} text - Text to decompose
+ * @returns {Array} - One entry per character with jamo for Hangul syllables
+ */
+export function decomposeHangul(text) {
+  return Array.from(text || '').map(char => {
+    const jamo = decomposeSyllable(char)
+    return jamo ? { char, ...jamo } : { char, initial: null, medial: null, final: null }
+  })
+}
+
+/**
+ * Expand a single jamo into the keys needed to type it
+ * @private
+ */
+const expandJamo = (jamo) => {
+  return COMPOUND_VOWELS[jamo] || COMPOUND_FINALS[jamo] || [jamo]
+}
+
+/**
+ * Convert text into the sequence of jamo keystrokes used to type it
+ * @param {string} text - Text to convert
+ * @returns {Array} - Keystrokes as { jamo, charIndex, position }
+ */
+export function toKeystrokes(text) {
+  const keystrokes = []
+
+  Array.from(text || '').forEach((char, charIndex) => {
+    const syllable = decomposeSyllable(char)
+
+    if (syllable) {
+      expandJamo(syllable.initial).forEach(jamo => {
+        keystrokes.push({ jamo, charIndex, position: JAMO_POSITIONS.INITIAL })
+      })
+      expandJamo(syllable.medial).forEach(jamo => {
+        keystrokes.push({ jamo, charIndex, position: JAMO_POSITIONS.MEDIAL })
+      })
+      if (syllable.final) {
+        expandJamo(syllable.final).forEach(jamo => {
+          keystrokes.push({ jamo, charIndex, position: JAMO_POSITIONS.FINAL })
+        })
+      }
+    } else if (isHangulJamo(char)) {
+      const position = isVowel(char) ? JAMO_POSITIONS.MEDIAL : JAMO_POSITIONS.INITIAL
+      expandJamo(char).forEach(jamo => {
+        keystrokes.push({ jamo, charIndex, position })
+      })
+    } else {
+      keystrokes.push({ jamo: char, charIndex, position: null })
+    }
+  })
+
+  return keystrokes
+}
+
+/**
+ * Find the first jamo that differs between an expected and typed character
+ * @private
+ */
+const findMistypedJamo = (expectedChar, typedChar) => {
+  const expected = decomposeSyllable(expectedChar)
+  const typed = decomposeSyllable(typedChar)
+
+  if (!expected) {
+    return { position: null, expected: expectedChar || '', typed: typedChar }
+  }
+
+  // A bare jamo typed in place of a syllable only covers one position
+  const typedParts = typed || (isHangulJamo(typedChar)
+    ? (isVowel(typedChar)
+      ? { initial: null, medial: typedChar, final: '' }
+      : { initial: typedChar, medial: null, final: '' })
+    : { initial: typedChar, medial: null, final: '' })
+
+  const positions = [JAMO_POSITIONS.INITIAL, JAMO_POSITIONS.MEDIAL, JAMO_POSITIONS.FINAL]
+  for (const position of positions) {
+    if (typedParts[position] !== null && typedParts[position] !== expected[position]) {
+      return { position, expected: expected[position], typed: typedParts[position] }
+    }
+  }
+
+  return { position: null, expected: expectedChar, typed: typedChar }
+}
+
+/**
+ * Count keystrokes that match position by position
+ * @private
+ */
+const countMatchingKeystrokes = (expectedKeys, typedKeys) => {
+  let matches = 0
+  typedKeys.forEach((key, index) => {
+    if (expectedKeys[index] && expectedKeys[index].jamo === key.jamo) {
+      matches++
+    }
+  })
+  return matches
+}
+
+/**
+ * Compare learner input against a target text at jamo level.
+ * Committed syllables are compared directly; the last typed syllable may still
+ * be under IME composition, so it is accepted as long as its keystrokes are a
+ * prefix of the keystrokes still expected (including the next syllable's
+ * initial, which the IME temporarily attaches as a final consonant).
+ * @param {string} target - Text the learner should type
+ * @param {string} input - Text typed so far
+ * @returns {Object} - Per-syllable status, mistyped jamo and keystroke counts
+ */
+export function compareHangulInput(target, input) {
+  const targetChars = Array.from(target || '')
+  const inputChars = Array.from(input || '')
+  const lastIndex = inputChars.length - 1
+
+  let correctKeystrokes = 0
+  let typedKeystrokes = 0
+  const mistakes = []
+
+  const syllables = targetChars.map((expectedChar, index) => {
+    if (index > lastIndex) {
+      return { char: expectedChar, typed: null, status: 'pending' }
+    }
+
+    const typedChar = inputChars[index]
+    const expectedKeys = toKeystrokes(expectedChar)
+    const typedKeys = toKeystrokes(typedChar)
+    typedKeystrokes += typedKeys.length
+
+    if (typedChar === expectedChar) {
+      correctKeystrokes += typedKeys.length
+      return { char: expectedChar, typed: typedChar, status: 'correct' }
+    }
+
+    if (index === lastIndex) {
+      const upcomingKeys = [...expectedKeys, ...toKeystrokes(targetChars[index + 1] || '')]
+      const isPrefix = typedKeys.length <= upcomingKeys.length &&
+        typedKeys.every((key, keyIndex) => key.jamo === upcomingKeys[keyIndex].jamo)
+
+      if (isPrefix) {
+        correctKeystrokes += typedKeys.length
+        return { char: expectedChar, typed: typedChar, status: 'composing' }
+      }
+    }
+
+    correctKeystrokes += countMatchingKeystrokes(expectedKeys, typedKeys)
+    const mistake = { charIndex: index, ...findMistypedJamo(expectedChar, typedChar) }
+    mistakes.push(mistake)
+    return { char: expectedChar, typed: typedChar, status: 'incorrect', mistake }
+  })
+
+  // Characters typed beyond the end of the target are always wrong
+  inputChars.slice(targetChars.length).forEach((typedChar, offset) => {
+    typedKeystrokes += toKeystrokes(typedChar).length
+    mistakes.push({ charIndex: targetChars.length + offset, position: null, expected: '', typed: typedChar })
+  })
+
+  return {
+    syllables,
+    mistakes,
+    firstMistake: mistakes[0] || null,
+    correctKeystrokes,
+    incorrectKeystrokes: typedKeystrokes - correctKeystrokes,
+    typedKeystrokes,
+    totalKeystrokes: toKeystrokes(target).length,
+    isComplete: input === target
+  }
+}
+
+/**
+ * Align two sequences by edit distance and list the operations that turn
+ * the expected sequence into the typed one
+ * @private
+ */
+const alignSequences = (expected, typed, substitutionCost) => {
+  const rows = expected.length + 1
+  const cols = typed.length + 1
+  const cost = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0)
+    row[0] = i
+    return row
+  })
+  for (let j = 0; j < cols; j++) cost[0][j] = j
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1,
+        cost[i - 1][j - 1] + substitutionCost(expected[i - 1], typed[j - 1])
+      )
+    }
+  }
+
+  // Walk back from the end, preferring matches and substitutions
+  const operations = []
+  let i = expected.length
+  let j = typed.length
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + substitutionCost(expected[i - 1], typed[j - 1])) {
+      const type = expected[i - 1] === typed[j - 1] ? 'equal' : 'substitute'
+      operations.unshift({ type, expected: expected[i - 1], typed: typed[j - 1] })
+      i--
+      j--
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      operations.unshift({ type: 'missing', expected: expected[i - 1], typed: null })
+      i--
+    } else {
+      operations.unshift({ type: 'extra', expected: null, typed: typed[j - 1] })
+      j--
+    }
+  }
+
+  return { distance: cost[expected.length][typed.length], operations }
+}
+
+/**
+ * Jamo keys of a single character
+ * @private
+ */
+const toJamoKeys = (char) => toKeystrokes(char).map(key => key.jamo)
+
+/**
+ * Share of jamo that differ between two characters (0 = same, 1 = unrelated)
+ * @private
+ */
+const jamoDifference = (a, b) => {
+  if (a === b) return 0
+  const aKeys = toJamoKeys(a)
+  const bKeys = toJamoKeys(b)
+  const { distance } = alignSequences(aKeys, bKeys, (x, y) => (x === y ? 0 : 1))
+  return distance / Math.max(aKeys.length, bKeys.length)
+}
+
+/**
+ * Diff typed text against a target at syllable level, with a jamo-level diff
+ * inside every substituted syllable. Spaces and punctuation are ignored, so
+ * only the letters are compared.
+ * @param {string} target - Text the learner should have written
+ * @param {string} input - Text the learner wrote
+ * @returns {Object} - Operations ('equal', 'substitute', 'missing', 'extra'),
+ *   jamo counts and an accuracy from 0 to 100 that gives partial credit
+ */
+export function diffHangul(target, input) {
+  const letters = text => Array.from((text || '').normalize('NFC')).filter(char => /[\p{L}\p{N}]/u.test(char))
+  const expected = letters(target)
+  const typed = letters(input)
+
+  const { operations } = alignSequences(expected, typed, jamoDifference)
+
+  let jamoErrors = 0
+  operations.forEach(operation => {
+    if (operation.type === 'substitute') {
+      const jamoDiff = alignSequences(toJamoKeys(operation.expected), toJamoKeys(operation.typed), (x, y) => (x === y ? 0 : 1))
+      operation.jamo = jamoDiff.operations
+      jamoErrors += jamoDiff.distance
+    } else if (operation.type === 'missing') {
+      jamoErrors += toJamoKeys(operation.expected).length
+    } else if (operation.type === 'extra') {
+      jamoErrors += toJamoKeys(operation.typed).length
+    }
+  })
+
+  const totalJamo = expected.reduce((sum, char) => sum + toJamoKeys(char).length, 0)
+  const accuracy = totalJamo === 0 ? 0 : Math.round(100 * Math.max(0, 1 - jamoErrors / totalJamo))
+
+  return {
+    operations,
+    totalJamo,
+    jamoErrors,
+    accuracy,
+    isExactMatch: jamoErrors === 0 && typed.length === expected.length
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Dubeolsik (2-beolsik) Hangul Composer for Korean Learning App
+ * Maps QWERTY keys to jamo and composes jamo keystrokes into syllable blocks
+ * the way a standard Korean IME does
+ */
+
+import {
+  COMPOUND_VOWELS,
+  COMPOUND_FINALS,
+  JONGSEONG,
+  composeSyllable,
+  compareHangulInput,
+  toKeystrokes,
+  isVowel
+} from './hangul.js'
+
+// Standard 2-beolsik layout, rows top to bottom
+export const DUBEOLSIK_LAYOUT = [
+  [
+    { code: 'q', jamo: 'ㅂ', shifted: 'ㅃ' },
+    { code: 'w', jamo: 'ㅈ', shifted: 'ㅉ' },
+    { code: 'e', jamo: 'ㄷ', shifted: 'ㄸ' },
+    { code: 'r', jamo: 'ㄱ', shifted: 'ㄲ' },
+    { code: 't', jamo: 'ㅅ', shifted: 'ㅆ' },
+    { code: 'y', jamo: 'ㅛ' },
+    { code: 'u', jamo: 'ㅕ' },
+    { code: 'i', jamo: 'ㅑ' },
+    { code: 'o', jamo: 'ㅐ', shifted: 'ㅒ' },
+    { code: 'p', jamo: 'ㅔ', shifted: 'ㅖ' }
+  ],
+  [
+    { code: 'a', jamo: 'ㅁ' },
+    { code: 's', jamo: 'ㄴ' },
+    { code: 'd', jamo: 'ㅇ' },
+    { code: 'f', jamo: 'ㄹ' },
+    { code: 'g', jamo: 'ㅎ' },
+    { code: 'h', jamo: 'ㅗ' },
+    { code: 'j', jamo: 'ㅓ' },
+    { code: 'k', jamo: 'ㅏ' },
+    { code: 'l', jamo: 'ㅣ' }
+  ],
+  [
+    { code: 'z', jamo: 'ㅋ' },
+    { code: 'x', jamo: 'ㅌ' },
+    { code: 'c', jamo: 'ㅊ' },
+    { code: 'v', jamo: 'ㅍ' },
+    { code: 'b', jamo: 'ㅠ' },
+    { code: 'n', jamo: 'ㅜ' },
+    { code: 'm', jamo: 'ㅡ' }
+  ]
+]
+
+// Lookup of jamo to the key (and shift state) that produces it
+export const JAMO_TO_KEY = DUBEOLSIK_LAYOUT.flat().reduce((map, key) => {
+  map[key.jamo] = { code: key.code, shift: false }
+  if (key.shifted) {
+    map[key.shifted] = { code: key.code, shift: true }
+  }
+  return map
+}, {})
+
+/**
+ * Translate a physical key press into a jamo
+ * @param {string} key - KeyboardEvent.key value
+ * @param {boolean} shiftKey - Whether shift is held
+ * @returns {string|null} - Jamo or null for keys outside the layout
+ */
+export function qwertyToJamo(key, shiftKey = false) {
+  if (!key || key.length !== 1) return null
+
+  const code = key.toLowerCase()
+  const entry = DUBEOLSIK_LAYOUT.flat().find(item => item.code === code)
+  if (!entry) return null
+
+  // Caps lock yields upper case without shift, so treat it as shifted too
+  const wantsShift = shiftKey || key !== code
+  return wantsShift && entry.shifted ? entry.shifted : entry.jamo
+}
+
+/**
+ * Find the compound formed by two jamo, if any
+ * @private
+ */
+const combine = (table, first, second) => {
+  const match = Object.entries(table).find(([, parts]) => parts[0] === first && parts[1] === second)
+  return match ? match[0] : null
+}
+
+/**
+ * Stateful composer that turns jamo keystrokes into Hangul text
+ */
+export class HangulComposer {
+  constructor(text = '') {
+    this.committed = text
+    this.keys = []
+    this.syllable = { initial: '', medial: '', final: '' }
+  }
+
+  /**
+   * Replace the text and drop any syllable under composition
+   * @param {string} text - New text
+   */
+  setText(text) {
+    this.committed = text || ''
+    this.keys = []
+    this.syllable = { initial: '', medial: '', final: '' }
+  }
+
+  /**
+   * Full text including the syllable under composition
+   * @returns {string}
+   */
+  getText() {
+    return this.committed + this.getComposing()
+  }
+
+  /**
+   * The syllable currently being composed
+   * @returns {string}
+   */
+  getComposing() {
+    const { initial, medial, final } = this.syllable
+    if (initial && medial) return composeSyllable(initial, medial, final) || ''
+    return initial || medial || ''
+  }
+
+  /**
+   * Commit the syllable under composition
+   */
+  commit() {
+    this.committed += this.getComposing()
+    this.keys = []
+    this.syllable = { initial: '', medial: '', final: '' }
+  }
+
+  /**
+   * Type a jamo
+   * @param {string} jamo - Compatibility jamo from the layout
+   * @returns {string} - Updated text
+   */
+  input(jamo) {
+    if (isVowel(jamo)) {
+      this._inputVowel(jamo)
+    } else {
+      this._inputConsonant(jamo)
+    }
+    return this.getText()
+  }
+
+  /**
+   * Type a character that is not part of the layout (space, punctuation)
+   * @param {string} char - Character to insert
+   * @returns {string} - Updated text
+   */
+  insert(char) {
+    this.commit()
+    this.committed += char
+    return this.getText()
+  }
+
+  /**
+   * Delete the last jamo of the syllable under composition, or the last
+   * committed character when nothing is being composed
+   * @returns {string} - Updated text
+   */
+  backspace() {
+    if (this.keys.length > 0) {
+      const keys = this.keys.slice(0, -1)
+      this.keys = []
+      this.syllable = { initial: '', medial: '', final: '' }
+      keys.forEach(key => this.input(key))
+    } else if (this.committed.length > 0) {
+      this.committed = Array.from(this.committed).slice(0, -1).join('')
+    }
+    return this.getText()
+  }
+
+  /**
+   * @private
+   */
+  _startSyllable(parts, keys) {
+    this.syllable = { initial: '', medial: '', final: '', ...parts }
+    this.keys = keys
+  }
+
+  /**
+   * @private
+   */
+  _inputConsonant(jamo) {
+    const { initial, medial, final } = this.syllable
+
+    if (!initial && !medial) {
+      this._startSyllable({ initial: jamo }, [jamo])
+      return
+    }
+
+    if (initial && medial && !final && JONGSEONG.includes(jamo)) {
+      this.syllable.final = jamo
+      this.keys.push(jamo)
+      return
+    }
+
+    if (initial && medial && final) {
+      const cluster = combine(COMPOUND_FINALS, final, jamo)
+      if (cluster) {
+        this.syllable.final = cluster
+        this.keys.push(jamo)
+        return
+      }
+    }
+
+    this.commit()
+    this._startSyllable({ initial: jamo }, [jamo])
+  }
+
+  /**
+   * @private
+   */
+  _inputVowel(jamo) {
+    const { initial, medial, final } = this.syllable
+
+    if (!initial && !medial) {
+      this._startSyllable({ medial: jamo }, [jamo])
+      return
+    }
+
+    if (initial && !medial) {
+      this.syllable.medial = jamo
+      this.keys.push(jamo)
+      return
+    }
+
+    if (medial && !final) {
+      const compound = combine(COMPOUND_VOWELS, medial, jamo)
+      if (compound) {
+        this.syllable.medial = compound
+        this.keys.push(jamo)
+        return
+      }
+      this.commit()
+      this._startSyllable({ medial: jamo }, [jamo])
+      return
+    }
+
+    // A vowel after a final consonant pulls that consonant into the next syllable
+    const cluster = COMPOUND_FINALS[final]
+    const movedConsonant = cluster ? cluster[1] : final
+    this.syllable.final = cluster ? cluster[0] : ''
+    this.keys.pop()
+    this.commit()
+    this._startSyllable({ initial: movedConsonant, medial: jamo }, [movedConsonant, jamo])
+  }
+}
+
+/**
+ * Compose a sequence of jamo keystrokes into text
+ * @param {Array<string>} jamoKeys - Keystrokes in typing order
+ * @returns {string} - Composed text
+ */
+export function composeJamo(jamoKeys) {
+  const composer = new HangulComposer()
+  jamoKeys.forEach(key => {
+    if (JAMO_TO_KEY[key]) {
+      composer.input(key)
+    } else {
+      composer.insert(key)
+    }
+  })
+  return composer.getText()
+}
+
+/**
+ * Work out which key the learner should press next to reach the target text
+ * @param {string} target - Text the learner is typing
+ * @param {string} value - Text typed so far
+ * @returns {Object|null} - { type: 'jamo', jamo, code, shift }, { type: 'backspace' },
+ *   { type: 'char', char } for non-layout characters, or null when complete
+ */
+export function getNextExpectedKey(target, value) {
+  if (!target) return null
+
+  const comparison = compareHangulInput(target, value)
+  if (comparison.isComplete) return null
+  if (comparison.mistakes.length > 0) return { type: 'backspace' }
+
+  const next = toKeystrokes(target)[comparison.typedKeystrokes]
+  if (!next) return null
+
+  const key = JAMO_TO_KEY[next.jamo]
+  return key
+    ? { type: 'jamo', jamo: next.jamo, ...key }
+    : { type: 'char', char: next.jamo }
+}
@@ -4,11 +4,14 @@
  * Optimized for users with visual impairments
  */
 
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
 class HighContrastMode {
   constructor() {
     this.isEnabled = false
     this.currentTheme = 'default'
-    this.storageKey = 'korean-learning-high-contrast'
+    this.store = storage.getStore(STORAGE_NAMESPACES.SETTINGS)
+    this.storageKey = 'highContrast'
     
     // High contrast themes optimized for Korean characters
     this.themes = {
@@ -105,13 +108,13 @@ class HighContrastMode {
    * Initialize high contrast mode
    */
   initialize() {
-    // Load saved preference
-    this.loadPreference()
-    
-    // Apply saved theme
-    if (this.isEnabled && this.currentTheme !== 'default') {
-      this.applyTheme(this.currentTheme)
-    }
+    // Load and apply saved preference once stored data is available
+    storage.initialize().then(() => {
+      this.loadPreference()
+      if (this.isEnabled && this.currentTheme !== 'default') {
+        this.applyTheme(this.currentTheme)
+      }
+    })
     
     // Add CSS for Korean text enhancements
     this.addKoreanTextStyles()
@@ -123,34 +126,35 @@ class HighContrastMode {
   }
 
   /**
-   * Load user preference from localStorage
+   * Load user preference from storage
    */
   loadPreference() {
-    try {
-      const saved = localStorage.getItem(this.storageKey)
-      if (saved) {
-        const preference = JSON.parse(saved)
-        this.isEnabled = preference.enabled || false
-        this.currentTheme = preference.theme || 'default'
-      }
-    } catch (error) {
-      console.error('Error loading high contrast preference:', error)
+    const preference = this.store.get(this.storageKey)
+    if (preference) {
+      this.isEnabled = preference.enabled || false
+      this.currentTheme = preference.theme || 'default'
     }
   }
 
   /**
-   * Save user preference to localStorage
+   * Re-read the stored preference and apply it, e.g. after a backup was restored
+   */
+  reloadPreference() {
+    this.isEnabled = false
+    this.currentTheme = 'default'
+    this.loadPreference()
+    this.applyTheme(this.isEnabled ? this.currentTheme : 'default')
+  }
+
+  /**
+   * Save user preference to storage
    */
   savePreference() {
-    try {
-      const preference = {
-        enabled: this.isEnabled,
-        theme: this.currentTheme
-      }
-      localStorage.setItem(this.storageKey, JSON.stringify(preference))
-    } catch (error) {
-      console.error('Error saving high contrast preference:', error)
-    }
+    this.store.update(this.storageKey, preference => ({
+      ...preference,
+      enabled: this.isEnabled,
+      theme: this.currentTheme
+    }), {})
   }
 
   /**
@@ -408,13 +412,7 @@ class HighContrastMode {
     })
     
     // Save preference
-    try {
-      const preference = JSON.parse(localStorage.getItem(this.storageKey) || '{}')
-      preference.textSize = size
-      localStorage.setItem(this.storageKey, JSON.stringify(preference))
-    } catch (error) {
-      console.error('Error saving text size preference:', error)
-    }
+    this.store.update(this.storageKey, preference => ({ ...preference, textSize: size }), {})
   }
 
   /**
@@ -4,11 +4,14 @@
  * Optimized for language learning workflows
  */
 
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
 class KeyboardShortcuts {
   constructor() {
     this.shortcuts = new Map()
     this.isEnabled = true
-    this.storageKey = 'korean-learning-shortcuts'
+    this.store = storage.getStore(STORAGE_NAMESPACES.SETTINGS)
+    this.storageKey = 'shortcuts'
     this.activeModals = []
     this.focusHistory = []
     
@@ -197,12 +200,12 @@ class KeyboardShortcuts {
    * Initialize keyboard shortcuts system
    */
   initialize() {
-    // Load user preferences
-    this.loadPreferences()
-    
     // Register default shortcuts
     this.registerDefaultShortcuts()
     
+    // Load user preferences once stored data is available
+    storage.initialize().then(() => this.loadPreferences())
+    
     // Set up event listeners
     this.setupEventListeners()
     
@@ -216,40 +219,41 @@ class KeyboardShortcuts {
   }
 
   /**
-   * Load user preferences from localStorage
+   * Load user preferences from storage
    */
   loadPreferences() {
-    try {
-      const saved = localStorage.getItem(this.storageKey)
-      if (saved) {
-        const preferences = JSON.parse(saved)
-        this.isEnabled = preferences.enabled !== false
-        
-        // Load custom shortcuts if any
-        if (preferences.customShortcuts) {
-          Object.entries(preferences.customShortcuts).forEach(([key, shortcut]) => {
-            this.shortcuts.set(key, shortcut)
-          })
-        }
+    const preferences = this.store.get(this.storageKey)
+    if (preferences) {
+      this.isEnabled = preferences.enabled !== false
+      
+      // Load custom shortcuts if any
+      if (preferences.customShortcuts) {
+        Object.entries(preferences.customShortcuts).forEach(([key, shortcut]) => {
+          this.shortcuts.set(key, shortcut)
+        })
       }
-    } catch (error) {
-      console.error('Error loading keyboard shortcuts preferences:', error)
     }
   }
 
   /**
-   * Save user preferences to localStorage
+   * Re-read stored preferences, e.g. after a backup was restored
+   */
+  reloadPreferences() {
+    this.shortcuts.clear()
+    this.isEnabled = true
+    this.registerDefaultShortcuts()
+    this.loadPreferences()
+  }
+
+  /**
+   * Save user preferences to storage
    */
   savePreferences() {
-    try {
-      const preferences = {
-        enabled: this.isEnabled,
-        customShortcuts: Object.fromEntries(this.shortcuts)
-      }
-      localStorage.setItem(this.storageKey, JSON.stringify(preferences))
-    } catch (error) {
-      console.error('Error saving keyboard shortcuts preferences:', error)
+    const preferences = {
+      enabled: this.isEnabled,
+      customShortcuts: Object.fromEntries(this.shortcuts)
     }
+    this.store.set(this.storageKey, preferences)
   }
 
   /**
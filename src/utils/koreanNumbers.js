@@ -0,0 +1,170 @@
+/**
+ * Korean Numbers for Korean Learning App
+ * Spells out integers in the Sino-Korean (일, 이, 삼) and native Korean
+ * (하나, 둘, 셋) systems, pairs them with counters, and reads clock times
+ * and dates aloud
+ */
+
+export const NUMBER_SYSTEMS = {
+  SINO: 'sino',
+  NATIVE: 'native'
+}
+
+// Which system each counter uses; native counters switch to Sino-Korean above 99
+export const COUNTERS = {
+  '개': { system: NUMBER_SYSTEMS.NATIVE, meaning: 'things' },
+  '명': { system: NUMBER_SYSTEMS.NATIVE, meaning: 'people' },
+  '살': { system: NUMBER_SYSTEMS.NATIVE, meaning: 'years of age' },
+  '시': { system: NUMBER_SYSTEMS.NATIVE, meaning: "o'clock" },
+  '분': { system: NUMBER_SYSTEMS.SINO, meaning: 'minutes' },
+  '원': { system: NUMBER_SYSTEMS.SINO, meaning: 'won' }
+}
+
+// Largest number toSinoKorean spells out exactly (about 9천조)
+export const MAX_SINO_NUMBER = Number.MAX_SAFE_INTEGER
+
+// Largest number the native system covers; beyond it Koreans switch to Sino-Korean
+export const MAX_NATIVE_NUMBER = 99
+
+const SINO_DIGITS = ['', '일', '이', '삼', '사', '오', '육', '칠', '팔', '구']
+const SINO_SMALL_UNITS = ['', '십', '백', '천']
+const SINO_LARGE_UNITS = ['', '만', '억', '조']
+
+const NATIVE_ONES = ['', '하나', '둘', '셋', '넷', '다섯', '여섯', '일곱', '여덟', '아홉']
+const NATIVE_TENS = ['', '열', '스물', '서른', '마흔', '쉰', '예순', '일흔', '여든', '아흔']
+
+// Shortened forms used in front of a counter (한 개, 두 명, 스무 살)
+const NATIVE_COUNTER_FORMS = {
+  '하나': '한',
+  '둘': '두',
+  '셋': '세',
+  '넷': '네',
+  '스물': '스무'
+}
+
+// Months that drop a final consonant when read aloud
+const MONTH_NAMES = {
+  6: '유월',
+  10: '시월'
+}
+
+/**
+ * Spell out an integer in Sino-Korean
+ * @param {number} number - Non-negative integer
+ * @returns {string|null} - e.g. 이천이십육, or null if out of range
+ */
+export function toSinoKorean(number) {
+  if (!Number.isInteger(number) || number < 0 || number > MAX_SINO_NUMBER) return null
+  if (number === 0) return '영'
+
+  let result = ''
+  let remaining = number
+  let groupIndex = 0
+
+  while (remaining > 0) {
+    const group = remaining % 10000
+    if (group > 0) {
+      // 10000 is 만, not 일만, but 억 and 조 keep their 일
+      const groupText = group === 1 && groupIndex === 1 ? '' : spellSinoGroup(group)
+      result = groupText + SINO_LARGE_UNITS[groupIndex] + result
+    }
+    remaining = Math.floor(remaining / 10000)
+    groupIndex++
+  }
+
+  return result
+}
+
+/**
+ * Spell out an integer in native Korean
+ * @param {number} number - Integer from 1 to 99
+ * @param {Object} options - { counterForm: use 한/두/세/네/스무 before a counter }
+ * @returns {string|null} - e.g. 스물다섯, or null if out of range
+ */
+export function toNativeKorean(number, { counterForm = false } = {}) {
+  if (!Number.isInteger(number) || number < 1 || number > MAX_NATIVE_NUMBER) return null
+
+  const tens = NATIVE_TENS[Math.floor(number / 10)]
+  const ones = NATIVE_ONES[number % 10]
+  if (!counterForm) return tens + ones
+
+  // Only the last word shortens: 스물 alone becomes 스무, but 스물한 keeps 스물
+  return ones
+    ? tens + (NATIVE_COUNTER_FORMS[ones] || ones)
+    : NATIVE_COUNTER_FORMS[tens] || tens
+}
+
+/**
+ * Spell out a number followed by a counter
+ * @param {number} number - Positive integer
+ * @param {string} counter - Counter from COUNTERS (e.g. '개')
+ * @returns {string|null} - e.g. 세 개, 스무 살, 오천 원
+ */
+export function withCounter(number, counter) {
+  const info = COUNTERS[counter]
+  if (!info) return null
+
+  const spelled = info.system === NUMBER_SYSTEMS.NATIVE && number <= MAX_NATIVE_NUMBER
+    ? toNativeKorean(number, { counterForm: true })
+    : toSinoKorean(number)
+  return spelled ? `${spelled} ${counter}` : null
+}
+
+/**
+ * Read a clock time aloud
+ * @param {number} hours - Hour from 0 to 23
+ * @param {number} minutes - Minute from 0 to 59
+ * @param {Object} options - { period: prefix 오전/오후, half: read 30 minutes as 반 }
+ * @returns {string|null} - e.g. 오후 두 시 삼십 분
+ */
+export function formatTime(hours, minutes = 0, { period = true, half = false } = {}) {
+  if (!Number.isInteger(hours) || hours < 0 || hours > 23) return null
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 59) return null
+
+  const clockHour = hours % 12 === 0 ? 12 : hours % 12
+  const parts = []
+  if (period) parts.push(hours < 12 ? '오전' : '오후')
+  parts.push(withCounter(clockHour, '시'))
+
+  if (half && minutes === 30) {
+    parts.push('반')
+  } else if (minutes > 0) {
+    parts.push(withCounter(minutes, '분'))
+  }
+
+  return parts.join(' ')
+}
+
+/**
+ * Read a date aloud
+ * @param {Object} date - { year?, month, day }
+ * @returns {string|null} - e.g. 이천이십육년 시월 십구일
+ */
+export function formatDate({ year, month, day }) {
+  if (!Number.isInteger(month) || month < 1 || month > 12) return null
+  if (!Number.isInteger(day) || day < 1 || day > 31) return null
+
+  const parts = []
+  if (year !== undefined) {
+    const spelledYear = toSinoKorean(year)
+    if (!spelledYear) return null
+    parts.push(`${spelledYear}년`)
+  }
+  parts.push(MONTH_NAMES[month] || `${toSinoKorean(month)}월`)
+  parts.push(`${toSinoKorean(day)}일`)
+
+  return parts.join(' ')
+}
+
+// Helper functions
+
+function spellSinoGroup(group) {
+  let text = ''
+  for (let position = 3; position >= 0; position--) {
+    const digit = Math.floor(group / 10 ** position) % 10
+    if (digit === 0) continue
+    // 십, 백 and 천 stand alone for one of them: 십, not 일십
+    text += (digit === 1 && position > 0 ? '' : SINO_DIGITS[digit]) + SINO_SMALL_UNITS[position]
+  }
+  return text
+}
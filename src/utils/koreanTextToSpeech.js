@@ -17,7 +17,8 @@ class KoreanTextToSpeech {
       rate: 0.8,        // Slower rate for language learning
       pitch: 1.0,
       volume: 1.0,
-      lang: 'ko-KR'
+      lang: 'ko-KR',
+      enabled: true     // Turned off together with app audio in Settings
     }
     
     if (this.isSupported) {
@@ -102,7 +103,7 @@ class KoreanTextToSpeech {
         return
       }
 
-      if (!text || text.trim() === '') {
+      if (!text || text.trim() === '' || !this.settings.enabled) {
         resolve()
         return
       }
@@ -115,7 +116,7 @@ class KoreanTextToSpeech {
       // Apply settings
       utterance.rate = options.rate || this.settings.rate
       utterance.pitch = options.pitch || this.settings.pitch
-      utterance.volume = options.volume || this.settings.volume
+      utterance.volume = options.volume ?? this.settings.volume
       utterance.lang = options.lang || this.settings.lang
 
       // Set voice
@@ -151,7 +152,6 @@ class KoreanTextToSpeech {
     const screenReaderOptions = {
       rate: 0.7,  // Slower for screen readers
       pitch: 1.0,
-      volume: 1.0,
       ...options
     }
     
@@ -140,9 +140,10 @@ export function createGoal(goalTemplate, target = null, difficulty = 'MEDIUM') {
 /**
  * Get current active goals for a user
  * @param {Object} userGoals - User's goal configuration
+ * @param {Object} settings - App settings (see applyGoalSettings)
  * @returns {Object} Active daily and weekly goals
  */
-export function getActiveGoals(userGoals = {}) {
+export function getActiveGoals(userGoals = {}, settings = {}) {
   const today = new Date()
   const currentWeek = getWeekKey(today)
   const currentDay = today.toDateString()
@@ -183,7 +184,53 @@ export function getActiveGoals(userGoals = {}) {
     }
   })
 
-  return activeGoals
+  return applyGoalSettings(activeGoals, settings)
+}
+
+/**
+ * Apply app settings to active goals. The study time goal follows the
+ * Daily Learning Goal setting, so changing it also updates today's goal.
+ * @param {Object} goals - Active daily and weekly goals
+ * @param {Object} settings - App settings
+ * @returns {Object} Goals with the settings applied
+ */
+export function applyGoalSettings(goals, settings = {}) {
+  const template = DEFAULT_GOALS.DAILY.MINUTES
+  const studyTimeGoal = goals.daily?.[template.id]
+  if (!studyTimeGoal || !settings.dailyGoal) return goals
+
+  const target = Math.min(template.maxTarget, Math.max(template.minTarget, settings.dailyGoal))
+  const completed = studyTimeGoal.progress >= target
+
+  return {
+    ...goals,
+    daily: {
+      ...goals.daily,
+      [template.id]: {
+        ...studyTimeGoal,
+        target,
+        customTarget: target,
+        completed,
+        completedAt: completed ? (studyTimeGoal.completedAt || new Date().toISOString()) : null
+      }
+    }
+  }
+}
+
+/**
+ * Get today's study time goal
+ * @param {number} timeSpent - Time studied today in milliseconds
+ * @param {Object} settings - App settings
+ * @returns {Object} Study time goal with today's progress
+ */
+export function getDailyStudyTimeGoal(timeSpent = 0, settings = {}) {
+  const goal = {
+    ...createGoal(DEFAULT_GOALS.DAILY.MINUTES),
+    progress: Math.floor(timeSpent / 60000),
+    date: new Date().toDateString()
+  }
+
+  return applyGoalSettings({ daily: { [goal.id]: goal } }, settings).daily[goal.id]
 }
 
 /**
@@ -0,0 +1,191 @@
+/**
+ * Lesson Progress Store for Korean Learning App
+ * Persists exercise results per lesson and exercise index, decides when a
+ * lesson is complete and keeps the completion keys read by DataManager in sync
+ */
+
+import progressAnalytics from './progressAnalytics.js'
+import { getReviewItemKey } from './reviewSession.js'
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
+// Minimum exercise score that counts as passing
+export const PASSING_SCORE = 70
+
+// Exercise types that need a microphone are scored but optional, so
+// learners without one can still complete lessons
+export const OPTIONAL_EXERCISE_TYPES = ['pronunciation']
+
+/**
+ * Build the identifier used for an exercise in analytics
+ * @param {string} lessonId - Lesson identifier
+ * @param {Object} exercise - Exercise data
+ * @param {number} exerciseIndex - Index of the exercise in the lesson
+ * @returns {string} Exercise identifier
+ */
+export function getExerciseId(lessonId, exercise, exerciseIndex) {
+  return `${lessonId}:${exercise.type}:${exerciseIndex}`
+}
+
+/**
+ * Exercises that must be passed before a lesson counts as complete
+ * @param {Object} lesson - Lesson data
+ * @returns {Array<number>} Exercise indexes
+ */
+export function getRequiredExerciseIndexes(lesson) {
+  return (lesson.exercises || [])
+    .map((exercise, index) => ({ exercise, index }))
+    .filter(({ exercise }) => !OPTIONAL_EXERCISE_TYPES.includes(exercise.type))
+    .map(({ index }) => index)
+}
+
+class LessonProgressStore {
+  constructor() {
+    this.store = storage.getStore(STORAGE_NAMESPACES.PROGRESS)
+    this.storageKey = 'lessons'
+    this.completedLessonsKey = 'completedLessons'
+    this.exerciseScoresKey = 'exerciseScores'
+  }
+
+  /**
+   * Get stored progress for a lesson
+   * @param {string} lessonId - Lesson identifier
+   * @returns {Object} { exercises, completed, completedAt, averageScore }
+   */
+  getLessonProgress(lessonId) {
+    const data = this._getStoredData()
+    return data[lessonId] || {
+      exercises: {},
+      completed: false,
+      completedAt: null,
+      averageScore: null
+    }
+  }
+
+  /**
+   * Get the stored result of one exercise
+   * @param {string} lessonId - Lesson identifier
+   * @param {number} exerciseIndex - Index of the exercise in the lesson
+   * @returns {Object|null} Exercise result
+   */
+  getExerciseResult(lessonId, exerciseIndex) {
+    return this.getLessonProgress(lessonId).exercises[exerciseIndex] || null
+  }
+
+  /**
+   * Check whether a lesson has been completed
+   * @param {string} lessonId - Lesson identifier
+   * @returns {boolean}
+   */
+  isLessonComplete(lessonId) {
+    return this.getLessonProgress(lessonId).completed
+  }
+
+  /**
+   * Record the result of an exercise attempt
+   * @param {Object} lesson - Lesson data
+   * @param {number} exerciseIndex - Index of the exercise in the lesson
+   * @param {Object} result - Exercise result reported by the component ({ score, timeSpent, missedItems, ... })
+   * @returns {Object} { exerciseResult, lessonProgress, lessonJustCompleted }
+   */
+  recordExerciseResult(lesson, exerciseIndex, result = {}) {
+    const exercise = lesson.exercises[exerciseIndex]
+    if (!exercise) {
+      throw new Error(`Exercise ${exerciseIndex} does not exist in lesson ${lesson.id}`)
+    }
+
+    const data = this._getStoredData()
+    const lessonProgress = data[lesson.id] || {
+      exercises: {},
+      completed: false,
+      completedAt: null,
+      averageScore: null
+    }
+
+    const score = Math.round(result.score || 0)
+    const previous = lessonProgress.exercises[exerciseIndex]
+    const attempts = (previous?.attempts || 0) + 1
+    const now = new Date().toISOString()
+
+    const exerciseResult = {
+      exerciseType: exercise.type,
+      lastScore: score,
+      bestScore: Math.max(previous?.bestScore || 0, score),
+      attempts,
+      passed: previous?.passed || score >= PASSING_SCORE,
+      timeSpent: (previous?.timeSpent || 0) + (result.timeSpent || 0),
+      firstPassedAt: previous?.firstPassedAt || (score >= PASSING_SCORE ? now : null),
+      lastAttemptAt: now
+    }
+    lessonProgress.exercises[exerciseIndex] = exerciseResult
+
+    progressAnalytics.trackExerciseCompletion(getExerciseId(lesson.id, exercise, exerciseIndex), {
+      accuracy: score,
+      timeSpent: result.timeSpent || 0,
+      attempts,
+      lessonId: lesson.id,
+      // Missed cards and questions are saved under their review keys so Review can bring them back
+      mistakes: (result.missedItems || []).map(itemIndex =>
+        getReviewItemKey(lesson.id, exercise.type, exerciseIndex, itemIndex)
+      )
+    })
+
+    // A lesson is complete once every required exercise has passed
+    const requiredIndexes = getRequiredExerciseIndexes(lesson)
+    const requiredResults = requiredIndexes.map(index => lessonProgress.exercises[index])
+    const scoredResults = requiredResults.filter(Boolean)
+    lessonProgress.averageScore = scoredResults.length > 0
+      ? Math.round(scoredResults.reduce((sum, item) => sum + item.bestScore, 0) / scoredResults.length)
+      : null
+
+    const allPassed = requiredResults.length > 0 && requiredResults.every(item => item && item.passed)
+    const lessonJustCompleted = allPassed && !lessonProgress.completed
+
+    if (lessonJustCompleted) {
+      lessonProgress.completed = true
+      lessonProgress.completedAt = now
+
+      progressAnalytics.trackLessonCompletion(lesson.id, {
+        accuracy: lessonProgress.averageScore,
+        score: lessonProgress.averageScore,
+        attempts: requiredResults.reduce((sum, item) => sum + item.attempts, 0),
+        difficulty: lesson.level
+      })
+    }
+
+    data[lesson.id] = lessonProgress
+    this._saveData(data)
+
+    return { exerciseResult, lessonProgress, lessonJustCompleted }
+  }
+
+  /**
+   * Private helper methods
+   */
+  _getStoredData() {
+    return this.store.get(this.storageKey, {})
+  }
+
+  _saveData(data) {
+    this.store.set(this.storageKey, data)
+    this._syncCompletionKeys(data)
+  }
+
+  // DataManager reads completion from these flat keys
+  _syncCompletionKeys(data) {
+    const completedLessons = Object.keys(data).filter(lessonId => data[lessonId].completed)
+    const exerciseScores = {}
+    Object.keys(data).forEach(lessonId => {
+      if (data[lessonId].averageScore !== null) {
+        exerciseScores[lessonId] = data[lessonId].averageScore
+      }
+    })
+
+    this.store.set(this.completedLessonsKey, completedLessons)
+    this.store.set(this.exerciseScoresKey, exerciseScores)
+  }
+}
+
+// Create singleton instance
+const lessonProgress = new LessonProgressStore()
+
+export default lessonProgress
@@ -0,0 +1,158 @@
+/**
+ * Offline Cache for Korean Learning App
+ * Registers the service worker and manages the cache of lesson media, so
+ * lessons and whole modules can be downloaded for use without a connection
+ */
+
+// Must match MEDIA_CACHE in src/serviceWorker.js
+export const MEDIA_CACHE_NAME = 'korean-learning-media-v1'
+
+// Lesson media lives under public/assets
+const MEDIA_URL_PATTERN = /^\/assets\/(audio|images|videos|subtitles|articles)\//
+
+/**
+ * Check whether the browser can cache files for offline use
+ * @returns {boolean}
+ */
+export function isOfflineCacheSupported() {
+  return typeof window !== 'undefined' && 'caches' in window
+}
+
+/**
+ * Check whether the browser currently has a connection
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false
+}
+
+/**
+ * Register the service worker built by vite.config.js (production builds only)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return null
+  }
+
+  try {
+    return await navigator.serviceWorker.register('/sw.js')
+  } catch (error) {
+    console.warn('Service worker registration failed:', error)
+    return null
+  }
+}
+
+/**
+ * Collect the media files a lesson refers to
+ * @param {Object} lesson - Lesson data
+ * @returns {Array<string>} Unique media URLs
+ */
+export function getLessonMediaUrls(lesson) {
+  const urls = new Set()
+
+  const collect = (value) => {
+    if (typeof value === 'string') {
+      if (MEDIA_URL_PATTERN.test(value)) urls.add(value)
+    } else if (Array.isArray(value)) {
+      value.forEach(collect)
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect)
+    }
+  }
+
+  collect(lesson)
+  return [...urls]
+}
+
+/**
+ * Collect the media files of several lessons, e.g. a module
+ * @param {Array} lessons - Lessons
+ * @returns {Array<string>} Unique media URLs
+ */
+export function getMediaUrlsForLessons(lessons) {
+  return [...new Set(lessons.flatMap(getLessonMediaUrls))]
+}
+
+/**
+ * Check whether a file is available offline
+ * @param {string} url - File URL
+ * @returns {Promise<boolean>}
+ */
+export async function isCachedForOffline(url) {
+  if (!isOfflineCacheSupported() || !url) return false
+
+  try {
+    const cached = await caches.match(new URL(url, window.location.origin).pathname)
+    return Boolean(cached)
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * How many of the given files are available offline
+ * @param {Array<string>} urls - File URLs
+ * @returns {Promise<Object>} { cached, total, isComplete }
+ */
+export async function getOfflineStatus(urls) {
+  if (!isOfflineCacheSupported() || urls.length === 0) {
+    return { cached: 0, total: urls.length, isComplete: urls.length === 0 }
+  }
+
+  const cache = await caches.open(MEDIA_CACHE_NAME)
+  const matches = await Promise.all(urls.map(url => cache.match(url)))
+  const cached = matches.filter(Boolean).length
+
+  return { cached, total: urls.length, isComplete: cached === urls.length }
+}
+
+/**
+ * Download files into the offline cache, one at a time
+ * @param {Array<string>} urls - File URLs
+ * @param {Function} onProgress - Called with { completed, total, url } after each file
+ * @returns {Promise<Object>} { cached, failed }
+ */
+export async function cacheForOffline(urls, onProgress = null) {
+  if (!isOfflineCacheSupported()) {
+    throw new Error('Offline storage is not supported in this browser')
+  }
+
+  const cache = await caches.open(MEDIA_CACHE_NAME)
+  const cached = []
+  const failed = []
+
+  for (const [index, url] of urls.entries()) {
+    try {
+      if (!(await cache.match(url))) {
+        const response = await fetch(url)
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+        await cache.put(url, response)
+      }
+      cached.push(url)
+    } catch (error) {
+      failed.push({ url, error: error.message })
+    }
+
+    if (onProgress) {
+      onProgress({ completed: index + 1, total: urls.length, url })
+    }
+  }
+
+  return { cached, failed }
+}
+
+/**
+ * Remove files from the offline cache
+ * @param {Array<string>} urls - File URLs
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function removeFromOfflineCache(urls) {
+  if (!isOfflineCacheSupported()) return 0
+
+  const cache = await caches.open(MEDIA_CACHE_NAME)
+  const results = await Promise.all(urls.map(url => cache.delete(url)))
+  return results.filter(Boolean).length
+}
@@ -0,0 +1,122 @@
+/**
+ * Particle Utilities for Korean Learning App
+ * Picks the right form of a particle (은/는, 이/가, 을/를, 와/과, (으)로)
+ * from the final consonant (받침) of the word it attaches to, and explains
+ * the choice
+ */
+
+import { decomposeSyllable, isHangulSyllable } from './hangul.js'
+
+export const PARTICLES = {
+  TOPIC: { id: 'topic', name: 'Topic', afterVowel: '는', afterConsonant: '은' },
+  SUBJECT: { id: 'subject', name: 'Subject', afterVowel: '가', afterConsonant: '이' },
+  OBJECT: { id: 'object', name: 'Object', afterVowel: '를', afterConsonant: '을' },
+  AND: { id: 'and', name: 'And / with', afterVowel: '와', afterConsonant: '과' },
+  // ㄹ takes the vowel form: 서울로, not 서울으로
+  DIRECTION: { id: 'direction', name: 'Direction / means', afterVowel: '로', afterConsonant: '으로', afterRieul: '로' }
+}
+
+// Final consonant of each digit as read in Sino-Korean (일, 이, 삼, ...)
+const DIGIT_FINALS = {
+  0: 'ㅇ', 1: 'ㄹ', 2: '', 3: 'ㅁ', 4: '', 5: '', 6: 'ㄱ', 7: 'ㄹ', 8: 'ㄹ', 9: ''
+}
+
+/**
+ * Look up a particle by id
+ * @param {string} particleId - Particle id (e.g. 'topic')
+ * @returns {Object|null}
+ */
+export function getParticle(particleId) {
+  return Object.values(PARTICLES).find(particle => particle.id === particleId) || null
+}
+
+/**
+ * Label with both forms of a particle, e.g. 은/는 or (으)로
+ * @param {string} particleId - Particle id
+ * @returns {string}
+ */
+export function getParticleLabel(particleId) {
+  const particle = getParticle(particleId)
+  if (!particle) return ''
+  if (particle.afterConsonant.endsWith(particle.afterVowel)) {
+    return `(${particle.afterConsonant.slice(0, -particle.afterVowel.length)})${particle.afterVowel}`
+  }
+  return `${particle.afterConsonant}/${particle.afterVowel}`
+}
+
+/**
+ * Find the final consonant a particle attaches to
+ * @param {string} word - Word the particle follows
+ * @returns {string|null} - Final jamo, '' for a vowel ending, or null if the
+ *   word does not end in Hangul or a digit
+ */
+export function getFinalConsonant(word) {
+  const chars = Array.from((word || '').trim()).filter(char => isHangulSyllable(char) || /[0-9]/.test(char))
+  const last = chars[chars.length - 1]
+  if (!last) return null
+  if (/[0-9]/.test(last)) return DIGIT_FINALS[last]
+  return decomposeSyllable(last).final
+}
+
+/**
+ * Pick the form of a particle that follows a word
+ * @param {string} word - Word the particle follows
+ * @param {string} particleId - Particle id
+ * @returns {string|null} - Particle form, or null if it cannot be chosen
+ */
+export function selectParticle(word, particleId) {
+  const particle = getParticle(particleId)
+  const final = getFinalConsonant(word)
+  if (!particle || final === null) return null
+
+  if (final === 'ㄹ' && particle.afterRieul) return particle.afterRieul
+  return final ? particle.afterConsonant : particle.afterVowel
+}
+
+/**
+ * Attach the right form of a particle to a word
+ * @param {string} word - Word the particle follows
+ * @param {string} particleId - Particle id
+ * @returns {string|null}
+ */
+export function attachParticle(word, particleId) {
+  const form = selectParticle(word, particleId)
+  return form ? `${word.trim()}${form}` : null
+}
+
+/**
+ * Explain why a word takes a particular particle form
+ * @param {string} word - Word the particle follows
+ * @param {string} particleId - Particle id
+ * @returns {string}
+ */
+export function explainParticle(word, particleId) {
+  const particle = getParticle(particleId)
+  const final = getFinalConsonant(word)
+  const form = selectParticle(word, particleId)
+  if (!form) return ''
+
+  if (final === 'ㄹ' && particle.afterRieul) {
+    return `${word} ends in ㄹ. (으)로 is the one particle where ㄹ counts like a vowel, so it takes ${form}: ${word}${form}.`
+  }
+  if (final) {
+    return `${word} ends in the consonant ${final} (받침), so it takes ${form}: ${word}${form}.`
+  }
+  return `${word} ends in a vowel, so it takes ${form}: ${word}${form}.`
+}
+
+/**
+ * Check a particle form chosen for a word
+ * @param {string} word - Word the particle follows
+ * @param {string} particleId - Particle id being practiced
+ * @param {string} answer - Particle form the learner chose
+ * @returns {Object} - { isCorrect, expected, explanation }
+ */
+export function checkParticle(word, particleId, answer) {
+  const expected = selectParticle(word, particleId)
+  return {
+    isCorrect: expected !== null && (answer || '').trim() === expected,
+    expected,
+    explanation: explainParticle(word, particleId)
+  }
+}
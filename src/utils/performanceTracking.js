@@ -3,6 +3,8 @@
  * Tracks individual exercise performance to identify weak areas and learning patterns
  */
 
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
 // Performance categories for analysis
 export const PERFORMANCE_CATEGORIES = {
   EXERCISE_TYPE: {
@@ -71,14 +73,14 @@ export const SKILL_AREAS = {
     id: 'grammar',
     name: 'Grammar',
     description: 'Korean grammatical structures and rules',
-    exercises: ['fill-in-the-blank', 'drag-drop'],
+    exercises: ['fill-in-the-blank', 'drag-drop', 'conjugation', 'particle'],
     weight: 1.1
   },
   VOCABULARY: {
     id: 'vocabulary',
     name: 'Vocabulary',
     description: 'Korean word knowledge and usage',
-    exercises: ['flashcard', 'quiz', 'typing'],
+    exercises: ['flashcard', 'quiz', 'typing', 'numbers'],
     weight: 1.0
   }
 }
@@ -181,6 +183,45 @@ export function trackExercisePerformance(exerciseResult, existingData = {}) {
   return updatedData
 }
 
+// Where recorded performance data is kept between sessions (progress store)
+export const PERFORMANCE_STORAGE_KEY = 'performance'
+
+/**
+ * Load recorded performance data
+ * @returns {Object} Stored performance data, empty if nothing was recorded yet
+ */
+export function loadPerformanceData() {
+  return storage.getStore(STORAGE_NAMESPACES.PROGRESS).get(PERFORMANCE_STORAGE_KEY, {})
+}
+
+/**
+ * Track an exercise result and persist the updated performance data
+ * @param {Object} exerciseResult - Exercise completion data
+ * @returns {Object} Updated performance data
+ */
+export function recordExercisePerformance(exerciseResult) {
+  const updatedData = trackExercisePerformance(exerciseResult, loadPerformanceData())
+  storage.getStore(STORAGE_NAMESPACES.PROGRESS).set(PERFORMANCE_STORAGE_KEY, updatedData)
+  return updatedData
+}
+
+/**
+ * Rebuild performance data from a list of entries, e.g. after merging two histories
+ * @param {Array} entries - Performance entries
+ * @returns {Object} Performance data with recalculated summary and weak areas
+ */
+export function rebuildPerformanceData(entries) {
+  const sortedEntries = [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  const summary = calculateSummaryStatistics(sortedEntries)
+
+  return {
+    entries: sortedEntries,
+    summary,
+    weakAreas: identifyWeakAreas(sortedEntries, summary),
+    lastUpdated: sortedEntries.length > 0 ? sortedEntries[sortedEntries.length - 1].timestamp : null
+  }
+}
+
 /**
  * Calculate summary statistics from performance entries
  * @param {Array} entries - Performance entries
@@ -524,6 +565,27 @@ function generateExerciseTypeRecommendations(exerciseType, stats) {
       }
       break
 
+    case 'conjugation':
+      if (stats.accuracy < 60) {
+        recommendations.push('Review the irregular stems (ㅂ, ㄷ, ㅅ, 르, ㅎ, 으) before drilling them')
+        recommendations.push('Drill one tense and speech level at a time before mixing forms')
+      }
+      break
+
+    case 'particle':
+      if (stats.accuracy < 60) {
+        recommendations.push('Check whether the last syllable has a final consonant (받침) before picking a particle')
+        recommendations.push('Remember that (으)로 takes 로 after ㄹ')
+      }
+      break
+
+    case 'numbers':
+      if (stats.accuracy < 60) {
+        recommendations.push('Learn which counters take native numbers (개, 명, 살, 시) and which take Sino-Korean (분, 원)')
+        recommendations.push('Practice one number system at a time before mixing them')
+      }
+      break
+
     default:
       recommendations.push(`Focus on more ${exerciseType} practice`)
   }
@@ -4,9 +4,12 @@
  * Privacy-compliant - all data stored locally
  */
 
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
 class ProgressAnalytics {
   constructor() {
-    this.storageKey = 'korean-learning-progress'
+    this.store = storage.getStore(STORAGE_NAMESPACES.PROGRESS)
+    this.storageKey = 'analytics'
     this.sessionStartTime = Date.now()
     this.currentSessionData = {
       startTime: this.sessionStartTime,
@@ -246,6 +249,30 @@ class ProgressAnalytics {
     this._saveData(data)
   }
 
+  /**
+   * Get recorded mistakes and retry counts
+   * @returns {Object} { commonMistakes, retryRates }
+   */
+  getMistakeData() {
+    const data = this._getStoredData()
+    return {
+      commonMistakes: data.commonMistakes || {},
+      retryRates: data.retryRates || {}
+    }
+  }
+
+  /**
+   * Forget a mistake once it has been answered correctly in review
+   * @param {string} mistake - Mistake identifier
+   */
+  resolveMistake(mistake) {
+    const data = this._getStoredData()
+    if (data.commonMistakes && data.commonMistakes[mistake] !== undefined) {
+      delete data.commonMistakes[mistake]
+      this._saveData(data)
+    }
+  }
+
   /**
    * Get estimated completion time for a lesson
    * @param {string} lessonId - Lesson identifier
@@ -338,21 +365,11 @@ class ProgressAnalytics {
    * Private helper methods
    */
   _getStoredData() {
-    try {
-      const stored = localStorage.getItem(this.storageKey)
-      return stored ? JSON.parse(stored) : {}
-    } catch (error) {
-      console.error('Error loading progress data:', error)
-      return {}
-    }
+    return this.store.get(this.storageKey, {})
   }
 
   _saveData(data) {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(data))
-    } catch (error) {
-      console.error('Error saving progress data:', error)
-    }
+    this.store.set(this.storageKey, data)
   }
 
   _loadProgressData() {
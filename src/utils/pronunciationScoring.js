@@ -0,0 +1,541 @@
+/**
+ * Pronunciation Scoring for Korean Learning App
+ * Compares a learner's recording with the reference audio entirely in the
+ * browser: MFCC features aligned with dynamic time warping give the sound
+ * similarity, and speaker-normalized pitch contours give the intonation
+ * similarity. Works on plain sample arrays, so it also runs in Node.
+ */
+
+// All analysis happens at this rate
+export const ANALYSIS_SAMPLE_RATE = 16000
+
+// Share of the score that depends on sound alone; poor intonation can take
+// away at most the rest, so matching the melody never makes up for wrong sounds
+export const MFCC_WEIGHT = 0.75
+
+// Mean MFCC frame distance at or below which a recording scores 100,
+// and at or above which it scores 0
+const MFCC_DISTANCE_PERFECT = 3
+const MFCC_DISTANCE_ZERO = 25
+
+// Mean pitch difference (semitones) at which intonation scores 0
+const PITCH_DIFFERENCE_ZERO = 6
+
+const FRAME_SIZE = 400        // 25 ms
+const HOP_SIZE = 160          // 10 ms
+const FFT_SIZE = 512
+const MEL_BANDS = 26
+const MFCC_COEFFICIENTS = 13
+const PRE_EMPHASIS = 0.97
+const DYNAMIC_RANGE = 1e-3    // 30 dB below the loudest band of a frame
+
+const PITCH_FRAME_SIZE = 640  // 40 ms, long enough for two periods at 75 Hz
+const MIN_PITCH = 75
+const MAX_PITCH = 500
+const VOICING_THRESHOLD = 0.5
+const MIN_VOICED_FRAMES = 5
+
+/**
+ * Decode a WAV file (PCM 8/16/24/32-bit or 32-bit float) into mono samples
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {Object} { samples: Float32Array, sampleRate }
+ */
+export function parseWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer)
+  const readTag = (offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  )
+
+  if (view.byteLength < 12 || readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+    throw new Error('Not a WAV file')
+  }
+
+  let format = null
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readTag(offset)
+    const chunkSize = view.getUint32(offset + 4, true)
+    const body = offset + 8
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      }
+    } else if (chunkId === 'data') {
+      if (!format) throw new Error('WAV data chunk comes before the format chunk')
+      const length = Math.min(chunkSize, view.byteLength - body)
+      return {
+        samples: readPcmSamples(view, body, length, format),
+        sampleRate: format.sampleRate
+      }
+    }
+
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2)
+  }
+
+  throw new Error('WAV file has no audio data')
+}
+
+/**
+ * Decode an audio file into mono samples. WAV files are parsed directly;
+ * other formats (MP3, WebM, Ogg) need the browser's Web Audio API.
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {Promise<Object>} { samples: Float32Array, sampleRate }
+ */
+export async function decodeAudioFile(arrayBuffer) {
+  try {
+    return parseWav(arrayBuffer)
+  } catch (error) {
+    // Not a WAV file; fall through to the browser decoder
+  }
+
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext)
+  if (!AudioContextClass) {
+    throw new Error('This audio format can only be decoded in a browser')
+  }
+
+  const context = new AudioContextClass()
+  try {
+    const audioBuffer = await context.decodeAudioData(arrayBuffer)
+    const channels = []
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      channels.push(audioBuffer.getChannelData(channel))
+    }
+    return { samples: mixDown(channels), sampleRate: audioBuffer.sampleRate }
+  } finally {
+    context.close()
+  }
+}
+
+/**
+ * Resample audio with linear interpolation
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate
+ * @returns {Float32Array} Resampled audio
+ */
+export function resample(samples, fromRate, toRate = ANALYSIS_SAMPLE_RATE) {
+  if (fromRate === toRate) return Float32Array.from(samples)
+
+  const ratio = fromRate / toRate
+  const length = Math.floor(samples.length / ratio)
+  const output = new Float32Array(length)
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio
+    const index = Math.floor(position)
+    const fraction = position - index
+    const next = index + 1 < samples.length ? samples[index + 1] : samples[index]
+    output[i] = samples[index] * (1 - fraction) + next * fraction
+  }
+  return output
+}
+
+/**
+ * Cut leading and trailing silence so recordings line up
+ * @param {Float32Array} samples - Samples at ANALYSIS_SAMPLE_RATE
+ * @returns {Float32Array} Trimmed samples
+ */
+export function trimSilence(samples) {
+  const energies = frameEnergies(samples, FRAME_SIZE, HOP_SIZE)
+  if (energies.length === 0) return samples
+
+  const peak = Math.max(...energies)
+  const threshold = Math.max(peak * 0.05, 1e-4)
+  const first = energies.findIndex(energy => energy >= threshold)
+  if (first === -1) return samples
+
+  let last = energies.length - 1
+  while (last > first && energies[last] < threshold) last--
+
+  // Keep a little room around the speech
+  const start = Math.max(0, (first - 2) * HOP_SIZE)
+  const end = Math.min(samples.length, (last + 2) * HOP_SIZE + FRAME_SIZE)
+  return samples.subarray(start, end)
+}
+
+/**
+ * Summarize audio as peak levels for drawing a waveform
+ * @param {Float32Array} samples - Audio samples
+ * @param {number} points - Number of peaks
+ * @returns {Array<number>} Peaks between 0 and 1
+ */
+export function computeWaveform(samples, points = 120) {
+  if (samples.length === 0) return new Array(points).fill(0)
+
+  const blockSize = samples.length / points
+  const peaks = []
+  for (let i = 0; i < points; i++) {
+    const start = Math.floor(i * blockSize)
+    const end = Math.max(start + 1, Math.floor((i + 1) * blockSize))
+    let peak = 0
+    for (let j = start; j < end && j < samples.length; j++) {
+      peak = Math.max(peak, Math.abs(samples[j]))
+    }
+    peaks.push(peak)
+  }
+
+  const max = Math.max(...peaks)
+  return max > 0 ? peaks.map(peak => peak / max) : peaks
+}
+
+/**
+ * Estimate the pitch of each frame with normalized autocorrelation
+ * @param {Float32Array} samples - Samples at ANALYSIS_SAMPLE_RATE
+ * @returns {Array<number|null>} Pitch in Hz per 10 ms frame, null when unvoiced
+ */
+export function computePitchContour(samples) {
+  const energies = frameEnergies(samples, PITCH_FRAME_SIZE, HOP_SIZE)
+  const peak = energies.length > 0 ? Math.max(...energies) : 0
+  const minLag = Math.floor(ANALYSIS_SAMPLE_RATE / MAX_PITCH)
+  const maxLag = Math.ceil(ANALYSIS_SAMPLE_RATE / MIN_PITCH)
+
+  return energies.map((energy, frameIndex) => {
+    if (energy < peak * 0.1) return null
+
+    const start = frameIndex * HOP_SIZE
+    let zeroLag = 0
+    for (let i = 0; i < PITCH_FRAME_SIZE; i++) {
+      zeroLag += samples[start + i] * samples[start + i]
+    }
+    if (zeroLag === 0) return null
+
+    let bestLag = 0
+    let bestCorrelation = 0
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let sum = 0
+      for (let i = 0; i + lag < PITCH_FRAME_SIZE; i++) {
+        sum += samples[start + i] * samples[start + i + lag]
+      }
+      // Scale up for the shorter overlap at long lags
+      const correlation = (sum / zeroLag) * (PITCH_FRAME_SIZE / (PITCH_FRAME_SIZE - lag))
+      if (correlation > bestCorrelation) {
+        bestCorrelation = correlation
+        bestLag = lag
+      }
+    }
+
+    return bestCorrelation >= VOICING_THRESHOLD ? ANALYSIS_SAMPLE_RATE / bestLag : null
+  })
+}
+
+/**
+ * Compute mel-frequency cepstral coefficients per frame, with the mean of
+ * each coefficient removed so different microphones compare fairly
+ * @param {Float32Array} samples - Samples at ANALYSIS_SAMPLE_RATE
+ * @returns {Array<Array<number>>} Coefficients 1..12 per 10 ms frame
+ */
+export function computeMfcc(samples) {
+  const frameCount = samples.length < FRAME_SIZE ? 0 : Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1
+  const filterbank = getMelFilterbank()
+  const hamming = getHammingWindow()
+  const frames = []
+
+  for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+    const start = frameIndex * HOP_SIZE
+    const real = new Float64Array(FFT_SIZE)
+    const imag = new Float64Array(FFT_SIZE)
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const previous = start + i > 0 ? samples[start + i - 1] : 0
+      real[i] = (samples[start + i] - PRE_EMPHASIS * previous) * hamming[i]
+    }
+    fft(real, imag)
+
+    const power = new Float64Array(FFT_SIZE / 2 + 1)
+    for (let bin = 0; bin < power.length; bin++) {
+      power[bin] = (real[bin] * real[bin] + imag[bin] * imag[bin]) / FFT_SIZE
+    }
+
+    const bandEnergies = filterbank.map(filter => {
+      let energy = 0
+      for (let bin = 0; bin < filter.length; bin++) {
+        energy += filter[bin] * power[bin]
+      }
+      return energy
+    })
+
+    // Limit the dynamic range so near-silent bands (background noise, band
+    // limits of the recording) do not outweigh the bands carrying speech
+    const floor = Math.max(Math.max(...bandEnergies) * DYNAMIC_RANGE, 1e-10)
+    const logEnergies = bandEnergies.map(energy => Math.log(Math.max(energy, floor)))
+
+    // DCT-II; coefficient 0 is overall loudness and is left out
+    const coefficients = []
+    for (let k = 1; k < MFCC_COEFFICIENTS; k++) {
+      let sum = 0
+      for (let m = 0; m < MEL_BANDS; m++) {
+        sum += logEnergies[m] * Math.cos((Math.PI * k * (m + 0.5)) / MEL_BANDS)
+      }
+      coefficients.push(sum)
+    }
+    frames.push(coefficients)
+  }
+
+  if (frames.length === 0) return frames
+
+  const means = frames[0].map((_, k) => frames.reduce((sum, frame) => sum + frame[k], 0) / frames.length)
+  return frames.map(frame => frame.map((value, k) => value - means[k]))
+}
+
+/**
+ * Align two sequences with dynamic time warping
+ * @param {Array} a - First sequence
+ * @param {Array} b - Second sequence
+ * @param {Function} distance - Distance between two elements
+ * @returns {number} Mean distance along the best alignment path
+ */
+export function dtwDistance(a, b, distance = euclideanDistance) {
+  if (a.length === 0 || b.length === 0) return Infinity
+
+  const columns = b.length + 1
+  const cost = new Float64Array((a.length + 1) * columns).fill(Infinity)
+  const steps = new Uint32Array((a.length + 1) * columns)
+  cost[0] = 0
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const candidates = [
+        (i - 1) * columns + (j - 1),
+        (i - 1) * columns + j,
+        i * columns + (j - 1)
+      ]
+      let best = candidates[0]
+      for (const candidate of candidates) {
+        if (cost[candidate] < cost[best]) best = candidate
+      }
+      const index = i * columns + j
+      cost[index] = cost[best] + distance(a[i - 1], b[j - 1])
+      steps[index] = steps[best] + 1
+    }
+  }
+
+  const end = a.length * columns + b.length
+  return cost[end] / steps[end]
+}
+
+/**
+ * Extract everything needed to display and score a recording
+ * @param {Float32Array} samples - Audio samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {Object} { duration, waveform, pitch, mfcc }
+ */
+export function analyzeAudio(samples, sampleRate) {
+  const speech = trimSilence(resample(samples, sampleRate, ANALYSIS_SAMPLE_RATE))
+
+  return {
+    duration: speech.length / ANALYSIS_SAMPLE_RATE,
+    waveform: computeWaveform(speech),
+    pitch: computePitchContour(speech),
+    mfcc: computeMfcc(speech)
+  }
+}
+
+/**
+ * Score a learner's recording against the reference
+ * @param {Object} reference - Result of analyzeAudio for the reference audio
+ * @param {Object} attempt - Result of analyzeAudio for the learner's recording
+ * @returns {Object} { score, soundScore, intonationScore, mfccDistance, pitchDifference, durationRatio }
+ */
+export function scorePronunciation(reference, attempt) {
+  const mfccDistance = dtwDistance(reference.mfcc, attempt.mfcc)
+  const soundScore = Number.isFinite(mfccDistance)
+    ? clampScore(100 * (MFCC_DISTANCE_ZERO - mfccDistance) / (MFCC_DISTANCE_ZERO - MFCC_DISTANCE_PERFECT))
+    : 0
+
+  const referenceContour = toSemitoneContour(reference.pitch)
+  const attemptContour = toSemitoneContour(attempt.pitch)
+  let pitchDifference = null
+  let intonationScore = null
+  if (referenceContour && attemptContour) {
+    pitchDifference = dtwDistance(referenceContour, attemptContour, (x, y) => Math.abs(x - y))
+    intonationScore = clampScore(100 * (1 - pitchDifference / PITCH_DIFFERENCE_ZERO))
+  }
+
+  // Without a usable pitch on both sides, only the sound is scored
+  const score = intonationScore === null
+    ? soundScore
+    : clampScore(soundScore * (MFCC_WEIGHT + (1 - MFCC_WEIGHT) * intonationScore / 100))
+
+  return {
+    score,
+    soundScore,
+    intonationScore,
+    mfccDistance,
+    pitchDifference,
+    durationRatio: reference.duration > 0 ? attempt.duration / reference.duration : null
+  }
+}
+
+/**
+ * Analyze and score two recordings in one step
+ * @param {Object} reference - { samples, sampleRate } of the reference audio
+ * @param {Object} attempt - { samples, sampleRate } of the learner's recording
+ * @returns {Object} Score details plus both analyses
+ */
+export function comparePronunciation(reference, attempt) {
+  const referenceAnalysis = analyzeAudio(reference.samples, reference.sampleRate)
+  const attemptAnalysis = analyzeAudio(attempt.samples, attempt.sampleRate)
+
+  return {
+    ...scorePronunciation(referenceAnalysis, attemptAnalysis),
+    reference: referenceAnalysis,
+    attempt: attemptAnalysis
+  }
+}
+
+/**
+ * Helper functions
+ */
+
+function readPcmSamples(view, start, length, { audioFormat, channels, bitsPerSample }) {
+  const bytesPerSample = bitsPerSample / 8
+  const frameCount = Math.floor(length / (bytesPerSample * channels))
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount))
+  const isFloat = audioFormat === 3
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const offset = start + (frame * channels + channel) * bytesPerSample
+      let value
+      if (isFloat && bitsPerSample === 32) {
+        value = view.getFloat32(offset, true)
+      } else if (bitsPerSample === 8) {
+        value = (view.getUint8(offset) - 128) / 128
+      } else if (bitsPerSample === 16) {
+        value = view.getInt16(offset, true) / 32768
+      } else if (bitsPerSample === 24) {
+        const raw = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16)
+        value = raw / 8388608
+      } else if (bitsPerSample === 32) {
+        value = view.getInt32(offset, true) / 2147483648
+      } else {
+        throw new Error(`Unsupported WAV sample size: ${bitsPerSample} bits`)
+      }
+      channelData[channel][frame] = value
+    }
+  }
+
+  return mixDown(channelData)
+}
+
+function mixDown(channels) {
+  if (channels.length === 1) return Float32Array.from(channels[0])
+
+  const mono = new Float32Array(channels[0].length)
+  channels.forEach(channel => {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length
+    }
+  })
+  return mono
+}
+
+// Root mean square level of each frame
+function frameEnergies(samples, frameSize, hopSize) {
+  const energies = []
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    let sum = 0
+    for (let i = start; i < start + frameSize; i++) {
+      sum += samples[i] * samples[i]
+    }
+    energies.push(Math.sqrt(sum / frameSize))
+  }
+  return energies
+}
+
+// Voiced frames in semitones around the speaker's median, so a low and a
+// high voice with the same melody compare as equal
+function toSemitoneContour(pitch) {
+  const voiced = pitch.filter(value => value !== null)
+  if (voiced.length < MIN_VOICED_FRAMES) return null
+
+  const sorted = [...voiced].sort((a, b) => a - b)
+  const median = sorted[Math.floor(sorted.length / 2)]
+  return voiced.map(value => 12 * Math.log2(value / median))
+}
+
+function euclideanDistance(a, b) {
+  let sum = 0
+  for (let i = 0; i < a.length; i++) {
+    const difference = a[i] - b[i]
+    sum += difference * difference
+  }
+  return Math.sqrt(sum)
+}
+
+function clampScore(value) {
+  return Math.round(Math.min(100, Math.max(0, value)))
+}
+
+let hammingWindow = null
+function getHammingWindow() {
+  if (!hammingWindow) {
+    hammingWindow = new Float64Array(FRAME_SIZE)
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      hammingWindow[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1))
+    }
+  }
+  return hammingWindow
+}
+
+let melFilterbank = null
+function getMelFilterbank() {
+  if (melFilterbank) return melFilterbank
+
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700)
+  const toHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1)
+  const maxMel = toMel(ANALYSIS_SAMPLE_RATE / 2)
+  const bins = []
+  for (let i = 0; i < MEL_BANDS + 2; i++) {
+    const hz = toHz((maxMel * i) / (MEL_BANDS + 1))
+    bins.push(Math.floor(((FFT_SIZE + 1) * hz) / ANALYSIS_SAMPLE_RATE))
+  }
+
+  melFilterbank = []
+  for (let m = 1; m <= MEL_BANDS; m++) {
+    const filter = new Float64Array(FFT_SIZE / 2 + 1)
+    for (let bin = bins[m - 1]; bin < bins[m]; bin++) {
+      filter[bin] = (bin - bins[m - 1]) / Math.max(1, bins[m] - bins[m - 1])
+    }
+    for (let bin = bins[m]; bin <= bins[m + 1]; bin++) {
+      filter[bin] = (bins[m + 1] - bin) / Math.max(1, bins[m + 1] - bins[m])
+    }
+    melFilterbank.push(filter)
+  }
+  return melFilterbank
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+  const n = real.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]]
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k)
+        const sin = Math.sin(angle * k)
+        const evenIndex = start + k
+        const oddIndex = start + k + size / 2
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos
+        real[oddIndex] = real[evenIndex] - oddReal
+        imag[oddIndex] = imag[evenIndex] - oddImag
+        real[evenIndex] += oddReal
+        imag[evenIndex] += oddImag
+      }
+    }
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { logAssetFailure, logRetryAttempt, logWarning, logError } from './errorLogger'
+import { isOnline, isCachedForOffline } from './offlineCache'
 
 /**
  * Default retry configuration
@@ -122,6 +123,15 @@ export class AssetRetryManager {
       throw new Error(`Asset permanently failed: ${assetUrl}`)
     }
 
+    // Offline, only a cached copy can load; retrying would just burn attempts
+    // and mark the asset as permanently failed
+    if (!isOnline()) {
+      if (await isCachedForOffline(assetUrl)) {
+        return loadFunction(assetUrl, 0)
+      }
+      throw new Error(`Asset not available offline: ${assetUrl}`)
+    }
+
     let lastError = null
     
     for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
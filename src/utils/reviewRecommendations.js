@@ -4,6 +4,11 @@
  */
 
 import { SKILL_AREAS, WEAKNESS_THRESHOLDS } from './performanceTracking.js'
+import spacedRepetition, { SRS_ITEM_TYPES } from './spacedRepetition.js'
+
+// Lesson examples are only graded in review, so unseen ones join the due
+// queue a few at a time
+const NEW_EXAMPLES_PER_REVIEW = 5
 
 // Review recommendation types
 export const REVIEW_TYPES = {
@@ -87,6 +92,12 @@ export const REVIEW_CONTENT_TYPES = {
     name: 'Mixed Practice',
     description: 'Combine multiple skills',
     timeEstimate: '15-20 minutes'
+  },
+  DUE_ITEMS: {
+    id: 'due_items',
+    name: 'Due Items',
+    description: 'Flashcards and examples scheduled for today',
+    timeEstimate: '5-10 minutes'
   }
 }
 
@@ -94,19 +105,27 @@ export const REVIEW_CONTENT_TYPES = {
  * Generate review recommendations based on performance data
  * @param {Object} performanceData - User's performance tracking data
  * @param {Object} userPreferences - User's learning preferences
- * @param {Object} availableContent - Available lessons and exercises
+ * @param {Object} availableContent - Available lessons and exercises; pass
+ *   `dueItems` to override the spaced repetition "due today" queue
  * @returns {Object} Review recommendations
  */
 export function generateReviewRecommendations(performanceData, userPreferences = {}, availableContent = {}) {
-  if (!performanceData || !performanceData.entries || performanceData.entries.length === 0) {
+  const entries = performanceData?.entries || []
+  const dueItems = availableContent.dueItems || spacedRepetition.getDueItems({
+    includeNew: true,
+    newTypes: [SRS_ITEM_TYPES.EXAMPLE],
+    newLimit: NEW_EXAMPLES_PER_REVIEW
+  })
+
+  if (entries.length === 0 && dueItems.length === 0) {
     return {
       hasRecommendations: false,
       message: 'Complete more exercises to receive personalized review recommendations'
     }
   }
 
-  const { summary, weakAreas, entries } = performanceData
   const recommendations = {
+    due: [],
     immediate: [],
     scheduled: [],
     priority: [],
@@ -114,17 +133,26 @@ export function generateReviewRecommendations(performanceData, userPreferences =
     studyPlan: null
   }
 
-  // Generate immediate review recommendations
-  recommendations.immediate = generateImmediateReviews(entries, availableContent)
+  // Items the scheduler has marked as due today
+  recommendations.due = generateDueItemReviews(dueItems)
+
+  if (entries.length > 0) {
+    const { summary, weakAreas } = performanceData
 
-  // Generate spaced repetition schedule
-  recommendations.scheduled = generateSpacedReviews(entries, summary, availableContent)
+    // Generate immediate review recommendations
+    recommendations.immediate = generateImmediateReviews(entries, availableContent)
 
-  // Generate priority recommendations for weak areas
-  recommendations.priority = generatePriorityReviews(weakAreas, summary, availableContent)
+    // Generate lesson-level spaced reviews for lessons without due items
+    const lessonsWithDueItems = new Set(recommendations.due.map(review => review.lessonId))
+    recommendations.scheduled = generateSpacedReviews(entries, summary, availableContent)
+      .filter(review => !lessonsWithDueItems.has(review.lessonId))
 
-  // Generate maintenance reviews for strong areas
-  recommendations.maintenance = generateMaintenanceReviews(summary, availableContent)
+    // Generate priority recommendations for weak areas
+    recommendations.priority = generatePriorityReviews(weakAreas, summary, availableContent)
+
+    // Generate maintenance reviews for strong areas
+    recommendations.maintenance = generateMaintenanceReviews(summary, availableContent)
+  }
 
   // Create personalized study plan
   recommendations.studyPlan = createStudyPlan(recommendations, userPreferences)
@@ -132,12 +160,48 @@ export function generateReviewRecommendations(performanceData, userPreferences =
   return {
     hasRecommendations: true,
     ...recommendations,
+    dueItemCount: dueItems.length,
     totalRecommendations: getTotalRecommendationCount(recommendations),
     estimatedTime: calculateTotalTime(recommendations),
     lastUpdated: new Date().toISOString()
   }
 }
 
+/**
+ * Turn the spaced repetition queue into one review per lesson
+ * @param {Array} dueItems - Items due today, most overdue first
+ * @returns {Array} Due item review recommendations
+ */
+function generateDueItemReviews(dueItems) {
+  const byLesson = {}
+
+  dueItems.forEach(item => {
+    if (!byLesson[item.lessonId]) {
+      byLesson[item.lessonId] = []
+    }
+    byLesson[item.lessonId].push(item)
+  })
+
+  return Object.keys(byLesson).map(lessonId => {
+    const items = byLesson[lessonId]
+    const mostOverdue = (Date.now() - new Date(items[0].due)) / (1000 * 60 * 60 * 24)
+    const lapsed = items.filter(item => item.lapses > 0).length
+
+    return {
+      type: REVIEW_TYPES.SPACED,
+      contentType: REVIEW_CONTENT_TYPES.DUE_ITEMS,
+      lessonId,
+      itemIds: items.map(item => item.id),
+      itemCount: items.length,
+      daysOverdue: Math.max(0, Math.floor(mostOverdue)),
+      priority: mostOverdue >= 1 || lapsed > 0 ? 1 : 2,
+      // Roughly 20 seconds per card
+      estimatedTime: Math.max(1, Math.ceil(items.length / 3)),
+      recommendation: `${items.length} item${items.length === 1 ? '' : 's'} from ${lessonId} due for review today`
+    }
+  }).sort((a, b) => a.priority - b.priority || b.itemCount - a.itemCount)
+}
+
 /**
  * Generate immediate review recommendations
  * @param {Array} entries - Performance entries
@@ -327,6 +391,16 @@ function createStudyPlan(recommendations, userPreferences) {
   // Allocate daily time
   let remainingDailyTime = dailyTimeAvailable
 
+  // Due items always belong in today's plan
+  recommendations.due.forEach(review => {
+    plan.daily.push({
+      ...review,
+      scheduledTime: preferredTimes[0] || 'morning',
+      frequency: 'daily'
+    })
+    remainingDailyTime -= review.estimatedTime
+  })
+
   // Priority reviews first
   recommendations.priority.forEach(review => {
     if (remainingDailyTime >= review.estimatedTime) {
@@ -512,7 +586,8 @@ function generateSpecificActions(area) {
 }
 
 function getTotalRecommendationCount(recommendations) {
-  return recommendations.immediate.length + 
+  return recommendations.due.length +
+         recommendations.immediate.length + 
          recommendations.scheduled.length + 
          recommendations.priority.length + 
          recommendations.maintenance.length
@@ -521,6 +596,7 @@ function getTotalRecommendationCount(recommendations) {
 function calculateTotalTime(recommendations) {
   let totalTime = 0
   
+  recommendations.due.forEach(r => totalTime += r.estimatedTime || 0)
   recommendations.immediate.forEach(r => totalTime += r.estimatedTime || 0)
   recommendations.scheduled.forEach(r => totalTime += r.estimatedTime || 0)
   recommendations.priority.forEach(r => totalTime += r.estimatedTime || 0)
@@ -544,6 +620,7 @@ export function getDisplayRecommendations(recommendations, limit = 10) {
   }
 
   const allRecommendations = [
+    ...recommendations.due,
     ...recommendations.priority,
     ...recommendations.immediate,
     ...recommendations.scheduled.slice(0, 3),
@@ -561,6 +638,8 @@ export function getDisplayRecommendations(recommendations, limit = 10) {
     summary: {
       totalRecommendations: recommendations.totalRecommendations,
       estimatedTime: recommendations.estimatedTime,
+      dueCount: recommendations.due.length,
+      dueItemCount: recommendations.dueItemCount,
       priorityCount: recommendations.priority.length,
       immediateCount: recommendations.immediate.length
     }
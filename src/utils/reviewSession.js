@@ -0,0 +1,227 @@
+/**
+ * Review Session Builder for Korean Learning App
+ * Collects flagged flashcards, quiz questions, fill-in blanks and listening
+ * items from every lesson into a single mixed review session
+ */
+
+import { SRS_ITEM_TYPES } from './spacedRepetition.js'
+
+// Exercise types that can be split into single review items
+export const REVIEWABLE_EXERCISE_TYPES = ['flashcard', 'quiz', 'fill-in-the-blank', 'listening']
+
+// Why an item ended up in the session
+export const REVIEW_REASONS = {
+  DUE: { id: 'due', label: 'Due today', icon: '📅' },
+  MISTAKE: { id: 'mistake', label: 'Missed before', icon: '❗' },
+  RECOMMENDED: { id: 'recommended', label: 'Recommended', icon: '💡' }
+}
+
+/**
+ * Build the key of a single review item. Flashcard keys match the ids used
+ * by the spaced repetition scheduler.
+ * @param {string} lessonId - Lesson identifier
+ * @param {string} exerciseType - Exercise type
+ * @param {number} exerciseIndex - Index of the exercise in the lesson
+ * @param {number} itemIndex - Index of the card or question in the exercise
+ * @returns {string} Item key
+ */
+export function getReviewItemKey(lessonId, exerciseType, exerciseIndex, itemIndex) {
+  return `${lessonId}:${exerciseType}:${exerciseIndex}:${itemIndex}`
+}
+
+/**
+ * Split a review item key (or a scheduler example id) into its parts
+ * @param {string} key - Item key
+ * @returns {Object|null} { lessonId, exerciseType, exerciseIndex, itemIndex } or null
+ */
+export function parseReviewItemKey(key) {
+  const parts = String(key).split(':')
+
+  if (parts.length === 3 && parts[1] === SRS_ITEM_TYPES.EXAMPLE) {
+    return { lessonId: parts[0], exerciseType: SRS_ITEM_TYPES.EXAMPLE, exerciseIndex: null, itemIndex: Number(parts[2]) }
+  }
+
+  if (parts.length !== 4 || !REVIEWABLE_EXERCISE_TYPES.includes(parts[1])) {
+    return null
+  }
+
+  return {
+    lessonId: parts[0],
+    exerciseType: parts[1],
+    exerciseIndex: Number(parts[2]),
+    itemIndex: Number(parts[3])
+  }
+}
+
+/**
+ * Turn an item key into something the exercise components can render
+ * @param {Object} lesson - Lesson the item belongs to
+ * @param {string} key - Item key
+ * @param {Object} reason - One of REVIEW_REASONS
+ * @returns {Object|null} Review item or null if the content no longer exists
+ */
+export function createReviewItem(lesson, key, reason) {
+  const parsed = parseReviewItemKey(key)
+  if (!lesson || !parsed) return null
+
+  const base = {
+    key,
+    lessonId: lesson.id,
+    lessonTitle: lesson.title,
+    reason
+  }
+
+  if (parsed.exerciseType === SRS_ITEM_TYPES.EXAMPLE) {
+    const example = lesson.content?.examples?.[parsed.itemIndex]
+    if (!example) return null
+
+    return {
+      ...base,
+      exerciseType: 'flashcard',
+      itemIds: [key],
+      exercise: {
+        type: 'flashcard',
+        title: `${lesson.title} — Example`,
+        cards: [{
+          front: example.korean,
+          back: `${example.translation} (${example.romanization})`
+        }]
+      }
+    }
+  }
+
+  const exercise = lesson.exercises?.[parsed.exerciseIndex]
+  if (!exercise || exercise.type !== parsed.exerciseType) return null
+
+  if (exercise.type === 'flashcard') {
+    const card = exercise.cards?.[parsed.itemIndex]
+    if (!card) return null
+
+    return {
+      ...base,
+      exerciseType: 'flashcard',
+      itemIds: [key],
+      exercise: { ...exercise, cards: [card] }
+    }
+  }
+
+  const question = exercise.questions?.[parsed.itemIndex]
+  if (!question) return null
+
+  return {
+    ...base,
+    exerciseType: exercise.type,
+    exercise: { ...exercise, questions: [question] }
+  }
+}
+
+/**
+ * Keys of every reviewable item in a lesson
+ * @param {Object} lesson - Lesson data
+ * @param {string} exerciseType - Only include this exercise type (optional)
+ * @returns {Array<string>} Item keys
+ */
+export function getLessonItemKeys(lesson, exerciseType = null) {
+  const keys = []
+
+  ;(lesson.exercises || []).forEach((exercise, exerciseIndex) => {
+    if (!REVIEWABLE_EXERCISE_TYPES.includes(exercise.type)) return
+    if (exerciseType && exercise.type !== exerciseType) return
+
+    const items = exercise.type === 'flashcard' ? exercise.cards : exercise.questions
+    ;(items || []).forEach((_, itemIndex) => {
+      keys.push(getReviewItemKey(lesson.id, exercise.type, exerciseIndex, itemIndex))
+    })
+  })
+
+  return keys
+}
+
+/**
+ * Build a mixed review session across all lessons
+ * @param {Array} lessons - All lessons
+ * @param {Object} sources - { recommendations, mistakeData }
+ * @param {Object} options - { limit, itemsPerRecommendation }
+ * @returns {Array} Review items, interleaved by exercise type
+ */
+export function buildReviewSession(lessons, sources = {}, options = {}) {
+  const { recommendations = {}, mistakeData = {} } = sources
+  const { limit = 20, itemsPerRecommendation = 3 } = options
+
+  const lessonsById = {}
+  lessons.forEach(lesson => {
+    lessonsById[lesson.id] = lesson
+  })
+
+  const items = []
+  const seen = new Set()
+
+  const addItem = (key, reason) => {
+    if (seen.has(key)) return false
+    const parsed = parseReviewItemKey(key)
+    const item = parsed && createReviewItem(lessonsById[parsed.lessonId], key, reason)
+    if (!item) return false
+
+    seen.add(key)
+    items.push(item)
+    return true
+  }
+
+  // 1. Items the scheduler has due today
+  ;(recommendations.due || []).forEach(review => {
+    review.itemIds.forEach(id => addItem(id, REVIEW_REASONS.DUE))
+  })
+
+  // 2. Items answered wrongly before, most frequent first
+  Object.entries(mistakeData.commonMistakes || {})
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([key]) => addItem(key, REVIEW_REASONS.MISTAKE))
+
+  // 3. Lessons and exercise types flagged by the recommendation engine
+  const flagged = [
+    ...(recommendations.immediate || []),
+    ...(recommendations.priority || []),
+    ...(recommendations.scheduled || [])
+  ]
+
+  flagged.forEach(review => {
+    let candidates = []
+
+    if (review.lessonId && lessonsById[review.lessonId]) {
+      candidates = getLessonItemKeys(lessonsById[review.lessonId], review.exerciseType || null)
+    } else if (review.areaType === 'exercise_type' && REVIEWABLE_EXERCISE_TYPES.includes(review.area)) {
+      candidates = lessons.flatMap(lesson => getLessonItemKeys(lesson, review.area))
+    }
+
+    let added = 0
+    candidates.forEach(key => {
+      if (added < itemsPerRecommendation && addItem(key, REVIEW_REASONS.RECOMMENDED)) {
+        added++
+      }
+    })
+  })
+
+  // Trim by priority first so due items are never crowded out, then mix
+  return interleaveByType(items.slice(0, limit))
+}
+
+/**
+ * Alternate exercise types so the session does not run all flashcards first
+ * @private
+ */
+function interleaveByType(items) {
+  const groups = {}
+  items.forEach(item => {
+    if (!groups[item.exerciseType]) groups[item.exerciseType] = []
+    groups[item.exerciseType].push(item)
+  })
+
+  const queues = Object.values(groups)
+  const mixed = []
+  while (queues.some(queue => queue.length > 0)) {
+    queues.forEach(queue => {
+      if (queue.length > 0) mixed.push(queue.shift())
+    })
+  }
+  return mixed
+}
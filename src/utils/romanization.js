@@ -0,0 +1,289 @@
+/**
+ * Revised Romanization for Korean Learning App
+ * Works out how Hangul is pronounced by applying the standard sound-change
+ * rules between syllables, then romanizes the pronounced form following the
+ * Revised Romanization of Korean (2000)
+ */
+
+import { decomposeSyllable, composeSyllable, isHangulSyllable, isHangulJamo, COMPOUND_FINALS } from './hangul.js'
+
+// Sound-change rules, in the order they are checked at a syllable boundary
+export const SOUND_CHANGE_RULES = {
+  ASPIRATION: { id: 'aspiration', name: 'Aspiration', korean: '격음화' },
+  H_DELETION: { id: 'h-deletion', name: 'ㅎ deletion', korean: 'ㅎ 탈락' },
+  PALATALIZATION: { id: 'palatalization', name: 'Palatalization', korean: '구개음화' },
+  LIAISON: { id: 'liaison', name: 'Liaison', korean: '연음' },
+  FINAL_NEUTRALIZATION: { id: 'final-neutralization', name: 'Final consonant neutralization', korean: '받침 규칙' },
+  NASALIZATION: { id: 'nasalization', name: 'Nasalization', korean: '비음화' },
+  LATERALIZATION: { id: 'lateralization', name: 'ㄹ-assimilation', korean: '유음화' },
+  TENSIFICATION: { id: 'tensification', name: 'Tensification', korean: '경음화' }
+}
+
+const INITIALS = {
+  'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm',
+  'ㅂ': 'b', 'ㅃ': 'pp', 'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj',
+  'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h'
+}
+
+const VOWELS = {
+  'ㅏ': 'a', 'ㅐ': 'ae', 'ㅑ': 'ya', 'ㅒ': 'yae', 'ㅓ': 'eo', 'ㅔ': 'e', 'ㅕ': 'yeo',
+  'ㅖ': 'ye', 'ㅗ': 'o', 'ㅘ': 'wa', 'ㅙ': 'wae', 'ㅚ': 'oe', 'ㅛ': 'yo', 'ㅜ': 'u',
+  'ㅝ': 'wo', 'ㅞ': 'we', 'ㅟ': 'wi', 'ㅠ': 'yu', 'ㅡ': 'eu', 'ㅢ': 'ui', 'ㅣ': 'i'
+}
+
+// Finals after neutralization only take these seven sounds
+const FINALS = {
+  'ㄱ': 'k', 'ㄴ': 'n', 'ㄷ': 't', 'ㄹ': 'l', 'ㅁ': 'm', 'ㅂ': 'p', 'ㅇ': 'ng'
+}
+
+// Letters taught on their own, written with both the initial and final sound
+// where they differ
+const JAMO_NAMES = {
+  'ㄱ': 'g/k', 'ㄷ': 'd/t', 'ㅂ': 'b/p', 'ㄹ': 'r/l', 'ㅇ': 'ng'
+}
+
+// Which of the seven final sounds each final consonant is pronounced as
+const NEUTRALIZED_FINALS = {
+  'ㄱ': 'ㄱ', 'ㄲ': 'ㄱ', 'ㅋ': 'ㄱ', 'ㄳ': 'ㄱ', 'ㄺ': 'ㄱ',
+  'ㄴ': 'ㄴ', 'ㄵ': 'ㄴ', 'ㄶ': 'ㄴ',
+  'ㄷ': 'ㄷ', 'ㅅ': 'ㄷ', 'ㅆ': 'ㄷ', 'ㅈ': 'ㄷ', 'ㅊ': 'ㄷ', 'ㅌ': 'ㄷ', 'ㅎ': 'ㄷ',
+  'ㄹ': 'ㄹ', 'ㄼ': 'ㄹ', 'ㄽ': 'ㄹ', 'ㄾ': 'ㄹ', 'ㅀ': 'ㄹ',
+  'ㅁ': 'ㅁ', 'ㄻ': 'ㅁ',
+  'ㅂ': 'ㅂ', 'ㅍ': 'ㅂ', 'ㄿ': 'ㅂ', 'ㅄ': 'ㅂ',
+  'ㅇ': 'ㅇ'
+}
+
+// Finals containing ㅎ, and what is left of them once the ㅎ merges away
+const H_FINALS = { 'ㅎ': '', 'ㄶ': 'ㄴ', 'ㅀ': 'ㄹ' }
+
+// ㅎ next to these plain consonants turns them aspirated
+const ASPIRATED = { 'ㄱ': 'ㅋ', 'ㄷ': 'ㅌ', 'ㅈ': 'ㅊ', 'ㅂ': 'ㅍ' }
+
+// Finals that merge with a following ㅎ: [part that stays, aspirated initial]
+const FINALS_BEFORE_H = {
+  'ㄱ': ['', 'ㅋ'], 'ㄲ': ['', 'ㅋ'], 'ㄺ': ['ㄹ', 'ㅋ'],
+  'ㄷ': ['', 'ㅌ'], 'ㅅ': ['', 'ㅌ'], 'ㅈ': ['', 'ㅊ'], 'ㅊ': ['', 'ㅊ'], 'ㄵ': ['ㄴ', 'ㅊ'],
+  'ㅂ': ['', 'ㅍ'], 'ㄼ': ['ㄹ', 'ㅍ']
+}
+
+const NASALS = { 'ㄱ': 'ㅇ', 'ㄷ': 'ㄴ', 'ㅂ': 'ㅁ' }
+const TENSE = { 'ㄱ': 'ㄲ', 'ㄷ': 'ㄸ', 'ㅂ': 'ㅃ', 'ㅅ': 'ㅆ', 'ㅈ': 'ㅉ' }
+const OBSTRUENT_FINALS = ['ㄱ', 'ㄷ', 'ㅂ']
+
+/**
+ * Work out how a Hangul text is pronounced
+ * @param {string} text - Korean text
+ * @param {Object} options - { tensification: include tensified consonants (default true) }
+ * @returns {Object} { spelled, pronounced, rules } where rules lists each
+ *   sound change as { ...rule, position, from, to }
+ */
+export function getPronunciation(text, options = {}) {
+  const words = splitWords(text)
+  const rules = []
+  let position = 0
+
+  const pronounced = words.map(word => {
+    if (!word.isHangul) {
+      position += word.text.length
+      return word.text
+    }
+
+    const syllables = Array.from(word.text).map(decomposeSyllable)
+    applySoundChanges(syllables, options, (rule, index, before) => {
+      const from = before.join('')
+      const to = syllables.slice(index, index + 2).map(toSyllable).join('')
+      rules.push({ ...rule, position: position + index, from, to })
+    })
+
+    position += word.text.length
+    return syllables.map(toSyllable).join('')
+  }).join('')
+
+  return { spelled: text, pronounced, rules }
+}
+
+/**
+ * Romanize Korean text following the Revised Romanization of Korean.
+ * Sound changes are reflected except tensification, which the system leaves
+ * unwritten (학교 → hakgyo), and the aspiration of ㄱ, ㄷ, ㅂ before ㅎ,
+ * where the ㅎ is written out (입학 → iphak).
+ * @param {string} text - Korean text
+ * @returns {string} Romanized text in lower case
+ */
+export function romanize(text) {
+  return splitWords(text).map(word => {
+    if (word.isJamo) {
+      return Array.from(word.text).map(romanizeJamo).join(' ')
+    }
+    if (!word.isHangul) return word.text
+
+    const syllables = Array.from(word.text).map(decomposeSyllable)
+    applySoundChanges(syllables, { tensification: false, aspiration: false })
+    return syllables.map((syllable, index) => {
+      const previous = syllables[index - 1]
+      // ㄹㄹ is written ll
+      const initial = syllable.initial === 'ㄹ' && previous?.final === 'ㄹ'
+        ? 'l'
+        : INITIALS[syllable.initial]
+      return initial + VOWELS[syllable.medial] + (FINALS[NEUTRALIZED_FINALS[syllable.final]] || '')
+    }).join('')
+  }).join('')
+}
+
+/**
+ * Romanize a letter taught on its own (ㄱ → g/k, ㅏ → a)
+ * @param {string} jamo - Compatibility jamo
+ * @returns {string} Romanized letter
+ */
+export function romanizeJamo(jamo) {
+  return JAMO_NAMES[jamo] || INITIALS[jamo] || VOWELS[jamo] || jamo
+}
+
+/**
+ * Compare two romanizations, ignoring case, spacing and hyphens
+ * @param {string} a - Romanization
+ * @param {string} b - Romanization
+ * @returns {boolean} True when they spell the same sounds
+ */
+export function isSameRomanization(a, b) {
+  const normalize = (value) => (value || '').toLowerCase().replace(/[\s\-'’.,!?]/g, '')
+  return normalize(a) === normalize(b)
+}
+
+/**
+ * Helper functions
+ */
+
+// Split text into runs of syllables, runs of standalone jamo and everything else
+function splitWords(text) {
+  const words = []
+  Array.from(text || '').forEach(char => {
+    const isHangul = isHangulSyllable(char)
+    const isJamo = !isHangul && isHangulJamo(char)
+    const last = words[words.length - 1]
+    if (last && last.isHangul === isHangul && last.isJamo === isJamo) {
+      last.text += char
+    } else {
+      words.push({ text: char, isHangul, isJamo })
+    }
+  })
+  return words
+}
+
+function toSyllable(syllable) {
+  return composeSyllable(syllable.initial, syllable.medial, syllable.final)
+}
+
+// Apply the sound changes at every boundary between syllables of one word.
+// With aspiration off, ㄱ, ㄷ and ㅂ stay in place before ㅎ instead of merging with it.
+function applySoundChanges(syllables, { tensification = true, aspiration = true } = {}, onRule = () => {}) {
+  for (let index = 0; index < syllables.length; index++) {
+    const current = syllables[index]
+    const next = syllables[index + 1]
+    const before = [current, next].filter(Boolean).map(toSyllable)
+    const fire = (rule) => onRule(rule, index, before)
+
+    if (!next) {
+      // The last final is only neutralized
+      const neutral = NEUTRALIZED_FINALS[current.final]
+      if (current.final && neutral !== current.final) {
+        current.final = neutral
+        fire(SOUND_CHANGE_RULES.FINAL_NEUTRALIZATION)
+      }
+      continue
+    }
+
+    if (!current.final) continue
+
+    // ㅎ final: merges into the next consonant or disappears
+    if (current.final in H_FINALS) {
+      const rest = H_FINALS[current.final]
+      if (ASPIRATED[next.initial] && next.initial !== 'ㅂ') {
+        current.final = rest
+        next.initial = ASPIRATED[next.initial]
+        fire(SOUND_CHANGE_RULES.ASPIRATION)
+        continue
+      }
+      if (next.initial === 'ㅅ') {
+        current.final = rest
+        if (tensification) {
+          next.initial = 'ㅆ'
+          fire(SOUND_CHANGE_RULES.TENSIFICATION)
+        }
+        continue
+      }
+      if (next.initial === 'ㅇ') {
+        current.final = rest
+        fire(SOUND_CHANGE_RULES.H_DELETION)
+        if (!rest) continue
+      } else if (next.initial === 'ㄴ' && current.final === 'ㅎ') {
+        current.final = 'ㄴ'
+        fire(SOUND_CHANGE_RULES.NASALIZATION)
+        continue
+      } else {
+        current.final = rest || current.final
+      }
+    }
+
+    // Plain consonant before ㅎ: the two merge into an aspirated consonant,
+    // and ㄷ + 히 then palatalizes like 굳이 (닫히다 → 다치다)
+    const palatalizes = current.final === 'ㄷ' && next.initial === 'ㅎ' && next.medial === 'ㅣ'
+    const keepsH = !aspiration && !palatalizes && OBSTRUENT_FINALS.includes(current.final)
+    if (next.initial === 'ㅎ' && FINALS_BEFORE_H[current.final] && !keepsH) {
+      const [rest, aspirated] = FINALS_BEFORE_H[current.final]
+      current.final = rest
+      next.initial = aspirated
+      fire(SOUND_CHANGE_RULES.ASPIRATION)
+      if (palatalizes) {
+        next.initial = 'ㅊ'
+        fire(SOUND_CHANGE_RULES.PALATALIZATION)
+      }
+      continue
+    }
+
+    // Final before a vowel moves over to start the next syllable
+    if (next.initial === 'ㅇ' && current.final !== 'ㅇ') {
+      const cluster = COMPOUND_FINALS[current.final]
+      if (cluster) {
+        current.final = cluster[0]
+        next.initial = cluster[1] === 'ㅅ' && tensification ? 'ㅆ' : cluster[1]
+      } else {
+        const moved = current.final
+        current.final = ''
+        if (next.medial === 'ㅣ' && (moved === 'ㄷ' || moved === 'ㅌ')) {
+          next.initial = moved === 'ㄷ' ? 'ㅈ' : 'ㅊ'
+          fire(SOUND_CHANGE_RULES.PALATALIZATION)
+          continue
+        }
+        next.initial = moved
+      }
+      fire(SOUND_CHANGE_RULES.LIAISON)
+      continue
+    }
+
+    const neutral = NEUTRALIZED_FINALS[current.final]
+    if (neutral !== current.final) {
+      current.final = neutral
+      fire(SOUND_CHANGE_RULES.FINAL_NEUTRALIZATION)
+    }
+
+    if (OBSTRUENT_FINALS.includes(current.final) && (next.initial === 'ㄴ' || next.initial === 'ㅁ')) {
+      current.final = NASALS[current.final]
+      fire(SOUND_CHANGE_RULES.NASALIZATION)
+    } else if (next.initial === 'ㄹ' && current.final === 'ㄴ') {
+      current.final = 'ㄹ'
+      fire(SOUND_CHANGE_RULES.LATERALIZATION)
+    } else if (next.initial === 'ㄹ' && current.final !== 'ㄹ') {
+      // ㄹ after any other final is said as ㄴ, which in turn nasalizes ㄱ, ㄷ and ㅂ
+      next.initial = 'ㄴ'
+      current.final = NASALS[current.final] || current.final
+      fire(SOUND_CHANGE_RULES.NASALIZATION)
+    } else if (current.final === 'ㄹ' && next.initial === 'ㄴ') {
+      next.initial = 'ㄹ'
+      fire(SOUND_CHANGE_RULES.LATERALIZATION)
+    } else if (tensification && OBSTRUENT_FINALS.includes(current.final) && TENSE[next.initial]) {
+      next.initial = TENSE[next.initial]
+      fire(SOUND_CHANGE_RULES.TENSIFICATION)
+    }
+  }
+}
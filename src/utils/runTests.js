@@ -0,0 +1,21 @@
+// Runs every test script in this folder and fails if any of them does
+import { readdirSync } from 'fs'
+import { spawnSync } from 'child_process'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+
+const folder = dirname(fileURLToPath(import.meta.url))
+const scripts = readdirSync(folder)
+  .filter(file => /^test[A-Z]\w*\.js$/.test(file) && file !== 'testHelpers.js')
+  .sort()
+
+const failed = scripts.filter(script => {
+  console.log(`\n▶ ${script}`)
+  const { status } = spawnSync(process.execPath, [join(folder, script)], { stdio: 'inherit' })
+  return status !== 0
+})
+
+console.log(`\n${failed.length === 0
+  ? `✅ All ${scripts.length} test scripts passed`
+  : `❌ ${failed.length} of ${scripts.length} test scripts failed: ${failed.join(', ')}`}`)
+if (failed.length > 0) process.exitCode = 1
@@ -0,0 +1,287 @@
+/**
+ * Search for Korean Learning App
+ * Indexes lessons, examples, cultural notes and vocabulary from the
+ * DataManager and ranks them against a query. Korean is matched by whole
+ * syllables, by a syllable still being composed (안녀 → 안녕), and by initial
+ * consonants alone (ㅇㄴㅎㅅㅇ → 안녕하세요); Latin queries match English
+ * text and romanization.
+ */
+
+import { toKeystrokes, isHangulJamo, isHangulSyllable, isVowel, decomposeSyllable, JAMO_POSITIONS } from './hangul.js'
+import { buildVocabularyIndex } from './vocabularyIndex.js'
+
+export const SEARCH_RESULT_TYPES = {
+  LESSON: { id: 'lesson', label: 'Lesson', icon: '📚' },
+  VOCABULARY: { id: 'vocabulary', label: 'Vocabulary', icon: '📖' },
+  EXAMPLE: { id: 'example', label: 'Example', icon: '💬' },
+  CULTURE: { id: 'culture', label: 'Culture', icon: '🏮' }
+}
+
+// How a field is compared with the query
+export const FIELD_KINDS = {
+  KOREAN: 'korean',
+  ROMANIZATION: 'romanization',
+  TEXT: 'text'
+}
+
+export const DEFAULT_RESULT_LIMIT = 8
+
+// Relative strength of each way a field can match
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  wordStart: 0.8,
+  partialPrefix: 0.75,
+  substring: 0.6,
+  choseongPrefix: 0.65,
+  partial: 0.5,
+  choseong: 0.45
+}
+
+const TYPE_ORDER = Object.values(SEARCH_RESULT_TYPES).map(type => type.id)
+
+// Built indexes, keyed by the DataManager they were built from
+const indexCache = new WeakMap()
+
+/**
+ * Reduce Korean text to its initial consonants (안녕하세요 → ㅇㄴㅎㅅㅇ)
+ * @param {string} text - Text to convert
+ * @returns {string} - Initials, with non-Hangul characters kept as they are
+ */
+export function getChoseong(text) {
+  return Array.from(text || '')
+    .map(char => decomposeSyllable(char)?.initial || char)
+    .join('')
+}
+
+/**
+ * Whether a query is made only of consonant jamo, i.e. a 초성 search
+ * @param {string} query - Search query
+ * @returns {boolean}
+ */
+export function isChoseongQuery(query) {
+  const chars = Array.from((query || '').replace(/\s+/g, ''))
+  return chars.length > 0 && chars.every(char => isHangulJamo(char) && !isVowel(char))
+}
+
+/**
+ * Score how well a single piece of text matches a query
+ * @param {string} text - Text to search in
+ * @param {string} query - Search query
+ * @param {string} kind - One of FIELD_KINDS
+ * @returns {Object|null} - { score, match } with score between 0 and 1, or null for no match
+ */
+export function matchText(text, query, kind = FIELD_KINDS.TEXT) {
+  const target = normalize(text)
+  const needle = normalize(query)
+  if (!target || !needle) return null
+
+  if (kind === FIELD_KINDS.ROMANIZATION) {
+    if (hasHangul(needle)) return null
+    const romanized = target.replace(/[\s\-'’.]/g, '')
+    const typed = needle.replace(/[\s\-'’.]/g, '')
+    if (!typed) return null
+    if (romanized === typed) return result('exact')
+    if (romanized.startsWith(typed)) return result('prefix')
+    return romanized.includes(typed) ? result('substring') : null
+  }
+
+  if (target === needle) return result('exact')
+  if (target.startsWith(needle)) return result('prefix')
+
+  const index = target.indexOf(needle)
+  if (index > 0) {
+    return /[\s\p{P}]/u.test(target[index - 1]) ? result('wordStart') : result('substring')
+  }
+
+  if (!hasHangul(needle)) return null
+
+  if (kind === FIELD_KINDS.KOREAN && isChoseongQuery(needle)) {
+    const initials = getChoseong(target).replace(/\s+/g, '')
+    const typed = needle.replace(/\s+/g, '')
+    if (initials.startsWith(typed)) return result('choseongPrefix')
+    if (initials.includes(typed)) return result('choseong')
+  }
+
+  const partialIndex = findKeystrokes(target, needle)
+  if (partialIndex === 0) return result('partialPrefix')
+  if (partialIndex > 0) return result('partial')
+
+  return null
+}
+
+/**
+ * Best score of a query across several fields
+ * @param {Array} fields - [{ text, kind, weight }]
+ * @param {string} query - Search query
+ * @returns {number} - Weighted score between 0 and 1, 0 when nothing matches
+ */
+export function scoreFields(fields, query) {
+  return fields.reduce((best, field) => {
+    const match = matchText(field.text, query, field.kind)
+    return match ? Math.max(best, match.score * (field.weight ?? 1)) : best
+  }, 0)
+}
+
+/**
+ * Build the search index from an initialized DataManager
+ * @param {DataManager} manager - Initialized data manager
+ * @returns {Array} - Searchable documents
+ */
+export function buildSearchIndex(manager) {
+  const lessons = manager.getAllLessons()
+  const documents = []
+
+  lessons.forEach(lesson => {
+    const url = `/lessons/${lesson.id}`
+
+    documents.push({
+      key: `lesson:${lesson.id}`,
+      type: SEARCH_RESULT_TYPES.LESSON.id,
+      title: lesson.title,
+      subtitle: lesson.description,
+      url,
+      fields: [
+        { text: lesson.title, kind: FIELD_KINDS.TEXT, weight: 1 },
+        { text: lesson.description, kind: FIELD_KINDS.TEXT, weight: 0.7 },
+        { text: lesson.category, kind: FIELD_KINDS.TEXT, weight: 0.6 },
+        { text: lesson.content.text, kind: FIELD_KINDS.TEXT, weight: 0.4 }
+      ]
+    })
+
+    lesson.content.examples.forEach((example, index) => {
+      documents.push({
+        key: `example:${lesson.id}:${index}`,
+        type: SEARCH_RESULT_TYPES.EXAMPLE.id,
+        title: example.korean,
+        subtitle: `${example.translation} · ${lesson.title}`,
+        korean: example.korean,
+        romanization: example.romanization,
+        url,
+        fields: [
+          { text: example.korean, kind: FIELD_KINDS.KOREAN, weight: 0.95 },
+          { text: example.romanization, kind: FIELD_KINDS.ROMANIZATION, weight: 0.85 },
+          { text: example.translation, kind: FIELD_KINDS.TEXT, weight: 0.85 },
+          { text: example.culturalNote, kind: FIELD_KINDS.TEXT, weight: 0.4 }
+        ]
+      })
+    })
+
+    Object.entries(lesson.culturalContext || {}).forEach(([topic, text]) => {
+      const topicLabel = formatTopic(topic)
+      documents.push({
+        key: `culture:${lesson.id}:${topic}`,
+        type: SEARCH_RESULT_TYPES.CULTURE.id,
+        title: `${topicLabel} — ${lesson.title}`,
+        subtitle: text,
+        url,
+        fields: [
+          { text: topicLabel, kind: FIELD_KINDS.TEXT, weight: 0.7 },
+          { text, kind: FIELD_KINDS.TEXT, weight: 0.5 }
+        ]
+      })
+    })
+  })
+
+  buildVocabularyIndex(lessons, manager.getAllModules()).forEach(entry => {
+    documents.push({
+      key: `vocabulary:${entry.korean}`,
+      type: SEARCH_RESULT_TYPES.VOCABULARY.id,
+      title: entry.korean,
+      subtitle: [entry.translation, `${entry.lessonIds.length} ${entry.lessonIds.length === 1 ? 'lesson' : 'lessons'}`]
+        .filter(Boolean)
+        .join(' · '),
+      korean: entry.korean,
+      romanization: entry.romanization,
+      url: `/vocabulary?q=${encodeURIComponent(entry.korean)}`,
+      fields: [
+        { text: entry.korean, kind: FIELD_KINDS.KOREAN, weight: 1 },
+        { text: entry.romanization, kind: FIELD_KINDS.ROMANIZATION, weight: 0.9 },
+        { text: entry.translation, kind: FIELD_KINDS.TEXT, weight: 0.9 }
+      ]
+    })
+  })
+
+  return documents
+}
+
+/**
+ * Rank indexed documents against a query
+ * @param {Array} documents - Documents from buildSearchIndex
+ * @param {string} query - Search query
+ * @param {Object} options - { limit, types }
+ * @returns {Array} - Matching documents with a score (0-100), best first
+ */
+export function searchDocuments(documents, query, options = {}) {
+  const { limit = DEFAULT_RESULT_LIMIT, types = null } = options
+  if (!normalize(query)) return []
+
+  return documents
+    .map((document, order) => ({ document, order, score: scoreFields(document.fields, query) }))
+    .filter(({ document, score }) => score > 0 && (!types || types.includes(document.type)))
+    .sort((a, b) =>
+      b.score - a.score ||
+      TYPE_ORDER.indexOf(a.document.type) - TYPE_ORDER.indexOf(b.document.type) ||
+      a.order - b.order
+    )
+    .slice(0, limit)
+    .map(({ document, score }) => {
+      const { fields, ...rest } = document
+      return { ...rest, score: Math.round(score * 100) }
+    })
+}
+
+/**
+ * Search everything the DataManager holds. The index is rebuilt only when
+ * the manager is initialized with different data.
+ * @param {DataManager} manager - Initialized data manager
+ * @param {string} query - Search query
+ * @param {Object} options - { limit, types }
+ * @returns {Array} - Ranked results
+ */
+export function search(manager, query, options = {}) {
+  if (!indexCache.has(manager) || indexCache.get(manager).data !== manager.rawData) {
+    indexCache.set(manager, { data: manager.rawData, documents: buildSearchIndex(manager) })
+  }
+  return searchDocuments(indexCache.get(manager).documents, query, options)
+}
+
+// Helper functions
+
+function result(match) {
+  return { score: MATCH_SCORES[match], match }
+}
+
+function normalize(text) {
+  return (text || '').normalize('NFC').toLowerCase().trim().replace(/\s+/g, ' ')
+}
+
+function hasHangul(text) {
+  return Array.from(text).some(char => isHangulSyllable(char) || isHangulJamo(char))
+}
+
+// Capitalize camelCase keys for display (historicalBackground → Historical Background)
+function formatTopic(topic) {
+  return topic
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, char => char.toUpperCase())
+}
+
+// Index of the syllable where the query's keystrokes begin inside the text, or -1.
+// Lets a half-typed syllable match (안녀 → 안녕, 간 → 가나) but only from a syllable start.
+function findKeystrokes(text, query) {
+  const textKeys = toKeystrokes(text)
+  const queryKeys = toKeystrokes(query).map(key => key.jamo)
+
+  for (let start = 0; start + queryKeys.length <= textKeys.length; start++) {
+    const key = textKeys[start]
+    const startsSyllable = key.position !== JAMO_POSITIONS.MEDIAL && key.position !== JAMO_POSITIONS.FINAL &&
+      (start === 0 || textKeys[start - 1].charIndex !== key.charIndex)
+    if (!startsSyllable) continue
+
+    if (queryKeys.every((jamo, offset) => textKeys[start + offset].jamo === jamo)) {
+      return key.charIndex
+    }
+  }
+  return -1
+}
@@ -0,0 +1,66 @@
+/**
+ * Shadowing for Korean Learning App
+ * Collects the lines a learner can shadow in a lesson (its examples, or the
+ * time-coded transcript of a listening exercise) and times the pause left
+ * for repeating each one
+ */
+
+export const DEFAULT_GAP_FACTOR = 1.5
+export const MIN_GAP_FACTOR = 1
+export const MAX_GAP_FACTOR = 3
+
+// Even the shortest syllable needs a moment to repeat
+export const MIN_GAP_SECONDS = 1
+
+/**
+ * List the sets of lines in a lesson that can be shadowed
+ * @param {Object} lesson - Lesson data
+ * @returns {Array} - [{ id, title, clips: [{ text, translation, audio, start?, end? }] }]
+ */
+export function getShadowingSources(lesson) {
+  if (!lesson) return []
+
+  const sources = []
+  const examples = lesson.content?.examples || []
+  if (examples.length > 0) {
+    sources.push({
+      id: 'examples',
+      title: 'Lesson examples',
+      clips: examples.map(example => ({
+        text: example.korean,
+        translation: example.translation,
+        audio: example.audio || null
+      }))
+    })
+  }
+
+  const exercises = lesson.exercises || []
+  exercises.forEach((exercise, index) => {
+    if (exercise.type !== 'listening' || !exercise.segments?.length) return
+    sources.push({
+      id: `exercise-${index}`,
+      title: exercise.title,
+      clips: exercise.segments.map(segment => ({
+        text: segment.text,
+        translation: segment.translation,
+        audio: exercise.audioUrl,
+        start: segment.start,
+        end: segment.end
+      }))
+    })
+  })
+
+  return sources
+}
+
+/**
+ * How long to pause after a clip so the learner can repeat it
+ * @param {number} clipSeconds - Length of the reference clip in seconds
+ * @param {number} factor - Multiple of the clip length to leave free
+ * @returns {number} - Pause in seconds
+ */
+export function getGapDuration(clipSeconds, factor = DEFAULT_GAP_FACTOR) {
+  const clampedFactor = Math.min(MAX_GAP_FACTOR, Math.max(MIN_GAP_FACTOR, factor))
+  const length = Number.isFinite(clipSeconds) && clipSeconds > 0 ? clipSeconds : 0
+  return Math.max(MIN_GAP_SECONDS, length * clampedFactor)
+}
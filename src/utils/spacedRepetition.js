@@ -0,0 +1,318 @@
+/**
+ * Spaced Repetition Scheduler for Korean Learning App
+ * Keeps SM-2 style scheduling state (ease, interval, due date) for every
+ * flashcard and lesson example and builds the "due today" review queue
+ */
+
+import storage, { STORAGE_NAMESPACES } from './storage.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Graded recall reported by the learner after seeing the answer
+export const RECALL_GRADES = {
+  AGAIN: 'again',
+  HARD: 'hard',
+  GOOD: 'good',
+  EASY: 'easy'
+}
+
+// SM-2 quality score (0-5) for each grade
+const GRADE_QUALITY = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+}
+
+export const SRS_ITEM_TYPES = {
+  FLASHCARD: 'flashcard',
+  EXAMPLE: 'example'
+}
+
+export const SRS_DEFAULTS = {
+  ease: 2.5,
+  minimumEase: 1.3,
+  hardMultiplier: 1.2,
+  easyBonus: 1.3,
+  firstInterval: 1,
+  secondInterval: 6,
+  easyFirstInterval: 4,
+  relearnDelayMinutes: 10
+}
+
+/**
+ * Build the id of a flashcard item
+ * @param {string} lessonId - Lesson identifier
+ * @param {number} exerciseIndex - Index of the flashcard exercise in the lesson
+ * @param {number} cardIndex - Index of the card in the exercise
+ * @returns {string} Item id
+ */
+export function getFlashcardItemId(lessonId, exerciseIndex, cardIndex) {
+  return `${lessonId}:${SRS_ITEM_TYPES.FLASHCARD}:${exerciseIndex}:${cardIndex}`
+}
+
+/**
+ * Build the id of a lesson example item
+ * @param {string} lessonId - Lesson identifier
+ * @param {number} exampleIndex - Index of the example in lesson content
+ * @returns {string} Item id
+ */
+export function getExampleItemId(lessonId, exampleIndex) {
+  return `${lessonId}:${SRS_ITEM_TYPES.EXAMPLE}:${exampleIndex}`
+}
+
+/**
+ * Create scheduling state for an item that has never been reviewed
+ * @param {Object} source - Where the item comes from ({ lessonId, type, ... })
+ * @param {Date} now - Creation time
+ * @returns {Object} Fresh item state
+ */
+export function createItemState(source, now = new Date()) {
+  return {
+    ...source,
+    ease: SRS_DEFAULTS.ease,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    due: now.toISOString(),
+    lastReviewed: null,
+    lastGrade: null,
+    createdAt: now.toISOString()
+  }
+}
+
+/**
+ * Apply one graded review to an item (SM-2 with hard/easy modifiers)
+ * @param {Object} item - Current item state
+ * @param {string} grade - One of RECALL_GRADES
+ * @param {Date} now - Review time
+ * @returns {Object} Updated item state
+ */
+export function scheduleReview(item, grade, now = new Date()) {
+  const quality = GRADE_QUALITY[grade]
+  if (quality === undefined) {
+    throw new Error(`Unknown recall grade: ${grade}`)
+  }
+
+  const ease = Math.max(
+    SRS_DEFAULTS.minimumEase,
+    item.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  )
+
+  let interval
+  let repetitions
+  let lapses = item.lapses || 0
+  let due
+
+  if (grade === RECALL_GRADES.AGAIN) {
+    // Forgotten items restart the ladder and come back later the same day
+    repetitions = 0
+    interval = 0
+    lapses += item.repetitions > 0 ? 1 : 0
+    due = new Date(now.getTime() + SRS_DEFAULTS.relearnDelayMinutes * 60 * 1000)
+  } else {
+    repetitions = item.repetitions + 1
+
+    let baseInterval
+    if (item.repetitions === 0) {
+      baseInterval = grade === RECALL_GRADES.EASY ? SRS_DEFAULTS.easyFirstInterval : SRS_DEFAULTS.firstInterval
+    } else if (item.repetitions === 1) {
+      baseInterval = SRS_DEFAULTS.secondInterval
+    } else {
+      baseInterval = item.interval * ease
+    }
+
+    if (item.repetitions > 0 && grade === RECALL_GRADES.HARD) {
+      baseInterval = item.interval * SRS_DEFAULTS.hardMultiplier
+    } else if (item.repetitions > 0 && grade === RECALL_GRADES.EASY) {
+      baseInterval *= SRS_DEFAULTS.easyBonus
+    }
+
+    // Always move forward by at least a day
+    interval = Math.max(item.interval + 1, Math.round(baseInterval))
+    due = new Date(now.getTime() + interval * DAY_MS)
+  }
+
+  return {
+    ...item,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    due: due.toISOString(),
+    lastReviewed: now.toISOString(),
+    lastGrade: grade
+  }
+}
+
+/**
+ * Describe when an item would next be due for each grade
+ * @param {Object} item - Current item state
+ * @param {Date} now - Review time
+ * @returns {Object} Human readable interval per grade
+ */
+export function previewIntervals(item, now = new Date()) {
+  const state = item || createItemState({}, now)
+  return Object.values(RECALL_GRADES).reduce((preview, grade) => {
+    const next = scheduleReview(state, grade, now)
+    preview[grade] = next.interval === 0
+      ? `${SRS_DEFAULTS.relearnDelayMinutes}m`
+      : `${next.interval}d`
+    return preview
+  }, {})
+}
+
+/**
+ * Persistent scheduler for all reviewable items
+ */
+class SpacedRepetitionScheduler {
+  constructor() {
+    this.store = storage.getStore(STORAGE_NAMESPACES.PROGRESS)
+    this.storageKey = 'srs'
+  }
+
+  /**
+   * Register the flashcards and examples of a lesson.
+   * Items that already have scheduling state are left untouched.
+   * @param {Object} lesson - Lesson data
+   * @returns {number} Number of newly registered items
+   */
+  registerLessonItems(lesson) {
+    if (!lesson || !lesson.id) return 0
+
+    const data = this._getStoredData()
+    const now = new Date()
+    let added = 0
+
+    const register = (id, source) => {
+      if (!data.items[id]) {
+        data.items[id] = createItemState(source, now)
+        added++
+      }
+    }
+
+    ;(lesson.content?.examples || []).forEach((example, exampleIndex) => {
+      register(getExampleItemId(lesson.id, exampleIndex), {
+        lessonId: lesson.id,
+        type: SRS_ITEM_TYPES.EXAMPLE,
+        exampleIndex
+      })
+    })
+
+    ;(lesson.exercises || []).forEach((exercise, exerciseIndex) => {
+      if (exercise.type !== 'flashcard') return
+      ;(exercise.cards || []).forEach((card, cardIndex) => {
+        register(getFlashcardItemId(lesson.id, exerciseIndex, cardIndex), {
+          lessonId: lesson.id,
+          type: SRS_ITEM_TYPES.FLASHCARD,
+          exerciseIndex,
+          cardIndex
+        })
+      })
+    })
+
+    if (added > 0) {
+      this._saveData(data)
+    }
+    return added
+  }
+
+  /**
+   * Record a graded recall for an item
+   * @param {string} itemId - Item identifier
+   * @param {string} grade - One of RECALL_GRADES
+   * @param {Object} source - Item source, used when the item is not registered yet
+   * @returns {Object} Updated item state
+   */
+  recordReview(itemId, grade, source = {}) {
+    const data = this._getStoredData()
+    const now = new Date()
+    const current = data.items[itemId] || createItemState(source, now)
+    const updated = scheduleReview(current, grade, now)
+
+    data.items[itemId] = updated
+    data.history.push({ itemId, grade, timestamp: now.toISOString() })
+    // Keep only the most recent reviews
+    data.history = data.history.slice(-500)
+
+    this._saveData(data)
+    return { id: itemId, ...updated }
+  }
+
+  /**
+   * Get scheduling state for an item
+   * @param {string} itemId - Item identifier
+   * @returns {Object|null} Item state
+   */
+  getItem(itemId) {
+    const item = this._getStoredData().items[itemId]
+    return item ? { id: itemId, ...item } : null
+  }
+
+  /**
+   * Items that have been studied and are due by the end of the given day
+   * @param {Object} options - { date, lessonId, includeNew, newLimit, newTypes }
+   *   where newTypes limits the new items to those SRS_ITEM_TYPES
+   * @returns {Array} Due items, most overdue first, followed by new items
+   */
+  getDueItems({ date = new Date(), lessonId = null, includeNew = false, newLimit = 10, newTypes = null } = {}) {
+    const endOfDay = new Date(date)
+    endOfDay.setHours(23, 59, 59, 999)
+
+    const items = this._getAllItems().filter(item => !lessonId || item.lessonId === lessonId)
+
+    const due = items
+      .filter(item => item.lastReviewed && new Date(item.due) <= endOfDay)
+      .sort((a, b) => new Date(a.due) - new Date(b.due))
+
+    if (!includeNew) return due
+
+    const fresh = items
+      .filter(item => !item.lastReviewed && (!newTypes || newTypes.includes(item.type)))
+      .slice(0, newLimit)
+
+    return [...due, ...fresh]
+  }
+
+  /**
+   * Summary of the collection
+   * @param {Date} date - Reference date for the due count
+   * @returns {Object} Item counts by state
+   */
+  getStatistics(date = new Date()) {
+    const items = this._getAllItems()
+    return {
+      totalItems: items.length,
+      newItems: items.filter(item => !item.lastReviewed).length,
+      learningItems: items.filter(item => item.lastReviewed && item.interval < 21).length,
+      matureItems: items.filter(item => item.interval >= 21).length,
+      dueToday: this.getDueItems({ date }).length,
+      reviewsLogged: this._getStoredData().history.length
+    }
+  }
+
+  /**
+   * Private helper methods
+   */
+  _getAllItems() {
+    const { items } = this._getStoredData()
+    return Object.entries(items).map(([id, item]) => ({ id, ...item }))
+  }
+
+  _getStoredData() {
+    const data = this.store.get(this.storageKey, {})
+    return {
+      items: data.items || {},
+      history: data.history || []
+    }
+  }
+
+  _saveData(data) {
+    this.store.set(this.storageKey, data)
+  }
+}
+
+// Create singleton instance
+const spacedRepetition = new SpacedRepetitionScheduler()
+
+export default spacedRepetition
@@ -0,0 +1,611 @@
+/**
+ * Persistent Storage for Korean Learning App
+ * Namespaced key-value stores backed by IndexedDB, falling back to
+ * localStorage (and to memory outside the browser). Reads are served from an
+ * in-memory cache so callers stay synchronous; writes are persisted in the
+ * background. Quota errors, corrupt entries and schema migrations of the stored
+ * data are all handled here.
+ */
+
+import {
+  DataMigrationManager,
+  createMigrationRegistry,
+  registerMigration
+} from './dataMigration.js'
+
+// Version of the stored data layout
+export const STORAGE_SCHEMA_VERSION = '2.0.0'
+
+// Layout used before this module existed: flat localStorage keys
+export const LEGACY_SCHEMA_VERSION = '1.0.0'
+
+export const STORAGE_NAMESPACES = {
+  PROGRESS: 'progress',
+  SETTINGS: 'settings',
+  LOGS: 'logs'
+}
+
+// Namespaces that may be emptied to make room when the quota is exceeded
+const DISPOSABLE_NAMESPACES = [STORAGE_NAMESPACES.LOGS]
+
+const META_NAMESPACE = 'meta'
+const SCHEMA_VERSION_KEY = 'schemaVersion'
+
+const DB_NAME = 'korean-learning'
+const DB_VERSION = 1
+const LOCAL_STORAGE_PREFIX = 'korean-learning:'
+
+/**
+ * Where each legacy localStorage key lives in the namespaced layout.
+ * Settings were written with toString(), everything else as JSON.
+ */
+export const LEGACY_KEYS = {
+  progressData: { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'lessons', type: 'json' },
+  completedLessons: { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'completedLessons', type: 'json' },
+  exerciseScores: { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'exerciseScores', type: 'json' },
+  recentActivity: { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'recentActivity', type: 'json' },
+  'korean-learning-progress': { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'analytics', type: 'json' },
+  'korean-learning-srs': { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'srs', type: 'json' },
+  'korean-learning-performance': { namespace: STORAGE_NAMESPACES.PROGRESS, key: 'performance', type: 'json' },
+  theme: { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'theme', type: 'string' },
+  audioEnabled: { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'audioEnabled', type: 'boolean' },
+  audioVolume: { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'audioVolume', type: 'number' },
+  autoPlay: { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'autoPlay', type: 'boolean' },
+  showRomanization: { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'showRomanization', type: 'boolean' },
+  dailyGoal: { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'dailyGoal', type: 'number' },
+  'korean-learning-shortcuts': { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'shortcuts', type: 'json' },
+  'korean-learning-high-contrast': { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'highContrast', type: 'json' },
+  'korean-learning-focus-settings': { namespace: STORAGE_NAMESPACES.SETTINGS, key: 'focus', type: 'json' },
+  korean_app_error_logs: { namespace: STORAGE_NAMESPACES.LOGS, key: 'errors', type: 'json' },
+  korean_app_analytics: { namespace: STORAGE_NAMESPACES.LOGS, key: 'analytics', type: 'json' }
+}
+
+/**
+ * Check whether an error means the browser ran out of storage space
+ * @param {Error} error - Error thrown by a storage backend
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  if (!error) return false
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+}
+
+/**
+ * Parse a raw localStorage value, returning undefined when it is corrupt
+ * @param {string} raw - Stored string
+ * @param {string} type - 'json', 'string', 'boolean' or 'number'
+ * @returns {*} Parsed value or undefined
+ */
+function parseStoredValue(raw, type = 'json') {
+  switch (type) {
+    case 'string':
+      return raw
+    case 'boolean':
+      return raw !== 'false'
+    case 'number': {
+      const value = Number(raw)
+      return Number.isFinite(value) ? value : undefined
+    }
+    default:
+      try {
+        return JSON.parse(raw)
+      } catch (error) {
+        return undefined
+      }
+  }
+}
+
+const cloneValue = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+
+/**
+ * Storage schema migrations
+ */
+const storageMigrations = createMigrationRegistry()
+
+// v1.0.0 -> v2.0.0: move flat localStorage keys into namespaced stores
+registerMigration(LEGACY_SCHEMA_VERSION, STORAGE_SCHEMA_VERSION, async (data) => {
+  const stores = {}
+  Object.values(STORAGE_NAMESPACES).forEach(namespace => {
+    stores[namespace] = {}
+  })
+
+  Object.entries(data.legacy || {}).forEach(([legacyKey, raw]) => {
+    const target = LEGACY_KEYS[legacyKey]
+    if (!target) return
+
+    const value = parseStoredValue(raw, target.type)
+    if (value === undefined) {
+      console.warn(`Discarding corrupt stored value for "${legacyKey}"`)
+      return
+    }
+    stores[target.namespace][target.key] = value
+  })
+
+  return { stores }
+}, storageMigrations)
+
+/**
+ * Backends share an async interface: open, readAll, write, remove, clear
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory'
+    this.data = {}
+  }
+
+  async open() {}
+
+  async readAll(namespace) {
+    return { ...(this.data[namespace] || {}) }
+  }
+
+  async write(namespace, key, value) {
+    this.data[namespace] = { ...(this.data[namespace] || {}), [key]: value }
+  }
+
+  async remove(namespace, key) {
+    if (this.data[namespace]) {
+      delete this.data[namespace][key]
+    }
+  }
+
+  async clear(namespace) {
+    this.data[namespace] = {}
+  }
+}
+
+class LocalStorageBackend {
+  constructor() {
+    this.name = 'localStorage'
+  }
+
+  async open() {
+    // Throws in browsers that block storage access entirely
+    const probeKey = `${LOCAL_STORAGE_PREFIX}probe`
+    window.localStorage.setItem(probeKey, '1')
+    window.localStorage.removeItem(probeKey)
+  }
+
+  async readAll(namespace) {
+    const prefix = this._prefix(namespace)
+    const values = {}
+
+    this._keysWithPrefix(prefix).forEach(storageKey => {
+      const value = parseStoredValue(window.localStorage.getItem(storageKey))
+      if (value === undefined) {
+        console.warn(`Discarding corrupt stored value for "${storageKey}"`)
+        window.localStorage.removeItem(storageKey)
+        return
+      }
+      values[storageKey.slice(prefix.length)] = value
+    })
+
+    return values
+  }
+
+  async write(namespace, key, value) {
+    window.localStorage.setItem(this._prefix(namespace) + key, JSON.stringify(value))
+  }
+
+  async remove(namespace, key) {
+    window.localStorage.removeItem(this._prefix(namespace) + key)
+  }
+
+  async clear(namespace) {
+    this._keysWithPrefix(this._prefix(namespace))
+      .forEach(storageKey => window.localStorage.removeItem(storageKey))
+  }
+
+  _prefix(namespace) {
+    return `${LOCAL_STORAGE_PREFIX}${namespace}:`
+  }
+
+  _keysWithPrefix(prefix) {
+    const keys = []
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const storageKey = window.localStorage.key(i)
+      if (storageKey && storageKey.startsWith(prefix)) {
+        keys.push(storageKey)
+      }
+    }
+    return keys
+  }
+}
+
+class IndexedDBBackend {
+  constructor() {
+    this.name = 'indexedDB'
+    this.db = null
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+
+      // One object store per namespace
+      request.onupgradeneeded = () => {
+        const db = request.result
+        ;[...Object.values(STORAGE_NAMESPACES), META_NAMESPACE].forEach(namespace => {
+          if (!db.objectStoreNames.contains(namespace)) {
+            db.createObjectStore(namespace)
+          }
+        })
+      }
+      request.onsuccess = () => {
+        this.db = request.result
+        resolve()
+      }
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'))
+    })
+  }
+
+  readAll(namespace) {
+    return new Promise((resolve, reject) => {
+      const values = {}
+      const transaction = this.db.transaction(namespace, 'readonly')
+      const request = transaction.objectStore(namespace).openCursor()
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (cursor) {
+          values[cursor.key] = cursor.value
+          cursor.continue()
+        }
+      }
+      transaction.oncomplete = () => resolve(values)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  write(namespace, key, value) {
+    return this._run(namespace, store => store.put(value, key))
+  }
+
+  remove(namespace, key) {
+    return this._run(namespace, store => store.delete(key))
+  }
+
+  clear(namespace) {
+    return this._run(namespace, store => store.clear())
+  }
+
+  _run(namespace, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(namespace, 'readwrite')
+      operation(transaction.objectStore(namespace))
+      transaction.oncomplete = () => resolve()
+      // Quota errors surface as an aborted transaction
+      transaction.onabort = () => reject(transaction.error)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+}
+
+/**
+ * A single namespace of the storage
+ */
+class NamespacedStore {
+  constructor(manager, namespace) {
+    this.manager = manager
+    this.namespace = namespace
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key within the namespace
+   * @param {*} defaultValue - Returned when nothing is stored
+   * @returns {*} A copy of the stored value
+   */
+  get(key, defaultValue = null) {
+    const value = this.manager._read(this.namespace, key)
+    return value === undefined ? defaultValue : value
+  }
+
+  /**
+   * Store a value. It must survive JSON serialization.
+   * @param {string} key - Key within the namespace
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    this.manager._write(this.namespace, key, value)
+  }
+
+  /**
+   * Read, transform and store a value in one step. Before the storage is
+   * ready the update is deferred until stored data has loaded.
+   * @param {string} key - Key within the namespace
+   * @param {Function} updater - Receives the current value, returns the new one
+   * @param {*} defaultValue - Passed to the updater when nothing is stored
+   */
+  update(key, updater, defaultValue = null) {
+    this.manager._update(this.namespace, key, updater, defaultValue)
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key within the namespace
+   */
+  remove(key) {
+    this.manager._remove(this.namespace, key)
+  }
+
+  /**
+   * @returns {Array<string>} Keys stored in this namespace
+   */
+  keys() {
+    return Object.keys(this.manager.cache[this.namespace])
+  }
+
+  /**
+   * @returns {Object} Copy of every value in this namespace
+   */
+  getAll() {
+    return cloneValue(this.manager.cache[this.namespace])
+  }
+
+  /**
+   * Delete every value in this namespace
+   */
+  clear() {
+    this.manager._clear(this.namespace)
+  }
+}
+
+class StorageManager {
+  constructor() {
+    this.backend = new MemoryBackend()
+    this.isReady = false
+    this.readyPromise = null
+    this.stores = {}
+    this.cache = {}
+    this.migrationManager = new DataMigrationManager({
+      currentVersion: STORAGE_SCHEMA_VERSION,
+      registry: storageMigrations
+    })
+
+    // Changes made before stored data has loaded
+    this.pendingChanges = []
+    this.writeQueue = Promise.resolve()
+
+    Object.values(STORAGE_NAMESPACES).forEach(namespace => {
+      this.cache[namespace] = {}
+      this.stores[namespace] = new NamespacedStore(this, namespace)
+    })
+  }
+
+  /**
+   * Open the best available backend, migrate stored data and load it into
+   * memory. Safe to call more than once.
+   * @returns {Promise<StorageManager>}
+   */
+  initialize() {
+    if (!this.readyPromise) {
+      this.readyPromise = this._load().then(() => this)
+    }
+    return this.readyPromise
+  }
+
+  /**
+   * Get a namespaced store
+   * @param {string} namespace - One of STORAGE_NAMESPACES
+   * @returns {NamespacedStore}
+   */
+  getStore(namespace) {
+    const store = this.stores[namespace]
+    if (!store) {
+      throw new Error(`Unknown storage namespace: ${namespace}`)
+    }
+    return store
+  }
+
+  /**
+   * Name of the backend in use: 'indexedDB', 'localStorage' or 'memory'
+   * @returns {string}
+   */
+  getBackendName() {
+    return this.backend.name
+  }
+
+  /**
+   * Private helper methods
+   */
+  async _load() {
+    this.backend = await this._openBackend()
+
+    try {
+      const meta = await this.backend.readAll(META_NAMESPACE)
+      const storedVersion = meta[SCHEMA_VERSION_KEY]
+      let snapshot
+
+      if (storedVersion) {
+        snapshot = { version: storedVersion, stores: {} }
+        for (const namespace of Object.values(STORAGE_NAMESPACES)) {
+          snapshot.stores[namespace] = await this.backend.readAll(namespace)
+        }
+      } else {
+        snapshot = { version: LEGACY_SCHEMA_VERSION, legacy: this._readLegacyKeys() }
+      }
+
+      if (this.migrationManager.needsMigration(snapshot)) {
+        snapshot = await this.migrationManager.migrateData(snapshot, { validateAfterMigration: false })
+        await this._persistSnapshot(snapshot)
+        if (!storedVersion) {
+          this._removeLegacyKeys()
+        }
+      }
+
+      Object.values(STORAGE_NAMESPACES).forEach(namespace => {
+        this.cache[namespace] = { ...(snapshot.stores?.[namespace] || {}) }
+      })
+    } catch (error) {
+      console.error('Error loading stored data:', error)
+    }
+
+    this.isReady = true
+    this._applyPendingChanges()
+  }
+
+  async _openBackend() {
+    if (typeof window === 'undefined') {
+      return new MemoryBackend()
+    }
+
+    const candidates = []
+    if (window.indexedDB) candidates.push(new IndexedDBBackend())
+    if (window.localStorage) candidates.push(new LocalStorageBackend())
+
+    for (const backend of candidates) {
+      try {
+        await backend.open()
+        return backend
+      } catch (error) {
+        console.warn(`Storage backend ${backend.name} unavailable:`, error)
+      }
+    }
+
+    return new MemoryBackend()
+  }
+
+  async _persistSnapshot(snapshot) {
+    if (snapshot.version !== STORAGE_SCHEMA_VERSION) {
+      throw new Error(`Stored data is at version ${snapshot.version}, expected ${STORAGE_SCHEMA_VERSION}`)
+    }
+
+    for (const namespace of Object.values(STORAGE_NAMESPACES)) {
+      await this.backend.clear(namespace)
+      for (const [key, value] of Object.entries(snapshot.stores?.[namespace] || {})) {
+        await this.backend.write(namespace, key, value)
+      }
+    }
+    await this.backend.write(META_NAMESPACE, SCHEMA_VERSION_KEY, STORAGE_SCHEMA_VERSION)
+  }
+
+  _readLegacyKeys() {
+    const legacy = {}
+    if (typeof window === 'undefined' || !window.localStorage) return legacy
+
+    Object.keys(LEGACY_KEYS).forEach(legacyKey => {
+      const raw = window.localStorage.getItem(legacyKey)
+      if (raw !== null) {
+        legacy[legacyKey] = raw
+      }
+    })
+    return legacy
+  }
+
+  _removeLegacyKeys() {
+    if (typeof window === 'undefined' || !window.localStorage) return
+
+    Object.keys(LEGACY_KEYS).forEach(legacyKey => {
+      window.localStorage.removeItem(legacyKey)
+    })
+  }
+
+  _read(namespace, key) {
+    return cloneValue(this.cache[namespace][key])
+  }
+
+  _write(namespace, key, value) {
+    this.cache[namespace][key] = cloneValue(value)
+    this._persist(namespace, 'write', key, this.cache[namespace][key])
+  }
+
+  _update(namespace, key, updater, defaultValue) {
+    if (!this.isReady) {
+      this.pendingChanges.push({ namespace, key, updater, defaultValue })
+      return
+    }
+
+    const current = this._read(namespace, key)
+    this._write(namespace, key, updater(current === undefined ? defaultValue : current))
+  }
+
+  _remove(namespace, key) {
+    delete this.cache[namespace][key]
+    this._persist(namespace, 'remove', key)
+  }
+
+  _clear(namespace) {
+    this.cache[namespace] = {}
+    this._persist(namespace, 'clear')
+  }
+
+  _persist(namespace, operation, key, value) {
+    if (!this.isReady) {
+      this.pendingChanges.push({ namespace, operation, key, value })
+      return
+    }
+
+    this.writeQueue = this.writeQueue
+      .then(() => this._runOperation(namespace, operation, key))
+      .catch(error => this._handleWriteError(error, namespace, operation, key))
+  }
+
+  _runOperation(namespace, operation, key) {
+    switch (operation) {
+      case 'remove':
+        return this.backend.remove(namespace, key)
+      case 'clear':
+        return this.backend.clear(namespace)
+      default:
+        // Write whatever is current when the queue gets to it
+        if (!(key in this.cache[namespace])) return undefined
+        return this.backend.write(namespace, key, this.cache[namespace][key])
+    }
+  }
+
+  // Replay changes made before loading on top of the stored data
+  _applyPendingChanges() {
+    const changes = this.pendingChanges
+    this.pendingChanges = []
+
+    changes.forEach(change => {
+      if (change.updater) {
+        this._update(change.namespace, change.key, change.updater, change.defaultValue)
+      } else if (change.operation === 'write') {
+        this._write(change.namespace, change.key, change.value)
+      } else if (change.operation === 'remove') {
+        this._remove(change.namespace, change.key)
+      } else {
+        this._clear(change.namespace)
+      }
+    })
+  }
+
+  async _handleWriteError(error, namespace, operation, key) {
+    if (!isQuotaExceededError(error)) {
+      console.error(`Error saving ${namespace} data:`, error)
+      return
+    }
+
+    // Drop disposable data once and retry before giving up
+    const disposable = DISPOSABLE_NAMESPACES.filter(name =>
+      name !== namespace && Object.keys(this.cache[name]).length > 0
+    )
+
+    if (disposable.length === 0) {
+      console.warn(`Storage quota exceeded, ${namespace} data could not be saved`)
+      return
+    }
+
+    console.warn(`Storage quota exceeded, clearing ${disposable.join(', ')} to make room`)
+    try {
+      for (const name of disposable) {
+        this.cache[name] = {}
+        await this.backend.clear(name)
+      }
+      await this._runOperation(namespace, operation, key)
+    } catch (retryError) {
+      console.warn(`Storage quota exceeded, ${namespace} data could not be saved`, retryError)
+    }
+  }
+}
+
+// Create singleton instance
+const storage = new StorageManager()
+
+export default storage
@@ -0,0 +1,179 @@
+/**
+ * Stroke Scoring Utilities for Korean Learning App
+ * Compares strokes traced by the learner with the expected stroke order
+ *
+ * All points are [x, y] pairs in the same 100×100 box as the stroke data.
+ */
+
+// Points each stroke is resampled to before comparing
+export const RESAMPLE_POINTS = 32
+
+// Mean point distance (box units) that still counts as the right shape
+export const SHAPE_TOLERANCE = 16
+
+// Mean distances mapped to a shape score of 100 and 0
+const PERFECT_DISTANCE = 5
+const FAILED_DISTANCE = 24
+
+// Strokes shorter than this are dots and ticks with no clear direction
+const MIN_DIRECTED_LENGTH = 8
+
+// Each failed attempt before a stroke is accepted costs this share of its score
+const RETRY_PENALTY = 0.2
+
+export const STROKE_ERRORS = {
+  SHAPE: 'shape',
+  DIRECTION: 'direction',
+  ORDER: 'order',
+  TOO_SHORT: 'too-short'
+}
+
+export const STROKE_FEEDBACK = {
+  [STROKE_ERRORS.SHAPE]: 'Follow the guide more closely.',
+  [STROKE_ERRORS.DIRECTION]: 'Right line, wrong direction. Start from the numbered end.',
+  [STROKE_ERRORS.ORDER]: 'That stroke comes later. Check the stroke order.',
+  [STROKE_ERRORS.TOO_SHORT]: 'Draw the whole stroke in one motion.'
+}
+
+/**
+ * Evaluate one traced stroke against the stroke expected next
+ * @param {Array<[number, number]>} drawn - Points traced by the learner
+ * @param {Array<Array<[number, number]>>} strokes - All strokes of the character
+ * @param {number} expectedIndex - Index of the stroke that should come next
+ * @returns {Object} { accepted, error, score, distance, matchedIndex }
+ */
+export function evaluateStroke(drawn, strokes, expectedIndex) {
+  const expected = strokes[expectedIndex]
+  if (!drawn || drawn.length < 2 || pathLength(drawn) < 2) {
+    return { accepted: false, error: STROKE_ERRORS.TOO_SHORT, score: 0, distance: Infinity, matchedIndex: -1 }
+  }
+
+  const { forward, backward } = compareStroke(drawn, expected)
+  const directed = pathLength(expected) >= MIN_DIRECTED_LENGTH
+  const distance = directed ? forward : Math.min(forward, backward)
+
+  // Written in reverse: the stroke fits better when flipped around
+  if (directed && backward < forward && backward <= SHAPE_TOLERANCE) {
+    return { accepted: false, error: STROKE_ERRORS.DIRECTION, score: 0, distance, matchedIndex: expectedIndex }
+  }
+
+  if (distance <= SHAPE_TOLERANCE) {
+    return { accepted: true, error: null, score: distanceToScore(distance), distance, matchedIndex: expectedIndex }
+  }
+
+  // A later stroke fits better: the learner skipped ahead
+  const laterIndex = findMatchingStroke(drawn, strokes, expectedIndex + 1)
+  if (laterIndex !== -1) {
+    return { accepted: false, error: STROKE_ERRORS.ORDER, score: 0, distance, matchedIndex: laterIndex }
+  }
+
+  return { accepted: false, error: STROKE_ERRORS.SHAPE, score: 0, distance, matchedIndex: -1 }
+}
+
+/**
+ * Score an accepted stroke, taking failed attempts before it into account
+ * @param {number} shapeScore - Score of the accepted attempt (0-100)
+ * @param {number} failedAttempts - Rejected attempts at the same stroke
+ * @returns {number} Stroke score (0-100)
+ */
+export function scoreStrokeAttempts(shapeScore, failedAttempts = 0) {
+  return Math.round(shapeScore * Math.max(0, 1 - failedAttempts * RETRY_PENALTY))
+}
+
+/**
+ * Score a whole character from its stroke scores
+ * @param {Array<number>} strokeScores - Score of each stroke (0-100)
+ * @returns {number} Character score (0-100)
+ */
+export function scoreCharacter(strokeScores) {
+  if (!strokeScores || strokeScores.length === 0) return 0
+  return Math.round(strokeScores.reduce((sum, score) => sum + score, 0) / strokeScores.length)
+}
+
+/**
+ * Resample a polyline to evenly spaced points along its length
+ * @param {Array<[number, number]>} points - Polyline
+ * @param {number} count - Number of points to return
+ * @returns {Array<[number, number]>}
+ */
+export function resampleStroke(points, count = RESAMPLE_POINTS) {
+  const total = pathLength(points)
+  if (points.length === 0) return []
+  if (total === 0) return Array.from({ length: count }, () => [...points[0]])
+
+  const step = total / (count - 1)
+  const result = [[...points[0]]]
+  let segment = 1
+  let segmentStart = 0
+
+  for (let i = 1; i < count - 1; i++) {
+    const target = i * step
+    while (segment < points.length - 1 && segmentStart + distanceBetween(points[segment - 1], points[segment]) < target) {
+      segmentStart += distanceBetween(points[segment - 1], points[segment])
+      segment++
+    }
+    const [ax, ay] = points[segment - 1]
+    const [bx, by] = points[segment]
+    const segmentLength = distanceBetween(points[segment - 1], points[segment]) || 1
+    const t = Math.min(1, (target - segmentStart) / segmentLength)
+    result.push([ax + (bx - ax) * t, ay + (by - ay) * t])
+  }
+
+  result.push([...points[points.length - 1]])
+  return result
+}
+
+/**
+ * Total length of a polyline
+ * @param {Array<[number, number]>} points - Polyline
+ * @returns {number}
+ */
+export function pathLength(points) {
+  let length = 0
+  for (let i = 1; i < points.length; i++) {
+    length += distanceBetween(points[i - 1], points[i])
+  }
+  return length
+}
+
+// Helper functions
+
+function distanceBetween([ax, ay], [bx, by]) {
+  return Math.hypot(bx - ax, by - ay)
+}
+
+// Mean distance between matching points, as drawn and with the drawn stroke reversed
+function compareStroke(drawn, expected) {
+  const a = resampleStroke(drawn)
+  const b = resampleStroke(expected)
+  let forward = 0
+  let backward = 0
+
+  for (let i = 0; i < a.length; i++) {
+    forward += distanceBetween(a[i], b[i])
+    backward += distanceBetween(a[a.length - 1 - i], b[i])
+  }
+
+  return { forward: forward / a.length, backward: backward / a.length }
+}
+
+function findMatchingStroke(drawn, strokes, fromIndex) {
+  let bestIndex = -1
+  let bestDistance = SHAPE_TOLERANCE
+
+  for (let i = fromIndex; i < strokes.length; i++) {
+    const { forward, backward } = compareStroke(drawn, strokes[i])
+    const distance = Math.min(forward, backward)
+    if (distance <= bestDistance) {
+      bestIndex = i
+      bestDistance = distance
+    }
+  }
+
+  return bestIndex
+}
+
+function distanceToScore(distance) {
+  const ratio = (distance - PERFECT_DISTANCE) / (FAILED_DISTANCE - PERFECT_DISTANCE)
+  return Math.round(100 * Math.max(0, Math.min(1, 1 - ratio)))
+}
@@ -0,0 +1,209 @@
+/**
+ * Subtitles for Korean Learning App
+ * Reads and writes WebVTT caption files, turns a narration script into a
+ * timed VTT skeleton, and splits captions into words that can be looked up
+ * among a lesson's examples
+ */
+
+import { PARTICLES } from './particles.js'
+
+export const SUBTITLE_LANGUAGES = {
+  ko: 'Korean',
+  en: 'English'
+}
+
+// Reading speed used to estimate how long a scripted line stays on screen
+const CHARACTERS_PER_SECOND = 15
+const MIN_CUE_SECONDS = 2
+const CUE_GAP_SECONDS = 0.5
+
+// Endings that may follow an example word in running text (한글은, 한글로)
+const WORD_ENDINGS = [
+  ...Object.values(PARTICLES).flatMap(particle => [particle.afterVowel, particle.afterConsonant]),
+  '도', '의', '에', '에서', '에게', '만', '하고', '랑', '이랑', '이에요', '예요', '입니다'
+]
+
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/
+
+/**
+ * Parse a WebVTT timestamp
+ * @param {string} timestamp - e.g. 00:01:02.500 or 01:02.500
+ * @returns {number|null} - Seconds, or null if malformed
+ */
+export function parseTimestamp(timestamp) {
+  const match = TIMESTAMP_PATTERN.exec(timestamp.trim())
+  if (!match) return null
+  const [, hours = '0', minutes, seconds, milliseconds] = match
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(milliseconds) / 1000
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - e.g. 00:01:02.500
+ */
+export function formatTimestamp(seconds) {
+  const totalMilliseconds = Math.round(Math.max(0, seconds) * 1000)
+  const hours = Math.floor(totalMilliseconds / 3600000)
+  const minutes = Math.floor(totalMilliseconds / 60000) % 60
+  const secs = Math.floor(totalMilliseconds / 1000) % 60
+  const milliseconds = totalMilliseconds % 1000
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}.${pad(milliseconds, 3)}`
+}
+
+/**
+ * Parse a WebVTT file into cues
+ * @param {string} text - Contents of a .vtt file
+ * @returns {Array|null} - [{ id, start, end, text }], or null if it is not WebVTT
+ */
+export function parseVtt(text) {
+  const normalized = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n')
+  if (!/^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(normalized)) return null
+
+  const cues = []
+  const blocks = normalized.split(/\n{2,}/).slice(1)
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '')
+    if (lines.length === 0 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'))
+    if (timingIndex === -1) return
+
+    // Cue settings (align:start, line:90%) follow the end time and are ignored
+    const [startText, rest] = lines[timingIndex].split('-->')
+    const start = parseTimestamp(startText)
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0])
+    if (start === null || end === null || end <= start) return
+
+    cues.push({
+      id: timingIndex > 0 ? lines[0].trim() : null,
+      start,
+      end,
+      text: lines.slice(timingIndex + 1).join('\n')
+    })
+  })
+
+  return cues
+}
+
+/**
+ * Write cues as a WebVTT file
+ * @param {Array} cues - [{ id?, start, end, text }]
+ * @returns {string}
+ */
+export function toVtt(cues) {
+  const blocks = cues.map(cue => {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`
+    return [cue.id, timing, cue.text].filter(Boolean).join('\n')
+  })
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n'
+}
+
+/**
+ * Find the cue showing at a point in time
+ * @param {Array} cues - Parsed cues
+ * @param {number} time - Playback time in seconds
+ * @returns {Object|null}
+ */
+export function getActiveCue(cues, time) {
+  return cues.find(cue => time >= cue.start && time < cue.end) || null
+}
+
+/**
+ * Turn a narration script into a WebVTT skeleton with estimated timings.
+ * Quoted lines are taken as the spoken text; scene headings, stage
+ * directions in parentheses and speaker labels are skipped. Scripts without
+ * quotes use every remaining line.
+ * @param {string} script - Script text
+ * @returns {string} - WebVTT file contents
+ */
+export function scriptToVtt(script) {
+  const lines = (script || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.trim())
+  const quoted = lines.flatMap(line => Array.from(line.matchAll(/"([^"]+)"/g), match => match[1].trim()))
+  const spoken = quoted.length > 0
+    ? quoted
+    : lines.filter(line => line && !isStageDirection(line)).map(stripSpeakerLabel).filter(Boolean)
+
+  let time = 0
+  const cues = spoken.map((text, index) => {
+    const duration = Math.max(MIN_CUE_SECONDS, Math.round((text.length / CHARACTERS_PER_SECOND) * 10) / 10)
+    const cue = { id: String(index + 1), start: time, end: time + duration, text }
+    time = cue.end + CUE_GAP_SECONDS
+    return cue
+  })
+
+  return toVtt(cues)
+}
+
+/**
+ * Split a caption into words, marking those that match a lesson example.
+ * Multi-word examples (제 이름은) are matched before single words, and a
+ * trailing particle is allowed after the example (한글은).
+ * @param {string} text - Caption text
+ * @param {Array} examples - Lesson examples ({ korean, romanization, translation })
+ * @returns {Array} - [{ text, example }] where example is null for plain text
+ */
+export function tokenizeCaption(text, examples = []) {
+  const parts = (text || '').split(/(\s+)/).filter(part => part !== '')
+  const candidates = examples
+    .filter(example => example.korean)
+    .map(example => ({ example, words: example.korean.trim().split(/\s+/) }))
+    .sort((a, b) => b.words.length - a.words.length || b.example.korean.length - a.example.korean.length)
+
+  const tokens = []
+  let index = 0
+  while (index < parts.length) {
+    const match = /^\s+$/.test(parts[index]) ? null : matchExample(parts, index, candidates)
+    if (match) {
+      tokens.push({ text: parts.slice(index, match.end).join(''), example: match.example })
+      index = match.end
+    } else {
+      tokens.push({ text: parts[index], example: null })
+      index++
+    }
+  }
+
+  return tokens
+}
+
+// Helper functions
+
+function pad(number, length) {
+  return String(number).padStart(length, '0')
+}
+
+function isStageDirection(line) {
+  return /^\(.*\)$/.test(line) || /^scene\s+\d+/i.test(line) || /^title card:/i.test(line)
+}
+
+function stripSpeakerLabel(line) {
+  return line.replace(/^[A-Za-z ]+(\([^)]*\))?:\s*/, '').trim()
+}
+
+function stripPunctuation(word) {
+  return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+}
+
+// Match an example starting at parts[index]; whitespace sits at odd offsets
+function matchExample(parts, index, candidates) {
+  for (const { example, words } of candidates) {
+    const end = index + words.length * 2 - 1
+    if (end > parts.length) continue
+
+    const textWords = []
+    for (let offset = index; offset < end; offset += 2) {
+      textWords.push(stripPunctuation(parts[offset]))
+    }
+
+    const leading = textWords.slice(0, -1)
+    if (leading.some((word, position) => word !== words[position])) continue
+
+    const last = textWords[textWords.length - 1]
+    const expected = words[words.length - 1]
+    if (last === expected || (last.startsWith(expected) && WORD_ENDINGS.includes(last.slice(expected.length)))) {
+      return { example, end }
+    }
+  }
+  return null
+}
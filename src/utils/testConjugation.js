@@ -0,0 +1,123 @@
+// Test script for the conjugation engine
+import {
+  conjugate,
+  conjugateConnective,
+  getStemInfo,
+  IRREGULAR_TYPES,
+  SPEECH_LEVELS,
+  TENSES
+} from './conjugation.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Conjugation Engine...\n')
+
+const { POLITE, FORMAL, CASUAL } = SPEECH_LEVELS
+const { PRESENT, PAST, FUTURE } = TENSES
+
+// Test 1: Irregular detection
+console.log('=== TEST 1: Irregular Detection ===')
+const detection = {
+  '가다': IRREGULAR_TYPES.REGULAR,
+  '춥다': IRREGULAR_TYPES.B,
+  '입다': IRREGULAR_TYPES.REGULAR,
+  '듣다': IRREGULAR_TYPES.D,
+  '받다': IRREGULAR_TYPES.REGULAR,
+  '짓다': IRREGULAR_TYPES.S,
+  '웃다': IRREGULAR_TYPES.REGULAR,
+  '모르다': IRREGULAR_TYPES.REU,
+  '따르다': IRREGULAR_TYPES.EU,
+  '그렇다': IRREGULAR_TYPES.H,
+  '좋다': IRREGULAR_TYPES.REGULAR,
+  '바쁘다': IRREGULAR_TYPES.EU,
+  '알아듣다': IRREGULAR_TYPES.D
+}
+Object.entries(detection).forEach(([word, expected]) => {
+  check(word, getStemInfo(word).irregular, expected)
+})
+check('Not a dictionary form', getStemInfo('먹어요'), null)
+
+// Test 2: Regular verbs and adjectives
+console.log('\n=== TEST 2: Regular Stems ===')
+const regular = [
+  ['가다', PRESENT, POLITE, '가요'],
+  ['가다', PRESENT, FORMAL, '갑니다'],
+  ['가다', PAST, POLITE, '갔어요'],
+  ['가다', FUTURE, POLITE, '갈 거예요'],
+  ['먹다', PRESENT, POLITE, '먹어요'],
+  ['먹다', PRESENT, FORMAL, '먹습니다'],
+  ['먹다', PAST, FORMAL, '먹었습니다'],
+  ['먹다', FUTURE, FORMAL, '먹을 겁니다'],
+  ['먹다', PRESENT, CASUAL, '먹어'],
+  ['오다', PRESENT, POLITE, '와요'],
+  ['보다', PAST, CASUAL, '봤어'],
+  ['배우다', PRESENT, POLITE, '배워요'],
+  ['마시다', PAST, POLITE, '마셨어요'],
+  ['되다', PRESENT, POLITE, '돼요'],
+  ['보내다', PAST, POLITE, '보냈어요'],
+  ['쉬다', PRESENT, POLITE, '쉬어요'],
+  ['공부하다', PRESENT, POLITE, '공부해요'],
+  ['공부하다', PAST, FORMAL, '공부했습니다'],
+  ['좋다', PRESENT, POLITE, '좋아요'],
+  ['읽다', FUTURE, CASUAL, '읽을 거야'],
+  ['살다', PRESENT, FORMAL, '삽니다'],
+  ['살다', FUTURE, POLITE, '살 거예요'],
+  ['만들다', PAST, POLITE, '만들었어요']
+]
+regular.forEach(([word, tense, level, expected]) => {
+  check(`${word} ${tense} ${level}`, conjugate(word, { tense, level }), expected)
+})
+
+// Test 3: Irregular stems
+console.log('\n=== TEST 3: Irregular Stems ===')
+const irregular = [
+  ['춥다', PRESENT, POLITE, '추워요'],
+  ['춥다', PRESENT, FORMAL, '춥습니다'],
+  ['돕다', PAST, POLITE, '도왔어요'],
+  ['고맙다', PRESENT, POLITE, '고마워요'],
+  ['듣다', PRESENT, POLITE, '들어요'],
+  ['걷다', FUTURE, POLITE, '걸을 거예요'],
+  ['짓다', PRESENT, POLITE, '지어요'],
+  ['낫다', FUTURE, FORMAL, '나을 겁니다'],
+  ['모르다', PRESENT, POLITE, '몰라요'],
+  ['부르다', PAST, POLITE, '불렀어요'],
+  ['빠르다', PRESENT, CASUAL, '빨라'],
+  ['그렇다', PRESENT, POLITE, '그래요'],
+  ['빨갛다', PAST, POLITE, '빨갰어요'],
+  ['하얗다', PRESENT, POLITE, '하얘요'],
+  ['그렇다', PRESENT, FORMAL, '그렇습니다'],
+  ['쓰다', PRESENT, POLITE, '써요'],
+  ['바쁘다', PAST, POLITE, '바빴어요'],
+  ['예쁘다', PRESENT, POLITE, '예뻐요'],
+  ['따르다', PRESENT, POLITE, '따라요'],
+  ['쓰다', FUTURE, POLITE, '쓸 거예요']
+]
+irregular.forEach(([word, tense, level, expected]) => {
+  check(`${word} ${tense} ${level}`, conjugate(word, { tense, level }), expected)
+})
+check('굽다 as ㅂ irregular (to roast)', conjugate('굽다', { irregular: IRREGULAR_TYPES.B }), '구워요')
+check('굽다 as regular (to bend)', conjugate('굽다', { irregular: IRREGULAR_TYPES.REGULAR }), '굽어요')
+
+// Test 4: Connective endings
+console.log('\n=== TEST 4: Connective Endings ===')
+const connectives = [
+  ['먹다', 'and', '먹고'],
+  ['춥다', 'but', '춥지만'],
+  ['가다', 'so', '가서'],
+  ['공부하다', 'so', '공부해서'],
+  ['듣다', 'so', '들어서'],
+  ['먹다', 'if', '먹으면'],
+  ['춥다', 'if', '추우면'],
+  ['듣다', 'if', '들으면'],
+  ['낫다', 'if', '나으면'],
+  ['그렇다', 'if', '그러면'],
+  ['살다', 'if', '살면'],
+  ['살다', 'because', '사니까'],
+  ['바쁘다', 'because', '바쁘니까'],
+  ['먹다', 'while', '먹으면서'],
+  ['만들다', 'while', '만들면서']
+]
+connectives.forEach(([word, connective, expected]) => {
+  check(`${word} -${connective}`, conjugateConnective(word, connective), expected)
+})
+
+reportResults('conjugation')
@@ -0,0 +1,68 @@
+// Test script for jamo-level input checking
+import { compareHangulInput, diffHangul, decomposeSyllable, composeSyllable, toKeystrokes } from './hangul.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Hangul Input Checking...\n')
+
+// Test 1: Decomposition
+console.log('=== TEST 1: Jamo ===')
+const chicken = decomposeSyllable('닭')
+check('Initial', chicken.initial, 'ㄷ')
+check('Medial', chicken.medial, 'ㅏ')
+check('Final', chicken.final, 'ㄺ')
+check('Compose', composeSyllable('ㄷ', 'ㅏ', 'ㄺ'), '닭')
+check('Not a syllable', decomposeSyllable('a'), null)
+check('Double final keystrokes', toKeystrokes('닭').map(key => key.jamo).join(''), 'ㄷㅏㄹㄱ')
+check('Compound vowel keystrokes', toKeystrokes('과').map(key => key.jamo).join(''), 'ㄱㅗㅏ')
+
+// Test 2: Comparing input
+console.log('\n=== TEST 2: Comparison ===')
+const complete = compareHangulInput('안녕', '안녕')
+check('Complete', complete.isComplete, true)
+check('All keystrokes correct', complete.correctKeystrokes, complete.totalKeystrokes)
+
+const composing = compareHangulInput('안녕', '안녀')
+check('Syllable still composing', composing.syllables[1].status, 'composing')
+check('No mistake while composing', composing.mistakes.length, 0)
+
+const borrowed = compareHangulInput('가나', '간')
+check('Next initial held as final', borrowed.syllables[0].status, 'composing')
+
+const wrongVowel = compareHangulInput('안녕하세요', '안녕허')
+check('Wrong vowel', wrongVowel.syllables[2].status, 'incorrect')
+check('Mistake position', wrongVowel.firstMistake.position, 'medial')
+check('Expected jamo', wrongVowel.firstMistake.expected, 'ㅏ')
+check('Typed jamo', wrongVowel.firstMistake.typed, 'ㅓ')
+
+const wrongFinal = compareHangulInput('밥을', '밤을')
+check('Wrong final', wrongFinal.firstMistake.position, 'final')
+check('Partial keystroke credit', wrongFinal.correctKeystrokes, wrongFinal.typedKeystrokes - 1)
+
+const tooLong = compareHangulInput('네', '네요')
+check('Extra characters are mistakes', tooLong.mistakes.length, 1)
+check('Pending syllables', compareHangulInput('감사', '감').syllables[1].status, 'pending')
+
+// Test 3: Partial credit
+console.log('\n=== TEST 3: Partial Credit ===')
+const exact = diffHangul('안녕하세요', '안녕하세요.')
+check('Exact match ignores punctuation', exact.isExactMatch, true)
+check('Exact match accuracy', exact.accuracy, 100)
+
+const oneJamo = diffHangul('안녕하세요', '안녕허세요')
+const substitution = oneJamo.operations.find(operation => operation.type === 'substitute')
+check('One wrong jamo', oneJamo.jamoErrors, 1)
+check('Wrong syllable aligned', substitution?.expected, '하')
+check('Wrong jamo found', substitution?.jamo.find(operation => operation.type === 'substitute')?.typed, 'ㅓ')
+check('Accuracy keeps partial credit', oneJamo.accuracy > 80 && oneJamo.accuracy < 100, true)
+
+const missing = diffHangul('감사합니다', '감사니다')
+check('Missing syllable', missing.operations.filter(operation => operation.type === 'missing').map(operation => operation.expected).join(''), '합')
+check('Missing syllable costs its jamo', missing.jamoErrors, 3)
+
+const extra = diffHangul('네', '네요')
+check('Extra syllable', extra.operations.some(operation => operation.type === 'extra' && operation.typed === '요'), true)
+check('Extra input is not an exact match', extra.isExactMatch, false)
+check('Spaces ignored', diffHangul('안녕 하세요', '안녕하세요').isExactMatch, true)
+check('Nothing typed', diffHangul('안녕', '').accuracy, 0)
+
+reportResults('Hangul')
@@ -0,0 +1,49 @@
+// Test script for the Dubeolsik composer
+import { HangulComposer, composeJamo, qwertyToJamo, getNextExpectedKey } from './hangulComposer.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Hangul Composer...\n')
+
+const type = keys => composeJamo(Array.from(keys))
+
+// Test 1: Keys
+console.log('=== TEST 1: Layout ===')
+check('d → ㅇ', qwertyToJamo('d'), 'ㅇ')
+check('Shift+r → ㄲ', qwertyToJamo('r', true), 'ㄲ')
+check('Outside layout', qwertyToJamo('1'), null)
+
+// Test 2: Composition
+console.log('\n=== TEST 2: Composition ===')
+check('Simple syllables', type('ㅇㅏㄴㄴㅕㅇ'), '안녕')
+check('Compound vowel', type('ㄱㅗㅏ'), '과')
+check('Double final', type('ㄷㅏㄹㄱ'), '닭')
+check('Vowel after final moves it', type('ㅇㅏㄴㅇㅏ'), '안아')
+check('New syllable after double final', type('ㄷㅏㄹㄱㅇㅣ'), '닭이')
+check('Vowel splits double final', type('ㄷㅏㄹㄱㅣ'), '달기')
+check('Lone consonants', type('ㄱㄴ'), 'ㄱㄴ')
+
+// Test 3: Backspace
+console.log('\n=== TEST 3: Backspace ===')
+const composer = new HangulComposer()
+Array.from('ㄷㅏㄹㄱ').forEach(jamo => composer.input(jamo))
+check('Composing', composer.getComposing(), '닭')
+check('Removes last final jamo', composer.backspace(), '달')
+check('Removes final', composer.backspace(), '다')
+check('Removes vowel', composer.backspace(), 'ㄷ')
+check('Removes initial', composer.backspace(), '')
+
+const committed = new HangulComposer('가')
+check('Deletes committed character', committed.backspace(), '')
+
+const compoundVowel = new HangulComposer()
+Array.from('ㄱㅗㅏ').forEach(jamo => compoundVowel.input(jamo))
+check('Splits compound vowel', compoundVowel.backspace(), '고')
+
+// Test 4: Next key hints
+console.log('\n=== TEST 4: Next key ===')
+check('First key', getNextExpectedKey('안녕', '').jamo, 'ㅇ')
+check('Continues syllable', getNextExpectedKey('안녕', '아').jamo, 'ㄴ')
+check('Mistake asks for backspace', getNextExpectedKey('안녕', '어').type, 'backspace')
+check('Done', getNextExpectedKey('안녕', '안녕'), null)
+
+reportResults('composer')
@@ -0,0 +1,38 @@
+/**
+ * Test Helpers for Korean Learning App
+ * Checks and the closing summary shared by the node test scripts in this folder
+ */
+
+let failures = 0
+
+/**
+ * Compare a value with the expected one and print the outcome
+ * @param {string} label - What is being checked
+ * @param {*} actual - Value produced by the code under test
+ * @param {*} expected - Value it should equal (strictly)
+ */
+export function check(label, actual, expected) {
+  const passed = actual === expected
+  if (!passed) failures++
+  console.log(`${passed ? '✓' : '✗'} ${label}: ${actual}${passed ? '' : ` (expected ${expected})`}`)
+}
+
+/**
+ * Print the outcome of a condition with a description of the measured value
+ * @param {string} label - What is being checked
+ * @param {boolean} passed - Whether the condition holds
+ * @param {string} detail - Measured value shown either way
+ */
+export function checkCondition(label, passed, detail) {
+  if (!passed) failures++
+  console.log(`${passed ? '✓' : '✗'} ${label}: ${detail}`)
+}
+
+/**
+ * Print the summary line and fail the process if any check failed
+ * @param {string} name - Name of the tested area, e.g. 'romanization'
+ */
+export function reportResults(name) {
+  console.log(`\n${failures === 0 ? `✅ All ${name} tests passed` : `❌ ${failures} ${name} test(s) failed`}`)
+  if (failures > 0) process.exitCode = 1
+}
@@ -0,0 +1,79 @@
+// Test script for Korean number spelling
+import { formatDate, formatTime, toNativeKorean, toSinoKorean, withCounter } from './koreanNumbers.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Korean Numbers...\n')
+
+// Test 1: Sino-Korean
+console.log('=== TEST 1: Sino-Korean ===')
+const sino = {
+  0: '영',
+  1: '일',
+  10: '십',
+  11: '십일',
+  20: '이십',
+  99: '구십구',
+  100: '백',
+  105: '백오',
+  1000: '천',
+  2026: '이천이십육',
+  10000: '만',
+  15000: '만오천',
+  110000: '십일만',
+  1000000: '백만',
+  100000000: '일억',
+  123456789: '일억이천삼백사십오만육천칠백팔십구'
+}
+Object.entries(sino).forEach(([number, expected]) => {
+  check(number, toSinoKorean(Number(number)), expected)
+})
+check('Negative', toSinoKorean(-1), null)
+check('Fraction', toSinoKorean(1.5), null)
+
+// Test 2: Native Korean
+console.log('\n=== TEST 2: Native Korean ===')
+const native = [
+  [1, '하나', '한'],
+  [2, '둘', '두'],
+  [3, '셋', '세'],
+  [4, '넷', '네'],
+  [5, '다섯', '다섯'],
+  [10, '열', '열'],
+  [11, '열하나', '열한'],
+  [20, '스물', '스무'],
+  [21, '스물하나', '스물한'],
+  [34, '서른넷', '서른네'],
+  [99, '아흔아홉', '아흔아홉']
+]
+native.forEach(([number, plain, counterForm]) => {
+  check(`${number}`, toNativeKorean(number), plain)
+  check(`${number} before a counter`, toNativeKorean(number, { counterForm: true }), counterForm)
+})
+check('100 is out of range', toNativeKorean(100), null)
+check('0 is out of range', toNativeKorean(0), null)
+
+// Test 3: Counters
+console.log('\n=== TEST 3: Counters ===')
+check('3개', withCounter(3, '개'), '세 개')
+check('1명', withCounter(1, '명'), '한 명')
+check('20살', withCounter(20, '살'), '스무 살')
+check('25살', withCounter(25, '살'), '스물다섯 살')
+check('120개', withCounter(120, '개'), '백이십 개')
+check('15분', withCounter(15, '분'), '십오 분')
+check('5000원', withCounter(5000, '원'), '오천 원')
+check('Unknown counter', withCounter(3, '권'), null)
+
+// Test 4: Times and dates
+console.log('\n=== TEST 4: Times and Dates ===')
+check('14:30', formatTime(14, 30), '오후 두 시 삼십 분')
+check('14:30 with 반', formatTime(14, 30, { half: true }), '오후 두 시 반')
+check('09:05', formatTime(9, 5), '오전 아홉 시 오 분')
+check('00:00', formatTime(0, 0), '오전 열두 시')
+check('12:15 without period', formatTime(12, 15, { period: false }), '열두 시 십오 분')
+check('Invalid hour', formatTime(24, 0), null)
+check('2026-10-19', formatDate({ year: 2026, month: 10, day: 19 }), '이천이십육년 시월 십구일')
+check('6월 6일', formatDate({ month: 6, day: 6 }), '유월 육일')
+check('3월 1일', formatDate({ month: 3, day: 1 }), '삼월 일일')
+check('Invalid month', formatDate({ month: 13, day: 1 }), null)
+
+reportResults('number')
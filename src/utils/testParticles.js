@@ -0,0 +1,49 @@
+// Test script for particle selection
+import { attachParticle, checkParticle, getParticleLabel, selectParticle } from './particles.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Particle Selection...\n')
+
+// Test 1: Vowel and consonant endings
+console.log('=== TEST 1: Batchim ===')
+const pairs = [
+  ['학생', 'topic', '학생은'],
+  ['저', 'topic', '저는'],
+  ['책', 'subject', '책이'],
+  ['친구', 'subject', '친구가'],
+  ['밥', 'object', '밥을'],
+  ['커피', 'object', '커피를'],
+  ['빵', 'and', '빵과'],
+  ['우유', 'and', '우유와'],
+  ['물', 'object', '물을'],
+  ['선생님', 'topic', '선생님은']
+]
+pairs.forEach(([word, particle, expected]) => {
+  check(`${word} + ${getParticleLabel(particle)}`, attachParticle(word, particle), expected)
+})
+
+// Test 2: (으)로 treats ㄹ like a vowel
+console.log('\n=== TEST 2: (으)로 ===')
+check('서울', attachParticle('서울', 'direction'), '서울로')
+check('지하철', attachParticle('지하철', 'direction'), '지하철로')
+check('학교', attachParticle('학교', 'direction'), '학교로')
+check('집', attachParticle('집', 'direction'), '집으로')
+check('연필', attachParticle('연필', 'direction'), '연필로')
+
+// Test 3: Digits and unusual input
+console.log('\n=== TEST 3: Edge Cases ===')
+check('3 (삼)', selectParticle('3', 'subject'), '이')
+check('2 (이)', selectParticle('2', 'subject'), '가')
+check('1 (일)', selectParticle('1', 'direction'), '로')
+check('Trailing punctuation', selectParticle('사과!', 'object'), '를')
+check('No Hangul', selectParticle('hello', 'topic'), null)
+check('Unknown particle', selectParticle('학생', 'genitive'), null)
+check('Label (으)로', getParticleLabel('direction'), '(으)로')
+
+// Test 4: Checking answers
+console.log('\n=== TEST 4: Checker ===')
+check('Correct choice', checkParticle('가방', 'object', '을').isCorrect, true)
+check('Wrong choice', checkParticle('가방', 'object', '를').isCorrect, false)
+check('Explanation mentions 받침', checkParticle('가방', 'object', '를').explanation.includes('ㅇ'), true)
+
+reportResults('particle')
@@ -0,0 +1,143 @@
+// Test script for pronunciation scoring
+//
+// Usage:
+//   node src/utils/testPronunciationScoring.js
+//   node src/utils/testPronunciationScoring.js reference.wav attempt1.wav [attempt2.wav ...]
+//
+// Without arguments the scorer is checked against synthesized vowels. With
+// WAV files, every attempt is scored against the reference.
+import { readFileSync } from 'node:fs'
+import {
+  parseWav,
+  comparePronunciation,
+  computePitchContour,
+  ANALYSIS_SAMPLE_RATE
+} from './pronunciationScoring.js'
+import { checkCondition as check, reportResults } from './testHelpers.js'
+
+// Formant frequencies (Hz) of a few vowels
+const VOWELS = {
+  a: [800, 1200, 2500],
+  i: [300, 2300, 3000],
+  u: [350, 800, 2300],
+  e: [500, 1900, 2500],
+  o: [500, 900, 2400]
+}
+
+// Build a vowel sequence from harmonics shaped by the vowel formants
+function synthesizeVowels(vowels, { pitch = 120, sampleRate = ANALYSIS_SAMPLE_RATE, vowelLength = 0.3, noise = 0 } = {}) {
+  const speechLength = Math.floor(vowels.length * vowelLength * sampleRate)
+  const padding = Math.floor(0.15 * sampleRate)
+  const samples = new Float32Array(speechLength + 2 * padding)
+  let phase = 0
+
+  for (let t = 0; t < speechLength; t++) {
+    const formants = VOWELS[vowels[Math.floor(t / (vowelLength * sampleRate))]]
+    phase += (2 * Math.PI * pitch) / sampleRate
+    let value = 0
+    for (let harmonic = 1; harmonic * pitch < 4000; harmonic++) {
+      const gain = formants.reduce((sum, formant) => sum + 1 / (1 + ((harmonic * pitch - formant) / 80) ** 2), 0)
+      value += (gain * Math.sin(harmonic * phase)) / Math.sqrt(harmonic)
+    }
+    samples[padding + t] = 0.1 * value + noise * (Math.random() * 2 - 1)
+  }
+
+  return { samples, sampleRate }
+}
+
+// Encode samples as a 16-bit PCM WAV file
+function encodeWav({ samples, sampleRate }) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2)
+  const view = new DataView(buffer)
+  const writeTag = (offset, tag) => [...tag].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)))
+
+  writeTag(0, 'RIFF')
+  view.setUint32(4, 36 + samples.length * 2, true)
+  writeTag(8, 'WAVE')
+  writeTag(12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true)
+  view.setUint16(22, 1, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * 2, true)
+  view.setUint16(32, 2, true)
+  view.setUint16(34, 16, true)
+  writeTag(36, 'data')
+  view.setUint32(40, samples.length * 2, true)
+  samples.forEach((sample, i) => {
+    view.setInt16(44 + i * 2, Math.max(-1, Math.min(1, sample)) * 32767, true)
+  })
+
+  return buffer
+}
+
+function readWavFile(path) {
+  const file = readFileSync(path)
+  return parseWav(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength))
+}
+
+function formatResult(result) {
+  const intonation = result.intonationScore === null ? 'n/a' : `${result.intonationScore}`
+  return `score ${result.score} (sound ${result.soundScore}, intonation ${intonation}, ` +
+    `MFCC distance ${result.mfccDistance.toFixed(2)}, length ×${result.durationRatio.toFixed(2)})`
+}
+
+const [referencePath, ...attemptPaths] = process.argv.slice(2)
+
+if (referencePath) {
+  console.log(`Scoring against ${referencePath}\n`)
+  const reference = readWavFile(referencePath)
+  attemptPaths.forEach(path => {
+    try {
+      console.log(`${path}: ${formatResult(comparePronunciation(reference, readWavFile(path)))}`)
+    } catch (error) {
+      console.error(`✗ ${path}: ${error.message}`)
+      process.exitCode = 1
+    }
+  })
+} else {
+  console.log('Testing Pronunciation Scoring...\n')
+  const reference = synthesizeVowels(['a', 'i', 'u'])
+
+  // Test 1: WAV decoding
+  console.log('=== TEST 1: WAV Decoding ===')
+  const decoded = parseWav(encodeWav(reference))
+  const maxError = decoded.samples.reduce((max, sample, i) => Math.max(max, Math.abs(sample - reference.samples[i])), 0)
+  check('16-bit WAV round trip', decoded.sampleRate === reference.sampleRate && maxError < 1e-3,
+    `${decoded.samples.length} samples, max error ${maxError.toExponential(1)}`)
+
+  // Test 2: Pitch detection
+  console.log('\n=== TEST 2: Pitch Detection ===')
+  const voiced = computePitchContour(reference.samples).filter(value => value !== null)
+  const meanPitch = voiced.reduce((sum, value) => sum + value, 0) / voiced.length
+  check('Pitch of a 120 Hz voice', Math.abs(meanPitch - 120) < 5, `${meanPitch.toFixed(1)} Hz over ${voiced.length} frames`)
+
+  // Test 3: Similar recordings score high
+  console.log('\n=== TEST 3: Matching Pronunciation ===')
+  const matching = {
+    'Identical recording': [synthesizeVowels(['a', 'i', 'u']), 95],
+    'Higher voice': [synthesizeVowels(['a', 'i', 'u'], { pitch: 220 }), 70],
+    'Slower speech': [synthesizeVowels(['a', 'i', 'u'], { vowelLength: 0.42 }), 70],
+    'Different sample rate': [synthesizeVowels(['a', 'i', 'u'], { sampleRate: 44100 }), 90],
+    'Background noise': [synthesizeVowels(['a', 'i', 'u'], { noise: 0.01 }), 70]
+  }
+  Object.entries(matching).forEach(([label, [attempt, minimum]]) => {
+    const result = comparePronunciation(reference, attempt)
+    check(label, result.score >= minimum, formatResult(result))
+  })
+
+  // Test 4: Different recordings score low
+  console.log('\n=== TEST 4: Wrong Pronunciation ===')
+  const wrong = {
+    'Vowels in another order': synthesizeVowels(['u', 'a', 'i']),
+    'Different vowels': synthesizeVowels(['e', 'o', 'e']),
+    'A single vowel': synthesizeVowels(['o', 'o', 'o']),
+    'Noise only': { samples: Float32Array.from({ length: 16000 }, () => Math.random() * 0.2 - 0.1), sampleRate: 16000 }
+  }
+  Object.entries(wrong).forEach(([label, attempt]) => {
+    const result = comparePronunciation(reference, attempt)
+    check(label, result.score < 40, formatResult(result))
+  })
+
+  reportResults('pronunciation scoring')
+}
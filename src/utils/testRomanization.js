@@ -0,0 +1,57 @@
+// Test script for romanization and sound-change rules
+import { romanize, romanizeJamo, getPronunciation, isSameRomanization, SOUND_CHANGE_RULES } from './romanization.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Romanization...\n')
+
+const ruleIds = text => getPronunciation(text).rules.map(rule => rule.id)
+
+// Test 1: Liaison
+console.log('=== TEST 1: Liaison ===')
+check('Final moves to the next syllable', getPronunciation('한국어').pronounced, '한구거')
+check('Liaison rule reported', ruleIds('한국어').includes(SOUND_CHANGE_RULES.LIAISON.id), true)
+check('Romanized with liaison', romanize('한국어'), 'hangugeo')
+check('Double final splits', romanize('읽어요'), 'ilgeoyo')
+check('Palatalization', romanize('같이'), 'gachi')
+
+// Test 2: Nasalization
+console.log('\n=== TEST 2: Nasalization ===')
+check('ㄱ before ㅁ', getPronunciation('국물').pronounced, '궁물')
+check('Nasalization rule reported', ruleIds('국물').includes(SOUND_CHANGE_RULES.NASALIZATION.id), true)
+check('Romanized with nasalization', romanize('감사합니다'), 'gamsahamnida')
+check('ㄹ after ㄱ becomes ㄴ', romanize('독립'), 'dongnip')
+
+// Test 3: Tensification
+console.log('\n=== TEST 3: Tensification ===')
+check('Pronounced tense', getPronunciation('학교').pronounced, '학꾜')
+check('Tensification rule reported', ruleIds('학교').includes(SOUND_CHANGE_RULES.TENSIFICATION.id), true)
+check('Left unwritten in romanization', romanize('학교'), 'hakgyo')
+check('Can be turned off', getPronunciation('학교', { tensification: false }).pronounced, '학교')
+
+// Test 4: Aspiration
+console.log('\n=== TEST 4: Aspiration ===')
+check('ㅎ final aspirates the next consonant', romanize('좋다'), 'jota')
+check('Pronounced aspirated', getPronunciation('입학').pronounced, '이팍')
+check('Aspiration rule reported', ruleIds('입학').includes(SOUND_CHANGE_RULES.ASPIRATION.id), true)
+check('ㅎ after ㅂ is written out', romanize('입학'), 'iphak')
+check('ㅎ after ㄱ is written out', romanize('축하'), 'chukha')
+check('ㅎ dropped before a vowel', romanize('좋아요'), 'joayo')
+check('ㄷ + 히 palatalizes after aspiration', getPronunciation('닫히다').pronounced, '다치다')
+check('Palatalization rule reported', ruleIds('닫히다').includes(SOUND_CHANGE_RULES.PALATALIZATION.id), true)
+check('Romanized with palatalization', romanize('닫히다'), 'dachida')
+check('굳히다', romanize('굳히다'), 'guchida')
+
+// Test 5: ㄹ-assimilation
+console.log('\n=== TEST 5: ㄹ-assimilation ===')
+check('ㄴ before ㄹ', getPronunciation('신라').pronounced, '실라')
+check('ㄹ-assimilation rule reported', ruleIds('신라').includes(SOUND_CHANGE_RULES.LATERALIZATION.id), true)
+check('Romanized as ll', romanize('신라'), 'silla')
+check('ㄴ after ㄹ', romanize('설날'), 'seollal')
+
+// Test 6: Letters and comparison
+console.log('\n=== TEST 6: Letters ===')
+check('Single vowel', romanizeJamo('ㅏ'), 'a')
+check('Text outside Hangul kept', romanize('K-pop 노래'), 'K-pop norae')
+check('Comparison ignores spacing and case', isSameRomanization('Annyeong haseyo', 'annyeonghaseyo'), true)
+
+reportResults('romanization')
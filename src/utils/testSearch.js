@@ -0,0 +1,53 @@
+// Test script for Hangul-aware search
+import { readFileSync } from 'fs'
+import { DataManager } from '../data/dataManager.js'
+import { getChoseong, isChoseongQuery, matchText, search, FIELD_KINDS } from './search.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Search...\n')
+
+const match = (text, query, kind = FIELD_KINDS.KOREAN) => matchText(text, query, kind)?.match || null
+
+// Test 1: Initial consonants
+console.log('=== TEST 1: 초성 ===')
+check('getChoseong', getChoseong('안녕하세요'), 'ㅇㄴㅎㅅㅇ')
+check('getChoseong keeps spaces', getChoseong('제 이름'), 'ㅈ ㅇㄹ')
+check('Choseong query', isChoseongQuery('ㅇㄴㅎ'), true)
+check('Vowel is not choseong', isChoseongQuery('ㅇㅏ'), false)
+check('Full initials', match('안녕하세요', 'ㅇㄴㅎㅅㅇ'), 'choseongPrefix')
+check('Initials inside', match('만나서 반갑습니다', 'ㅂㄱ'), 'choseong')
+check('Initials only on Korean fields', match('안녕하세요', 'ㅇㄴ', FIELD_KINDS.TEXT), null)
+
+// Test 2: Syllables and composition
+console.log('\n=== TEST 2: Syllables ===')
+check('Exact', match('안녕', '안녕'), 'exact')
+check('Prefix', match('안녕하세요', '안녕'), 'prefix')
+check('Substring', match('안녕하세요', '하세'), 'substring')
+check('Composing syllable', match('안녕하세요', '안녀'), 'partialPrefix')
+check('Final taken as next initial', match('가나다', '간'), 'partialPrefix')
+check('Not from mid-syllable', match('안녕', 'ㄴ녕'), null)
+check('No match', match('감사합니다', '안녕'), null)
+
+// Test 3: Latin text
+console.log('\n=== TEST 3: English and romanization ===')
+check('Romanization spacing ignored', match('annyeong haseyo', 'annyeonghaseyo', FIELD_KINDS.ROMANIZATION), 'exact')
+check('Romanization prefix', match('gamsahamnida', 'gamsa', FIELD_KINDS.ROMANIZATION), 'prefix')
+check('English word start', match('Thank you (formal)', 'formal', FIELD_KINDS.TEXT), 'wordStart')
+check('Case insensitive', match('Hello', 'hEL', FIELD_KINDS.TEXT), 'prefix')
+
+// Test 4: Ranking over the lesson data
+console.log('\n=== TEST 4: Ranking ===')
+const manager = new DataManager()
+await manager.initialize(JSON.parse(readFileSync(new URL('../data/lessons.json', import.meta.url), 'utf8')))
+
+const top = (query, options) => search(manager, query, options)[0]
+check('ㅇㄴㅎㅅㅇ finds 안녕하세요', top('ㅇㄴㅎㅅㅇ')?.title, '안녕하세요')
+check('Romanization finds word', top('gamsahamnida')?.title, '감사합니다')
+check('English finds translation', search(manager, 'thank you').some(result => result.title === '감사합니다'), true)
+check('Lesson title ranks first', top('Introduction to Hangul')?.type, 'lesson')
+check('Culture notes searchable', search(manager, 'King Sejong', { types: ['culture'] }).length > 0, true)
+check('Vocabulary links to browser', top('ㄱ', { types: ['vocabulary'] })?.url.startsWith('/vocabulary?q='), true)
+check('Limit respected', search(manager, 'a', { limit: 3 }).length, 3)
+check('Empty query', search(manager, '   ').length, 0)
+
+reportResults('search')
@@ -0,0 +1,48 @@
+// Test script for stroke order scoring
+import { evaluateStroke, scoreStrokeAttempts, scoreCharacter, STROKE_ERRORS } from './strokeScoring.js'
+import { JAMO_STROKES, getCharacterStrokes } from '../data/hangulStrokes.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Stroke Scoring...\n')
+
+// Shift a stroke slightly, as a learner's trace never lands exactly on the guide
+const wobble = (stroke, dx = 3, dy = 2) => stroke.map(([x, y]) => [x + dx, y + dy])
+
+const digeut = JAMO_STROKES['ㄷ']
+const ieung = JAMO_STROKES['ㅇ']
+
+// Test 1: Direction
+console.log('=== TEST 1: Direction ===')
+const traced = evaluateStroke(wobble(digeut[0]), digeut, 0)
+check('Stroke traced in order is accepted', traced.accepted, true)
+check('Close trace scores well', traced.score > 70, true)
+
+const reversed = evaluateStroke([...digeut[0]].reverse(), digeut, 0)
+check('Reversed stroke is rejected', reversed.accepted, false)
+check('Reversed stroke is a direction error', reversed.error, STROKE_ERRORS.DIRECTION)
+
+// Test 2: Order
+console.log('\n=== TEST 2: Order ===')
+const skipped = evaluateStroke(digeut[1], digeut, 0)
+check('Later stroke drawn first is rejected', skipped.accepted, false)
+check('Skipping ahead is an order error', skipped.error, STROKE_ERRORS.ORDER)
+check('Skipped-to stroke is identified', skipped.matchedIndex, 1)
+check('Second stroke accepted in turn', evaluateStroke(digeut[1], digeut, 1).accepted, true)
+
+// Test 3: Shape
+console.log('\n=== TEST 3: Shape ===')
+const scribble = evaluateStroke([[10, 90], [90, 10]], digeut, 0)
+check('Wrong shape is rejected', scribble.accepted, false)
+check('Wrong shape is a shape error', scribble.error, STROKE_ERRORS.SHAPE)
+check('Tap is too short', evaluateStroke([[50, 50], [50, 51]], digeut, 0).error, STROKE_ERRORS.TOO_SHORT)
+check('Circle accepted', evaluateStroke(wobble(ieung[0], 2, -2), ieung, 0).accepted, true)
+check('Syllable strokes placed in the block', evaluateStroke(getCharacterStrokes('가')[1], getCharacterStrokes('가'), 1).accepted, true)
+
+// Test 4: Scoring
+console.log('\n=== TEST 4: Scoring ===')
+check('No retries keep full score', scoreStrokeAttempts(90), 90)
+check('Retries cost points', scoreStrokeAttempts(90, 2), 54)
+check('Character averages strokes', scoreCharacter([100, 80, 60]), 80)
+check('No strokes scores zero', scoreCharacter([]), 0)
+
+reportResults('stroke scoring')
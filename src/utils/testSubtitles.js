@@ -0,0 +1,68 @@
+// Test script for WebVTT subtitles
+import { readFileSync } from 'fs'
+import { formatTimestamp, getActiveCue, parseTimestamp, parseVtt, scriptToVtt, tokenizeCaption } from './subtitles.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Subtitles...\n')
+
+// Test 1: Timestamps
+console.log('=== TEST 1: Timestamps ===')
+check('hh:mm:ss.ttt', parseTimestamp('01:02:03.500'), 3723.5)
+check('mm:ss.ttt', parseTimestamp('02:03.250'), 123.25)
+check('malformed', parseTimestamp('2:3.5'), null)
+check('format', formatTimestamp(3723.5), '01:02:03.500')
+check('format rounds', formatTimestamp(1.2345), '00:00:01.235')
+
+// Test 2: Parsing
+console.log('\n=== TEST 2: Parsing ===')
+const vtt = [
+  'WEBVTT - lesson captions',
+  '',
+  'NOTE written by hand',
+  '',
+  'intro',
+  '00:00.000 --> 00:02.000 align:start line:90%',
+  '안녕하세요!',
+  '',
+  '00:00:02.500 --> 00:00:05.000',
+  '한글은',
+  '쉬워요.',
+  '',
+  '00:06.000 --> 00:05.000',
+  'backwards cue is dropped'
+].join('\r\n')
+const cues = parseVtt(vtt)
+check('cue count', cues.length, 2)
+check('cue id', cues[0].id, 'intro')
+check('cue settings ignored', cues[0].end, 2)
+check('multi-line text', cues[1].text, '한글은\n쉬워요.')
+check('active cue', getActiveCue(cues, 3)?.text, cues[1].text)
+check('gap between cues', getActiveCue(cues, 2.2), null)
+check('not WebVTT', parseVtt('1\n00:00:01,000 --> 00:00:02,000\nSRT'), null)
+
+// Test 3: Script conversion
+console.log('\n=== TEST 3: Script to VTT ===')
+const script = readFileSync(new URL('../../public/assets/videos/lessons/lesson-001_intro_welcome_script.txt', import.meta.url), 'utf8')
+const converted = parseVtt(scriptToVtt(script))
+check('quoted lines only', converted.length, 3)
+check('first line', converted[0].text.startsWith('Welcome to your first step'), true)
+check('cues do not overlap', converted.every((cue, i) => i === 0 || cue.start >= converted[i - 1].end), true)
+const plain = parseVtt(scriptToVtt('Scene 1:\n(Music)\nNarrator: 안녕하세요\n\n감사합니다'))
+check('unquoted script', plain.map(cue => cue.text).join('|'), '안녕하세요|감사합니다')
+
+// Test 4: Caption words
+console.log('\n=== TEST 4: Caption words ===')
+const examples = [
+  { korean: '한글', translation: 'Hangul' },
+  { korean: '제 이름', translation: 'my name' },
+  { korean: 'ㄱ', translation: 'g/k' }
+]
+const marked = text => tokenizeCaption(text, examples).filter(token => token.example).map(token => token.text).join('|')
+check('exact word', marked('한글 배워요'), '한글')
+check('word with particle', marked('한글은 쉬워요'), '한글은')
+check('not a particle', marked('한글날이에요'), '')
+check('multi-word example', marked('제 이름은 민수예요'), '제 이름은')
+check('punctuation', marked('ㄱ, ㄴ, ㅏ'), 'ㄱ,')
+check('text preserved', tokenizeCaption('제 이름은  민수', examples).map(token => token.text).join(''), '제 이름은  민수')
+
+reportResults('subtitle')
@@ -0,0 +1,51 @@
+// Test script for the vocabulary index
+import { readFileSync } from 'fs'
+import { buildVocabularyIndex, filterVocabulary, sortVocabulary, createVocabularyFlashcards } from './vocabularyIndex.js'
+import { check, reportResults } from './testHelpers.js'
+
+console.log('Testing Vocabulary Index...\n')
+
+const { lessons, modules } = JSON.parse(readFileSync(new URL('../data/lessons.json', import.meta.url), 'utf8'))
+const index = buildVocabularyIndex(lessons, modules)
+const find = korean => index.find(entry => entry.korean === korean)
+
+// Test 1: Deduplication
+console.log('=== TEST 1: Headwords ===')
+const headwords = index.map(entry => entry.korean)
+check('No duplicate headwords', new Set(headwords).size, headwords.length)
+check('Example and flashcard merged', find('ㄱ').occurrences.map(o => o.source).join(','), 'example,flashcard')
+check('Example translation kept', find('ㄱ').translation, 'Consonant G/K')
+check('Example audio kept', find('ㄱ').audio, '/assets/audio/g.mp3')
+check('Flashcard back as translation', find('감사합니다').translation !== null, true)
+
+// Test 2: Other sources
+console.log('\n=== TEST 2: Exercise words ===')
+const fillIn = find('감사').occurrences.find(occurrence => occurrence.source === 'fill-in-the-blank')
+check('Fill-in answer indexed', fillIn?.lessonId, 'lesson-004')
+check('Fill-in context filled', fillIn?.context.startsWith('감사합니다'), true)
+check('Drag-drop word indexed', find('이름은')?.lessonIds.join(','), 'lesson-005')
+check('Romanization generated', find('반갑습니다')?.romanization, 'bangapseumnida')
+
+// Test 3: Modules and levels
+console.log('\n=== TEST 3: Filters ===')
+check('Module of lesson-001 word', find('ㄱ').moduleIds.join(','), 'module-1')
+check('Module filter', filterVocabulary(index, { moduleId: 'module-1' }).every(entry => entry.moduleIds.includes('module-1')), true)
+check('Level filter', filterVocabulary(index, { level: 'beginner' }).length > 0, true)
+check('No filter', filterVocabulary(index).length, index.length)
+
+// Test 4: Sorting and export
+console.log('\n=== TEST 4: Sorting ===')
+const sample = buildVocabularyIndex([{
+  id: 'x', title: 'X', level: 'beginner',
+  content: { examples: [
+    { korean: '학생', romanization: 'haksaeng', translation: 'student' },
+    { korean: '가방', romanization: 'gabang', translation: 'bag' }
+  ] },
+  exercises: [{ type: 'flashcard', cards: [{ front: '학생', back: 'student' }] }]
+}])
+check('가나다 order', sortVocabulary(sample, 'korean').map(e => e.korean).join(','), '가방,학생')
+check('Lesson order', sortVocabulary(sample, 'lesson').map(e => e.korean).join(','), '학생,가방')
+check('Frequency', sortVocabulary(sample, 'frequency')[0].korean, '학생')
+check('Flashcard back', createVocabularyFlashcards(sample).cards[1].back, 'bag (gabang)')
+
+reportResults('vocabulary index')
@@ -0,0 +1,188 @@
+/**
+ * Vocabulary Index for Korean Learning App
+ * Collects the Korean words and phrases taught across all lessons (examples,
+ * flashcards, fill-in answers and drag-drop word banks) into one entry per
+ * headword, recording every lesson it appears in
+ */
+
+import { romanize, isSameRomanization } from './romanization.js'
+
+export const VOCABULARY_SOURCES = {
+  EXAMPLE: { id: 'example', label: 'Lesson example' },
+  FLASHCARD: { id: 'flashcard', label: 'Flashcard' },
+  FILL_IN: { id: 'fill-in-the-blank', label: 'Fill in the blank' },
+  DRAG_DROP: { id: 'drag-drop', label: 'Sentence builder' }
+}
+
+export const VOCABULARY_SORTS = {
+  LESSON: { id: 'lesson', label: 'Lesson order' },
+  KOREAN: { id: 'korean', label: '가나다 order' },
+  ROMANIZATION: { id: 'romanization', label: 'Romanization' },
+  FREQUENCY: { id: 'frequency', label: 'Most used' }
+}
+
+/**
+ * Build the vocabulary index
+ * @param {Array} lessons - Lessons in course order
+ * @param {Array} modules - Modules listing their lesson ids
+ * @returns {Array} - Entries in order of first appearance:
+ *   { korean, romanization, translation, audio, occurrences, lessonIds, moduleIds, levels, order }
+ */
+export function buildVocabularyIndex(lessons = [], modules = []) {
+  const entries = new Map()
+
+  const addWord = (lesson, word, details) => {
+    const korean = normalizeHeadword(word)
+    if (!korean || !/[ㄱ-ㆎ가-힣]/.test(korean)) return
+
+    if (!entries.has(korean)) {
+      entries.set(korean, {
+        korean,
+        romanization: null,
+        translation: null,
+        audio: null,
+        occurrences: [],
+        lessonIds: [],
+        moduleIds: [],
+        levels: [],
+        order: entries.size
+      })
+    }
+
+    const entry = entries.get(korean)
+    // The first source to supply a field wins; examples are read first so they take priority
+    entry.romanization = entry.romanization || details.romanization || null
+    entry.translation = entry.translation || details.translation || null
+    entry.audio = entry.audio || details.audio || null
+
+    const alreadyListed = entry.occurrences.some(occurrence =>
+      occurrence.lessonId === lesson.id && occurrence.source === details.source
+    )
+    if (!alreadyListed) {
+      entry.occurrences.push({
+        lessonId: lesson.id,
+        lessonTitle: lesson.title,
+        source: details.source,
+        context: details.context || null
+      })
+    }
+
+    if (!entry.lessonIds.includes(lesson.id)) entry.lessonIds.push(lesson.id)
+    if (!entry.levels.includes(lesson.level)) entry.levels.push(lesson.level)
+    modules
+      .filter(module => module.lessons?.includes(lesson.id) && !entry.moduleIds.includes(module.id))
+      .forEach(module => entry.moduleIds.push(module.id))
+  }
+
+  lessons.forEach(lesson => {
+    (lesson.content?.examples || []).forEach(example => {
+      addWord(lesson, example.korean, {
+        source: VOCABULARY_SOURCES.EXAMPLE.id,
+        romanization: example.romanization,
+        translation: example.translation,
+        audio: example.audio
+      })
+    })
+
+    const exercises = lesson.exercises || []
+    exercises.forEach(exercise => {
+      if (exercise.type === 'flashcard') {
+        (exercise.cards || []).forEach(card => {
+          // Alphabet lessons put the sound on the back of the card rather than a meaning
+          const backIsRomanization = isSameRomanization(card.back, romanize(card.front))
+          addWord(lesson, card.front, {
+            source: VOCABULARY_SOURCES.FLASHCARD.id,
+            romanization: backIsRomanization ? card.back : null,
+            translation: backIsRomanization ? null : card.back
+          })
+        })
+      }
+
+      if (exercise.type === 'fill-in-the-blank') {
+        (exercise.questions || []).forEach(question => {
+          addWord(lesson, question.correctAnswer, {
+            source: VOCABULARY_SOURCES.FILL_IN.id,
+            context: question.sentence?.replace(/_{2,}/, question.correctAnswer)
+          })
+        })
+      }
+
+      if (exercise.type === 'drag-drop') {
+        (exercise.questions || []).forEach(question => {
+          const words = question.words || []
+          const sentence = (question.correctOrder || words).join(' ')
+          words.forEach(word => {
+            addWord(lesson, word, {
+              source: VOCABULARY_SOURCES.DRAG_DROP.id,
+              context: question.translation ? `${sentence} (${question.translation})` : sentence
+            })
+          })
+        })
+      }
+    })
+  })
+
+  return Array.from(entries.values()).map(entry => ({
+    ...entry,
+    romanization: entry.romanization || romanize(entry.korean)
+  }))
+}
+
+/**
+ * Narrow the index to a module and/or level
+ * @param {Array} entries - Vocabulary entries
+ * @param {Object} filters - { moduleId, level }; empty values match everything
+ * @returns {Array}
+ */
+export function filterVocabulary(entries, { moduleId = null, level = null } = {}) {
+  return entries.filter(entry =>
+    (!moduleId || entry.moduleIds.includes(moduleId)) &&
+    (!level || entry.levels.includes(level))
+  )
+}
+
+/**
+ * Sort vocabulary entries
+ * @param {Array} entries - Vocabulary entries
+ * @param {string} sortId - One of VOCABULARY_SORTS ids
+ * @returns {Array} - A sorted copy
+ */
+export function sortVocabulary(entries, sortId = VOCABULARY_SORTS.LESSON.id) {
+  const sorted = [...entries]
+  switch (sortId) {
+    case VOCABULARY_SORTS.KOREAN.id:
+      return sorted.sort((a, b) => a.korean.localeCompare(b.korean, 'ko'))
+    case VOCABULARY_SORTS.ROMANIZATION.id:
+      return sorted.sort((a, b) => a.romanization.localeCompare(b.romanization, 'en'))
+    case VOCABULARY_SORTS.FREQUENCY.id:
+      return sorted.sort((a, b) => b.occurrences.length - a.occurrences.length || a.order - b.order)
+    default:
+      return sorted.sort((a, b) => a.order - b.order)
+  }
+}
+
+/**
+ * Turn vocabulary entries into a flashcard exercise
+ * @param {Array} entries - Vocabulary entries to study
+ * @param {string} title - Exercise title
+ * @returns {Object} - Flashcard exercise
+ */
+export function createVocabularyFlashcards(entries, title = 'Vocabulary Study') {
+  return {
+    type: 'flashcard',
+    title,
+    cards: entries.map(entry => ({
+      front: entry.korean,
+      back: entry.translation ? `${entry.translation} (${entry.romanization})` : entry.romanization
+    }))
+  }
+}
+
+// Helper functions
+
+// Drop surrounding punctuation and collapse spaces so 안녕하세요! and 안녕하세요 share an entry
+function normalizeHeadword(word) {
+  return (word || '')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    .replace(/\s+/g, ' ')
+}
@@ -1,9 +1,43 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+// Files from public/ that belong to the app shell
+const PUBLIC_SHELL_FILES = ['/index.html', '/manifest.webmanifest', '/icons/icon.svg']
+
+/**
+ * Emit sw.js with the list of built files to precache. The build id changes
+ * whenever a hashed file name does, so browsers pick up the new worker.
+ */
+const serviceWorkerPlugin = () => ({
+  name: 'korean-learning-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const builtFiles = Object.keys(bundle)
+      .filter(fileName => !fileName.endsWith('.map') && fileName !== 'index.html')
+      .map(fileName => `/${fileName}`)
+    const precacheUrls = [...PUBLIC_SHELL_FILES, ...builtFiles].sort()
+    const buildId = createHash('sha256').update(precacheUrls.join('\n')).digest('hex').slice(0, 12)
+    const template = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf-8')
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: [
+        `const BUILD_ID = '${buildId}'`,
+        `const PRECACHE_URLS = ${JSON.stringify(precacheUrls, null, 2)}`,
+        '',
+        template
+      ].join('\n')
+    })
+  }
+})
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin()],
   build: {
     target: 'es2015',
     rollupOptions: {
@@ -19,4 +53,4 @@ export default defineConfig({
     port: 3000,
     open: true
   }
-})
\ No newline at end of file
+})